@@ -27,6 +27,7 @@ class InsurancePricingApp {
         this.authComponent = null;
         this.isAuthenticated = false;
         this.enhancedProcessing = null;
+        this.chatSessionId = null; // Server-side chat pricing session (follow-ups refer to its last item)
 
         window.appInstance = this;
         window.app = this; // Make app globally accessible for onclick attributes
@@ -484,6 +485,24 @@ class InsurancePricingApp {
                 container: sidebarElement,
                 onNavigate: (section) => this.handleNavigation(section)
             });
+            this.refreshNotificationBadge();
+        }
+    }
+
+    /**
+     * Unread notification count on the Profile nav item (non-blocking - the feed is optional)
+     */
+    async refreshNotificationBadge() {
+        if (!this.sidebar) return;
+        try {
+            const { unread } = await this.apiService.getNotifications(true);
+            if (unread > 0) {
+                this.sidebar.addNotificationBadge('profile', unread);
+            } else {
+                this.sidebar.removeNotificationBadge('profile');
+            }
+        } catch (error) {
+            console.warn('Notifications not available:', error.message);
         }
     }
 
@@ -640,6 +659,7 @@ class InsurancePricingApp {
         if (startNewChatBtn) {
             startNewChatBtn.addEventListener('click', () => {
                 console.log('Start new chat button clicked');
+                this.chatSessionId = null;
                 this.showActiveChatArea();
             });
             console.log('✅ Start new chat button found and bound');
@@ -819,20 +839,20 @@ class InsurancePricingApp {
                 // Show loading indicator for single item processing
                 this.showLoading('🔍 Searching for product pricing... This may take a moment.');
                 
+                // The server keeps the conversation, so follow-ups ("find a cheaper one", "only Home Depot",
+                // "same but 65 inch", "why did you pick this?") refer to the last item priced
+                let chatAnswer;
                 try {
-                    // Extract cost information from the message
-                    const { description, costToReplace } = this.extractCostFromMessage(message.trim());
-                    
-                    response = await this.apiService.processItem({
-                        description: description,
-                        costToReplace: costToReplace,
-                        priceTolerance: parseInt(document.getElementById('priceTolerance')?.value) || 10
-                    });
-                    console.log('🔍 Frontend Debug: API response received:', response);
+                    chatAnswer = await this.sendChatPricingMessage(message.trim());
+                    console.log('🔍 Frontend Debug: Chat answer received:', chatAnswer);
                 } finally {
                     // Hide loading indicator (this will show disabled robot icon briefly)
                     this.hideLoading();
+                    this.hideTypingIndicator();
+                    clearTimeout(typingIndicatorTimeout);
                 }
+                this.displayChatPricingAnswer(chatAnswer);
+                return; // Exit early since the chat answer is already displayed
             } else {
                 throw new Error('Please provide a message or upload a file.');
             }
@@ -953,92 +973,40 @@ class InsurancePricingApp {
         }
     }
 
-    // Extract cost information from message text
-    extractCostFromMessage(message) {
-        console.log('🔍 Frontend Debug: Extracting cost from message:', message);
-        
-        // Enhanced patterns to match cost information - more flexible
-        const costPatterns = [
-            // Explicit cost patterns
-            /cost\s+(?:of\s+)?(?:replacement|total|is|to\s+replace)\s+(?:is\s+)?\$?(\d+(?:\.\d{2})?)/i,
-            /replacement\s+cost\s+(?:is\s+)?\$?(\d+(?:\.\d{2})?)/i,
-            /total\s+cost\s+(?:is\s+)?\$?(\d+(?:\.\d{2})?)/i,
-            /price\s+(?:is\s+)?\$?(\d+(?:\.\d{2})?)/i,
-            /value\s+(?:is\s+)?\$?(\d+(?:\.\d{2})?)/i,
-            // Dollar sign patterns
-            /\$(\d+(?:\.\d{2})?)/g,
-            // Number patterns (more flexible)
-            /(\d{3,4})\s*(?:dollars?|bucks?|USD?)/i,
-            /(\d{3,4})\s*(?:cost|price|value)/i
-        ];
-        
-        let costToReplace = null;
-        let description = message;
-        
-        // Try each pattern to find cost information
-        for (const pattern of costPatterns) {
-            const match = message.match(pattern);
-            if (match) {
-                costToReplace = parseFloat(match[1]);
-                console.log('🔍 Frontend Debug: Found cost:', costToReplace);
-                
-                // Remove the cost information from the description
-                description = message.replace(pattern, '').trim();
-                break;
+    /**
+     * Send a chat message to the current chat pricing session (a new session on first use or once
+     * the old one expired)
+     * @returns {Promise<Object>} { sessionId, intent, intents, reply, result, updated, session }
+     */
+    async sendChatPricingMessage(message) {
+        if (this.chatSessionId) {
+            try {
+                return await this.apiService.sendChatMessage(this.chatSessionId, message);
+            } catch (error) {
+                // Sessions expire after a while without messages - start over with this one
+                if (!error.message?.includes('HTTP 404')) throw error;
+                console.log('🔍 Frontend Debug: Chat session expired, starting a new one');
+                this.chatSessionId = null;
             }
         }
-        
-        // If no cost found, try to infer from common product categories
-        if (!costToReplace) {
-            const lowerMessage = message.toLowerCase();
-            
-            // Refrigerator patterns
-            if (lowerMessage.includes('refrigerator') || lowerMessage.includes('fridge')) {
-                if (lowerMessage.includes('mini') || lowerMessage.includes('compact')) {
-                    costToReplace = 200;
-                } else if (lowerMessage.includes('side') || lowerMessage.includes('french')) {
-                    costToReplace = 1200;
-                } else if (lowerMessage.includes('bottom') || lowerMessage.includes('top')) {
-                    costToReplace = 800;
-                } else {
-                    costToReplace = 600; // Standard refrigerator
-                }
-                console.log('🔍 Frontend Debug: Inferred refrigerator cost:', costToReplace);
-            }
-            // TV patterns
-            else if (lowerMessage.includes('tv') || lowerMessage.includes('television')) {
-                if (lowerMessage.includes('55') || lowerMessage.includes('65')) {
-                    costToReplace = 800;
-                } else if (lowerMessage.includes('75') || lowerMessage.includes('85')) {
-                    costToReplace = 1500;
-                } else {
-                    costToReplace = 500; // Standard TV
-                }
-                console.log('🔍 Frontend Debug: Inferred TV cost:', costToReplace);
-            }
-            // Phone patterns
-            else if (lowerMessage.includes('phone') || lowerMessage.includes('iphone')) {
-                costToReplace = 800;
-                console.log('🔍 Frontend Debug: Inferred phone cost:', costToReplace);
-            }
-            // Laptop patterns
-            else if (lowerMessage.includes('laptop') || lowerMessage.includes('computer')) {
-                costToReplace = 1000;
-                console.log('🔍 Frontend Debug: Inferred laptop cost:', costToReplace);
-            }
+        const answer = await this.apiService.startChatSession({
+            message,
+            tolerancePct: parseInt(document.getElementById('priceTolerance')?.value) || 10
+        });
+        this.chatSessionId = answer.sessionId;
+        return answer;
+    }
+
+    displayChatPricingAnswer(answer) {
+        this.addMessageToChat({
+            type: 'assistant',
+            content: answer.reply,
+            timestamp: new Date()
+        });
+        // "why" answers and follow-ups that found nothing keep the pick already on screen
+        if (answer.updated && answer.result?.price) {
+            this.displayPricingResult(answer.result, answer.session?.item?.query);
         }
-        
-        // Clean up the description
-        description = description
-            .replace(/\s+/g, ' ') // Replace multiple spaces with single space
-            .replace(/^\s+|\s+$/g, '') // Trim whitespace
-            .replace(/^(?:and|with|,)\s+/i, '') // Remove leading connectors
-            .replace(/\s+(?:and|with|,)\s*$/i, '') // Remove trailing connectors
-            .trim();
-        
-        console.log('🔍 Frontend Debug: Extracted data:', { description, costToReplace });
-        
-        return { description, costToReplace };
     }
 
     // Helper method to convert file to base64
@@ -2650,11 +2618,15 @@ class InsurancePricingApp {
                             <h2>Preferences</h2>
                             <div class="setting-item">
                                 <label for="notifications">Email Notifications</label>
-                                <input type="checkbox" id="notifications" checked>
+                                <input type="checkbox" id="notifications" disabled>
                             </div>
                             <div class="setting-item">
                                 <label for="auto-save">Auto-save Drafts</label>
-                                <input type="checkbox" id="auto-save" checked>
+                                <input type="checkbox" id="auto-save" disabled>
+                            </div>
+                            <div class="setting-item">
+                                <label for="default-tolerance">Default Price Tolerance (%)</label>
+                                <input type="number" id="default-tolerance" min="0" max="100" step="1" placeholder="Organization default" disabled>
                             </div>
                         </div>
                         
@@ -2662,11 +2634,19 @@ class InsurancePricingApp {
                             <h2>Account</h2>
                             <div class="setting-item">
                                 <label>Email</label>
-                                <span class="setting-value">user@example.com</span>
+                                <span class="setting-value" id="settings-email">Loading...</span>
+                            </div>
+                            <div class="setting-item">
+                                <label>Roles</label>
+                                <span class="setting-value" id="settings-roles">Loading...</span>
+                            </div>
+                            <div class="setting-item">
+                                <label>Organization</label>
+                                <span class="setting-value" id="settings-org">Loading...</span>
                             </div>
                             <div class="setting-item">
                                 <label>Member Since</label>
-                                <span class="setting-value">January 2024</span>
+                                <span class="setting-value" id="settings-member-since">Loading...</span>
                             </div>
                         </div>
                     </div>
@@ -2675,9 +2655,106 @@ class InsurancePricingApp {
             
             // Add theme toggle functionality
             this.setupThemeToggle();
+            this.populateSettingsSection();
+        }
+    }
+
+    async populateSettingsSection() {
+        try {
+            const data = await this.loadAccount(true);
+            const { account, user, org } = data;
+            const settings = account.settings || {};
+
+            document.getElementById('settings-email').textContent = user.email || account.email || '—';
+            document.getElementById('settings-roles').textContent = (user.roles || []).join(', ') || '—';
+            document.getElementById('settings-org').textContent = org ? org.name : '—';
+            document.getElementById('settings-member-since').textContent = this.formatAccountDate(account.createdAt, { month: 'long', year: 'numeric' });
+
+            const bindCheckbox = (id, field) => {
+                const checkbox = document.getElementById(id);
+                checkbox.checked = !!settings[field];
+                checkbox.disabled = false;
+                checkbox.addEventListener('change', () => this.saveAccountSettings({ [field]: checkbox.checked }));
+            };
+            bindCheckbox('notifications', 'emailNotifications');
+            bindCheckbox('auto-save', 'autoSaveDrafts');
+
+            const tolerance = document.getElementById('default-tolerance');
+            tolerance.value = settings.defaultTolerancePct ?? '';
+            tolerance.disabled = false;
+            tolerance.addEventListener('change', () => {
+                this.saveAccountSettings({ defaultTolerancePct: tolerance.value === '' ? null : Number(tolerance.value) });
+            });
+        } catch (error) {
+            console.error('Failed to load account settings:', error);
+            ['settings-email', 'settings-roles', 'settings-org', 'settings-member-since'].forEach(id => {
+                const element = document.getElementById(id);
+                if (element) element.textContent = 'Unavailable';
+            });
+            this.showNotification('Could not load your settings: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Fetch (once, unless forced) the signed-in user's account from /api/me
+     * @param {boolean} force - refetch even if already loaded
+     * @returns {Promise<Object>} { user, account, org, budget, usage, activity }
+     */
+    async loadAccount(force = false) {
+        if (!this.accountPromise || force) {
+            this.accountPromise = this.apiService.getAccount().catch(error => {
+                this.accountPromise = null;
+                throw error;
+            });
+        }
+        this.account = await this.accountPromise;
+        return this.account;
+    }
+
+    async saveAccountSettings(patch) {
+        try {
+            const { settings } = await this.apiService.updateAccountSettings(patch);
+            if (this.account) {
+                this.account.account.settings = settings;
+            }
+            this.showNotification('Settings saved', 'success');
+            return settings;
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+            this.showNotification('Failed to save settings: ' + error.message, 'error');
+            return null;
+        }
+    }
+
+    // Theme stays in localStorage for a flicker-free first paint; the server copy wins once it loads
+    async applyAccountTheme() {
+        try {
+            const { account } = await this.loadAccount();
+            const theme = account.settings?.theme;
+            if (theme && theme !== this.getCurrentTheme()) {
+                this.setTheme(theme);
+            }
+        } catch (error) {
+            console.warn('Could not load account settings, keeping local theme:', error.message);
         }
     }
 
+    formatAccountDate(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+        if (!value) return '—';
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? '—' : date.toLocaleString(undefined, options);
+    }
+
+    formatUsd(value) {
+        return `$${(Number(value) || 0).toFixed(2)}`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
     loadProfileSection() {
         console.log('Loading profile section');
         const mainContent = document.getElementById('main-content');
@@ -2695,56 +2772,201 @@ class InsurancePricingApp {
                                 <i class="fas fa-user-circle"></i>
                             </div>
                             <div class="profile-info">
-                                <h2>John Doe</h2>
-                                <p>Senior Insurance Analyst</p>
-                                <p><i class="fas fa-envelope"></i> john.doe@company.com</p>
+                                <h2 id="profile-name">Loading...</h2>
+                                <p id="profile-title"></p>
+                                <p><i class="fas fa-envelope"></i> <span id="profile-email"></span></p>
                             </div>
                         </div>
                         
                         <div class="profile-section">
                             <h2>Personal Information</h2>
-                            <div class="profile-form">
+                            <form class="profile-form" id="profile-form">
                                 <div class="form-group">
-                                    <label>Full Name</label>
-                                    <input type="text" value="John Doe" placeholder="Enter your full name">
+                                    <label for="profile-display-name">Display Name</label>
+                                    <input type="text" id="profile-display-name" maxlength="120" placeholder="Enter your full name">
                                 </div>
                                 <div class="form-group">
-                                    <label>Job Title</label>
-                                    <input type="text" value="Senior Insurance Analyst" placeholder="Enter your job title">
+                                    <label for="profile-job-title">Job Title</label>
+                                    <input type="text" id="profile-job-title" maxlength="120" placeholder="Enter your job title">
                                 </div>
                                 <div class="form-group">
-                                    <label>Department</label>
-                                    <select>
-                                        <option>Risk Management</option>
-                                        <option>Underwriting</option>
-                                        <option>Claims</option>
-                                        <option>Sales</option>
-                                    </select>
+                                    <label for="profile-department">Department</label>
+                                    <input type="text" id="profile-department" maxlength="120" placeholder="e.g. Claims">
                                 </div>
-                            </div>
+                                <button type="submit" class="admin-btn" id="profile-save" disabled>
+                                    <i class="fas fa-save"></i> Save Profile
+                                </button>
+                            </form>
                         </div>
                         
                         <div class="profile-section">
-                            <h2>Activity Summary</h2>
+                            <h2>Activity Summary (last 30 days)</h2>
                             <div class="activity-stats">
                                 <div class="stat-card">
-                                    <h3>Reports Generated</h3>
-                                    <span class="stat-number">47</span>
+                                    <h3>API Requests</h3>
+                                    <span class="stat-number" id="profile-requests">—</span>
                                 </div>
                                 <div class="stat-card">
-                                    <h3>Analyses Completed</h3>
-                                    <span class="stat-number">156</span>
+                                    <h3>API Spend</h3>
+                                    <span class="stat-number" id="profile-spend">—</span>
                                 </div>
                                 <div class="stat-card">
-                                    <h3>Team Members</h3>
-                                    <span class="stat-number">12</span>
+                                    <h3>Spent Today / Budget</h3>
+                                    <span class="stat-number" id="profile-budget">—</span>
                                 </div>
+                                <div class="stat-card">
+                                    <h3>Last Seen</h3>
+                                    <span class="stat-number" id="profile-last-seen">—</span>
+                                </div>
+                            </div>
+                            <div class="activity-log" id="profile-activity">
+                                <div class="log-entry"><span class="log-action">Loading recent activity...</span></div>
+                            </div>
+                        </div>
+                        
+                        <div class="profile-section">
+                            <h2>Notifications</h2>
+                            <button type="button" class="admin-btn" id="notifications-read-all" disabled>
+                                <i class="fas fa-check-double"></i> Mark All Read
+                            </button>
+                            <div class="activity-log" id="profile-notifications">
+                                <div class="log-entry"><span class="log-action">Loading notifications...</span></div>
                             </div>
                         </div>
                     </div>
                 </div>
             `;
+            this.populateProfileSection();
+            this.loadProfileNotifications();
+        }
+    }
+
+    async populateProfileSection() {
+        try {
+            const { user, account, budget, usage, activity } = await this.loadAccount(true);
+            const profile = account.profile || {};
+            const renderHeader = () => {
+                document.getElementById('profile-name').textContent = profile.displayName || user.name || account.name || user.id;
+                document.getElementById('profile-title').textContent = [profile.jobTitle, profile.department].filter(Boolean).join(' · ');
+                document.getElementById('profile-email').textContent = user.email || account.email || '—';
+            };
+            renderHeader();
+
+            const fields = {
+                displayName: document.getElementById('profile-display-name'),
+                jobTitle: document.getElementById('profile-job-title'),
+                department: document.getElementById('profile-department')
+            };
+            Object.entries(fields).forEach(([field, input]) => {
+                input.value = profile[field] || '';
+            });
+            const saveButton = document.getElementById('profile-save');
+            saveButton.disabled = false;
+            document.getElementById('profile-form').addEventListener('submit', async (event) => {
+                event.preventDefault();
+                saveButton.disabled = true;
+                try {
+                    const patch = Object.fromEntries(Object.entries(fields).map(([field, input]) => [field, input.value]));
+                    const result = await this.apiService.updateAccountProfile(patch);
+                    Object.assign(profile, result.profile);
+                    account.profile = result.profile;
+                    renderHeader();
+                    this.showNotification('Profile saved', 'success');
+                } catch (error) {
+                    console.error('Failed to save profile:', error);
+                    this.showNotification('Failed to save profile: ' + error.message, 'error');
+                } finally {
+                    saveButton.disabled = false;
+                }
+            });
+
+            document.getElementById('profile-requests').textContent = (usage?.totals?.requests || 0).toLocaleString();
+            document.getElementById('profile-spend').textContent = this.formatUsd(usage?.totals?.costUsd);
+            document.getElementById('profile-budget').textContent = budget?.budgetUsd != null
+                ? `${this.formatUsd(budget.spentUsd)} / ${this.formatUsd(budget.budgetUsd)}`
+                : `${this.formatUsd(usage?.today?.costUsd)} / no cap`;
+            document.getElementById('profile-last-seen').textContent = this.formatAccountDate(account.lastSeenAt, { dateStyle: 'medium' });
+            this.renderActivityLog(document.getElementById('profile-activity'), activity);
+        } catch (error) {
+            console.error('Failed to load profile:', error);
+            document.getElementById('profile-name').textContent = 'Profile unavailable';
+            this.renderActivityLog(document.getElementById('profile-activity'), null);
+            this.showNotification('Could not load your profile: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Job completed / failed and review requested notifications; clicking an unread one marks it read
+     */
+    async loadProfileNotifications() {
+        const container = document.getElementById('profile-notifications');
+        const readAllButton = document.getElementById('notifications-read-all');
+        if (!container) return;
+        try {
+            const { notifications, unread } = await this.apiService.getNotifications(false);
+            if (notifications.length === 0) {
+                container.innerHTML = '<div class="log-entry"><span class="log-action">No notifications yet</span></div>';
+            } else {
+                container.innerHTML = notifications.map(notification => `
+                    <div class="log-entry${notification.readAt ? '' : ' unread'}" data-notification-id="${this.escapeHtml(notification.id)}" style="${notification.readAt ? '' : 'font-weight: 600; cursor: pointer;'}">
+                        <span class="log-time">${this.escapeHtml(this.formatAccountDate(notification.createdAt))}</span>
+                        <span class="log-action">${this.escapeHtml(notification.title)}${notification.message ? ` — ${this.escapeHtml(notification.message)}` : ''}</span>
+                    </div>
+                `).join('');
+            }
+            readAllButton.disabled = unread === 0;
+
+            container.querySelectorAll('.log-entry.unread').forEach(entry => {
+                entry.addEventListener('click', async () => {
+                    try {
+                        await this.apiService.markNotificationAsRead(entry.dataset.notificationId);
+                        this.loadProfileNotifications();
+                        this.refreshNotificationBadge();
+                    } catch (error) {
+                        this.showNotification('Failed to update notification: ' + error.message, 'error');
+                    }
+                });
+            });
+            readAllButton.onclick = async () => {
+                readAllButton.disabled = true;
+                try {
+                    await this.apiService.markAllNotificationsAsRead();
+                    this.loadProfileNotifications();
+                    this.refreshNotificationBadge();
+                } catch (error) {
+                    readAllButton.disabled = false;
+                    this.showNotification('Failed to update notifications: ' + error.message, 'error');
+                }
+            };
+        } catch (error) {
+            console.error('Failed to load notifications:', error);
+            container.innerHTML = '<div class="log-entry"><span class="log-action">Notifications are not available</span></div>';
+        }
+    }
+
+    /**
+     * Render audit_logs entries (null = audit system not available)
+     */
+    renderActivityLog(container, activity, { showUser = false } = {}) {
+        if (!container) return;
+        if (!activity) {
+            container.innerHTML = '<div class="log-entry"><span class="log-action">Activity history is not available (audit logging is off)</span></div>';
+            return;
+        }
+        if (activity.length === 0) {
+            container.innerHTML = '<div class="log-entry"><span class="log-action">No activity recorded yet</span></div>';
+            return;
         }
+        container.innerHTML = activity.map(entry => {
+            const who = showUser ? `${this.escapeHtml(entry.email || entry.userId)}: ` : '';
+            const detail = entry.meta?.targetUserId ? ` → ${this.escapeHtml(entry.meta.targetUserId)}` : '';
+            return `
+                <div class="log-entry">
+                    <span class="log-time">${this.escapeHtml(this.formatAccountDate(entry.createdAt))}</span>
+                    <span class="log-action">${who}${this.escapeHtml(entry.action)}${detail}</span>
+                </div>
+            `;
+        }).join('');
     }
 
     loadAdminSection() {
@@ -2754,8 +2976,8 @@ class InsurancePricingApp {
             mainContent.innerHTML = `
                 <div class="page-container">
                     <div class="page-header">
-                        <h1><i class="fas fa-cog"></i> THIS IS ADMIN PAGE</h1>
-                        <p>Administrative dashboard and system management</p>
+                        <h1><i class="fas fa-cog"></i> Administration</h1>
+                        <p>Users, API usage, caches and recent activity</p>
                     </div>
                     
                     <div class="page-content">
@@ -2764,65 +2986,287 @@ class InsurancePricingApp {
                             <div class="admin-stats">
                                 <div class="admin-stat-card">
                                     <h3>Active Users</h3>
-                                    <span class="admin-stat-number">1,247</span>
+                                    <span class="admin-stat-number" id="admin-active-users">—</span>
                                 </div>
                                 <div class="admin-stat-card">
-                                    <h3>Total Reports</h3>
-                                    <span class="admin-stat-number">8,934</span>
+                                    <h3>Seen Last 24h</h3>
+                                    <span class="admin-stat-number" id="admin-seen-users">—</span>
                                 </div>
                                 <div class="admin-stat-card">
-                                    <h3>System Uptime</h3>
-                                    <span class="admin-stat-number">99.9%</span>
+                                    <h3>API Spend Today</h3>
+                                    <span class="admin-stat-number" id="admin-spend-today">—</span>
                                 </div>
                                 <div class="admin-stat-card">
-                                    <h3>Storage Used</h3>
-                                    <span class="admin-stat-number">2.4 TB</span>
+                                    <h3>API Spend (30 days)</h3>
+                                    <span class="admin-stat-number" id="admin-spend-30d">—</span>
+                                </div>
+                                <div class="admin-stat-card">
+                                    <h3>Server Uptime</h3>
+                                    <span class="admin-stat-number" id="admin-uptime">—</span>
                                 </div>
                             </div>
                         </div>
                         
                         <div class="admin-section">
-                            <h2>Recent Activity</h2>
-                            <div class="activity-log">
-                                <div class="log-entry">
-                                    <span class="log-time">2 minutes ago</span>
-                                    <span class="log-action">User login: john.doe@company.com</span>
-                                </div>
-                                <div class="log-entry">
-                                    <span class="log-time">5 minutes ago</span>
-                                    <span class="log-action">Report generated: Q4_2024_Analysis.pdf</span>
-                                </div>
-                                <div class="log-entry">
-                                    <span class="log-time">12 minutes ago</span>
-                                    <span class="log-action">New user registered: sarah.smith@company.com</span>
-                                </div>
-                                <div class="log-entry">
-                                    <span class="log-time">1 hour ago</span>
-                                    <span class="log-action">System backup completed successfully</span>
+                            <h2>Users</h2>
+                            <div class="search-controls">
+                                <div class="search-row">
+                                    <input type="text" id="admin-user-search" placeholder="Search by id, email or name..." class="search-input">
+                                    <select id="admin-user-status" class="filter-select">
+                                        <option value="">All Statuses</option>
+                                        <option value="active">Active</option>
+                                        <option value="deactivated">Deactivated</option>
+                                    </select>
+                                    <button id="admin-refresh-btn" class="refresh-btn">
+                                        <i class="fas fa-sync-alt"></i> Refresh
+                                    </button>
                                 </div>
                             </div>
+                            <div class="table-container">
+                                <table class="audit-table">
+                                    <thead>
+                                        <tr>
+                                            <th>User</th>
+                                            <th>Role</th>
+                                            <th>Status</th>
+                                            <th>Last Seen</th>
+                                            <th>Requests (30d)</th>
+                                            <th>Spend (30d)</th>
+                                            <th>Today</th>
+                                            <th>Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody id="admin-users-tbody">
+                                        <tr><td colspan="8" class="loading-cell">Loading users...</td></tr>
+                                    </tbody>
+                                </table>
+                            </div>
                         </div>
                         
                         <div class="admin-section">
-                            <h2>Quick Actions</h2>
-                            <div class="admin-actions">
-                                <button class="admin-btn">
-                                    <i class="fas fa-users"></i> Manage Users
-                                </button>
-                                <button class="admin-btn">
-                                    <i class="fas fa-database"></i> Backup System
-                                </button>
-                                <button class="admin-btn">
-                                    <i class="fas fa-chart-bar"></i> View Analytics
-                                </button>
-                                <button class="admin-btn">
-                                    <i class="fas fa-cog"></i> System Settings
-                                </button>
+                            <h2>API Usage by Provider (30 days)</h2>
+                            <div class="activity-log" id="admin-usage">
+                                <div class="log-entry"><span class="log-action">Loading usage...</span></div>
+                            </div>
+                        </div>
+                        
+                        <div class="admin-section">
+                            <h2>Cache &amp; Redis</h2>
+                            <div class="activity-log" id="admin-cache">
+                                <div class="log-entry"><span class="log-action">Loading cache state...</span></div>
+                            </div>
+                        </div>
+                        
+                        <div class="admin-section">
+                            <h2>Recent Activity</h2>
+                            <div class="activity-log" id="admin-activity">
+                                <div class="log-entry"><span class="log-action">Loading activity...</span></div>
                             </div>
                         </div>
                     </div>
                 </div>
             `;
+            this.initializeAdminConsole();
+        }
+    }
+
+    initializeAdminConsole() {
+        const search = document.getElementById('admin-user-search');
+        const status = document.getElementById('admin-user-status');
+        let searchTimer = null;
+        search.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => this.loadAdminUsers(), 300);
+        });
+        status.addEventListener('change', () => this.loadAdminUsers());
+        document.getElementById('admin-refresh-btn').addEventListener('click', () => this.refreshAdminConsole());
+
+        // Role and (de)activation controls are rendered per row - one delegated listener handles them all
+        const tbody = document.getElementById('admin-users-tbody');
+        tbody.addEventListener('change', (event) => {
+            const select = event.target.closest('select[data-role-user]');
+            if (select) {
+                this.changeUserRole(select.dataset.roleUser, select.value || null);
+            }
+        });
+        tbody.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-toggle-user]');
+            if (button) {
+                this.toggleUserActive(button.dataset.toggleUser, button.dataset.active !== 'true');
+            }
+        });
+
+        this.refreshAdminConsole();
+    }
+
+    async refreshAdminConsole() {
+        // Sections load independently so one failing endpoint doesn't blank the whole page
+        await Promise.all([
+            this.loadAdminOverview(),
+            this.loadAdminUsers(),
+            this.loadAdminUsage(),
+            this.loadAdminCache(),
+            this.loadAdminActivity()
+        ]);
+    }
+
+    async loadAdminOverview() {
+        try {
+            const overview = await this.apiService.getAdminOverview();
+            const hours = Math.floor(overview.system.uptimeSeconds / 3600);
+            const minutes = Math.floor((overview.system.uptimeSeconds % 3600) / 60);
+            document.getElementById('admin-active-users').textContent = `${overview.users.active} / ${overview.users.total}`;
+            document.getElementById('admin-seen-users').textContent = overview.users.seenLast24h;
+            document.getElementById('admin-spend-today').textContent = this.formatUsd(overview.usage.today.costUsd);
+            document.getElementById('admin-spend-30d').textContent = this.formatUsd(overview.usage.last30Days.costUsd);
+            document.getElementById('admin-uptime').textContent = `${hours}h ${minutes}m`;
+        } catch (error) {
+            console.error('Failed to load admin overview:', error);
+            ['admin-active-users', 'admin-seen-users', 'admin-spend-today', 'admin-spend-30d', 'admin-uptime'].forEach(id => {
+                const element = document.getElementById(id);
+                if (element) element.textContent = 'n/a';
+            });
+        }
+    }
+
+    async loadAdminUsers() {
+        const tbody = document.getElementById('admin-users-tbody');
+        if (!tbody) return;
+        try {
+            const { users } = await this.apiService.getAdminUsers({
+                search: document.getElementById('admin-user-search')?.value.trim() || undefined,
+                status: document.getElementById('admin-user-status')?.value || undefined
+            });
+            if (users.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="8" class="no-data">No users found</td></tr>';
+                return;
+            }
+            const currentUserId = this.account?.user?.id;
+            tbody.innerHTML = users.map(user => {
+                const active = user.status === 'active';
+                const isSelf = user.id === currentUserId;
+                const roleOptions = [['', 'From token'], ['adjuster', 'Adjuster'], ['supervisor', 'Supervisor'], ['admin', 'Admin']]
+                    .map(([value, label]) => `<option value="${value}" ${(user.role || '') === value ? 'selected' : ''}>${label}</option>`)
+                    .join('');
+                return `
+                    <tr>
+                        <td>
+                            <strong>${this.escapeHtml(user.profile?.displayName || user.name || user.id)}</strong><br>
+                            <small>${this.escapeHtml(user.email || user.id)}</small>
+                        </td>
+                        <td>
+                            <select class="filter-select" data-role-user="${this.escapeHtml(user.id)}" ${isSelf ? 'disabled title="You cannot change your own role"' : ''}>
+                                ${roleOptions}
+                            </select>
+                        </td>
+                        <td><span class="status-badge ${active ? 'status-success' : 'status-error'}">${active ? 'Active' : 'Deactivated'}</span></td>
+                        <td>${this.escapeHtml(this.formatAccountDate(user.lastSeenAt))}</td>
+                        <td>${(user.usage?.requests || 0).toLocaleString()}</td>
+                        <td>${this.formatUsd(user.usage?.costUsd)}</td>
+                        <td>${this.formatUsd(user.usage?.today?.costUsd)}</td>
+                        <td>
+                            <button class="${active ? 'export-btn' : 'search-btn'}" data-toggle-user="${this.escapeHtml(user.id)}" data-active="${active}" ${isSelf ? 'disabled' : ''}>
+                                <i class="fas ${active ? 'fa-user-slash' : 'fa-user-check'}"></i> ${active ? 'Deactivate' : 'Reactivate'}
+                            </button>
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Failed to load users:', error);
+            tbody.innerHTML = `<tr><td colspan="8" class="error-cell">Failed to load users: ${this.escapeHtml(error.message)}</td></tr>`;
+        }
+    }
+
+    async changeUserRole(userId, role) {
+        try {
+            await this.apiService.setUserRole(userId, role);
+            this.showNotification(role ? `Role for ${userId} set to ${role}` : `Role override for ${userId} cleared`, 'success');
+        } catch (error) {
+            console.error('Failed to change role:', error);
+            this.showNotification('Failed to change role: ' + error.message, 'error');
+        }
+        await Promise.all([this.loadAdminUsers(), this.loadAdminActivity()]);
+    }
+
+    async toggleUserActive(userId, active) {
+        if (!active && !confirm(`Deactivate ${userId}? They will be signed out of every API call until reactivated.`)) {
+            return;
+        }
+        try {
+            await this.apiService.setUserActive(userId, active);
+            this.showNotification(`${userId} ${active ? 'reactivated' : 'deactivated'}`, 'success');
+        } catch (error) {
+            console.error('Failed to update user status:', error);
+            this.showNotification('Failed to update user: ' + error.message, 'error');
+        }
+        await Promise.all([this.loadAdminUsers(), this.loadAdminOverview(), this.loadAdminActivity()]);
+    }
+
+    async loadAdminUsage() {
+        const container = document.getElementById('admin-usage');
+        if (!container) return;
+        try {
+            const usage = await this.apiService.getAdminUsage(30);
+            if (!usage.byProvider) {
+                // Org-scoped admins only see their own users' spend
+                const total = usage.byUser.reduce((sum, entry) => sum + entry.costUsd, 0);
+                container.innerHTML = `<div class="log-entry"><span class="log-action">Organization users</span><span class="log-time">${this.formatUsd(total)}</span></div>`;
+                return;
+            }
+            const providers = Object.entries(usage.byProvider);
+            container.innerHTML = providers.length === 0
+                ? '<div class="log-entry"><span class="log-action">No metered API calls yet</span></div>'
+                : providers.map(([provider, totals]) => `
+                    <div class="log-entry">
+                        <span class="log-action">${this.escapeHtml(provider)} · ${totals.requests.toLocaleString()} requests</span>
+                        <span class="log-time">${this.formatUsd(totals.costUsd)}</span>
+                    </div>
+                `).join('');
+        } catch (error) {
+            console.error('Failed to load usage:', error);
+            container.innerHTML = `<div class="log-entry"><span class="log-action">Failed to load usage: ${this.escapeHtml(error.message)}</span></div>`;
+        }
+    }
+
+    async loadAdminCache() {
+        const container = document.getElementById('admin-cache');
+        if (!container) return;
+        try {
+            const cache = await this.apiService.getCacheStatus();
+            const rows = [
+                ['Redis', cache.redis.connected
+                    ? `connected (${cache.redis.keys ?? '?'} keys) · ${cache.redis.url}`
+                    : `disconnected - memory cache only · ${cache.redis.url}`],
+                ['Query cache entries', cache.memory ? cache.memory.queryCache : 'n/a'],
+                ['Direct URL cache entries', cache.memory ? cache.memory.directUrlCache : 'n/a'],
+                ['Cache hits', cache.memory ? cache.memory.cacheHits : 'n/a'],
+                ['Live SerpAPI requests', cache.memory?.requestStats?.serpapi ?? 'n/a'],
+                ['Budget-degraded searches', cache.memory?.requestStats?.budgetDegraded ?? 'n/a'],
+                ['Jobs in memory', `${cache.queue.jobs} (${Object.entries(cache.queue.byStatus).map(([status, count]) => `${status}: ${count}`).join(', ') || 'none'})`]
+            ];
+            container.innerHTML = rows.map(([label, value]) => `
+                <div class="log-entry">
+                    <span class="log-action">${this.escapeHtml(label)}</span>
+                    <span class="log-time">${this.escapeHtml(value)}</span>
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Failed to load cache state:', error);
+            container.innerHTML = `<div class="log-entry"><span class="log-action">Failed to load cache state: ${this.escapeHtml(error.message)}</span></div>`;
+        }
+    }
+
+    async loadAdminActivity() {
+        const container = document.getElementById('admin-activity');
+        if (!container) return;
+        try {
+            const { activity } = await this.apiService.getAdminActivity(25);
+            this.renderActivityLog(container, activity, { showUser: true });
+        } catch (error) {
+            // 503 when audit logging is off
+            console.warn('Recent activity not available:', error.message);
+            this.renderActivityLog(container, null);
         }
     }
 
@@ -3899,8 +4343,9 @@ End of sample file.`;
         const darkThemeBtn = document.getElementById('dark-theme');
         
         if (lightThemeBtn && darkThemeBtn) {
-            lightThemeBtn.addEventListener('click', () => this.setTheme('light'));
-            darkThemeBtn.addEventListener('click', () => this.setTheme('dark'));
+            // Theme buttons on the Settings page also save the choice to the user's account
+            lightThemeBtn.addEventListener('click', () => this.selectTheme('light'));
+            darkThemeBtn.addEventListener('click', () => this.selectTheme('dark'));
             
             // Set initial state based on current theme
             const currentTheme = this.getCurrentTheme();
@@ -3908,6 +4353,11 @@ End of sample file.`;
         }
     }
 
+    selectTheme(theme) {
+        this.setTheme(theme);
+        this.saveAccountSettings({ theme });
+    }
+
     setTheme(theme) {
         document.documentElement.setAttribute('data-theme', theme);
         localStorage.setItem('theme', theme);
@@ -3943,6 +4393,7 @@ End of sample file.`;
     initializeTheme() {
         const savedTheme = this.getCurrentTheme();
         this.setTheme(savedTheme);
+        this.applyAccountTheme();
     }
 
     initializeVoiceInput() {
@@ -88,6 +88,30 @@ export class EnhancedProcessing {
         }
     }
 
+    // Loss location (state or ZIP) from the tools popup - empty means no sales tax
+    getLossLocation() {
+        return document.getElementById('lossLocation')?.value?.trim() || undefined;
+    }
+
+    // Country the claim is priced in (storefront and currency) - the server defaults to the US
+    getClaimCountry() {
+        return document.getElementById('claimCountry')?.value || undefined;
+    }
+
+    // How many runner-up offers to keep per row (0 = off) - lets adjusters swap a row's pick
+    getCandidateCount() {
+        return parseInt(document.getElementById('candidateCount')?.value, 10) || undefined;
+    }
+
+    // Note for the completion message when a saved mapping template was applied or saved
+    describeMappingTemplate(data) {
+        const template = data?.mappingTemplate;
+        if (!template) return '';
+        if (template.saved === false) return ` Mapping template "${template.name}" was not saved: ${template.error}`;
+        if (template.saved) return ` Column mapping saved as "${template.name}"${template.shared ? ' (shared with your organization)' : ''}.`;
+        return ` Columns mapped with saved template "${template.name}".`;
+    }
+
     updatePriceRangeDisplay() {
         const toleranceInput = document.getElementById('priceTolerance');
         const priceRangeDisplay = document.getElementById('priceRangeDisplay');
@@ -728,6 +752,115 @@ export class EnhancedProcessing {
     // REMOVED: Chunked processing method to eliminate 404 errors
     // All files now use optimized regular processing with backend batch optimization
     
+    // NEW: Callbacks for queued jobs - live row stream plus progress polling
+    getJobCallbacks() {
+        return {
+            onQueued: (queued) => this.startRowStream(queued.jobId),
+            onProgress: (status) => {
+                this.showJobProgress(status);
+                if (['completed', 'failed', 'cancelled'].includes(status?.status)) {
+                    this.stopRowStream();
+                }
+            }
+        };
+    }
+    
+    // NEW: Open the Server-Sent Events stream so rows show up as soon as they are priced.
+    // EventSource reconnects on its own and sends Last-Event-ID, so the server replays missed rows.
+    startRowStream(jobId) {
+        this.stopRowStream();
+        if (typeof EventSource === 'undefined' || !jobId) return;
+        
+        const streamUrl = this.app.apiService.getEnhancedJobStreamUrl(jobId);
+        console.log('📡 Opening row stream:', streamUrl);
+        
+        const source = new EventSource(streamUrl);
+        this.rowStream = { jobId, source, rowsReceived: 0 };
+        
+        source.addEventListener('row', (event) => {
+            try {
+                const payload = JSON.parse(event.data);
+                if (payload.type === 'processed' && payload.row) {
+                    this.handleStreamedRow(payload.row);
+                }
+            } catch (error) {
+                console.warn('⚠️ Could not parse streamed row:', error);
+            }
+        });
+        
+        source.addEventListener('complete', () => {
+            console.log(`📡 Row stream complete for ${jobId}`);
+            this.stopRowStream();
+        });
+        
+        source.onerror = () => {
+            // Let EventSource retry; polling still delivers the final result
+            console.warn(`⚠️ Row stream interrupted for ${jobId}, reconnecting...`);
+        };
+    }
+    
+    stopRowStream() {
+        if (this.rowStream) {
+            this.rowStream.source.close();
+            this.rowStream = null;
+        }
+    }
+    
+    // NEW: Add a single streamed row to the results table
+    handleStreamedRow(row) {
+        const container = document.getElementById('enhanced-results-content');
+        const section = document.getElementById('enhanced-results-section');
+        if (!container || !section) return;
+        
+        if (this.rowStream && this.rowStream.rowsReceived === 0) {
+            // First row of this job - show the section with an empty table
+            section.classList.remove('hidden');
+            section.style.display = 'block';
+            if (!this.resultsTable) {
+                this.resultsTable = new ProcessingResultsTable(container, {
+                    onReview: (itemNumber, decision) => this.submitRowReview(itemNumber, decision),
+                    onPriceHistory: (item) => this.app.apiService.getPriceHistory(item.description, { price: item.adjustedPrice })
+                });
+            }
+            this.resultsTable.displayResults([]);
+        }
+        if (this.rowStream) {
+            this.rowStream.rowsReceived++;
+        }
+        
+        const [transformed] = this.transformResultsForNewPipeline([row]);
+        transformed.itemNumber = row.itemNumber || transformed.itemNumber;
+        this.resultsTable.upsertRow(transformed);
+    }
+    
+    // NEW: Update the loading message while a queued job is polled
+    showJobProgress(status) {
+        if (!status) return;
+        
+        let message;
+        if (status.status === 'queued') {
+            message = `🔄 Job queued (${status.total} rows)...`;
+        } else if (status.status === 'finalizing') {
+            message = `🔄 Priced ${status.total} rows - categorizing and preparing results...`;
+        } else if (status.status === 'running') {
+            const done = (status.processed || 0) + (status.skipped || 0);
+            message = `🔄 Pricing items: ${done} of ${status.total} (${status.progress}%)`;
+            if (status.eta) {
+                message += ` - about ${status.eta} remaining`;
+            }
+        } else {
+            return;
+        }
+        
+        // Update in place so the spinner doesn't flicker on every poll
+        const messageElement = document.querySelector('#loading-indicator .loading-message');
+        if (messageElement) {
+            messageElement.textContent = message;
+        } else {
+            this.app.showLoading(message);
+        }
+    }
+    
     // Process enhanced files using enhanced processing endpoint
     async processEnhancedFile(options = {}) {
         console.log('🚀 Starting ENHANCED processing for file');
@@ -744,15 +877,21 @@ export class EnhancedProcessing {
             
             const processingOptions = {
                 tolerancePct,
+                lossLocation: this.getLossLocation(),
+                country: this.getClaimCountry(),
+                candidates: this.getCandidateCount(),
                 ...options
             };
             
-            const result = await this.app.apiService.processEnhanced(this.currentFile, processingOptions);
+            const result = await this.app.apiService.processEnhanced(this.currentFile, {
+                ...processingOptions,
+                ...this.getJobCallbacks()
+            });
             console.log('🔍 Enhanced processing result:', result);
             
             if (result.data.type === 'processing_complete') {
                 this.app.hideLoading();
-                this.app.showSuccess('✅ ENHANCED processing completed! Processed ' + result.data.processedRows + ' items.');
+                this.app.showSuccess('✅ ENHANCED processing completed! Processed ' + result.data.processedRows + ' items.' + this.describeMappingTemplate(result.data));
                 
                 // Validate the result data before displaying
                 if (result.data.results && Array.isArray(result.data.results)) {
@@ -839,15 +978,21 @@ export class EnhancedProcessing {
             
             const processingOptions = {
                 tolerancePct,
+                lossLocation: this.getLossLocation(),
+                country: this.getClaimCountry(),
+                candidates: this.getCandidateCount(),
                 ...options
             };
             
-            const result = await this.app.apiService.processEnhanced(this.currentFile, processingOptions);
+            const result = await this.app.apiService.processEnhanced(this.currentFile, {
+                ...processingOptions,
+                ...this.getJobCallbacks()
+            });
             console.log('🔍 Enhanced processing result:', result);
             
             if (result.data.type === 'processing_complete') {
                 this.app.hideLoading();
-                this.app.showSuccess('✅ Enhanced processing completed! Processed ' + result.data.processedRows + ' items.');
+                this.app.showSuccess('✅ Enhanced processing completed! Processed ' + result.data.processedRows + ' items.' + this.describeMappingTemplate(result.data));
                 
                 // Validate the result data before displaying
                 if (result.data.results && Array.isArray(result.data.results)) {
@@ -1027,7 +1172,10 @@ export class EnhancedProcessing {
         
         // CRITICAL FIX: Properly initialize and use ProcessingResultsTable
         if (!this.resultsTable) {
-            this.resultsTable = new ProcessingResultsTable(container);
+            this.resultsTable = new ProcessingResultsTable(container, {
+                onReview: (itemNumber, decision) => this.submitRowReview(itemNumber, decision),
+                onPriceHistory: (item) => this.app.apiService.getPriceHistory(item.description, { price: item.adjustedPrice })
+            });
             console.log('✅ ProcessingResultsTable initialized');
         }
         
@@ -1104,6 +1252,40 @@ export class EnhancedProcessing {
     /**
      * Transform legacy results to match the new always show price pipeline format
      */
+    /**
+     * NEW: Send an adjuster decision for one row and keep the stored results in step
+     * @param {number} itemNumber - Row item number
+     * @param {Object} decision - { action, price?, url?, source?, reason }
+     * @returns {Promise<Object>} The updated row, transformed for the results table
+     */
+    async submitRowReview(itemNumber, decision) {
+        const jobId = this.currentResults?.jobId;
+        if (!jobId) {
+            throw new Error('Rows can be reviewed once processing has finished');
+        }
+
+        try {
+            const response = await this.app.apiService.submitRowReview(jobId, itemNumber, decision);
+            const [updated] = this.transformResultsForNewPipeline([response.row]);
+
+            // Downloads read from currentResults - replace the reviewed row there too
+            const results = this.currentResults.results || [];
+            const index = results.findIndex(r => r.itemNumber === updated.itemNumber);
+            if (index >= 0) {
+                results[index] = updated;
+            }
+
+            const pending = response.summary?.pending || 0;
+            this.app.showSuccess(`Row ${itemNumber} updated${pending ? ` - ${pending} row(s) still need review` : ''}`);
+            return updated;
+        } catch (error) {
+            const message = error.response?.data?.error || error.message;
+            console.error('❌ Row review failed:', error);
+            this.app.showError(`Review failed: ${message}`);
+            throw error;
+        }
+    }
+
     transformResultsForNewPipeline(resultsArray) {
         return resultsArray.map((item, index) => {
             // Debug logging for image processing results
@@ -1178,7 +1360,7 @@ export class EnhancedProcessing {
             console.log('🔍 EnhancedProcessing - transformResultsForNewPipeline - final pricingTier:', pricingTier);
             
             return {
-                itemNumber: index + 1,
+                itemNumber: item.itemNumber || index + 1,
                 description,
                 title: description,
                 status: status === 'Found' || status === 'Price Found' ? 'FOUND' : 'ESTIMATED',
@@ -1196,6 +1378,22 @@ export class EnhancedProcessing {
                 depCat: item.depCat || item['Dep. Cat'] || '',
                 depPercent: item.depPercent || item['Dep Percent'] || '',
                 depAmount: typeof item.depAmount === 'number' ? item.depAmount : (typeof item['Dep Amount'] === 'number' ? item['Dep Amount'] : undefined),
+                // Adjuster review state (see ReviewService on the server)
+                requiresManualReview: !!item.requiresManualReview,
+                reviewStatus: item.reviewStatus || '',
+                reviewReasons: item.reviewReasons || [],
+                adjustedBy: item.adjustedBy || '',
+                adjustedAt: item.adjustedAt || '',
+                adjustmentReason: item.adjustmentReason || '',
+                // Comparison with earlier prices for the same product (see PriceHistoryStore)
+                priceDrift: item.priceDrift || null,
+                // 'identifier' when a UPC/EAN/ASIN/model number was verified on the listing
+                matchType: item.matchType || '',
+                identifier: item.identifier || null,
+                // Top scored offers when the job kept candidates (the pick is marked selected)
+                candidates: item.candidates || [],
+                // Strategies tried and why the row is Found or Estimated (the "Why?" drawer)
+                decisionTrace: item.decisionTrace || null,
                 // Keep original fields for backward compatibility
                 Price: price,
                 Source: source,
@@ -1594,6 +1792,8 @@ export class EnhancedProcessing {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
+                        // Enhanced routes require an adjuster token when server auth is enabled
+                        ...(this.app.apiService?.apiKey ? { 'Authorization': `Bearer ${this.app.apiService.apiKey}` } : {})
                     },
                     body: JSON.stringify({
                         jobId: this.currentResults.jobId,
@@ -1763,13 +1963,13 @@ export class EnhancedProcessing {
                     console.log(`🔍 Metadata row ${i}:`, originalRow);
                     
                 } else if (i === dataStartRowIndex) {
-                    // This is the header row - add the 5 new column headers
-                    const newHeaderRow = [...originalRow, 'Pricer', 'Replacement Source', 'Replacement Price', 'Total Replacement Price', 'URL'];
+                    // This is the header row - add the 6 new column headers
+                    const newHeaderRow = [...originalRow, 'Pricer', 'Replacement Source', 'Replacement Price', 'Total Replacement Price', 'URL', 'Adjusted By'];
                     newRows.push(newHeaderRow);
                     console.log(`🔍 Header row ${i}:`, newHeaderRow);
                     
                 } else {
-                    // This is a data row - add original data + 5 new columns
+                    // This is a data row - add original data + 6 new columns
                     
                     // Start with original row data
                     const newRow = [...originalRow];
@@ -1804,7 +2004,7 @@ export class EnhancedProcessing {
                             newRow.push('');
                         }
                         
-                        // Add the 5 new columns in exact order
+                        // Add the 6 new columns in exact order
                         if (Object.keys(processedResult).length > 0) {
                             // We have processed data for this row
                             newRow.push('AI Pricer'); // Pricer - constant string
@@ -1824,9 +2024,12 @@ export class EnhancedProcessing {
                             // URL - canonical product URL
                             const url = processedResult.URL || processedResult.url || '';
                             newRow.push(url);
+                            
+                            // Adjusted By - adjuster who overrode the row, empty for pipeline prices
+                            newRow.push(processedResult.adjustedBy || '');
                         } else {
                             // No processed data for this row - add empty cells
-                            newRow.push('', '', '', '', '');
+                            newRow.push('', '', '', '', '', '');
                         }
                         
                         newRows.push(newRow);
@@ -2160,7 +2363,8 @@ export class EnhancedProcessing {
             'Replacement Source', 
             'Total Replacement Price', 
             'URL',
-            'Confidence'
+            'Confidence',
+            'Adjusted By'
         ];
         
         // Create CSV content
@@ -2183,7 +2387,8 @@ export class EnhancedProcessing {
                 `"${(item.source || item.Source || 'System Estimate').replace(/"/g, '""')}"`,
                 totalPrice.toFixed(2),
                 item.url || item.URL || '',
-                confidence
+                confidence,
+                `"${(item.adjustedBy || '').replace(/"/g, '""')}"`
             ];
             csvContent += row.join(',') + '\n';
         });
@@ -2501,6 +2706,30 @@ export class EnhancedProcessing {
             // Add the field mapping form to the formContent
             formContent.appendChild(fieldMappingForm);
             
+            // Save the mapping as a template - later uploads with the same columns are mapped automatically
+            const templateSection = document.createElement('div');
+            templateSection.style.cssText = `
+                display: flex;
+                flex-direction: column;
+                gap: 8px;
+                padding: 12px;
+                background: #f8f9fa;
+                border: 1px solid #e0e0e0;
+                border-radius: 4px;
+            `;
+            templateSection.innerHTML = `
+                <label for="mappingTemplateName" style="font-weight: 600; color: #333; font-size: 14px;">
+                    Save as mapping template
+                    <span style="font-weight: 400; color: #666; font-size: 12px;">Optional - files with these columns will be mapped automatically next time</span>
+                </label>
+                <input type="text" id="mappingTemplateName" maxlength="100" placeholder="e.g. Acme Mutual contents list"
+                    style="padding: 8px 12px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px;">
+                <label style="font-size: 13px; color: #666; display: flex; align-items: center; gap: 6px;">
+                    <input type="checkbox" id="mappingTemplateShared"> Share with my organization
+                </label>
+            `;
+            formContent.appendChild(templateSection);
+            
             // Create footer
             console.log('🔍 Creating modal footer...');
             const footer = document.createElement('div');
@@ -2684,15 +2913,20 @@ export class EnhancedProcessing {
             return;
         }
         
+        const templateName = modal.querySelector('#mappingTemplateName')?.value.trim();
+        const templateOptions = templateName
+            ? { saveMappingAs: templateName, shareMapping: !!modal.querySelector('#mappingTemplateShared')?.checked }
+            : {};
+        
         this.hideFieldMappingModal();
         
         // CRITICAL FIX: Process the file directly with field mapping instead of calling processWithOptions
         // This prevents the infinite loop that was causing the field mapping requirement to appear again
-        this.processFileWithFieldMapping(mapping);
+        this.processFileWithFieldMapping(mapping, templateOptions);
     }
 
     // NEW METHOD: Process file with field mapping
-    async processFileWithFieldMapping(fieldMapping) {
+    async processFileWithFieldMapping(fieldMapping, templateOptions = {}) {
         try {
             console.log('🚀 Processing file with field mapping:', fieldMapping);
             
@@ -2711,7 +2945,11 @@ export class EnhancedProcessing {
             
             const processingOptions = {
                 tolerancePct,
-                fieldMapping
+                lossLocation: this.getLossLocation(),
+                country: this.getClaimCountry(),
+                candidates: this.getCandidateCount(),
+                fieldMapping,
+                ...templateOptions
             };
             
             // CRITICAL FIX: For Excel files, we need to ensure we have a selected sheet
@@ -2745,12 +2983,15 @@ export class EnhancedProcessing {
             }
             
             console.log('🔍 API call about to be made with:', this.currentFile, processingOptions);
-            const result = await this.app.apiService.processEnhanced(this.currentFile, processingOptions);
+            const result = await this.app.apiService.processEnhanced(this.currentFile, {
+                ...processingOptions,
+                ...this.getJobCallbacks()
+            });
             console.log('🔍 Raw API response:', result);
             
             if (result.data.type === 'processing_complete') {
                 this.app.hideLoading();
-                this.app.showSuccess('✅ Enhanced processing completed! Processed ' + result.data.processedRows + ' items.');
+                this.app.showSuccess('✅ Enhanced processing completed! Processed ' + result.data.processedRows + ' items.' + this.describeMappingTemplate(result.data));
                 
                 // Validate the result data before displaying
                 if (result.data.results && Array.isArray(result.data.results)) {
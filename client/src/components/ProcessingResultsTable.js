@@ -4,8 +4,27 @@
  * Supports the new "always show price" pipeline
  */
 export class ProcessingResultsTable {
-    constructor(container) {
+    /**
+     * @param {HTMLElement} container - Element the table renders into
+     * @param {Object} options - { onReview(itemNumber, decision) => Promise<updatedItem> } enables adjuster review,
+     *   { onPriceHistory(item) => Promise<history> } enables the price history sparkline.
+     *   Rows carrying candidates get an expandable list of runner-up offers; with onReview each can be swapped in.
+     *   Rows carrying a decisionTrace get a "Why?" drawer explaining the Found / Estimated outcome.
+     */
+    constructor(container, options = {}) {
         this.container = container;
+        this.onReview = options.onReview || null;
+        this.onPriceHistory = options.onPriceHistory || null;
+        // Item number whose price history is open, and loaded histories by item number
+        this.historyItemNumber = null;
+        this.priceHistories = new Map();
+        // Item number whose candidate offers are expanded
+        this.candidatesItemNumber = null;
+        // Item number whose "Why?" decision trace drawer is open
+        this.traceItemNumber = null;
+        // Item number whose override form is open, and rows with a decision in flight
+        this.overrideItemNumber = null;
+        this.reviewInFlight = new Set();
         this.currentResults = [];
         this.filteredResults = [];
         this.currentPage = 1;
@@ -106,6 +125,10 @@ export class ProcessingResultsTable {
 
         this.currentResults = results;
         this.currentPage = 1;
+        this.historyItemNumber = null;
+        this.priceHistories.clear();
+        this.candidatesItemNumber = null;
+        this.traceItemNumber = null;
         
         // Apply filters to get filtered results
         this.applyFilters();
@@ -133,6 +156,35 @@ export class ProcessingResultsTable {
         console.log('✅ ProcessingResultsTable: Results displayed successfully');
     }
 
+    /**
+     * NEW: Add or replace a single row while a job is still streaming
+     * Rows are keyed and ordered by itemNumber; the current page, filters and sort are kept
+     * @param {Object} item - Result in the same format as displayResults
+     */
+    upsertRow(item) {
+        if (!item) return;
+
+        const existingIndex = this.currentResults.findIndex(r => r.itemNumber === item.itemNumber);
+        if (existingIndex >= 0) {
+            this.currentResults[existingIndex] = item;
+        } else {
+            this.currentResults.push(item);
+            this.currentResults.sort((a, b) => (a.itemNumber || 0) - (b.itemNumber || 0));
+        }
+
+        // Batch re-renders - rows can arrive several per second
+        if (this.pendingRender) return;
+        this.pendingRender = setTimeout(() => {
+            this.pendingRender = null;
+            this.applyFilters();
+            if (this.sortColumn) {
+                this.sortFilteredResults();
+            }
+            this.container.innerHTML = this.createTableHTML();
+            this.bindEvents();
+        }, 250);
+    }
+
     /**
      * Apply filters to current results
      */
@@ -297,6 +349,7 @@ export class ProcessingResultsTable {
                                 <th class="td-num" data-column="depAmount">Dep Amount</th>
                                 <th class="td-num" data-column="totalPrice">Total Replacement Price</th>
                                 <th data-column="url">URL</th>
+                                <th data-column="review">Review</th>
                             </tr>
                         </thead>
                         <tbody>
@@ -378,11 +431,16 @@ export class ProcessingResultsTable {
                 </td>
                 <td>
                     <span class="status-badge ${statusClass}">${status}</span>
-                    ${tierBadge}
+                    ${item.matchType === 'identifier' ? this.createIdentifierBadgeHTML(item) : tierBadge}
+                    ${this.createDecisionTraceToggleHTML(item)}
+                </td>
+                <td>
+                    ${this.escapeHtml(source)}
+                    ${this.createCandidatesToggleHTML(item)}
                 </td>
-                <td>${this.escapeHtml(source)}</td>
                 <td class="td-num price-cell">
                     ${adjustedPrice}
+                    ${this.createPriceDriftHTML(item)}
                 </td>
                 <td class="td-num">${quantity}</td>
                 <td>${this.escapeHtml(depCat)}</td>
@@ -395,6 +453,314 @@ export class ProcessingResultsTable {
                         View
                     </a>` : '<span class="no-url">N/A</span>'}
                 </td>
+                <td class="review-cell">${this.createReviewCellHTML(item)}</td>
+            </tr>
+            ${this.overrideItemNumber === item.itemNumber ? this.createOverrideFormHTML(item) : ''}
+            ${this.historyItemNumber === item.itemNumber ? this.createPriceHistoryRowHTML(item) : ''}
+            ${this.candidatesItemNumber === item.itemNumber ? this.createCandidatesRowHTML(item) : ''}
+            ${this.traceItemNumber === item.itemNumber ? this.createDecisionTraceRowHTML(item) : ''}
+        `;
+    }
+
+    /**
+     * NEW: "Why?" toggle for rows that carry the pricer's decision trace
+     */
+    createDecisionTraceToggleHTML(item) {
+        if (!item.decisionTrace || !item.itemNumber) return '';
+        const open = this.traceItemNumber === item.itemNumber;
+        const title = item.decisionTrace.outcome?.explanation || 'How this price was chosen';
+        return `<button class="review-btn decision-trace-btn" data-item-number="${item.itemNumber}" title="${this.escapeHtml(title)}">
+            <i class="fas fa-${open ? 'times' : 'question-circle'}"></i> Why?
+        </button>`;
+    }
+
+    /**
+     * NEW: Decision trace drawer - the explanation, every strategy tried with its candidate counts,
+     * the rejection reasons and the cache lookups
+     */
+    createDecisionTraceRowHTML(item) {
+        const trace = item.decisionTrace || {};
+        const outcomeColors = {
+            found: '#16a34a', hit: '#16a34a', rejected: '#dc2626', error: '#dc2626', downgraded: '#dc2626',
+            no_results: '#d97706', skipped: '#6b7280', miss: '#6b7280', estimated: '#d97706'
+        };
+        const steps = (trace.steps || []).map(step => {
+            const counts = Number.isFinite(step.candidates)
+                ? `${Number.isFinite(step.kept) ? `${step.kept} of ` : ''}${step.candidates}`
+                : '';
+            return `
+                <tr>
+                    <td class="td-num">${step.ms != null ? `${step.ms}ms` : ''}</td>
+                    <td>${this.escapeHtml(step.strategy.replace(/_/g, ' '))}</td>
+                    <td style="color: ${outcomeColors[step.outcome] || '#374151'}; font-weight: 600;">${this.escapeHtml(step.outcome.replace(/_/g, ' '))}</td>
+                    <td class="td-num">${counts}</td>
+                    <td class="td-desc" title="${this.escapeHtml(step.detail || '')}">${this.escapeHtml(step.detail || '')}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const rejections = trace.rejections || { total: 0, byReason: {}, examples: [] };
+        const reasons = Object.entries(rejections.byReason || {})
+            .sort((a, b) => b[1] - a[1])
+            .map(([reason, count]) => `${this.escapeHtml(reason.replace(/_/g, ' '))} × ${count}`)
+            .join(' · ');
+        const examples = (rejections.examples || []).slice(0, 5).map(example => `
+            <li>${this.escapeHtml(example.reason.replace(/_/g, ' '))}${example.detail ? `: ${this.escapeHtml(example.detail)}` : ''}
+                ${example.title ? `<span class="no-url">- ${this.escapeHtml(example.title)}${example.source ? ` (${this.escapeHtml(example.source)})` : ''}</span>` : ''}</li>
+        `).join('');
+
+        const cache = trace.cache || { hits: [], misses: 0, rejected: 0 };
+        const cacheSummary = cache.hits.length > 0
+            ? `Cache hit (${cache.hits.map(hit => this.escapeHtml(hit.layer)).join(', ')})`
+            : `No cache hit${cache.misses ? ` · ${cache.misses} miss${cache.misses === 1 ? '' : 'es'}` : ''}${cache.rejected ? ` · ${cache.rejected} cached price${cache.rejected === 1 ? '' : 's'} outside tolerance` : ''}`;
+
+        return `
+            <tr class="decision-trace-row">
+                <td colspan="12" style="font-size: 12px;">
+                    <div style="font-weight: 600; margin-bottom: 6px;">${this.escapeHtml(trace.outcome?.explanation || 'No explanation recorded')}</div>
+                    <div class="no-url" style="margin-bottom: 6px;">
+                        ${trace.tolerancePct != null ? `Tolerance ${trace.tolerancePct}%` : ''}
+                        ${trace.targetPrice != null ? ` · target ${this.formatPrice(trace.targetPrice)}` : ''}
+                        ${trace.durationMs != null ? ` · ${(trace.durationMs / 1000).toFixed(1)}s` : ''}
+                        · ${cacheSummary}
+                    </div>
+                    ${steps ? `
+                        <table class="decision-trace-table" style="width: 100%; font-size: 12px;">
+                            <thead>
+                                <tr>
+                                    <th class="td-num">At</th>
+                                    <th>Strategy</th>
+                                    <th>Outcome</th>
+                                    <th class="td-num" title="Listings kept of listings seen">Candidates</th>
+                                    <th>Detail</th>
+                                </tr>
+                            </thead>
+                            <tbody>${steps}</tbody>
+                        </table>
+                    ` : '<span class="no-url">No pricing steps were recorded</span>'}
+                    ${rejections.total ? `
+                        <div style="margin-top: 6px;"><strong>${rejections.total} listing${rejections.total === 1 ? '' : 's'} rejected:</strong> ${reasons}</div>
+                        ${examples ? `<ul style="margin: 4px 0 0 16px;">${examples}</ul>` : ''}
+                    ` : ''}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * NEW: Toggle for the row's runner-up offers (only rows priced with candidates have them)
+     */
+    createCandidatesToggleHTML(item) {
+        const count = (item.candidates || []).length;
+        if (!count || !item.itemNumber) return '';
+        const open = this.candidatesItemNumber === item.itemNumber;
+        return `<button class="review-btn candidates-toggle-btn" data-item-number="${item.itemNumber}" title="Other offers the pricer scored">
+            <i class="fas fa-chevron-${open ? 'down' : 'right'}"></i> ${count} offer${count === 1 ? '' : 's'}
+        </button>`;
+    }
+
+    /**
+     * NEW: Expanded row listing the scored offers with their sub-scores; "Use this" swaps one in
+     */
+    createCandidatesRowHTML(item) {
+        const percent = value => (typeof value === 'number' ? `${Math.round(value * 100)}%` : '-');
+        const disabled = this.reviewInFlight.has(item.itemNumber) ? 'disabled' : '';
+        const rows = (item.candidates || []).map(candidate => {
+            const scores = candidate.scores || {};
+            let action = '';
+            if (candidate.selected) {
+                action = '<span class="review-accepted">Chosen</span>';
+            } else if (this.onReview) {
+                action = `<button class="review-btn" data-review-action="swap" data-item-number="${item.itemNumber}" data-candidate-rank="${candidate.rank}" ${disabled}>Use this</button>`;
+            }
+            return `
+                <tr${candidate.selected ? ' style="font-weight: 600;"' : ''}>
+                    <td>${candidate.rank}</td>
+                    <td class="td-desc" title="${this.escapeHtml(candidate.title || '')}">
+                        ${candidate.url
+                            ? `<a href="${this.escapeHtml(candidate.url)}" target="_blank" class="url-link">${this.escapeHtml(candidate.title || 'View')}</a>`
+                            : this.escapeHtml(candidate.title || '')}
+                    </td>
+                    <td>${this.escapeHtml(this.cleanSourceName(candidate.source || ''))}</td>
+                    <td class="td-num price-cell">${this.formatPrice(candidate.price)}</td>
+                    <td class="td-num">${percent(candidate.score)}</td>
+                    <td class="td-num">${percent(scores.titleSimilarity)}</td>
+                    <td class="td-num">${percent(scores.specMatch)}</td>
+                    <td class="td-num">${percent(scores.priceInRange)}</td>
+                    <td class="td-num">${percent(scores.trust)}</td>
+                    <td class="td-num">${percent(scores.availability)}</td>
+                    <td>${action}</td>
+                </tr>
+            `;
+        }).join('');
+        return `
+            <tr class="candidates-row">
+                <td colspan="12">
+                    <table class="candidates-table" style="width: 100%; font-size: 12px;">
+                        <thead>
+                            <tr>
+                                <th>#</th>
+                                <th>Offer</th>
+                                <th>Retailer</th>
+                                <th class="td-num">Price</th>
+                                <th class="td-num">Score</th>
+                                <th class="td-num" title="Query words found in the title">Title</th>
+                                <th class="td-num" title="Sizes / capacities matching the item">Spec</th>
+                                <th class="td-num" title="Inside the tolerance range">Price range</th>
+                                <th class="td-num" title="Trusted retailer">Trust</th>
+                                <th class="td-num" title="In stock">Stock</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * NEW: Identifier match badge - the UPC/EAN/ASIN/model number was verified on the chosen listing,
+     * so the row is the exact item rather than a title match
+     */
+    createIdentifierBadgeHTML(item) {
+        const identifier = item.identifier || {};
+        const labels = { upc: 'UPC', ean: 'EAN', gtin: 'GTIN', asin: 'ASIN', mpn: 'Model #' };
+        const label = labels[identifier.type] || 'ID';
+        const title = `${label} ${identifier.value || ''} verified on the ${identifier.verifiedBy || 'listing'}`;
+        return `
+            <div class="pricing-tier-badge tier-green" title="${this.escapeHtml(title)}">
+                <i class="fas fa-barcode"></i>
+                <span>${label} Match</span>
+            </div>
+        `;
+    }
+
+    /**
+     * NEW: Drift badge (price vs. earlier prices for the same product) and price history toggle
+     */
+    createPriceDriftHTML(item) {
+        let html = '';
+        const drift = item.priceDrift;
+        if (drift && drift.baselineMedian) {
+            const sign = drift.deviationPct > 0 ? '+' : '';
+            const color = drift.drifted ? '#dc2626' : '#6b7280';
+            const title = `Median of ${drift.baselineCount} earlier prices: ${this.formatPrice(drift.baselineMedian)}`;
+            html += `<div class="price-drift" style="font-size: 11px; color: ${color};" title="${this.escapeHtml(title)}">
+                ${drift.direction === 'up' ? '▲' : '▼'} ${sign}${drift.deviationPct}% vs history
+            </div>`;
+        }
+        if (this.onPriceHistory && item.itemNumber) {
+            const open = this.historyItemNumber === item.itemNumber;
+            html += `<button class="review-btn price-history-btn" data-item-number="${item.itemNumber}" title="Price history">
+                <i class="fas fa-chart-line"></i> ${open ? 'Hide' : 'History'}
+            </button>`;
+        }
+        return html;
+    }
+
+    /**
+     * NEW: Price history row under the item - daily median sparkline plus min / median / max
+     */
+    createPriceHistoryRowHTML(item) {
+        const state = this.priceHistories.get(item.itemNumber);
+        let content;
+        if (!state || state.loading) {
+            content = '<span class="no-url">Loading price history...</span>';
+        } else if (state.error) {
+            content = `<span class="no-url">Price history not available: ${this.escapeHtml(state.error)}</span>`;
+        } else if (!state.history.stats.count) {
+            content = '<span class="no-url">No earlier prices recorded for this product yet</span>';
+        } else {
+            const { stats, daily } = state.history;
+            const first = stats.firstObservedAt ? new Date(stats.firstObservedAt).toLocaleDateString() : '';
+            content = `
+                ${this.createSparklineSVG(daily.map(point => point.median), item.adjustedPrice)}
+                <span style="margin-left: 12px;">
+                    ${stats.count} prices since ${this.escapeHtml(first)} ·
+                    low ${this.formatPrice(stats.min)} · median ${this.formatPrice(stats.median)} · high ${this.formatPrice(stats.max)}
+                </span>
+            `;
+        }
+        return `
+            <tr class="price-history-row">
+                <td colspan="12">${content}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * NEW: Inline SVG sparkline of daily median prices; the dashed line is the current price
+     */
+    createSparklineSVG(values, currentPrice) {
+        const width = 180;
+        const height = 36;
+        const current = parseFloat(currentPrice);
+        const all = Number.isFinite(current) ? [...values, current] : values;
+        const min = Math.min(...all);
+        const range = (Math.max(...all) - min) || 1;
+        const y = value => (height - 4 - ((value - min) / range) * (height - 8) + 2).toFixed(1);
+        const step = values.length > 1 ? width / (values.length - 1) : 0;
+        const points = values.map((value, index) => `${(values.length > 1 ? index * step : width / 2).toFixed(1)},${y(value)}`).join(' ');
+        const currentLine = Number.isFinite(current)
+            ? `<line x1="0" x2="${width}" y1="${y(current)}" y2="${y(current)}" stroke="#f59e0b" stroke-dasharray="3,3" stroke-width="1"></line>`
+            : '';
+        return `
+            <svg class="price-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="vertical-align: middle;">
+                ${currentLine}
+                <polyline fill="none" stroke="#3b82f6" stroke-width="2" points="${points}"></polyline>
+                ${values.length === 1 ? `<circle cx="${width / 2}" cy="${y(values[0])}" r="3" fill="#3b82f6"></circle>` : ''}
+            </svg>
+        `;
+    }
+
+    /**
+     * NEW: Review state plus accept / override / unable-to-replace actions for one row
+     */
+    createReviewCellHTML(item) {
+        let html = '';
+        if (item.adjustedBy) {
+            const reason = item.adjustmentReason ? ` - ${item.adjustmentReason}` : '';
+            html += `<div class="review-adjusted" title="${this.escapeHtml(`${item.adjustedAt || ''}${reason}`)}">Adjusted by ${this.escapeHtml(item.adjustedBy)}</div>`;
+        } else if (item.reviewStatus === 'accepted') {
+            html += '<div class="review-accepted">Accepted</div>';
+        }
+
+        if (item.requiresManualReview) {
+            const reasons = (item.reviewReasons || []).join('; ');
+            html += `<span class="review-badge" title="${this.escapeHtml(reasons)}">Needs review</span>`;
+        }
+
+        if (this.onReview && item.itemNumber) {
+            const disabled = this.reviewInFlight.has(item.itemNumber) ? 'disabled' : '';
+            html += `
+                <div class="review-actions">
+                    ${item.requiresManualReview ? `<button class="review-btn" data-review-action="accept" data-item-number="${item.itemNumber}" ${disabled}>Accept</button>` : ''}
+                    <button class="review-btn" data-review-action="override" data-item-number="${item.itemNumber}" ${disabled}>Override</button>
+                    <button class="review-btn review-btn-danger" data-review-action="unable_to_replace" data-item-number="${item.itemNumber}" ${disabled}>Unable</button>
+                </div>
+            `;
+        }
+        return html || '<span class="no-url">-</span>';
+    }
+
+    /**
+     * NEW: Inline override form shown under the row being overridden
+     */
+    createOverrideFormHTML(item) {
+        const price = parseFloat(item.adjustedPrice) || '';
+        return `
+            <tr class="review-form-row">
+                <td colspan="12">
+                    <form class="review-override-form" data-item-number="${item.itemNumber}">
+                        <label>Price <input type="number" name="price" min="0" step="0.01" value="${price}"></label>
+                        <label>URL <input type="url" name="url" value="${this.escapeHtml(item.url || '')}"></label>
+                        <label>Source <input type="text" name="source" value="${this.escapeHtml(this.getDisplaySource(item))}"></label>
+                        <label>Reason <input type="text" name="reason" required placeholder="Why is this price being changed?"></label>
+                        <button type="submit" class="review-btn">Save override</button>
+                        <button type="button" class="review-btn" data-review-action="cancel">Cancel</button>
+                    </form>
+                </td>
             </tr>
         `;
     }
@@ -596,6 +962,10 @@ export class ProcessingResultsTable {
                 return 'status-estimated';
             case 'manual review':
                 return 'status-manual';
+            case 'adjusted':
+                return 'status-adjusted';
+            case 'unable to replace':
+                return 'status-no-match';
             default:
                 return 'status-processed';
         }
@@ -711,6 +1081,154 @@ export class ProcessingResultsTable {
 
         // Filter event bindings
         this.bindFilterEvents();
+
+        // Adjuster review bindings
+        this.bindReviewEvents();
+
+        // Price history bindings
+        this.bindPriceHistoryEvents();
+
+        // Candidate offers toggle
+        this.container.querySelectorAll('.candidates-toggle-btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                const itemNumber = parseInt(button.dataset.itemNumber);
+                this.candidatesItemNumber = this.candidatesItemNumber === itemNumber ? null : itemNumber;
+                this.refreshReviewTable();
+            });
+        });
+
+        // "Why?" decision trace drawer
+        this.container.querySelectorAll('.decision-trace-btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                const itemNumber = parseInt(button.dataset.itemNumber);
+                this.traceItemNumber = this.traceItemNumber === itemNumber ? null : itemNumber;
+                this.refreshReviewTable();
+            });
+        });
+    }
+
+    /**
+     * NEW: Toggle the price history row; histories are loaded once per item
+     */
+    bindPriceHistoryEvents() {
+        if (!this.onPriceHistory) return;
+
+        this.container.querySelectorAll('.price-history-btn').forEach(button => {
+            button.addEventListener('click', async (e) => {
+                e.preventDefault();
+                const itemNumber = parseInt(button.dataset.itemNumber);
+                if (this.historyItemNumber === itemNumber) {
+                    this.historyItemNumber = null;
+                    this.refreshReviewTable();
+                    return;
+                }
+
+                this.historyItemNumber = itemNumber;
+                const item = this.currentResults.find(r => r.itemNumber === itemNumber);
+                if (!item || this.priceHistories.has(itemNumber)) {
+                    this.refreshReviewTable();
+                    return;
+                }
+
+                this.priceHistories.set(itemNumber, { loading: true });
+                this.refreshReviewTable();
+                try {
+                    this.priceHistories.set(itemNumber, { history: await this.onPriceHistory(item) });
+                } catch (error) {
+                    this.priceHistories.set(itemNumber, { error: error.message });
+                }
+                this.refreshReviewTable();
+            });
+        });
+    }
+
+    /**
+     * NEW: Bind accept / override / unable-to-replace actions and candidate swaps
+     */
+    bindReviewEvents() {
+        if (!this.onReview) return;
+
+        this.container.querySelectorAll('.review-btn[data-review-action]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                const action = button.dataset.reviewAction;
+                const itemNumber = parseInt(button.dataset.itemNumber || button.closest('form')?.dataset.itemNumber);
+
+                if (action === 'cancel') {
+                    this.overrideItemNumber = null;
+                    this.refreshReviewTable();
+                } else if (action === 'override') {
+                    this.overrideItemNumber = this.overrideItemNumber === itemNumber ? null : itemNumber;
+                    this.refreshReviewTable();
+                } else if (action === 'swap') {
+                    this.submitReview(itemNumber, { action, candidate: parseInt(button.dataset.candidateRank) });
+                } else if (action === 'unable_to_replace') {
+                    const reason = window.prompt('Why can this item not be replaced?');
+                    if (reason && reason.trim()) {
+                        this.submitReview(itemNumber, { action, reason: reason.trim() });
+                    }
+                } else {
+                    this.submitReview(itemNumber, { action });
+                }
+            });
+        });
+
+        this.container.querySelectorAll('.review-override-form').forEach(form => {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const itemNumber = parseInt(form.dataset.itemNumber);
+                const values = Object.fromEntries(new FormData(form).entries());
+                this.submitReview(itemNumber, {
+                    action: 'override',
+                    price: values.price,
+                    url: values.url,
+                    source: values.source,
+                    reason: values.reason
+                });
+            });
+        });
+    }
+
+    /**
+     * NEW: Send a decision through onReview and swap in the updated row
+     */
+    async submitReview(itemNumber, decision) {
+        if (!itemNumber || this.reviewInFlight.has(itemNumber)) return;
+
+        this.reviewInFlight.add(itemNumber);
+        this.refreshReviewTable();
+        try {
+            const updated = await this.onReview(itemNumber, decision);
+            if (this.overrideItemNumber === itemNumber) {
+                this.overrideItemNumber = null;
+            }
+            if (updated) {
+                const index = this.currentResults.findIndex(r => r.itemNumber === itemNumber);
+                if (index >= 0) {
+                    this.currentResults[index] = updated;
+                }
+                this.applyFilters();
+                if (this.sortColumn) {
+                    this.sortFilteredResults();
+                }
+            }
+        } catch (error) {
+            // onReview reports the failure to the user; keep the form open so nothing typed is lost
+            console.warn('⚠️ Review not saved:', error);
+        } finally {
+            this.reviewInFlight.delete(itemNumber);
+            this.refreshReviewTable();
+        }
+    }
+
+    /**
+     * Re-render in place without resetting the page (used by review actions)
+     */
+    refreshReviewTable() {
+        this.container.innerHTML = this.createTableHTML();
+        this.bindEvents();
     }
 
     /**
@@ -902,7 +1420,19 @@ export class ProcessingResultsTable {
             this.sortDirection = 'asc';
         }
 
-        // Sort the filtered results
+        this.sortFilteredResults();
+
+        // Re-render the table - DON'T call displayResults as it resets currentPage
+        const tableHTML = this.createTableHTML();
+        this.container.innerHTML = tableHTML;
+        this.bindEvents();
+    }
+
+    /**
+     * Sort filtered results by the current sort column and direction
+     */
+    sortFilteredResults() {
+        const column = this.sortColumn;
         this.filteredResults.sort((a, b) => {
             let aVal = this.getSortValue(a, column);
             let bVal = this.getSortValue(b, column);
@@ -917,11 +1447,6 @@ export class ProcessingResultsTable {
             if (aVal > bVal) return this.sortDirection === 'asc' ? 1 : -1;
             return 0;
         });
-
-        // Re-render the table - DON'T call displayResults as it resets currentPage
-        const tableHTML = this.createTableHTML();
-        this.container.innerHTML = tableHTML;
-        this.bindEvents();
     }
 
     /**
@@ -945,9 +1470,17 @@ export class ProcessingResultsTable {
      * Clear all results
      */
     clear() {
+        if (this.pendingRender) {
+            clearTimeout(this.pendingRender);
+            this.pendingRender = null;
+        }
         this.currentResults = [];
         this.filteredResults = [];
         this.currentPage = 1;
+        this.historyItemNumber = null;
+        this.priceHistories.clear();
+        this.candidatesItemNumber = null;
+        this.traceItemNumber = null;
         this.searchTerm = '';
         this.columnFilters = {
             status: '',
@@ -295,29 +295,63 @@ export class ApiService {
         });
     }
     
+    /**
+     * Create a claim (server/routes/claims.js)
+     * @param {Object} claimData - { claimNumber, insuredName, lossDate, policyLimits, notes }
+     * @returns {Promise<Object>} The created claim
+     */
     async submitClaim(claimData) {
-        return this.makeRequest('/claims', {
+        const response = await this.makeRequest('/api/claims', {
             method: 'POST',
             data: claimData
         });
+        return response.data;
     }
     
+    /**
+     * Upload a claim document (stored in S3 and the audit files table)
+     * @param {File} file - Image, PDF or plain text file
+     * @param {string} documentType - photo | receipt | invoice | estimate | policy | other
+     * @param {string} [relatedId] - Claim id or claim number the document belongs to
+     * @returns {Promise<Object>} The stored document
+     */
     async uploadDocument(file, documentType, relatedId) {
         const formData = new FormData();
         formData.append('file', file);
         formData.append('document_type', documentType);
-        formData.append('related_id', relatedId);
+        if (relatedId) {
+            formData.append('related_id', relatedId);
+        }
         
-        return this.makeRequest('/documents/upload', {
+        const response = await this.makeRequest('/api/documents/upload', {
             method: 'POST',
-            data: formData
+            data: formData,
+            timeout: 120000
+        });
+        return response.data;
+    }
+    
+    /**
+     * @param {string} [claimId] - Only documents attached to this claim (id or claim number)
+     * @returns {Promise<Object>} { documents }
+     */
+    async getDocuments(claimId = null) {
+        const response = await this.makeRequest('/api/documents', {
+            params: { claimId }
         });
+        return response.data;
     }
     
+    /**
+     * Run an image document through vision analysis; the extracted facts are kept on the document
+     * @returns {Promise<Object>} The document with `analysis`
+     */
     async analyzeDocument(documentId) {
-        return this.makeRequest(`/documents/${documentId}/analyze`, {
-            method: 'POST'
+        const response = await this.makeRequest(`/api/documents/${encodeURIComponent(documentId)}/analyze`, {
+            method: 'POST',
+            timeout: 120000
         });
+        return response.data;
     }
     
     async getInsuranceProducts(type = null) {
@@ -408,6 +442,8 @@ export class ApiService {
      * @param {string} itemData.category - Item category (optional)
      * @param {string} itemData.subCategory - Item sub-category (optional)
      * @param {number} itemData.priceTolerance - Price tolerance percentage (optional)
+     * @param {string} itemData.claimId - Claim (id or claim number) to roll the priced item into (optional)
+     * @param {string} itemData.room - Room recorded with the item on the claim (optional)
      * @returns {Promise<Object>} Pricing result
      */
     async processItem(itemData) {
@@ -426,6 +462,33 @@ export class ApiService {
         return result;
     }
     
+    /**
+     * Start a chat pricing session, pricing its first message
+     * @param {Object} options - { message, tolerancePct, locale }
+     * @returns {Promise<Object>} { sessionId, intent, reply, result, updated, session }
+     */
+    async startChatSession(options = {}) {
+        const response = await this.makeRequest('/api/chat/sessions', {
+            method: 'POST',
+            data: options
+        });
+        return response.data;
+    }
+    
+    /**
+     * Send a message to a chat pricing session - a new item or a follow-up about the last one
+     * ("find a cheaper one", "only Home Depot or Lowe's", "same but 65 inch", "why did you pick this?")
+     * @param {string} sessionId
+     * @param {string} message
+     */
+    async sendChatMessage(sessionId, message) {
+        const response = await this.makeRequest(`/api/chat/sessions/${encodeURIComponent(sessionId)}/messages`, {
+            method: 'POST',
+            data: { message }
+        });
+        return response.data;
+    }
+    
     /**
      * Process CSV/Excel file for batch pricing
      * @param {File} file - CSV or Excel file
@@ -476,6 +539,26 @@ export class ApiService {
         if (options.selectedSheet) {
             formData.append('selectedSheet', options.selectedSheet);
         }
+        // Loss location (state or ZIP) - sets the sales tax added to replacement cost
+        if (options.lossLocation) {
+            formData.append('lossLocation', options.lossLocation);
+        }
+        // Country the claim is priced in - search storefront, currency and local retailers
+        if (options.country) {
+            formData.append('country', options.country);
+        }
+        // Keep each row's top N scored offers so a row's pick can be swapped for a runner-up
+        if (options.candidates) {
+            formData.append('candidates', options.candidates);
+        }
+        // Saved column mapping: apply a named template, or save the mapping sent below as one
+        if (options.mappingTemplateId) {
+            formData.append('mappingTemplateId', options.mappingTemplateId);
+        }
+        if (options.saveMappingAs) {
+            formData.append('saveMappingAs', options.saveMappingAs);
+            formData.append('shareMapping', options.shareMapping ? 'true' : 'false');
+        }
         if (options.fieldMapping) {
             // Send field mapping as individual form fields, not as JSON string
             Object.entries(options.fieldMapping).forEach(([field, value]) => {
@@ -483,8 +566,6 @@ export class ApiService {
             });
         }
         
-        // PERFORMANCE OPTIMIZED: Increased timeout to prevent frontend timeouts
-        console.log('🔍 ENHANCED PROCESSING: Setting timeout to 420000ms (7 minutes)');
         console.log('🔍 Field mapping being sent:', options.fieldMapping);
         
         // Environment-aware endpoint construction
@@ -492,11 +573,146 @@ export class ApiService {
         // AWS: https://domain.com/api + /enhanced/process-enhanced  
         const endpoint = this.baseURL.includes('localhost') ? '/api/enhanced/process-enhanced' : '/enhanced/process-enhanced';
         
-        return this.makeRequest(endpoint, {
+        // The server now queues the job and answers right away; only the upload + parse happen here
+        const response = await this.makeRequest(endpoint, {
             method: 'POST',
             data: formData,
-            timeout: 420000 // 7 minutes - ensures frontend doesn't timeout before backend completes
+            timeout: 120000 // 2 minutes - upload and parsing only
+        });
+        
+        if (response?.data?.type !== 'processing_queued') {
+            // sheet_selection / mapping_required / legacy synchronous responses
+            return response;
+        }
+        
+        console.log(`🧵 ENHANCED PROCESSING: Job ${response.data.jobId} queued (${response.data.total} rows), polling for progress`);
+        if (typeof options.onQueued === 'function') {
+            options.onQueued(response.data);
+        }
+        const result = await this.waitForEnhancedJob(response.data.jobId, options.onProgress);
+        return { ...response, data: result };
+    }
+
+    getEnhancedJobEndpoint(jobId, action = '') {
+        const baseEndpoint = `/enhanced/jobs/${encodeURIComponent(jobId)}${action ? `/${action}` : ''}`;
+        return this.baseURL.includes('localhost') ? `/api${baseEndpoint}` : baseEndpoint;
+    }
+
+    /**
+     * Server-Sent Events URL that streams each priced row of a job
+     * @param {string} jobId - Job ID
+     * @returns {string} Absolute stream URL for EventSource
+     */
+    getEnhancedJobStreamUrl(jobId) {
+        // EventSource can't send an Authorization header - the server also accepts ?access_token=
+        const query = this.apiKey ? `?access_token=${encodeURIComponent(this.apiKey)}` : '';
+        return `${this.baseURL}${this.getEnhancedJobEndpoint(jobId, 'stream')}${query}`;
+    }
+
+    /**
+     * Get status of a queued enhanced processing job
+     * @param {string} jobId - Job ID returned by processEnhanced
+     * @returns {Promise<Object>} Status with processed/total, ETA and, once completed, the result
+     */
+    async getEnhancedJobStatus(jobId) {
+        const response = await this.makeRequest(this.getEnhancedJobEndpoint(jobId), {
+            method: 'GET',
+            timeout: 30000
+        });
+        return response.data;
+    }
+
+    /**
+     * Cancel a queued enhanced processing job
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} Updated job status
+     */
+    async cancelEnhancedJob(jobId) {
+        const response = await this.makeRequest(this.getEnhancedJobEndpoint(jobId, 'cancel'), {
+            method: 'POST',
+            timeout: 30000
+        });
+        return response.data;
+    }
+
+    /**
+     * Resume a cancelled or failed enhanced processing job, or retry the failed rows of a completed one
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} Updated job status
+     */
+    async resumeEnhancedJob(jobId) {
+        const response = await this.makeRequest(this.getEnhancedJobEndpoint(jobId, 'resume'), {
+            method: 'POST',
+            timeout: 30000
+        });
+        return response.data;
+    }
+
+    /**
+     * Get the adjuster review queue of a finished job
+     * @param {string} jobId - Job ID
+     * @param {string} status - Optional review status filter (e.g. 'pending')
+     * @returns {Promise<Object>} { summary, rows }
+     */
+    async getJobReview(jobId, status = '') {
+        const query = status ? `?status=${encodeURIComponent(status)}` : '';
+        const response = await this.makeRequest(`${this.getEnhancedJobEndpoint(jobId, 'review')}${query}`, {
+            method: 'GET',
+            timeout: 30000
+        });
+        return response.data;
+    }
+
+    /**
+     * Accept, override or mark a priced row "unable to replace"
+     * @param {string} jobId - Job ID
+     * @param {number} itemNumber - Row item number
+     * @param {Object} decision - { action: 'accept'|'override'|'unable_to_replace', price?, url?, source?, reason }
+     * @returns {Promise<Object>} { row, decision, summary } with the updated row
+     */
+    async submitRowReview(jobId, itemNumber, decision) {
+        const response = await this.makeRequest(this.getEnhancedJobEndpoint(jobId, `rows/${encodeURIComponent(itemNumber)}/review`), {
+            method: 'POST',
+            data: decision,
+            timeout: 30000
         });
+        return response.data;
+    }
+
+    /**
+     * Poll a job until it completes
+     * @param {string} jobId - Job ID
+     * @param {Function} onProgress - Called with every status update
+     * @param {number} intervalMs - Poll interval
+     * @returns {Promise<Object>} The processing_complete payload
+     */
+    async waitForEnhancedJob(jobId, onProgress = null, intervalMs = 2000) {
+        while (true) {
+            const status = await this.getEnhancedJobStatus(jobId);
+            
+            if (typeof onProgress === 'function') {
+                try {
+                    onProgress(status);
+                } catch (callbackError) {
+                    console.warn('⚠️ Job progress callback failed:', callbackError);
+                }
+            }
+            
+            if (status.status === 'completed') {
+                return status.result;
+            }
+            if (status.status === 'failed') {
+                throw new Error(`Processing failed: ${status.error || 'Unknown error'}`);
+            }
+            if (status.status === 'cancelled') {
+                const error = new Error('Processing cancelled');
+                error.jobId = jobId;
+                error.cancelled = true;
+                throw error;
+            }
+            
+            await new Promise(resolve => setTimeout(resolve, intervalMs));
+        }
     }
 
     /**
@@ -669,55 +885,234 @@ export class ApiService {
         return this.makeRequest('/ai-vision-status');
     }
     
-    async getUserProfile(userId) {
-        return this.makeRequest(`/users/${userId}/profile`);
+    // Account methods (signed-in user)
+
+    /**
+     * Get the signed-in user's account, settings, profile, usage and recent activity
+     * @returns {Promise<Object>} { user, account, org, budget, usage, activity }
+     */
+    async getAccount() {
+        const response = await this.makeRequest('/api/me', { timeout: 30000 });
+        return response.data;
     }
-    
-    async updateUserProfile(userId, profileData) {
-        return this.makeRequest(`/users/${userId}/profile`, {
+
+    /**
+     * Save settings for the signed-in user (persisted server-side)
+     * @param {Object} settings - { theme, emailNotifications, autoSaveDrafts, defaultTolerancePct }
+     * @returns {Promise<Object>} { settings }
+     */
+    async updateAccountSettings(settings) {
+        const response = await this.makeRequest('/api/me/settings', {
+            method: 'PUT',
+            data: settings,
+            timeout: 30000
+        });
+        return response.data;
+    }
+
+    /**
+     * Save profile fields for the signed-in user
+     * @param {Object} profile - { displayName, jobTitle, department }
+     * @returns {Promise<Object>} { profile }
+     */
+    async updateAccountProfile(profile) {
+        const response = await this.makeRequest('/api/me/profile', {
             method: 'PUT',
-            data: profileData
+            data: profile,
+            timeout: 30000
+        });
+        return response.data;
+    }
+    
+    /**
+     * Price history for a product (all prices seen for the same normalized description)
+     * @param {string} description - Item description or search query
+     * @param {Object} options - { price (also compare this price with the history), days }
+     * @returns {Promise<Object>} { productKey, stats, baseline, daily, observations, drift }
+     */
+    async getPriceHistory(description, options = {}) {
+        const response = await this.makeRequest('/api/prices/history', {
+            params: {
+                q: description,
+                price: options.price,
+                days: options.days
+            }
         });
+        return response.data;
     }
     
-    async getNotifications(userId, unreadOnly = false) {
-        return this.makeRequest('/notifications', {
+    /**
+     * Notifications for the signed-in user (job completed / failed, review requested)
+     * @param {boolean} unreadOnly
+     * @returns {Promise<Object>} { notifications, unread }
+     */
+    async getNotifications(unreadOnly = false) {
+        const response = await this.makeRequest('/api/notifications', {
             params: {
-                user_id: userId,
                 unread_only: unreadOnly
             }
         });
+        return response.data;
     }
     
     async markNotificationAsRead(notificationId) {
-        return this.makeRequest(`/notifications/${notificationId}/read`, {
+        const response = await this.makeRequest(`/api/notifications/${encodeURIComponent(notificationId)}/read`, {
+            method: 'PUT'
+        });
+        return response.data;
+    }
+    
+    async markAllNotificationsAsRead() {
+        const response = await this.makeRequest('/api/notifications/read-all', {
             method: 'PUT'
         });
+        return response.data;
+    }
+    
+    /**
+     * Column mapping templates the user can see (their own and the ones shared with the org)
+     * @param {Object} [layout] - { headers, sheetName } to also get the template an upload would use
+     * @returns {Promise<Object>} { templates, match? }
+     */
+    async getMappingTemplates(layout = null) {
+        const response = await this.makeRequest('/api/mapping-templates', {
+            params: layout ? {
+                headers: (layout.headers || []).join(','),
+                sheetName: layout.sheetName
+            } : {}
+        });
+        return response.data;
     }
     
-    // Admin-specific methods
+    /**
+     * @param {string} templateId
+     * @param {Object} changes - any of { name, mapping, headers, sheetName, shared }
+     */
+    async updateMappingTemplate(templateId, changes) {
+        const response = await this.makeRequest(`/api/mapping-templates/${encodeURIComponent(templateId)}`, {
+            method: 'PUT',
+            data: changes
+        });
+        return response.data;
+    }
     
-    async getSystemMetrics() {
-        return this.makeRequest('/admin/metrics');
+    async shareMappingTemplate(templateId, shared = true) {
+        const response = await this.makeRequest(`/api/mapping-templates/${encodeURIComponent(templateId)}/share`, {
+            method: 'PUT',
+            data: { shared }
+        });
+        return response.data;
     }
     
-    async getUserManagement(options = {}) {
-        return this.makeRequest('/admin/users', {
-            params: options
+    async deleteMappingTemplate(templateId) {
+        const response = await this.makeRequest(`/api/mapping-templates/${encodeURIComponent(templateId)}`, {
+            method: 'DELETE'
         });
+        return response.data;
     }
     
-    async getAuditLogs(options = {}) {
-        return this.makeRequest('/admin/audit', {
-            params: options
+    /**
+     * Ask another user to review a finished job's flagged rows (they get a notification)
+     * @param {string} jobId
+     * @param {string} userId - Reviewer
+     * @param {string} [message]
+     */
+    async requestJobReview(jobId, userId, message = '') {
+        const response = await this.makeRequest(this.getEnhancedJobEndpoint(jobId, 'review-request'), {
+            method: 'POST',
+            data: { userId, message }
         });
+        return response.data;
     }
     
-    async updateSystemSettings(settings) {
-        return this.makeRequest('/admin/settings', {
+    // Admin-specific methods (admin role)
+
+    /**
+     * User counts, API spend and process health for the admin stat cards
+     * @returns {Promise<Object>} { users, usage, system, scope }
+     */
+    async getAdminOverview() {
+        const response = await this.makeRequest('/api/admin/overview', { timeout: 30000 });
+        return response.data;
+    }
+
+    /**
+     * List users with their API usage
+     * @param {Object} options - { search, status: 'active'|'deactivated', days }
+     * @returns {Promise<Object>} { days, users }
+     */
+    async getAdminUsers(options = {}) {
+        const response = await this.makeRequest('/api/admin/users', {
+            params: options,
+            timeout: 30000
+        });
+        return response.data;
+    }
+
+    /**
+     * Override a user's role (null goes back to the roles in their token)
+     * @param {string} userId - User ID
+     * @param {string|null} role - 'adjuster' | 'supervisor' | 'admin' | null
+     * @returns {Promise<Object>} Updated user
+     */
+    async setUserRole(userId, role) {
+        const response = await this.makeRequest(`/api/admin/users/${encodeURIComponent(userId)}/role`, {
             method: 'PUT',
-            data: settings
+            data: { role },
+            timeout: 30000
+        });
+        return response.data;
+    }
+
+    /**
+     * Deactivate or reactivate a user
+     * @param {string} userId - User ID
+     * @param {boolean} active - true reactivates, false deactivates
+     * @returns {Promise<Object>} Updated user
+     */
+    async setUserActive(userId, active) {
+        const action = active ? 'reactivate' : 'deactivate';
+        const response = await this.makeRequest(`/api/admin/users/${encodeURIComponent(userId)}/${action}`, {
+            method: 'POST',
+            data: {},
+            timeout: 30000
+        });
+        return response.data;
+    }
+
+    /**
+     * API spend per provider and per user
+     * @param {number} days - Window in days (default 30)
+     * @returns {Promise<Object>} { days, since, totals, today, byProvider, byUser }
+     */
+    async getAdminUsage(days = 30) {
+        const response = await this.makeRequest('/api/admin/usage', {
+            params: { days },
+            timeout: 30000
+        });
+        return response.data;
+    }
+
+    /**
+     * Pricer cache sizes, Redis state and job queue counts
+     * @returns {Promise<Object>} { memory, redis, queue }
+     */
+    async getCacheStatus() {
+        const response = await this.makeRequest('/api/admin/cache', { timeout: 30000 });
+        return response.data;
+    }
+
+    /**
+     * Latest audit log entries
+     * @param {number} limit - Max entries (default 50)
+     * @returns {Promise<Object>} { activity }
+     */
+    async getAdminActivity(limit = 50) {
+        const response = await this.makeRequest('/api/admin/activity', {
+            params: { limit },
+            timeout: 30000
         });
+        return response.data;
     }
     
     // Utility methods
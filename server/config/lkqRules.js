@@ -0,0 +1,130 @@
+// server/config/lkqRules.js
+// Like-kind-and-quality (LKQ) substitution rules, per category
+//
+// When the exact item is no longer sold, a carrier only accepts a substitute that meets its LKQ
+// rules. Each category lists the checks a substitute must pass; utils/lkqEvaluator runs them
+// against parseProductAttributes() output for the claimed item and the substitute.
+//
+// Rule shape: { check, ...params }
+//   capacity      - substitute capacity >= original * minRatio (same or better)
+//   screenSize    - substitute screen size >= original * minRatio
+//   materialClass - substitute material in the same class (see MATERIAL_CLASSES)
+//   type          - same configuration (bottom freezer, french door, ...)
+//   brandTier     - no downgrade in brand tier (see BRAND_TIERS)
+//   price         - substitute price within pct% of the claimed price
+// Any rule may set required: true - an attribute the claimed item has but the listing does not
+// state then fails the rule instead of being noted as unverified.
+
+const BRAND_TIER_RANK = { value: 1, mid: 2, premium: 3 };
+
+const BRAND_TIERS = {
+  premium: [
+    'sub-zero', 'wolf', 'viking', 'thermador', 'miele', 'bosch', 'monogram', 'jennair', 'dacor',
+    'kitchenaid', 'breville', 'vitamix', 'dyson', 'le creuset', 'all-clad', 'sony', 'bose',
+    'apple', 'yeti', 'weber', 'dewalt', 'milwaukee', 'makita', 'herman miller', 'pottery barn',
+    'restoration hardware', 'smeg'
+  ],
+  mid: [
+    'whirlpool', 'lg', 'samsung', 'ge', 'frigidaire', 'maytag', 'electrolux', 'cuisinart',
+    'ninja', 'instant pot', 'keurig', 'shark', 'bissell', 'hoover', 'singer', 'brother', 'janome',
+    'honeywell', 'coleman', 'igloo', 'rubbermaid', 'lifetime', 'keter', 'suncast', 'step2',
+    'craftsman', 'ryobi', 'black+decker', 'vizio', 'hisense', 'tcl', 'oster', 'sunbeam',
+    'polar aurora', 'outsunny', 'national tree', 'firesense', 'amana', 'hotpoint', 'haier'
+  ],
+  value: [
+    'hamilton beach', 'holiday time', 'mainstays', 'ozark trail', 'sterilite', 'hosley', 'vissani',
+    'magic chef', 'galanz', 'insignia', 'onn', 'dirt devil', 'eureka', 'proctor silex',
+    'better chef', 'room essentials', 'amazon basics', 'hyper tough', 'project source'
+  ]
+};
+
+// Terms are matched longest first, so "engineered wood" wins over "wood" and "faux leather" over "leather"
+const MATERIAL_CLASSES = {
+  metal: ['stainless steel', 'cast iron', 'aluminum', 'aluminium', 'wrought iron', 'brass', 'copper', 'bronze', 'chrome', 'steel', 'iron', 'metal'],
+  synthetic_leather: ['faux leather', 'bonded leather', 'vegan leather', 'pu leather', 'leatherette'],
+  leather: ['leather'],
+  solid_wood: ['solid wood', 'hardwood', 'oak', 'walnut', 'maple', 'cherry', 'teak', 'acacia', 'pine', 'mahogany', 'bamboo', 'wooden', 'wood'],
+  engineered_wood: ['engineered wood', 'particleboard', 'particle board', 'mdf', 'laminate', 'veneer', 'plywood'],
+  plastic: ['polypropylene', 'polyethylene', 'acrylic', 'plastic', 'resin', 'vinyl', 'abs'],
+  glass: ['tempered glass', 'glass'],
+  ceramic: ['porcelain', 'stoneware', 'earthenware', 'ceramic'],
+  fabric: ['microfiber', 'polyester', 'cotton', 'linen', 'velvet', 'wool', 'fabric', 'nylon', 'canvas']
+};
+
+const LKQ_RULES = {
+  appliance: {
+    label: 'Appliances',
+    keywords: ['refrigerator', 'fridge', 'freezer', 'dishwasher', 'washer', 'dryer', 'oven', 'range', 'stove', 'microwave', 'wine cooler'],
+    rules: [
+      { check: 'capacity', minRatio: 1, required: true },
+      { check: 'type' },
+      { check: 'materialClass' },
+      { check: 'brandTier' },
+      { check: 'price', pct: 20 }
+    ]
+  },
+  small_appliance: {
+    label: 'Small Appliances',
+    keywords: ['mixer', 'blender', 'toaster', 'coffee maker', 'food processor', 'air fryer', 'slow cooker', 'pressure cooker', 'instant pot', 'kettle'],
+    rules: [
+      { check: 'capacity', minRatio: 1 },
+      { check: 'materialClass' },
+      { check: 'brandTier' },
+      { check: 'price', pct: 25 }
+    ]
+  },
+  electronics: {
+    label: 'Electronics',
+    keywords: ['tv', 'television', 'monitor', 'laptop', 'tablet', 'speaker', 'soundbar', 'headphones', 'camera'],
+    rules: [
+      { check: 'screenSize', minRatio: 1 },
+      { check: 'brandTier' },
+      { check: 'price', pct: 20 }
+    ]
+  },
+  furniture: {
+    label: 'Furniture',
+    keywords: ['chair', 'table', 'stool', 'bench', 'ottoman', 'sofa', 'couch', 'bed', 'dresser', 'cabinet', 'bookcase', 'desk', 'nightstand'],
+    rules: [
+      { check: 'materialClass', required: true },
+      { check: 'brandTier' },
+      { check: 'price', pct: 30 }
+    ]
+  },
+  cleaning: {
+    label: 'Cleaning',
+    keywords: ['vacuum', 'shampooer', 'carpet cleaner', 'steam mop', 'mop', 'broom'],
+    rules: [
+      { check: 'capacity', minRatio: 1 },
+      { check: 'brandTier' },
+      { check: 'price', pct: 25 }
+    ]
+  },
+  outdoor: {
+    label: 'Outdoor',
+    keywords: ['mailbox', 'lantern', 'patio heater', 'fire pit', 'grill', 'umbrella', 'planter', 'watering can', 'waterpot', 'cooler'],
+    rules: [
+      { check: 'capacity', minRatio: 1 },
+      { check: 'materialClass' },
+      { check: 'brandTier' },
+      { check: 'price', pct: 30 }
+    ]
+  },
+  default: {
+    label: 'General',
+    keywords: [],
+    rules: [
+      { check: 'capacity', minRatio: 1 },
+      { check: 'materialClass' },
+      { check: 'brandTier' },
+      { check: 'price', pct: 25 }
+    ]
+  }
+};
+
+module.exports = {
+  LKQ_RULES,
+  BRAND_TIERS,
+  BRAND_TIER_RANK,
+  MATERIAL_CLASSES
+};
@@ -0,0 +1,158 @@
+// server/config/locales.js
+// Countries a claim can be priced in
+//
+// A job's locale (country, currency, language) decides which Google storefront SerpAPI searches
+// (gl / hl / google_domain), which currency prices are read in, and which retailers count as
+// local. utils/locale resolves a request's locale against this table.
+//
+// Entry shape:
+//   name         - display name
+//   currency     - ISO 4217 code prices are assumed to be in when a listing does not say
+//   language     - default hl (a request may ask for another, e.g. fr for Quebec)
+//   googleDomain - google_domain for SerpAPI
+//   retailers    - local retailer domain -> names SerpAPI uses for it in the source field.
+//                  Another country's retailer domain (amazon.com on a Canadian claim) is
+//                  treated as untrusted: it prices in the wrong currency and does not ship there.
+
+const DEFAULT_COUNTRY = 'US';
+
+const LOCALES = {
+  US: {
+    name: 'United States',
+    currency: 'USD',
+    language: 'en',
+    googleDomain: 'google.com',
+    retailers: {
+      'amazon.com': ['Amazon', 'Amazon.com', 'Amazon.com - Seller'],
+      'walmart.com': ['Walmart', 'Walmart.com', 'Walmart - Seller'],
+      'target.com': ['Target'],
+      'homedepot.com': ['Home Depot', 'The Home Depot'],
+      'lowes.com': ['Lowe\'s', 'Lowes'],
+      'bestbuy.com': ['Best Buy'],
+      'wayfair.com': ['Wayfair'],
+      'costco.com': ['Costco']
+    }
+  },
+  CA: {
+    name: 'Canada',
+    currency: 'CAD',
+    language: 'en',
+    googleDomain: 'google.ca',
+    retailers: {
+      'amazon.ca': ['Amazon.ca', 'Amazon.ca - Seller'],
+      'walmart.ca': ['Walmart.ca', 'Walmart Canada'],
+      'canadiantire.ca': ['Canadian Tire'],
+      'homedepot.ca': ['The Home Depot Canada', 'Home Depot Canada'],
+      'bestbuy.ca': ['Best Buy Canada', 'Best Buy.ca'],
+      'costco.ca': ['Costco Canada', 'Costco.ca'],
+      'rona.ca': ['RONA'],
+      'thebay.com': ['Hudson\'s Bay', 'The Bay'],
+      'wayfair.ca': ['Wayfair.ca', 'Wayfair Canada'],
+      'staples.ca': ['Staples Canada', 'Staples.ca']
+    }
+  },
+  GB: {
+    name: 'United Kingdom',
+    currency: 'GBP',
+    language: 'en',
+    googleDomain: 'google.co.uk',
+    retailers: {
+      'amazon.co.uk': ['Amazon.co.uk', 'Amazon.co.uk - Seller'],
+      'argos.co.uk': ['Argos'],
+      'johnlewis.com': ['John Lewis', 'John Lewis & Partners'],
+      'currys.co.uk': ['Currys'],
+      'ao.com': ['AO', 'AO.com'],
+      'diy.com': ['B&Q'],
+      'screwfix.com': ['Screwfix'],
+      'dunelm.com': ['Dunelm'],
+      'tesco.com': ['Tesco'],
+      'very.co.uk': ['Very', 'Very.co.uk']
+    }
+  },
+  IE: {
+    name: 'Ireland',
+    currency: 'EUR',
+    language: 'en',
+    googleDomain: 'google.ie',
+    retailers: {
+      'harveynorman.ie': ['Harvey Norman'],
+      'currys.ie': ['Currys Ireland', 'Currys.ie'],
+      'woodies.ie': ['Woodie\'s'],
+      'arnotts.ie': ['Arnotts'],
+      'argos.ie': ['Argos Ireland', 'Argos.ie']
+    }
+  },
+  DE: {
+    name: 'Germany',
+    currency: 'EUR',
+    language: 'de',
+    googleDomain: 'google.de',
+    retailers: {
+      'amazon.de': ['Amazon.de', 'Amazon.de - Verkäufer'],
+      'otto.de': ['OTTO'],
+      'mediamarkt.de': ['MediaMarkt'],
+      'saturn.de': ['Saturn'],
+      'obi.de': ['OBI']
+    }
+  },
+  FR: {
+    name: 'France',
+    currency: 'EUR',
+    language: 'fr',
+    googleDomain: 'google.fr',
+    retailers: {
+      'amazon.fr': ['Amazon.fr', 'Amazon.fr - Vendeur'],
+      'fnac.com': ['Fnac'],
+      'darty.com': ['Darty'],
+      'boulanger.com': ['Boulanger'],
+      'leroymerlin.fr': ['Leroy Merlin'],
+      'cdiscount.com': ['Cdiscount']
+    }
+  },
+  AU: {
+    name: 'Australia',
+    currency: 'AUD',
+    language: 'en',
+    googleDomain: 'google.com.au',
+    retailers: {
+      'amazon.com.au': ['Amazon.com.au', 'Amazon AU'],
+      'jbhifi.com.au': ['JB Hi-Fi'],
+      'harveynorman.com.au': ['Harvey Norman'],
+      'bunnings.com.au': ['Bunnings', 'Bunnings Warehouse'],
+      'thegoodguys.com.au': ['The Good Guys'],
+      'kmart.com.au': ['Kmart Australia', 'Kmart'],
+      'officeworks.com.au': ['Officeworks']
+    }
+  }
+};
+
+// Symbols and prefixes seen in listing prices. Bare "$" is ambiguous and resolves to the
+// job's own currency when that is a dollar currency, otherwise USD.
+const CURRENCY_MARKERS = [
+  { marker: 'US$', currency: 'USD' },
+  { marker: 'CA$', currency: 'CAD' },
+  { marker: 'C$', currency: 'CAD' },
+  { marker: 'AU$', currency: 'AUD' },
+  { marker: 'A$', currency: 'AUD' },
+  { marker: '£', currency: 'GBP' },
+  { marker: '€', currency: 'EUR' }
+];
+
+const DOLLAR_CURRENCIES = ['USD', 'CAD', 'AUD'];
+
+// Excel number formats for money columns
+const CURRENCY_FORMATS = {
+  USD: '$#,##0.00',
+  CAD: '"CA$"#,##0.00',
+  AUD: '"A$"#,##0.00',
+  GBP: '"£"#,##0.00',
+  EUR: '"€"#,##0.00'
+};
+
+module.exports = {
+  DEFAULT_COUNTRY,
+  LOCALES,
+  CURRENCY_MARKERS,
+  DOLLAR_CURRENCIES,
+  CURRENCY_FORMATS
+};
@@ -133,10 +133,57 @@ const UNTRUSTED_SITES = [
   'closeout.com'
 ];
 
+// Per-organization override for a domain or SerpAPI source name: 'untrusted' when the active
+// org added it to its list, 'trusted' when the org removed it, otherwise null (global list applies)
+function getOrgSiteOverride(domainOrSource) {
+  if (!domainOrSource) return null;
+  let org = null;
+  try {
+    // Required lazily - config stays loadable without the services
+    org = require('../services/OrgStore').getActiveOrg();
+  } catch (_e) {
+    return null;
+  }
+  const sites = org?.settings?.untrustedSites;
+  if (!sites) return null;
+
+  const value = domainOrSource.toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .split('/')[0];
+  // Source names ("Best Buy") are compared against the domain's name part ("bestbuy")
+  const isDomain = value.includes('.');
+  const compact = value.replace(/[^a-z0-9]/g, '');
+  const matches = site => (isDomain ? value.includes(site) : compact.includes(site.split('.')[0].replace(/[^a-z0-9]/g, '')));
+
+  if ((sites.add || []).some(matches)) return 'untrusted';
+  if ((sites.remove || []).some(matches)) return 'trusted';
+  return null;
+}
+
+// Verdict from the job's country (see utils/locale): 'trusted' for its local retailers,
+// 'untrusted' for another country's retailer domain, otherwise null
+function getLocaleSiteOverride(domainOrSource) {
+  try {
+    // Required lazily, like OrgStore above
+    return require('../utils/locale').getLocaleSiteVerdict(domainOrSource);
+  } catch (_e) {
+    return null;
+  }
+}
+
 // Helper function to check if a domain is trusted
 // USER RULE: Any retailer not listed in the Untrusted list is considered trusted
+// (the active organization can add to or remove from that list - see OrgStore - and
+// retailers from another country than the job's are not trusted)
 function isTrustedSite(domain) {
   if (!domain) return false;
+
+  const orgOverride = getOrgSiteOverride(domain);
+  if (orgOverride) return orgOverride === 'trusted';
+
+  const localeOverride = getLocaleSiteOverride(domain);
+  if (localeOverride) return localeOverride === 'trusted';
   
   // Normalize domain (remove protocol, www, etc.)
   const normalizedDomain = domain.toLowerCase()
@@ -163,6 +210,8 @@ function getTrustedDomainsForSerp() {
 
 module.exports = {
   UNTRUSTED_SITES,
+  getOrgSiteOverride,
+  getLocaleSiteOverride,
   isTrustedSite,
   getTrustedDomainsForSerp
 };
@@ -20,6 +20,10 @@ const cors = require('cors');
 const OpenAI = require('openai');
 const fs = require('fs');
 const gpt5Config = require('./config/gpt5Config');
+const { getUsageMeter } = require('./services/UsageMeter');
+const { getUserFromRequest } = require('./utils/requestUtils');
+const { authenticate, requireRole, loadAccount, resolveOrg } = require('./utils/auth');
+const { getClaimStore } = require('./services/ClaimStore');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -78,7 +82,7 @@ async function initializeAuditSystem() {
         console.log('🔍 Database connection available:', !!auditSystem.dbConnection);
         
         // Mount audit routes
-        app.use('/api/logs', auditModule.logsRouter);
+        app.use('/api/logs', requireRole('supervisor'), auditModule.logsRouter);
         console.log('🔍 Audit routes mounted at /api/logs');
         
       } else {
@@ -121,6 +125,21 @@ app.use(cors({
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+// NEW: Verify Bearer tokens up front so req.user (and its roles) is set for every API route
+app.use('/api', authenticate);
+
+// NEW: Load the caller's account - rejects deactivated users and applies admin role overrides
+app.use('/api', loadAccount);
+
+// NEW: Resolve the caller's organization (req.org) - scopes audit queries, trusted sites and defaults
+app.use('/api', resolveOrg);
+
+// NEW: Tag every external call made while serving an API request with the requesting user
+// (jobs add their jobId on top of this in the processing routes)
+app.use('/api', (req, res, next) => {
+  getUsageMeter().runWithContext({ userId: getUserFromRequest(req)?.id || 'anonymous' }, next);
+});
+
 // Enhanced logging middleware
 app.use((req, res, next) => {
   const timestamp = new Date().toISOString();
@@ -210,7 +229,7 @@ app.get('/test/session-persistence', (req, res) => {
 // ========================================
 
 // Cache clearing route
-app.post('/api/clear-cache', async (req, res) => {
+app.post('/api/clear-cache', requireRole('admin'), async (req, res) => {
   try {
     console.log('🧹 Cache clearing request received');
     
@@ -275,7 +294,7 @@ app.post('/api/analyze-image', async (req, res) => {
       });
     }
 
-    const { image, prompt, fileName } = req.body;
+    const { image, prompt, fileName, claimId, room } = req.body;
 
     if (!image) {
       console.error('❌ No image provided in request');
@@ -293,6 +312,16 @@ app.post('/api/analyze-image', async (req, res) => {
       });
     }
 
+    // NEW: Optional claim (id or claim number) the analyzed item is rolled up into
+    let claim = null;
+    if (claimId) {
+      try {
+        claim = await getClaimStore().requireClaim(claimId, req.orgScope);
+      } catch (claimError) {
+        return res.status(claimError.statusCode || 400).json({ success: false, error: claimError.message });
+      }
+    }
+
     // Check if OpenAI API key is configured
     if (!process.env.OPENAI_API_KEY) {
       console.error('❌ OpenAI API key not configured');
@@ -366,6 +395,7 @@ app.post('/api/analyze-image', async (req, res) => {
       max_tokens: 1000,
       temperature: 0.1
     });
+    getUsageMeter().recordOpenAI(visionResponse);
 
     const aiResponse = visionResponse.choices[0].message.content;
     console.log('✅ AI Vision analysis completed');
@@ -484,6 +514,7 @@ app.post('/api/analyze-image', async (req, res) => {
       url: pricingResult?.url || null,
       isEstimated: pricingResult?.isEstimated || false,
       matchQuality: pricingResult?.matchQuality || 'AI Analysis',
+      lkq: pricingResult?.lkq || null,
       // Cost to Replace field for frontend compatibility - always from AI Vision for NEW items
       costToReplace: structuredData.estimatedValue || 'AI Vision estimation needed',
       // Price calculation details for transparency - no condition adjustments
@@ -501,6 +532,26 @@ app.post('/api/analyze-image', async (req, res) => {
       rawResponse: aiResponse
     };
 
+    if (claim) {
+      const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      try {
+        await getClaimStore().attachJob(claim.id, {
+          jobId,
+          jobType: 'IMAGE',
+          label: fileName || 'unnamed',
+          results: [{
+            Description: structuredData.productName || structuredData.description || fileName || 'Image item',
+            'Total Replacement Price': responseData.price,
+            Room: room || ''
+          }],
+          attachedBy: getUserFromRequest(req)?.id || null
+        });
+        responseData.claim = { id: claim.id, claimNumber: claim.claimNumber, jobId };
+      } catch (claimError) {
+        console.error(`⚠️ Failed to attach image analysis to claim ${claim.claimNumber}:`, claimError.message);
+      }
+    }
+
     res.json(responseData);
 
   } catch (error) {
@@ -654,6 +705,7 @@ app.post('/api/analyze-image', async (req, res) => {
             max_tokens: 1000,
             temperature: 0.1
           });
+          getUsageMeter().recordOpenAI(visionResponse);
           
           console.log(`✅ OpenAI Vision API call successful for image: ${imageData.fileName}`);
         } catch (visionError) {
@@ -811,6 +863,7 @@ app.post('/api/analyze-image', async (req, res) => {
           'url': url,
           'isEstimated': isEstimated,
           'matchQuality': pricingResult.matchQuality || 'AI Analysis',
+          'lkq': pricingResult.lkq || null,
           // Cost to Replace field for frontend compatibility - always from AI Vision for NEW items
           'costToReplace': structuredData.estimatedValue || 'AI Vision estimation needed',
           // Price calculation details for transparency - no condition adjustments
@@ -1188,190 +1241,6 @@ app.post('/api/analyze-image', async (req, res) => {
 });
 */ // END OF DISABLED IMAGE PROCESSING ROUTE
 
-// ========================================
-// RESEARCH ANALYTICS ENDPOINTS
-// ========================================
-console.log('🔍 Adding research analytics endpoints...');
-
-// Start a new research session
-app.post('/api/research/session/start', (req, res) => {
-  try {
-    const { sessionId, userId } = req.body;
-    const session = pricer.startResearchSession(sessionId || `session_${Date.now()}`, userId || 'anonymous');
-    
-    res.json({
-      success: true,
-      session: session,
-      message: 'Research session started successfully'
-    });
-  } catch (error) {
-    console.error('❌ Error starting research session:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to start research session',
-      details: error.message
-    });
-  }
-});
-
-// End current research session
-app.post('/api/research/session/end', (req, res) => {
-  try {
-    const session = pricer.endResearchSession();
-    
-    if (session) {
-      res.json({
-        success: true,
-        session: session,
-        message: 'Research session ended successfully'
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        error: 'No active research session to end'
-      });
-    }
-  } catch (error) {
-    console.error('❌ Error ending research session:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to end research session',
-      details: error.message
-    });
-  }
-});
-
-// Get research analytics
-app.get('/api/research/analytics', (req, res) => {
-  try {
-    const analytics = pricer.getResearchAnalytics();
-    
-    res.json({
-      success: true,
-      analytics: analytics
-    });
-  } catch (error) {
-    console.error('❌ Error getting research analytics:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get research analytics',
-      details: error.message
-    });
-  }
-});
-
-// Get research history with filters
-app.get('/api/research/history', (req, res) => {
-  try {
-    const { limit = 100, status, success, query } = req.query;
-    const filters = { status, success: success === 'true', query };
-    
-    const history = pricer.getResearchHistory(parseInt(limit), filters);
-    
-    res.json({
-      success: true,
-      history: history,
-      totalCount: history.length,
-      filters: filters
-    });
-  } catch (error) {
-    console.error('❌ Error getting research history:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get research history',
-      details: error.message
-    });
-  }
-});
-
-// Get session analytics
-app.get('/api/research/sessions', (req, res) => {
-  try {
-    const analytics = pricer.getSessionAnalytics();
-    
-    res.json({
-      success: true,
-      analytics: analytics
-    });
-  } catch (error) {
-    console.error('❌ Error getting session analytics:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get session analytics',
-      details: error.message
-    });
-  }
-});
-
-// Get performance insights and recommendations
-app.get('/api/research/insights', (req, res) => {
-  try {
-    const insights = pricer.getPerformanceInsights();
-    
-    res.json({
-      success: true,
-      insights: insights
-    });
-  } catch (error) {
-    console.error('❌ Error getting performance insights:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get performance insights',
-      details: error.message
-    });
-  }
-});
-
-// Export research data (for database migration later)
-app.get('/api/research/export', (req, res) => {
-  try {
-    const data = pricer.exportResearchData();
-    
-    res.json({
-      success: true,
-      data: data,
-      message: 'Research data exported successfully'
-    });
-  } catch (error) {
-    console.error('❌ Error exporting research data:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to export research data',
-      details: error.message
-    });
-  }
-});
-
-// Clear research data (for testing/reset)
-app.post('/api/research/clear', (req, res) => {
-  try {
-    pricer.clearResearchData();
-    
-    res.json({
-      success: true,
-      message: 'Research data cleared successfully'
-    });
-  } catch (error) {
-    console.error('❌ Error clearing research data:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to clear research data',
-      details: error.message
-    });
-  }
-});
-
-console.log('✅ Research analytics endpoints added');
-console.log('🎯 Available research endpoints:');
-console.log('   - POST /api/research/session/start');
-console.log('   - POST /api/research/session/end');
-console.log('   - GET /api/research/analytics');
-console.log('   - GET /api/research/history');
-console.log('   - GET /api/research/sessions');
-console.log('   - GET /api/research/insights');
-console.log('   - GET /api/research/export');
-console.log('   - POST /api/research/clear');
-
 // ========================================
 // MOUNT PROCESSING ROUTES
 // ========================================
@@ -1425,24 +1294,129 @@ console.log('🎯 DISABLED routes: POST /api/process-item, POST /api/process-csv
   console.log('🚀 Mounting enhanced processing routes...');
   try {
     const enhancedProcessingRoutes = require('./routes/enhancedProcessingRoutes');
-    app.use('/api/enhanced', enhancedProcessingRoutes.router);
+    app.use('/api/enhanced', requireRole('adjuster'), enhancedProcessingRoutes.router);
     console.log('✅ Enhanced processing routes mounted');
     console.log('🎯 Enhanced routes: POST /api/enhanced/process-enhanced, POST /api/enhanced/select-sheet, POST /api/enhanced/download-excel, POST /api/enhanced/download-csv');
   } catch (enhancedError) {
     console.error('❌ Failed to load enhanced processing routes:', enhancedError.message);
   }
 
-  // Mount depreciation routes
+  // Mount depreciation routes (table writes and /reload need admin)
   console.log('🚀 Mounting depreciation routes...');
   try {
     const depRoutes = require('./routes/dep');
-    app.use('/api/dep', depRoutes);
+    app.use('/api/dep', requireRole('adjuster'), depRoutes);
     console.log('✅ Depreciation routes mounted');
-    console.log('🎯 Dep routes: POST /api/dep/apply, POST /api/dep/reload');
+    console.log('🎯 Dep routes: POST /api/dep/apply, POST /api/dep/reload, GET/POST/PUT/DELETE /api/dep/tables');
   } catch (depErr) {
     console.error('❌ Failed to load dep routes:', depErr.message);
   }
 
+  // Mount claim routes
+  console.log('🚀 Mounting claim routes...');
+  try {
+    const claimRoutes = require('./routes/claims');
+    app.use('/api/claims', requireRole('adjuster'), claimRoutes);
+    console.log('✅ Claim routes mounted');
+    console.log('🎯 Claim routes: GET/POST /api/claims, GET/PUT /api/claims/:claimId, GET /api/claims/:claimId/summary, POST/DELETE /api/claims/:claimId/jobs');
+  } catch (claimErr) {
+    console.error('❌ Failed to load claim routes:', claimErr.message);
+  }
+
+  // Mount claim document and notification routes
+  console.log('🚀 Mounting document and notification routes...');
+  try {
+    const documentRoutes = require('./routes/documents');
+    const notificationRoutes = require('./routes/notifications');
+    app.use('/api/documents', requireRole('adjuster'), documentRoutes);
+    app.use('/api/notifications', requireRole('adjuster'), notificationRoutes);
+    console.log('✅ Document and notification routes mounted');
+    console.log('🎯 Document routes: GET /api/documents, POST /api/documents/upload, GET /api/documents/:documentId[/content], POST /api/documents/:documentId/analyze');
+    console.log('🎯 Notification routes: GET /api/notifications, PUT /api/notifications/:notificationId/read, PUT /api/notifications/read-all');
+  } catch (documentErr) {
+    console.error('❌ Failed to load document and notification routes:', documentErr.message);
+  }
+
+  // Mount field mapping template routes
+  console.log('🚀 Mounting mapping template routes...');
+  try {
+    const mappingTemplateRoutes = require('./routes/mappingTemplates');
+    app.use('/api/mapping-templates', requireRole('adjuster'), mappingTemplateRoutes);
+    console.log('✅ Mapping template routes mounted');
+    console.log('🎯 Mapping template routes: GET/POST /api/mapping-templates, GET/PUT/DELETE /api/mapping-templates/:templateId, PUT /api/mapping-templates/:templateId/share');
+  } catch (templateErr) {
+    console.error('❌ Failed to load mapping template routes:', templateErr.message);
+  }
+
+  // Mount chat pricing session routes
+  console.log('🚀 Mounting chat routes...');
+  try {
+    const chatRoutes = require('./routes/chat');
+    app.use('/api/chat', requireRole('adjuster'), chatRoutes);
+    console.log('✅ Chat routes mounted');
+    console.log('🎯 Chat routes: POST /api/chat/sessions, GET/DELETE /api/chat/sessions/:sessionId, POST /api/chat/sessions/:sessionId/messages');
+  } catch (chatErr) {
+    console.error('❌ Failed to load chat routes:', chatErr.message);
+  }
+
+  // Mount research tracking routes
+  console.log('🚀 Mounting research routes...');
+  try {
+    const researchRoutes = require('./routes/research');
+    app.use('/api/research', requireRole('adjuster'), researchRoutes);
+    console.log('✅ Research routes mounted');
+    console.log('🎯 Research routes: POST /api/research/session/start|end, GET /api/research/analytics|history|sessions|insights|export, POST /api/research/clear');
+  } catch (researchErr) {
+    console.error('❌ Failed to load research routes:', researchErr.message);
+  }
+
+  // Mount price history routes
+  console.log('🚀 Mounting price history routes...');
+  try {
+    const priceRoutes = require('./routes/prices');
+    app.use('/api/prices', requireRole('adjuster'), priceRoutes);
+    console.log('✅ Price history routes mounted');
+    console.log('🎯 Price routes: GET /api/prices/history?q=, GET /api/prices/products');
+  } catch (priceErr) {
+    console.error('❌ Failed to load price history routes:', priceErr.message);
+  }
+
+  // Mount organization routes (any signed-in user can read their org; org admins manage it)
+  console.log('🚀 Mounting organization routes...');
+  try {
+    const orgRoutes = require('./routes/orgs');
+    app.use('/api/orgs', requireRole('adjuster'), orgRoutes);
+    console.log('✅ Organization routes mounted');
+    console.log('🎯 Org routes: GET /api/orgs/current, GET/POST /api/orgs, GET/PUT /api/orgs/:orgId, PUT /api/orgs/:orgId/settings, GET/POST/PUT/DELETE /api/orgs/:orgId/members');
+  } catch (orgErr) {
+    console.error('❌ Failed to load organization routes:', orgErr.message);
+  }
+
+  // Mount admin console and account routes
+  console.log('🚀 Mounting admin and account routes...');
+  try {
+    const adminRoutes = require('./routes/admin');
+    const accountRoutes = require('./routes/account');
+    app.use('/api/admin', requireRole('admin'), adminRoutes);
+    app.use('/api/me', accountRoutes);
+    console.log('✅ Admin and account routes mounted');
+    console.log('🎯 Admin routes: GET /api/admin/overview, GET /api/admin/users[/:userId], PUT /api/admin/users/:userId/role, POST /api/admin/users/:userId/deactivate|reactivate, GET /api/admin/usage, GET /api/admin/cache, GET /api/admin/activity');
+    console.log('🎯 Account routes: GET /api/me, PUT /api/me/settings, PUT /api/me/profile');
+  } catch (adminErr) {
+    console.error('❌ Failed to load admin and account routes:', adminErr.message);
+  }
+
+  // Mount usage metering routes (setting a budget needs admin)
+  console.log('🚀 Mounting usage routes...');
+  try {
+    const usageRoutes = require('./routes/usage');
+    app.use('/api/usage', requireRole('adjuster'), usageRoutes);
+    console.log('✅ Usage routes mounted');
+    console.log('🎯 Usage routes: GET /api/usage/me, GET /api/usage/summary, GET /api/usage/jobs/:jobId, GET/PUT /api/usage/budgets/:userId');
+  } catch (usageErr) {
+    console.error('❌ Failed to load usage routes:', usageErr.message);
+  }
+
   // Mount URL resolution routes
   console.log('🚀 Mounting URL resolution routes...');
   try {
@@ -1557,8 +1531,32 @@ app.get('/health/redis', async (req, res) => {
   }
 });
 
+// NEW: Search provider health with per-provider cost/latency accounting
+app.get('/health/search-providers', (req, res) => {
+  try {
+    const { getSearchProviderChain } = require('./services/SearchProviders');
+    const providers = getSearchProviderChain().getStats();
+    const available = providers.filter(provider => provider.available).map(provider => provider.engine);
+
+    res.status(200).json({
+      status: available.length === 0 ? 'down' : (available[0] === providers[0].engine ? 'healthy' : 'degraded'),
+      timestamp: new Date().toISOString(),
+      order: providers.map(provider => provider.engine),
+      available,
+      providers
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      timestamp: new Date().toISOString(),
+      error: error.message,
+      message: 'Search provider health check failed'
+    });
+  }
+});
+
 // Redis restart endpoint
-app.post('/api/redis/restart', async (req, res) => {
+app.post('/api/redis/restart', requireRole('admin'), async (req, res) => {
   try {
     console.log('🔄 Redis restart request received');
     
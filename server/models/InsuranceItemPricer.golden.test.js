@@ -0,0 +1,123 @@
+/**
+ * Golden-file tests for InsuranceItemPricer.findBestPrice
+ * Replays recorded SerpAPI responses and diffs the chosen price / URL / status per query
+ *
+ * Run with:    node server/models/InsuranceItemPricer.golden.test.js
+ * Re-record:   node server/models/InsuranceItemPricer.golden.test.js --record   (live SerpAPI, needs SERPAPI_KEY)
+ * Accept diff: node server/models/InsuranceItemPricer.golden.test.js --update
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const RECORD = args.includes('--record');
+const UPDATE = args.includes('--update') || RECORD;
+const ONLY = (args.find(arg => arg.startsWith('--only=')) || '').replace('--only=', '');
+
+const FIXTURE_DIR = path.join(__dirname, '__fixtures__', 'serpapi');
+const GOLDEN_FILE = path.join(__dirname, '__fixtures__', 'golden', 'findBestPrice.json');
+
+// Replay must be configured before the pricer (and its shared recorder) loads
+process.env.SERPAPI_FIXTURE_MODE = RECORD ? 'record' : 'replay';
+process.env.SERPAPI_FIXTURE_DIR = process.env.SERPAPI_FIXTURE_DIR || FIXTURE_DIR;
+if (!RECORD) {
+  // Any non-empty key enables the SerpAPI path; it never leaves the machine in replay mode
+  process.env.SERPAPI_KEY = process.env.SERPAPI_KEY || 'replay';
+}
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'replay';
+
+const InsuranceItemPricer = require('./InsuranceItemPricer');
+const { getSerpApiFixtureRecorder } = require('../utils/serpApiFixtures');
+
+// Only the decision fields are compared - logs, notes and timings are free to change
+function summarize(result) {
+  if (!result) {
+    return { price: null, url: null, status: 'No Result' };
+  }
+  const price = result.price ?? result.Price ?? null;
+  let status = result.Status || result.status;
+  if (!status) {
+    status = result.found ? (result.isEstimated ? 'Estimated' : 'Found') : 'Not Found';
+  }
+  return {
+    price: typeof price === 'number' ? Math.round(price * 100) / 100 : price,
+    url: result.url || result.URL || null,
+    status
+  };
+}
+
+function diff(expected, actual) {
+  return ['price', 'url', 'status']
+    .filter(field => JSON.stringify(expected[field]) !== JSON.stringify(actual[field]))
+    .map(field => `${field}: expected ${JSON.stringify(expected[field])} but got ${JSON.stringify(actual[field])}`);
+}
+
+async function runCase(testCase) {
+  // Fresh pricer per case so the in-memory URL cache cannot leak between queries
+  const pricer = new InsuranceItemPricer();
+  pricer.initRedis = async () => null;
+
+  // The pricer swallows SerpAPI errors, so missing fixtures are detected via the recorder stats
+  const recorder = getSerpApiFixtureRecorder();
+  const missingBefore = recorder.stats.missing;
+  const result = await pricer.findBestPrice(testCase.query, testCase.targetPrice, testCase.tolerance || 50);
+  const missing = recorder.stats.missing - missingBefore;
+
+  return { actual: summarize(result), missing };
+}
+
+async function main() {
+  const cases = JSON.parse(fs.readFileSync(GOLDEN_FILE, 'utf8'));
+  const selected = cases.filter(testCase => !ONLY || testCase.query === ONLY);
+  const failures = [];
+
+  console.log(`\n📋 findBestPrice golden files (${process.env.SERPAPI_FIXTURE_MODE} mode, ${selected.length} queries)`);
+
+  for (const testCase of selected) {
+    try {
+      const { actual, missing } = await runCase(testCase);
+      if (missing > 0) {
+        throw new Error(`${missing} SerpAPI request(s) had no fixture - re-record with --record`);
+      }
+
+      if (UPDATE) {
+        testCase.expected = actual;
+        console.log(`  📝 ${testCase.query} → ${JSON.stringify(actual)}`);
+        continue;
+      }
+
+      const problems = testCase.expected ? diff(testCase.expected, actual) : ['no golden recorded (run with --update)'];
+      if (problems.length === 0) {
+        console.log(`  ✅ ${testCase.query}`);
+      } else {
+        failures.push(testCase.query);
+        console.log(`  ❌ ${testCase.query}`);
+        problems.forEach(problem => console.log(`     ${problem}`));
+      }
+    } catch (error) {
+      failures.push(testCase.query);
+      console.log(`  ❌ ${testCase.query}`);
+      console.log(`     ${error.message}`);
+    }
+  }
+
+  if (UPDATE) {
+    fs.writeFileSync(GOLDEN_FILE, JSON.stringify(cases, null, 2) + '\n');
+    console.log(`\n💾 Updated ${GOLDEN_FILE}`);
+  }
+
+  const stats = getSerpApiFixtureRecorder().stats;
+  console.log(`\n🎞️ SerpAPI fixtures: ${stats.replayed} replayed, ${stats.recorded} recorded, ${stats.missing} missing`);
+  if (!UPDATE) {
+    console.log(failures.length ? `\n❌ ${failures.length} golden mismatch(es)` : '\n✅ All golden files match');
+  }
+  return failures.length;
+}
+
+main()
+  .then(failed => process.exit(failed ? 1 : 0))
+  .catch(error => {
+    console.error('❌ Golden runner failed:', error);
+    process.exit(1);
+  });
@@ -15,25 +15,22 @@ try {
   };
 }
 
-// ENHANCED: Research tracking and analytics
-let ResearchTracker;
+// ENHANCED: Research tracking and analytics (stored per user/session - see ResearchTracker)
+let getResearchTracker;
 try {
-  ResearchTracker = require('../services/ResearchTracker');
+  ({ getResearchTracker } = require('../services/ResearchTracker'));
 } catch (error) {
   console.log('⚠️ ResearchTracker not available, using fallback tracking');
   // Fallback tracker
-  ResearchTracker = class FallbackTracker {
-    constructor() {
-      this.researchHistory = new Map();
-      this.successMetrics = { totalAttempts: 0, successfulPricing: 0, failedPricing: 0 };
-    }
+  class FallbackTracker {
     trackResearchAttempt() { return 'fallback_id'; }
     updateSearchResults() { return true; }
     trackAIResearch() { return true; }
     updateAIResearchResults() { return true; }
     completeResearchAttempt() { return true; }
-    getResearchAnalytics() { return this.successMetrics; }
-  };
+  }
+  const fallbackTracker = new FallbackTracker();
+  getResearchTracker = () => fallbackTracker;
 }
 
 // ENHANCED: Direct URL Resolution for "Found" status
@@ -48,6 +45,39 @@ const cheerio = require('cheerio');
 const gpt5Config = require('../config/gpt5Config');
 const redis = require('redis');
 
+// NEW: SerpAPI record/replay layer for offline golden tests
+const { getSerpApiFixtureRecorder, canonicalizeCacheKey } = require('../utils/serpApiFixtures');
+
+// NEW: Provider chain (SerpAPI → Google CSE → scraper) used when SerpAPI is down or unconfigured
+const { getSearchProviderChain } = require('../services/SearchProviders');
+const { scoreResults } = require('../utils/similarity');
+
+// NEW: Structured product data (JSON-LD / microdata / OpenGraph) from fetched product pages
+const { extractProductPage, fetchProductPage, readJsonLd } = require('../utils/productPageExtractor');
+
+// NEW: UPC/EAN/ASIN/model-number exact matching (identifier path ahead of title matching)
+const { detectIdentifiers, identifierQuery, listingMatchesIdentifier, pageMatchesIdentifier, IDENTIFIER_LABELS } = require('../utils/productIdentifiers');
+
+// NEW: SerpAPI/OpenAI usage metering and per-user daily budgets
+const { getUsageMeter } = require('../services/UsageMeter');
+
+// NEW: Every price we see is kept per product for history / drift checks (see PriceHistoryStore)
+const { getPriceHistoryStore } = require('../services/PriceHistoryStore');
+
+// NEW: Per-organization untrusted-site overrides (see OrgStore)
+const { getOrgSiteOverride } = require('../config/trustedSites');
+
+// NEW: Carrier LKQ (like kind and quality) rules for substitutes when the exact item is gone
+const { evaluateLkq, resolveLkqCategory, detectKnownBrand, detectMaterial, parseCapacityMeasure, parseScreenSize } = require('../utils/lkqEvaluator');
+
+// NEW: Per-job country/currency/language - storefront, price formats and local retailers (see utils/locale)
+const { getActiveLocale, localizeSerpRequest, localeCacheKey, parseLocalizedPrice, localRetailerDomain, getLocaleSiteVerdict } = require('../utils/locale');
+
+// NEW: Opt-in top-N scored candidates returned next to the pick (see utils/candidateCapture)
+const { resolveTopN, captureCandidates, isCapturingCandidates, recordCandidates, topCandidates } = require('../utils/candidateCapture');
+// NEW: Structured decision trace - strategies tried, candidate counts, rejections, cache hits (see utils/decisionTrace)
+const { traceDecisions, isTracing, traceStep, traceRejection, traceCache, finishTrace } = require('../utils/decisionTrace');
+
 // HIGH-PERFORMANCE: Optimized timeout configuration for reliable processing
 const TIMEOUT_CONFIG = {
   fast: 8000,        // 8s for most items (restored from 3s)
@@ -122,14 +152,8 @@ class InsuranceItemPricer {
       this.productValidator = new ProductValidator();
     }
     
-    // Initialize research tracker
-    try {
-      this.researchTracker = new ResearchTracker();
-      console.log('✅ ResearchTracker initialized');
-    } catch (error) {
-      console.log('⚠️ ResearchTracker initialization failed, using fallback');
-      this.researchTracker = new ResearchTracker();
-    }
+    // Initialize research tracker (shared with /api/research)
+    this.researchTracker = getResearchTracker();
     
     // Enhanced URL extraction (Zyte integration removed due to package issues)
     // Using improved regex methods instead
@@ -185,7 +209,9 @@ class InsuranceItemPricer {
       fast: 0,
       medium: 0,
       slow: 0,
-      cached: 0
+      cached: 0,
+      serpapi: 0,         // NEW: live SerpAPI requests (metered in UsageMeter)
+      budgetDegraded: 0   // NEW: searches skipped because the user's daily budget was spent
     };
     // Cache for Found items with direct URLs to reduce SerpAPI cost
     this.directUrlCache = new Map();
@@ -266,16 +292,55 @@ class InsuranceItemPricer {
   }
 
   // Canonicalize cache key for consistent caching across different descriptions
+  // (shared with the SerpAPI fixture recorder so fixture keys match cache keys)
   canonicalizeCacheKey(query) {
-    if (!query) return '';
-    
-    return query
-      .toString()
-      .trim()
-      .toLowerCase()
-      .replace(/[^\w\s]/g, '') // Remove special characters
-      .replace(/\s+/g, ' ')   // Normalize whitespace
-      .substring(0, 100);     // Limit length
+    return canonicalizeCacheKey(query);
+  }
+
+  // All direct SerpAPI GETs go through the record/replay layer (see serpApiFixtures)
+  // Outages are reported to the search provider chain so pricing fails over to CSE/scraper;
+  // live calls are metered against the current user/job and blocked once the budget is spent.
+  // The job's locale picks the Google storefront (gl / hl / google_domain).
+  async serpGet(url, config = {}) {
+    const usageMeter = getUsageMeter();
+    await usageMeter.assertWithinBudget();
+    try {
+      const response = await getSerpApiFixtureRecorder().request(localizeSerpRequest({ ...config, method: 'get', url }));
+      this.meterSerpRequest(response);
+      return response;
+    } catch (error) {
+      // Requests that reached SerpAPI are billed even when they fail
+      if (error.response) this.meterSerpRequest(error.response);
+      getSearchProviderChain().reportError('serpapi', error);
+      throw error;
+    }
+  }
+
+  // NEW: Fire-and-forget - price history must never slow down or break pricing
+  recordPriceObservations(query, observations) {
+    const jobId = getUsageMeter().getContext().jobId || null;
+    getPriceHistoryStore().record(query, observations, { jobId }).catch(error => {
+      console.log(`⚠️ Price history not recorded for "${query}":`, error.message);
+    });
+  }
+
+  // Google Shopping results as 'offer' observations (retailer, price, URL)
+  recordShoppingOffers(query, shoppingResults) {
+    this.recordPriceObservations(query, (shoppingResults || []).map(result => ({
+      kind: 'offer',
+      retailer: result.source || result.merchant?.name || null,
+      price: typeof result.extracted_price === 'number'
+        ? result.extracted_price
+        : (typeof result.price === 'number' ? result.price : this.parsePrice(result.price)),
+      url: result.product_link || result.link || result.url || null,
+      title: result.title || null
+    })));
+  }
+
+  meterSerpRequest(response) {
+    if (response && response.fromFixture) return;
+    this.requestStats.serpapi += 1;
+    getUsageMeter().record({ provider: 'serpapi', requests: 1 });
   }
 
   // Safe substring helper function to prevent null errors
@@ -701,19 +766,20 @@ class InsuranceItemPricer {
             return canonical;
           }
 
-          // ENHANCED: Look for JSON-LD structured data
-          const jsonLd = $('script[type="application/ld+json"]').html();
-          if (jsonLd) {
-            try {
-              const data = JSON.parse(jsonLd);
-              if (data.url && !this.isCatalogUrl(data.url)) {
-                console.log(`✅ Found product URL in JSON-LD: ${data.url}`);
-                return data.url;
-              }
-            } catch (e) {
-              // Ignore JSON parsing errors
+          // ENHANCED: Look for structured data (JSON-LD / microdata Product, then listed products)
+          const page = extractProductPage($, { url: finalUrl });
+          if (page.productUrl) {
+            const productUrl = new URL(page.productUrl, finalUrl).href;
+            if (!this.isCatalogUrl(productUrl)) {
+              console.log(`✅ Found product URL in ${page.sources.productUrl}: ${productUrl}`);
+              return productUrl;
             }
           }
+          const listed = readJsonLd($).find(node => node.listed && node.url && !this.isCatalogUrl(node.url));
+          if (listed) {
+            console.log(`✅ Found product URL in JSON-LD item list: ${listed.url}`);
+            return new URL(listed.url, finalUrl).href;
+          }
 
         } catch (error) {
           console.log(`⚠️ Resolution attempt ${attempt} failed: ${error.message}`);
@@ -825,6 +891,21 @@ class InsuranceItemPricer {
     }
   }
 
+  /**
+   * Whether a searchWithProductValidation result is a priced listing we can return as found:
+   * a Found/verified status with a price and a product page (not a rejection, an estimate or a
+   * Google search URL)
+   */
+  isConfirmedRetailerResult(result) {
+    if (!result) return false;
+    const status = String(result.Status || result.status || '').toLowerCase();
+    const price = parseFloat(result.Price ?? result.price);
+    const url = result.URL || result.url || '';
+    return (status === 'found' || status === 'verified') &&
+      Number.isFinite(price) && price > 0 &&
+      !!url && !url.includes('google.com/search');
+  }
+
   // Determine if a URL is a direct retailer product page based on trusted sources
   isDirectRetailerProductUrl(urlString) {
     try {
@@ -872,7 +953,18 @@ class InsuranceItemPricer {
         /costco\.com\/.*\.product\./,
         /overstock\.com\/.*\/product\//,
         /kohls\.com\/.*\/p\/.*\/\d+/,
-        /amazon\.com\/dp\/[A-Z0-9]+/  // Simplified Amazon pattern
+        /amazon\.com\/dp\/[A-Z0-9]+/,  // Simplified Amazon pattern
+        // NEW: Storefronts of the other supported countries (see config/locales)
+        /amazon\.(ca|co\.uk|de|fr|ie|com\.au)\/(.*\/)?dp\/[A-Z0-9]+/,
+        /walmart\.ca\/(en\/|fr\/)?ip\/.*\/[A-Z0-9]+/,
+        /canadiantire\.ca\/.*\/pdp\/.*\d+/,
+        /homedepot\.ca\/product\/.*\/\d+/,
+        /bestbuy\.ca\/(en-ca|fr-ca)\/product\/.*\d+/,
+        /argos\.co\.uk\/product\/\d+/,
+        /currys\.co\.uk\/products\/.*\d+/,
+        /johnlewis\.com\/.*\/p\d+/,
+        /ao\.com\/product\//,
+        /diy\.com\/departments\/.*\.prd/
       ];
       
       const isDirectProduct = directPatterns.some(pattern => pattern.test(urlString));
@@ -970,7 +1062,167 @@ class InsuranceItemPricer {
   }
 
   // MAIN METHOD: Enhanced with accurate product matching and FIXED URL handling
-  async findBestPrice(query, targetPrice = null, tolerance) {
+  // NEW: Found, non-estimated picks are recorded as 'best' price observations
+  // NEW: options { description, brand, model } - rows carrying a UPC/EAN/ASIN/model number try the
+  // identifier path first; results are marked matchType 'identifier' or 'title'
+  // NEW: options.candidates (true or a count) adds result.candidates - the top N scored offers with
+  // their sub-scores, the pick marked selected
+  // NEW: options.trace adds result.decisionTrace - each strategy tried and why the pick is Found or
+  // Estimated. Inside a job row's trace the steps land in the row's trace instead.
+  async findBestPrice(query, targetPrice = null, tolerance, options = {}) {
+    if (options.trace && !isTracing()) {
+      const { value, trace } = await traceDecisions({ query, targetPrice, tolerancePct: tolerance }, () =>
+        this.findBestPrice(query, targetPrice, tolerance, { ...options, trace: false }));
+      return value && typeof value === 'object'
+        ? {
+          ...value,
+          decisionTrace: finishTrace(trace, {
+            status: value.found && !value.isEstimated ? 'Found' : 'Estimated',
+            source: value.source,
+            price: value.price,
+            url: value.url
+          })
+        }
+        : value;
+    }
+
+    const candidateCount = resolveTopN(options.candidates);
+    if (candidateCount > 0 && !isCapturingCandidates()) {
+      const { value, collector } = await captureCandidates(candidateCount, () =>
+        this.findBestPrice(query, targetPrice, tolerance, { ...options, candidates: false }));
+      // Copied so a cached result object never keeps one request's candidates
+      return value && typeof value === 'object'
+        ? { ...value, candidates: topCandidates(collector, value) }
+        : value;
+    }
+
+    const identifiers = detectIdentifiers({
+      description: [options.description, query].filter(Boolean).join(' '),
+      brand: options.brand,
+      model: options.model
+    });
+    let result = identifiers.length > 0
+      ? await this.findIdentifierMatch(identifiers, { brand: options.brand, targetPrice, tolerance })
+      : null;
+    if (identifiers.length > 0) {
+      traceStep('identifier', result ? 'found' : 'no_results', {
+        detail: identifiers.slice(0, 2).map(identifier => `${IDENTIFIER_LABELS[identifier.type]} ${identifier.value}`).join(', ')
+      });
+    }
+    if (!result) {
+      result = await this.searchBestPrice(query, targetPrice, tolerance, options.aiResearch);
+      if (result && result.found && !result.isEstimated && !result.matchType) {
+        result.matchType = 'title';
+      }
+    }
+    // NEW: Prices are in the job's currency unless the listing said otherwise
+    if (result && typeof result === 'object' && !result.currency) {
+      result.currency = result.Currency || getActiveLocale().currency;
+    }
+    if (result && result.found && !result.isEstimated) {
+      const price = typeof result.price === 'number' ? result.price : this.parsePrice(String(result.price ?? result.Price ?? ''));
+      this.recordPriceObservations(query, [{
+        kind: 'best',
+        retailer: result.source,
+        price,
+        url: result.url,
+        title: result.description
+      }]);
+    }
+    return result;
+  }
+
+  /**
+   * Identifier path: search shopping results by UPC/EAN/ASIN/model number and keep only listings
+   * that verifiably are that item - the identifier appears on the listing itself, or on the
+   * retailer page's structured data (GTIN / MPN / SKU). In-tolerance picks win, then the cheapest.
+   * @param {Array} identifiers - detectIdentifiers() entries, best first
+   * @param {Object} options - { brand, targetPrice, tolerance }
+   * @returns {Promise<Object|null>} findBestPrice-shaped result with matchType 'identifier', or null
+   */
+  async findIdentifierMatch(identifiers, { brand = null, targetPrice = null, tolerance = null } = {}) {
+    if (!this.serpApiKey) return null;
+
+    let priceRange = null;
+    if (targetPrice && targetPrice > 0 && tolerance > 0) {
+      const PriceRangeCalculator = require('../utils/priceRangeCalculator');
+      priceRange = PriceRangeCalculator.calculateRange(targetPrice, tolerance);
+    }
+
+    // At most two identifiers - each one is a paid search
+    for (const identifier of identifiers.slice(0, 2)) {
+      const label = IDENTIFIER_LABELS[identifier.type];
+      const searchQuery = identifierQuery(identifier, brand);
+      console.log(`🔢 IDENTIFIER SEARCH: ${label} ${identifier.value} → "${searchQuery}"`);
+
+      try {
+        const listings = (await this.searchGoogleShopping(searchQuery)) || [];
+        const verified = [];
+        const unverified = [];
+
+        for (const listing of listings) {
+          const url = listing.direct_url || listing.link;
+          const price = typeof listing.extracted_price === 'number' ? listing.extracted_price : this.parsePrice(String(listing.price || ''));
+          if (!price || price <= 0 || !this.isTrustedSource(listing.source || '') || !this.isDirectRetailerProductUrl(url)) {
+            continue;
+          }
+          const candidate = { listing, url, price, title: listing.title || searchQuery, source: listing.source };
+          if (listingMatchesIdentifier(listing, identifier)) {
+            verified.push({ ...candidate, verifiedBy: 'listing' });
+          } else {
+            unverified.push(candidate);
+          }
+        }
+
+        // Listings that don't name the identifier are checked against the retailer page itself
+        for (const candidate of unverified.slice(0, verified.length > 0 ? 0 : 3)) {
+          try {
+            const page = await fetchProductPage(candidate.url, { timeout: 8000 });
+            if (page.inStock === false || !pageMatchesIdentifier(page, identifier)) continue;
+            verified.push({ ...candidate, price: page.price || candidate.price, verifiedBy: `page ${page.sources.gtin || page.sources.mpn || page.method}` });
+          } catch (pageError) {
+            console.log(`⚠️ Identifier page check failed for ${candidate.url}: ${pageError.message}`);
+          }
+        }
+
+        if (verified.length === 0) {
+          console.log(`❌ IDENTIFIER SEARCH: no trusted listing verified for ${label} ${identifier.value}`);
+          continue;
+        }
+
+        const inRange = candidate => !priceRange || (candidate.price >= priceRange.minPrice && candidate.price <= priceRange.maxPrice);
+        verified.sort((a, b) => Number(inRange(b)) - Number(inRange(a)) || a.price - b.price);
+        const best = verified[0];
+        console.log(`✅ IDENTIFIER MATCH: ${label} ${identifier.value} → $${best.price} at ${best.source} (verified on ${best.verifiedBy})`);
+
+        return {
+          found: true,
+          price: best.price,
+          source: this.extractRetailerName(best.source),
+          url: best.url,
+          category: 'HSW',
+          subcategory: this.getSubCategory(best.title),
+          description: best.title,
+          isEstimated: false,
+          currency: this.listingCurrency(best.listing),
+          matchType: 'identifier',
+          matchQuality: `Exact ${label} Match`,
+          identifier: {
+            type: identifier.type,
+            value: identifier.value,
+            source: identifier.source,
+            verifiedBy: best.verifiedBy
+          },
+          priceUrlConsistent: true
+        };
+      } catch (error) {
+        console.log(`⚠️ Identifier search failed for ${label} ${identifier.value}: ${error.message}`);
+      }
+    }
+    return null;
+  }
+
+  async searchBestPrice(query, targetPrice = null, tolerance, aiResearch = null) {
     // Use only the provided tolerance - no defaults
     if (!tolerance || tolerance <= 0) {
       throw new Error('Tolerance percentage is required and must be greater than 0');
@@ -994,7 +1246,14 @@ class InsuranceItemPricer {
     
     // CRITICAL FIX: Always try SerpAPI first for accurate results
     if (!this.serpApiKey) {
+      // ENHANCED: Try the remaining search providers (Google CSE, scraper) before estimating
+      traceStep('serpapi', 'skipped', { detail: 'no SERPAPI_KEY configured' });
+      const providerResult = await this.searchFallbackProviders(query, priceRange);
+      if (providerResult) {
+        return providerResult;
+      }
       console.log('⚡ FAST MODE: No SERPAPI_KEY found, using intelligent price estimation');
+      traceStep('price_estimate', 'estimated', { detail: 'no search provider available' });
       return this.generateFastIntelligentEstimate(query, targetPrice, tolerance);
     }
     
@@ -1003,10 +1262,14 @@ class InsuranceItemPricer {
     // ENHANCED: Start research tracking
     const startTime = Date.now();
     const attemptId = this.researchTracker.trackResearchAttempt(query, targetPrice, startTime);
+    // NEW: Keep the AI steps that shaped this query (description enhancement, price estimate) with the attempt
+    if (aiResearch) {
+      this.researchTracker.trackAIResearch(attemptId, aiResearch);
+    }
 
     // CACHE CHECK: Return cached Found result with direct URL if available
     try {
-      const cacheKey = this.canonicalizeCacheKey(query);
+      const cacheKey = localeCacheKey(this.canonicalizeCacheKey(query));
       if (cacheKey) {
         // Check in-memory cache first (fast path)
         if (this.directUrlCache.has(cacheKey)) {
@@ -1017,10 +1280,12 @@ class InsuranceItemPricer {
               const isWithinRange = cached.Price >= priceRange.minPrice && cached.Price <= priceRange.maxPrice;
               if (!isWithinRange) {
                 console.log(`❌ CACHE REJECTION: Cached price $${cached.Price} is outside tolerance range $${priceRange.minPrice} - $${priceRange.maxPrice}`);
+                traceCache('memory', 'rejected', cacheKey);
                 // Don't return cached result, continue with fresh search
               } else {
                 this.requestStats.cached += 1;
                 console.log(`⚡ MEMORY CACHE HIT for "${cacheKey}" → ${cached.source} (within tolerance)`);
+                traceCache('memory', 'hit', cacheKey);
                 this.researchTracker.updateSearchResults(attemptId, cached);
                 this.researchTracker.completeResearchAttempt(attemptId, cached, Date.now());
                 return cached;
@@ -1028,13 +1293,16 @@ class InsuranceItemPricer {
             } else {
               this.requestStats.cached += 1;
               console.log(`⚡ MEMORY CACHE HIT for "${cacheKey}" → ${cached.source}`);
+              traceCache('memory', 'hit', cacheKey);
               this.researchTracker.updateSearchResults(attemptId, cached);
               this.researchTracker.completeResearchAttempt(attemptId, cached, Date.now());
               return cached;
             }
           }
+        } else {
+          traceCache('memory', 'miss', cacheKey);
         }
-        
+
         // Check Redis cache (persistent)
         const redisClient = await this.initRedis();
         if (redisClient && this.redisConnected) {
@@ -1049,10 +1317,12 @@ class InsuranceItemPricer {
                   const isWithinRange = cached.Price >= priceRange.minPrice && cached.Price <= priceRange.maxPrice;
                   if (!isWithinRange) {
                     console.log(`❌ REDIS CACHE REJECTION: Cached price $${cached.Price} is outside tolerance range $${priceRange.minPrice} - $${priceRange.maxPrice}`);
+                    traceCache('redis', 'rejected', redisKey);
                     // Don't return cached result, continue with fresh search
                   } else {
                     this.requestStats.cached += 1;
                     console.log(`⚡ REDIS CACHE HIT for "${cacheKey}" → ${cached.source} (within tolerance)`);
+                    traceCache('redis', 'hit', redisKey);
                     
                     // Write to memory cache for faster future access
                     this.directUrlCache.set(cacheKey, cached);
@@ -1064,6 +1334,7 @@ class InsuranceItemPricer {
                 } else {
                   this.requestStats.cached += 1;
                   console.log(`⚡ REDIS CACHE HIT for "${cacheKey}" → ${cached.source}`);
+                  traceCache('redis', 'hit', redisKey);
                   
                   // Write to memory cache for faster future access
                   this.directUrlCache.set(cacheKey, cached);
@@ -1073,21 +1344,47 @@ class InsuranceItemPricer {
                   return cached;
                 }
               }
+            } else {
+              traceCache('redis', 'miss', redisKey);
             }
           } catch (redisError) {
             console.log('⚠️ Redis cache read error:', redisError.message);
+            traceStep('cache_redis', 'error', { detail: redisError.message });
           }
         }
       }
     } catch (_e) {}
     
+    // NEW: Over-budget users stop spending - cache misses get the baseline estimate
+    if (await getUsageMeter().shouldDegrade()) {
+      this.requestStats.budgetDegraded += 1;
+      console.log(`💸 BUDGET: Daily usage budget exceeded - estimating "${query}" without searching`);
+      traceStep('usage_budget', 'skipped', { detail: 'daily usage budget exceeded - search not run' });
+      const budgetResult = {
+        found: true,
+        price: this.getEnhancedPriceEstimate(query),
+        source: 'price-estimate',
+        url: this.createFallbackSearchUrl(query),
+        category: 'HSW',
+        subcategory: 'Budget-Estimated',
+        description: `Usage budget exceeded - estimated price for: ${query}`,
+        isEstimated: true,
+        matchQuality: 'Estimated - Budget Exceeded',
+        budgetExceeded: true
+      };
+      this.researchTracker.updateSearchResults(attemptId, budgetResult);
+      this.researchTracker.completeResearchAttempt(attemptId, budgetResult, Date.now());
+      return budgetResult;
+    }
+    
     try {
       // PRIORITY 1: Try direct retailer search first (avoid Google Shopping URLs)
       console.log('🔍 PRIORITY 1: Running direct retailer search for specific retailer URLs...');
       const directRetailerResult = await this.searchWithProductValidation(query, 0, 99999, targetPrice, tolerance);
       
-      if (directRetailerResult && directRetailerResult.Status && directRetailerResult.Status !== 'estimated') {
+      if (this.isConfirmedRetailerResult(directRetailerResult)) {
         console.log('✅ Direct retailer product found - returning result');
+        traceStep('direct_retailer', 'found', { detail: directRetailerResult.Source || directRetailerResult.source });
         
         // Transform the old capitalized format to new lowercase format
         const transformedResult = {
@@ -1109,6 +1406,10 @@ class InsuranceItemPricer {
         return transformedResult;
       }
       
+      traceStep('direct_retailer', directRetailerResult ? 'rejected' : 'no_results', {
+        detail: directRetailerResult ? `status ${directRetailerResult.Status || 'unknown'}` : undefined
+      });
+
       // PRIORITY 2: Use SerpAPI Google Shopping for accurate product matching
       console.log('🔍 PRIORITY 2: Using SerpAPI Google Shopping for accurate product matching...');
       
@@ -1124,10 +1425,15 @@ class InsuranceItemPricer {
       // FALLBACK: Run exact product search and alternative search concurrently
       console.log('🔍 FALLBACK: Running exact product search and alternative search concurrently...');
       const [exactResult, alternatives] = await Promise.all([
-        this.findExactProduct(query, targetPrice),
-        this.searchForAlternatives(query, targetPrice)
+        this.findExactProduct(query, targetPrice, tolerance),
+        this.searchForAlternatives(query, targetPrice, tolerance)
       ]);
       
+      traceStep('exact_product', exactResult && exactResult.found ? 'found' : 'no_results');
+      traceStep('alternatives', alternatives && alternatives.length > 0 ? 'found' : 'no_results', {
+        candidates: alternatives ? alternatives.length : 0
+      });
+
       // Check exact result first
       if (exactResult && exactResult.found) {
         console.log('✅ Exact product found - checking URL type...');
@@ -1139,7 +1445,7 @@ class InsuranceItemPricer {
           // Try direct retailer search to get a direct URL
           const directRetailerResult = await this.searchWithProductValidation(query, 0, 99999, targetPrice, tolerance);
           
-          if (directRetailerResult && directRetailerResult.Status && directRetailerResult.Status !== 'estimated') {
+          if (this.isConfirmedRetailerResult(directRetailerResult)) {
             console.log('✅ Found direct retailer URL - using it instead of Google Shopping URL');
             
             // Transform the old capitalized format to new lowercase format
@@ -1208,6 +1514,10 @@ class InsuranceItemPricer {
           description: bestAlternative.title || query,
           isEstimated: true,
           matchQuality: matchQuality,
+          // NEW: LKQ substitute - the justification goes to the export's notes column
+          matchType: 'substitute',
+          lkq: bestAlternative.lkq || null,
+          explanation: bestAlternative.lkq ? `${explanation}. ${bestAlternative.lkq.justification}` : explanation,
           // NEW: Add price-URL consistency flag - ACTUALLY VALIDATE IT
           priceUrlConsistent: this.validatePriceUrlConsistency(bestAlternative.price, bestAlternative.link || bestAlternative.product_link)
         };
@@ -1219,7 +1529,16 @@ class InsuranceItemPricer {
         return result;
       }
       
+      // ENHANCED: SerpAPI went down mid-search - fail over to the next provider before estimating
+      const providerResult = await this.searchFallbackProviders(query, priceRange);
+      if (providerResult) {
+        this.researchTracker.updateSearchResults(attemptId, providerResult);
+        this.researchTracker.completeResearchAttempt(attemptId, providerResult, Date.now());
+        return providerResult;
+      }
+      
       console.log('❌ No products found');
+      traceStep('price_estimate', 'estimated', { detail: 'no strategy returned a product' });
       const noMatchResult = {
         found: true,
         price: this.getEnhancedPriceEstimate(query),
@@ -1240,6 +1559,7 @@ class InsuranceItemPricer {
 
     } catch (error) {
       console.error('❌ Error in enhanced pricing:', error);
+      traceStep('search', 'error', { detail: error.message });
       const errorResult = {
         found: true,
         price: this.getEnhancedPriceEstimate(query),
@@ -1259,6 +1579,60 @@ class InsuranceItemPricer {
       return errorResult;
     }
   }
+  /**
+   * NEW: Price from the next search providers when SerpAPI is unconfigured or in outage cooldown
+   * Returns null when SerpAPI is healthy (the regular pipeline already covered it) or nothing usable was found
+   */
+  async searchFallbackProviders(query, priceRange = null) {
+    const chain = getSearchProviderChain();
+    if (chain.isAvailable('serpapi')) {
+      return null;
+    }
+
+    try {
+      const outcome = await chain.search(query, { exclude: ['serpapi'] });
+      let candidates = outcome.results.filter(result => result.price > 0 && result.link);
+      const priced = candidates.length;
+      if (priceRange) {
+        candidates = candidates.filter(result => result.price >= priceRange.minPrice && result.price <= priceRange.maxPrice);
+        for (let i = 0; i < priced - candidates.length; i++) traceRejection('outside_tolerance');
+      }
+      if (candidates.length === 0) {
+        console.log(`⚠️ Fallback providers found no usable results for "${query}"`);
+        traceStep(`fallback_${outcome.provider || 'providers'}`, priced > 0 ? 'rejected' : 'no_results', {
+          candidates: outcome.results.length,
+          kept: 0,
+          detail: priced > 0 ? 'every result outside the tolerance band' : undefined
+        });
+        return null;
+      }
+
+      // Same rule as the CSV pipeline: lowest price among the closest matches
+      const scored = scoreResults(candidates, { title: query });
+      const closeMatches = scored.filter(result => result.similarity >= 0.45);
+      const best = (closeMatches.length > 0 ? closeMatches : scored).sort((a, b) => a.price - b.price)[0];
+
+      console.log(`🔀 Fallback provider ${outcome.provider} priced "${query}" at $${best.price} (${best.source})`);
+      traceStep(`fallback_${outcome.provider}`, 'found', { candidates: outcome.results.length, kept: candidates.length, detail: best.source });
+      return {
+        found: true,
+        price: best.price,
+        source: this.extractRetailerName(best.source),
+        url: best.link,
+        category: 'HSW',
+        subcategory: this.getSubCategory(best.title || query),
+        description: best.title || query,
+        isEstimated: false,
+        matchQuality: closeMatches.length > 0 ? 'Good - Fallback Provider' : 'Fair - Fallback Provider',
+        searchProvider: outcome.provider
+      };
+    } catch (error) {
+      console.log(`⚠️ Fallback providers failed for "${query}": ${error.message}`);
+      traceStep('fallback_providers', 'error', { detail: error.message });
+      return null;
+    }
+  }
+
   /**
    * NEW: ChatGPT-suggested approach using Google Shopping + Google Product API
    * 1. Search Google Shopping to get product_ids
@@ -1514,6 +1888,7 @@ class InsuranceItemPricer {
       const serpApiKey = process.env.SERPAPI_KEY;
       if (!serpApiKey) {
         console.log('❌ SERPAPI_KEY not found');
+        traceStep('google_shopping', 'skipped', { detail: 'no SERPAPI_KEY configured' });
         return null;
       }
       
@@ -1543,7 +1918,7 @@ class InsuranceItemPricer {
       };
       
       console.log(`🔍 Searching Google Shopping: ${query}`);
-      const response = await axios.get(url, { 
+      const response = await this.serpGet(url, { 
         params, 
         timeout: 10000,
         headers: {
@@ -1559,10 +1934,12 @@ class InsuranceItemPricer {
       if (shoppingResults.length === 0) {
         console.log('❌ No shopping results found');
         console.log('🔍 SERPAPI RESPONSE DEBUG - Full response:', JSON.stringify(data, null, 2));
+        traceStep('google_shopping', 'no_results', { candidates: 0, detail: data.error });
         return null;
       }
       
       console.log(`✅ Found ${shoppingResults.length} shopping results`);
+      this.recordShoppingOffers(query, shoppingResults);
       
       // DEBUG: Log the first result to see available fields
       if (shoppingResults.length > 0) {
@@ -1590,6 +1967,7 @@ class InsuranceItemPricer {
       const bestMatch = this.findBestShoppingMatch(shoppingResults, query, targetPrice);
       if (!bestMatch) {
         console.log('❌ No suitable match found in shopping results');
+        traceStep('google_shopping', 'rejected', { candidates: shoppingResults.length, kept: 0, detail: 'no listing matched the item' });
         return null;
       }
       
@@ -1662,6 +2040,7 @@ class InsuranceItemPricer {
       // ENSURE we always have some URL for Found status
       if (!finalUrl) {
         console.log(`⚠️ No URL could be created, cannot mark as Found`);
+        traceStep('google_shopping', 'rejected', { candidates: shoppingResults.length, detail: `no product URL for ${bestMatch.source}` });
         return null;
       }
       
@@ -1683,12 +2062,14 @@ class InsuranceItemPricer {
       };
       
       console.log(`🎯 SERPAPI FINAL RESULT:`, result);
+      traceStep('google_shopping', 'found', { candidates: shoppingResults.length, detail: result.source });
       return result;
       
     } catch (error) {
       console.error(`❌ Error in searchGoogleShoppingEnhanced:`, error.message);
       console.error(`❌ SERPAPI SEARCH FAILED - This is why items get "Estimated" status`);
       console.error(`❌ Error details:`, error.stack);
+      traceStep('google_shopping', 'error', { detail: error.message });
       return null;
     }
   }
@@ -1704,9 +2085,14 @@ class InsuranceItemPricer {
     
     let bestMatch = null;
     let bestScore = 0;
+    const scoredOffers = isCapturingCandidates() ? [] : null;
     
     for (const result of shoppingResults) {
       if (!result.title || !result.price) continue;
+      if (scoredOffers) {
+        const offerPrice = result.extracted_price || this.parsePrice(result.price) || 0;
+        scoredOffers.push(this.scoreCandidateOffer({ ...result, price: offerPrice, currency: this.listingCurrency(result) }, query, { targetPrice }));
+      }
       
       // Calculate title similarity score with STRICT specification matching
       const titleWords = result.title.toLowerCase().split(/\s+/);
@@ -1768,15 +2154,81 @@ class InsuranceItemPricer {
     if (bestMatch) {
       console.log(`🏆 Best match selected with score ${bestScore.toFixed(2)}: ${bestMatch.title}`);
     }
+    if (scoredOffers) {
+      recordCandidates('shopping', scoredOffers);
+    }
     
     return bestMatch;
   }
 
+  /**
+   * NEW: Title similarity, spec match, price-in-range, trust and availability sub-scores of one
+   * offer (see utils/candidateCapture) - only computed while candidates are being captured
+   * @param {Object} result - SerpAPI shopping result or candidate with a numeric price
+   * @param {string} query - what was searched for (sub-scores that need it are null without it)
+   * @param {Object} options - { targetPrice, priceRange: { minPrice, maxPrice } }
+   */
+  scoreCandidateOffer(result, query, { targetPrice = null, priceRange = null } = {}) {
+    const title = String(result.title || '');
+    const queryText = String(query || '');
+    const price = typeof result.price === 'number' ? result.price : (result.extracted_price || this.parsePrice(String(result.price || '')) || 0);
+
+    const queryWords = queryText.toLowerCase().split(/\s+/).filter(word => word.length > 2);
+    const titleWords = title.toLowerCase().split(/\s+/).filter(Boolean);
+    const titleSimilarity = queryWords.length > 0
+      ? queryWords.filter(word => titleWords.some(titleWord => titleWord.includes(word) || word.includes(titleWord))).length / queryWords.length
+      : null;
+
+    // Same spec pattern findBestShoppingMatch penalizes mismatches with
+    const specPattern = /\d+\s*(oz|inch|ft|lb|gallon|quart)/gi;
+    const normalizeSpec = spec => spec.toLowerCase().replace(/\s+/g, '');
+    const querySpecs = (queryText.match(specPattern) || []).map(normalizeSpec);
+    const titleSpecs = (title.match(specPattern) || []).map(normalizeSpec);
+    const specMatch = querySpecs.length > 0
+      ? querySpecs.filter(spec => titleSpecs.includes(spec)).length / querySpecs.length
+      : null;
+
+    let priceInRange = null;
+    if (priceRange && priceRange.maxPrice > 0) {
+      const edge = price < priceRange.minPrice ? priceRange.minPrice : priceRange.maxPrice;
+      priceInRange = price >= priceRange.minPrice && price <= priceRange.maxPrice
+        ? 1
+        : Math.max(0, 1 - Math.abs(price - edge) / edge);
+    } else if (targetPrice > 0 && price > 0) {
+      priceInRange = Math.max(0, 1 - Math.abs(price - targetPrice) / Math.max(targetPrice, price));
+    }
+
+    const source = result.source || '';
+    const trust = this.isTrustedRetailer(source) ? 1.0 : 0.3;
+
+    // SerpAPI only sometimes says - stock notes, delivery text and extensions are all it gives
+    const stockText = [result.stock_information, result.delivery, result.tag, ...(Array.isArray(result.extensions) ? result.extensions : [])]
+      .filter(Boolean).join(' ').toLowerCase();
+    let availability = null;
+    if (result.in_stock === false || /out of stock|sold out|discontinued|unavailable|backorder/.test(stockText)) {
+      availability = 0;
+    } else if (result.in_stock === true || /in stock|ready to ship|available/.test(stockText)) {
+      availability = 1;
+    }
+
+    return {
+      title,
+      price,
+      currency: result.currency || this.listingCurrency(result),
+      source,
+      url: result.product_link || result.link || result.url || null,
+      scores: { titleSimilarity, specMatch, priceInRange, trust, availability }
+    };
+  }
+
   /**
    * Check if retailer is trusted
    */
   isTrustedRetailer(source) {
     if (!source) return false;
+    // NEW: Local retailers of the job's country are trusted, other countries' are not
+    const localeVerdict = getLocaleSiteVerdict(source);
+    if (localeVerdict) return localeVerdict === 'trusted';
     const lowerSource = source.toLowerCase();
     
     // FIRST: Block untrusted sources explicitly
@@ -1797,6 +2249,8 @@ class InsuranceItemPricer {
 
   extractDomainFromSource(source) {
     if (!source) return null;
+    const localDomain = localRetailerDomain(source);
+    if (localDomain) return localDomain;
     const lowerSource = source.toLowerCase();
     
     if (lowerSource.includes('walmart')) return 'walmart.com';
@@ -1860,15 +2314,19 @@ class InsuranceItemPricer {
   }
 
   /**
-   * Parse price from string
+   * Parse price from string ("$1,299.99", "CA$1,299.99", "1.299,00 €" - see parseLocalizedPrice)
    */
   parsePrice(priceString) {
     if (!priceString) return null;
-    const matches = priceString.match(/[\d,]+\.?\d*/);
-    if (matches) {
-      return parseFloat(matches[0].replace(/,/g, ''));
-    }
-    return null;
+    const parsed = parseLocalizedPrice(priceString);
+    return parsed ? parsed.amount : null;
+  }
+
+  // NEW: Currency a shopping listing is priced in - from its price text, else the job's currency
+  listingCurrency(listing) {
+    const text = listing && typeof listing.price === 'string' ? listing.price : null;
+    const parsed = text ? parseLocalizedPrice(text) : null;
+    return parsed ? parsed.currency : getActiveLocale().currency;
   }
 
   /**
@@ -1910,13 +2368,14 @@ class InsuranceItemPricer {
       // We'll filter by price after getting results
       console.log(`🔍 Searching Google Shopping: ${query}`);
       
-      const response = await axios.get(url, { params, timeout: 25000 });
+      const response = await this.serpGet(url, { params, timeout: 25000 });
       
       // Handle both response formats: shopping_results (google_shopping) and inline_shopping_results (google with tbm=shop)
       const shoppingResults = response.data.shopping_results || response.data.inline_shopping_results || [];
       
       if (shoppingResults.length > 0) {
         console.log(`✅ Found ${shoppingResults.length} Google Shopping products`);
+        this.recordShoppingOffers(query, shoppingResults);
         
         // DEBUG: Log the structure of the first result
         if (shoppingResults.length > 0) {
@@ -2080,7 +2539,7 @@ class InsuranceItemPricer {
       };
       
       console.log(`🔍 Getting sellers for product ID: ${productId}`);
-      const response = await axios.get(url, { params, timeout: 25000 });
+      const response = await this.serpGet(url, { params, timeout: 25000 });
       
       let sellers = null;
       if (response.data && response.data.sellers_results && response.data.sellers_results.online_sellers) {
@@ -2202,7 +2661,7 @@ class InsuranceItemPricer {
               // Return early with the direct URL result
               return {
                 Price: null, // Will be filled by caller
-                Currency: "USD",
+                Currency: getActiveLocale().currency,
                 Source: domain.replace('.com', ''),
                 URL: siteResults,
                 Status: "found",
@@ -2250,10 +2709,10 @@ class InsuranceItemPricer {
         const intelligentEstimate = this.getEnhancedPriceEstimate(query);
         return {
           Price: intelligentEstimate,
-          Currency: "USD",
+          Currency: getActiveLocale().currency,
           Source: "Market Search",
           URL: this.createFallbackSearchUrl(query),
-          Status: "Found", // FIXED: Mark as Found since we have a valid price estimate
+          Status: "estimated", // A search page with an estimate is not a found listing
           Pricer: "AI-Enhanced",
           Title: query,
           Brand: "Unknown",
@@ -2300,6 +2759,13 @@ class InsuranceItemPricer {
       );
       queryTerms.searchTerms = words;
       
+      // Tolerance band around the target price (as in searchBestPrice) for the strict validation
+      let priceRange = null;
+      if (targetPrice && tolerance) {
+        const PriceRangeCalculator = require('../utils/priceRangeCalculator');
+        priceRange = PriceRangeCalculator.calculateRange(targetPrice, tolerance);
+      }
+
       // Apply strict product validation
       const validatedResult = await this.findBestValidatedMatch(results, queryTerms, minPriceParam, maxPriceParam, targetPrice, tolerance, priceRange);
       
@@ -2319,7 +2785,7 @@ class InsuranceItemPricer {
         const intelligentEstimate = this.getEnhancedPriceEstimate(query);
         return {
           Price: intelligentEstimate,
-          Currency: "USD",
+          Currency: getActiveLocale().currency,
           Source: "Market Search",
           URL: this.createFallbackSearchUrl(query),
           Status: "Found", // FIXED: Mark as Found since we have a valid price estimate
@@ -2460,7 +2926,7 @@ class InsuranceItemPricer {
     const serpUrl = `https://serpapi.com/search.json?engine=google&q=${encodeURIComponent(query)}&api_key=${this.serpApiKey}&num=25&gl=us&hl=en&tbm=shop&tbs=shop:1${tbsParam}`;
     
     try {
-      const response = await axios.get(serpUrl, {
+      const response = await this.serpGet(serpUrl, {
         timeout,
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
@@ -2487,6 +2953,7 @@ class InsuranceItemPricer {
         for (const untrusted of untrustedSources) {
           if (sourceLower.includes(untrusted)) {
             console.log(`❌ BLOCKED SOURCE: ${result.source} (contains: ${untrusted})`);
+            traceRejection('untrusted_source', result);
             return false;
           }
         }
@@ -2500,10 +2967,16 @@ class InsuranceItemPricer {
           }
         }
         
+        traceRejection('untrusted_source', result);
         return false;
       });
       
       console.log(`✅ Found ${trustedResults.length} trusted retailer results`);
+      traceStep('serpapi_search', results.length > 0 ? (trustedResults.length > 0 ? 'found' : 'rejected') : 'no_results', {
+        candidates: results.length,
+        kept: trustedResults.length,
+        detail: results.length > 0 && trustedResults.length === 0 ? 'no result from a trusted retailer' : response.data.error
+      });
       
       // Process trusted results
       const enhancedResults = trustedResults.map(result => {
@@ -2560,7 +3033,7 @@ class InsuranceItemPricer {
         const fallbackUrl = `https://serpapi.com/search.json?engine=google&q=${encodeURIComponent(query)}&api_key=${this.serpApiKey}&num=25&gl=us&hl=en&tbm=shop&tbs=shop:1`;
         
         try {
-          const fallbackResponse = await axios.get(fallbackUrl, {
+          const fallbackResponse = await this.serpGet(fallbackUrl, {
             timeout,
             headers: {
               'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
@@ -2599,6 +3072,11 @@ class InsuranceItemPricer {
             });
             
             console.log(`🔍 Price validation: ${trustedFallbackResults.length} trusted → ${priceValidatedResults.length} within price range`);
+            traceStep('serpapi_search_unfiltered', priceValidatedResults.length > 0 ? 'found' : 'rejected', {
+              candidates: fallbackResults.length,
+              kept: priceValidatedResults.length,
+              detail: `${trustedFallbackResults.length} from trusted retailers`
+            });
             
             // Process fallback results
             const fallbackEnhancedResults = priceValidatedResults.map(result => {
@@ -2623,6 +3101,7 @@ class InsuranceItemPricer {
           }
         } catch (fallbackError) {
           console.log(`⚠️ Fallback search also failed: ${fallbackError.message}`);
+          traceStep('serpapi_search_unfiltered', 'error', { detail: fallbackError.message });
         }
       }
       
@@ -2630,6 +3109,7 @@ class InsuranceItemPricer {
       
     } catch (error) {
       console.log(`⚠️ Google Shopping search failed: ${error.message}`);
+      traceStep('serpapi_search', 'error', { detail: error.message });
       return [];
     }
   }
@@ -2688,6 +3168,8 @@ class InsuranceItemPricer {
       
       for (const result of fallbackResults) {
         const price = parseFloat(result.extracted_price || result.price || 0);
+        // The broader range is still a range - listings outside it are not a fallback match
+        if (price < fallbackRange.minPrice || price > fallbackRange.maxPrice) continue;
         if (price > 0 && price < bestPrice) {
           bestMatch = result;
           bestPrice = price;
@@ -2706,7 +3188,7 @@ class InsuranceItemPricer {
       
       return {
         Price: bestPrice,
-        Currency: "USD",
+        Currency: getActiveLocale().currency,
         Source: bestMatch.source || 'Google Shopping',
         URL: googleUrl,
         Status: 'Found (Google Fallback)',
@@ -2755,6 +3237,7 @@ class InsuranceItemPricer {
     const candidates = [];
     let skippedCount = 0;
     let validationLogs = [];
+    const scoredOffers = isCapturingCandidates() ? [] : null;
     
     // Log top 10 results BEFORE filtering as required
     const topResults = results.slice(0, 10);
@@ -2777,6 +3260,7 @@ class InsuranceItemPricer {
       // Skip if no price or not from trusted source
       if (price <= 0) {
         validationLogs.push(`SKIP(no_price): ${r.title}`);
+        traceRejection('no_price', r);
         skippedCount++;
         continue;
       }
@@ -2784,6 +3268,7 @@ class InsuranceItemPricer {
       // Use block-only source validation (inverted logic for better success rate)
       if (this.isBlockedSource(sourceField)) {
         validationLogs.push(`SKIP(domain_blocked): ${r.title} from ${sourceField}`);
+        traceRejection('domain_blocked', r);
         skippedCount++;
         continue;
       }
@@ -2803,6 +3288,7 @@ class InsuranceItemPricer {
         const hasAnyProductWord = productWords.some(word => title.includes(word.toLowerCase()));
         if (!hasAnyProductWord) {
           validationLogs.push(`SKIP(unrelated_product): ${r.title}`);
+          traceRejection('unrelated_product', r);
           skippedCount++;
           continue;
         }
@@ -2812,11 +3298,15 @@ class InsuranceItemPricer {
       candidates.push({
         ...r,
         price,
+        currency: this.listingCurrency(r),
         source: sourceField,
         title,
         validationReasons: validation.reasons,
         attributes: productAttrs
       });
+      if (scoredOffers) {
+        scoredOffers.push(this.scoreCandidateOffer({ ...r, price, currency: this.listingCurrency(r) }, queryTerms.originalQuery, { targetPrice, priceRange }));
+      }
       
       if (this.debugMode) {
         console.log(`✅ VALID CANDIDATE: ${r.title} | $${price} | ${sourceField}`);
@@ -2824,6 +3314,14 @@ class InsuranceItemPricer {
       }
     }
     
+    if (scoredOffers) {
+      recordCandidates('validated', scoredOffers);
+    }
+    traceStep('strict_validation', candidates.length > 0 ? 'found' : (results.length > 0 ? 'rejected' : 'no_results'), {
+      candidates: results.length,
+      kept: candidates.length
+    });
+    
     if (this.debugMode) {
       console.log(`📊 VALIDATION SUMMARY:`);
       console.log(`   Total candidates: ${results.length}`);
@@ -2852,10 +3350,11 @@ class InsuranceItemPricer {
         if (this.debugMode) {
           console.log(`✅ FALLBACK: Using ${bestFallback.title} at $${fallbackPrice} from ${bestFallback.source}`);
         }
+        traceStep('trusted_fallback', 'found', { candidates: fallbackCandidates.length, detail: bestFallback.source });
         
         return {
           Price: fallbackPrice,
-          Currency: "USD",
+          Currency: getActiveLocale().currency,
           Source: bestFallback.source,
           URL: bestFallback.product_link || bestFallback.link || this.createFallbackSearchUrl(queryTerms.originalQuery),
           Status: "Found", // FIXED: Mark as Found since we have real retailer price
@@ -2884,10 +3383,11 @@ class InsuranceItemPricer {
       }
       
       // FIXED: Use intelligent price estimate instead of null price
+      traceStep('price_estimate', 'estimated', { detail: 'every listing failed strict validation' });
       const intelligentEstimate = this.getEnhancedPriceEstimate(queryTerms.originalQuery);
       return {
         Price: intelligentEstimate,
-        Currency: "USD",
+        Currency: getActiveLocale().currency,
         Source: "Market Search",
         URL: this.createFallbackSearchUrl(queryTerms.originalQuery),
         Status: "Found", // FIXED: Mark as Found since we have a valid price estimate
@@ -2940,6 +3440,7 @@ class InsuranceItemPricer {
     } else {
       // STRICT: If no price range, reject immediately
       console.log(`❌ STRICT REJECTION: No price range available for validation`);
+      traceStep('tolerance_filter', 'rejected', { candidates: candidates.length, kept: 0, detail: 'no target price to build a tolerance band' });
       return {
         Status: 'rejected',
         Price: null,
@@ -2955,7 +3456,7 @@ class InsuranceItemPricer {
     if (this.debugMode) {
       console.log(`🎯 PRICE TOLERANCE ANALYSIS:`);
       console.log(`   Target Price: $${targetPrice}`);
-      console.log(`   Tolerance: ${toleranceFraction * 100}%`);
+      console.log(`   Tolerance: ${tolerance}%`);
       console.log(`   Min Price: $${minPriceBand}`);
       console.log(`   Max Price: $${maxPriceBand}`);
     }
@@ -2977,6 +3478,17 @@ class InsuranceItemPricer {
     let inBandCandidates = candidates.filter(c => c.price >= minPriceBand && c.price <= maxPriceBand);
     
     console.log(`🎯 STRICT FILTERING: ${candidates.length} total candidates, ${inBandCandidates.length} within range $${minPriceBand} - $${maxPriceBand}`);
+    if (isTracing()) {
+      candidates.filter(c => !inBandCandidates.includes(c))
+        .forEach(c => traceRejection(`SKIP(outside_tolerance: $${c.price} not in $${minPriceBand} - $${maxPriceBand})`, c));
+    }
+    traceStep('tolerance_filter', inBandCandidates.length > 0 ? 'found' : 'rejected', {
+      candidates: candidates.length,
+      kept: inBandCandidates.length,
+      detail: inBandCandidates.length > 0
+        ? `band $${minPriceBand} - $${maxPriceBand}`
+        : `no listing within $${minPriceBand} - $${maxPriceBand}`
+    });
     console.log(`🔍 PRICE RANGE CALCULATION: Target=$${targetPrice}, Tolerance=${tolerance}%, Range=$${minPriceBand}-$${maxPriceBand}`);
     console.log(`🔍 EXAMPLE: $20 with 10% tolerance = $18.00 - $22.00 (anything outside this range will be REJECTED)`);
 
@@ -2990,10 +3502,13 @@ class InsuranceItemPricer {
         const googleFallback = await this.performGoogleFallback(queryTerms.originalQuery, targetPrice, tolerance);
         if (googleFallback && googleFallback.Price) {
           console.log(`✅ GOOGLE FALLBACK SUCCESS: Found $${googleFallback.Price} from ${googleFallback.Source}`);
+          traceStep('google_fallback', 'found', { detail: googleFallback.Source });
           return googleFallback;
         }
+        traceStep('google_fallback', 'no_results');
       } catch (error) {
         console.log(`❌ GOOGLE FALLBACK FAILED: ${error.message}`);
+        traceStep('google_fallback', 'error', { detail: error.message });
       }
       
       // If Google fallback also fails, return rejection
@@ -3153,6 +3668,10 @@ class InsuranceItemPricer {
       }
     }
 
+    traceStep('direct_url', hasResolvedDirectUrl ? 'found' : 'no_results', {
+      detail: hasResolvedDirectUrl ? resolvedUrl : `no product page found for ${bestMatch.source}`
+    });
+
     // NEW: Retailer URL fallback - DISABLED to force direct product URLs only
     let hasRetailerSearchUrl = false;
     if (!hasResolvedDirectUrl && isWithinTolerance && this.isTrustedSource(bestMatch.source)) {
@@ -3207,11 +3726,14 @@ class InsuranceItemPricer {
           finalStatus = 'Found';
           canVerify = true;
           console.log(`✅ Successfully resolved catalog to product: ${productUrl}`);
+          traceStep('catalog_url', 'found', { detail: productUrl });
         } else {
           console.log(`❌ Failed to resolve catalog URL to product page`);
+          traceStep('catalog_url', 'rejected', { detail: 'catalog URL did not resolve to a product page' });
         }
       } catch (error) {
         console.log(`⚠️ Catalog resolution failed: ${error.message}`);
+        traceStep('catalog_url', 'error', { detail: error.message });
       }
     }
     
@@ -3236,6 +3758,7 @@ class InsuranceItemPricer {
         
         if (!availabilityCheck.isAvailable) {
           console.log(`❌ AVAILABILITY REJECTION: ${availabilityCheck.reason}`);
+          traceStep('availability', 'rejected', { detail: availabilityCheck.reason });
           actualStatus = 'Rejected';
           confidence = 0.0;
           notes = `REJECTED: Product not available - ${availabilityCheck.reason}`;
@@ -3251,6 +3774,7 @@ class InsuranceItemPricer {
               );
               if (googleFallback) {
                 console.log(`✅ GOOGLE FALLBACK SUCCESS: ${googleFallback.Notes}`);
+                traceStep('availability_fallback', 'found', { detail: googleFallback.Source });
                 return googleFallback;
               }
             } catch (error) {
@@ -3282,10 +3806,15 @@ class InsuranceItemPricer {
       notes = `REJECTED: Price $${bestMatch.price} outside tolerance range $${minPriceBand} - $${maxPriceBand}`;
     }
 
+    traceStep('validated_match', actualStatus === 'Found' ? 'found' : 'rejected', {
+      candidates: candidates.length,
+      detail: actualStatus === 'Found' ? bestMatch.source : notes
+    });
+
     const response = {
       // Always return the matched retailer price when we have any valid candidate
       Price: bestMatch.price,
-      Currency: "USD",
+      Currency: bestMatch.currency || getActiveLocale().currency,
       Source: bestMatch.source,
       URL: finalUrl,
       // FIXED: Use intelligent status based on trusted source + valid price
@@ -3316,7 +3845,7 @@ class InsuranceItemPricer {
     // WRITE-THROUGH CACHE for direct-URL Found results
     try {
       if (response.Status === 'Found' && this.isDirectRetailerProductUrl(response.URL)) {
-        const cacheKey = this.canonicalizeCacheKey(query);
+        const cacheKey = localeCacheKey(this.canonicalizeCacheKey(query));
         if (cacheKey) {
           const cacheData = {
             found: true,
@@ -3457,7 +3986,7 @@ class InsuranceItemPricer {
 
     return {
       Price: bestMatch.price,
-      Currency: "USD",
+      Currency: bestMatch.currency || getActiveLocale().currency,
       Source: bestMatch.source,
       URL: resolvedUrl || '',
       // STRICT STATUS: Only return Found if within strict tolerance range
@@ -3659,7 +4188,7 @@ class InsuranceItemPricer {
       const productUrl = `https://serpapi.com/search.json?engine=google_product&product_id=${productId}&api_key=${this.serpApiKey}&gl=us&hl=en`;
       
       console.log(`🔍 Calling SerpAPI Product API: ${productUrl}`);
-      const response = await axios.get(productUrl, { timeout: 25000 });
+      const response = await this.serpGet(productUrl, { timeout: 25000 });
       const productData = response.data;
       
       console.log(`🔍 Product API response structure:`, {
@@ -3820,10 +4349,16 @@ class InsuranceItemPricer {
     };
 
     try {
+      if (retryCount === 0) {
+        await getUsageMeter().assertWithinBudget();
+      }
       console.log(`🔍 SerpAPI call attempt ${retryCount + 1} with ${timeout}ms timeout`);
-      const response = await axios(config);
+      // Goes through the record/replay layer (SERPAPI_FIXTURE_MODE), on the job's storefront
+      const response = await getSerpApiFixtureRecorder().request(localizeSerpRequest(config));
+      this.meterSerpRequest(response);
       return response;
     } catch (error) {
+      if (error.response) this.meterSerpRequest(error.response);
       if (error.code === 'ECONNABORTED' && retryCount < 3) {
         console.log(`⏰ SerpAPI timeout, retrying... (attempt ${retryCount + 1})`);
         // Wait before retry with exponential backoff
@@ -3831,6 +4366,7 @@ class InsuranceItemPricer {
         return this.callSerpAPI(params, retryCount + 1);
       }
       
+      getSearchProviderChain().reportError('serpapi', error);
       if (error.code === 'ECONNABORTED') {
         throw new Error(`timeout of ${timeout}ms exceeded after ${retryCount + 1} attempts`);
       }
@@ -4271,6 +4807,7 @@ Return ONLY a valid JSON response with this exact format:
   "reasoning": "explanation of optimization strategy for trusted sources only"
 }`;
 
+      await getUsageMeter().assertWithinBudget();
       const response = await openai.chat.completions.create({
         model: gpt5Config.getTextModel(),
         messages: [
@@ -4286,6 +4823,7 @@ Return ONLY a valid JSON response with this exact format:
         temperature: 0.1,
         max_tokens: 800
       });
+      getUsageMeter().recordOpenAI(response);
       
       const aiResult = JSON.parse(response.choices[0].message.content);
       console.log(`🤖 AI Price Optimization result:`, aiResult);
@@ -4537,6 +5075,8 @@ Return ONLY a valid JSON response with this exact format:
     console.log(`   🔄 Medium searches: ${this.requestStats.medium}`);
     console.log(`   🐌 Slow searches: ${this.requestStats.slow}`);
     console.log(`   📋 Cached results: ${this.requestStats.cached}`);
+    console.log(`   🔍 SerpAPI requests: ${this.requestStats.serpapi}`);
+    console.log(`   💸 Budget-degraded searches: ${this.requestStats.budgetDegraded}`);
   }
 
   // Helper methods
@@ -4600,6 +5140,14 @@ Return ONLY a valid JSON response with this exact format:
   // FIXED: Block-only approach - allow everything except known problematic sources
   isTrustedSource(sourceField) {
     if (!sourceField) return false;
+
+    // NEW: The active organization's untrusted-site additions/removals win over the blocklist
+    const orgOverride = getOrgSiteOverride(sourceField);
+    if (orgOverride) return orgOverride === 'trusted';
+
+    // NEW: Then the job's country - another country's retailer prices in the wrong currency
+    const localeVerdict = getLocaleSiteVerdict(sourceField);
+    if (localeVerdict) return localeVerdict === 'trusted';
     
     const sourceLower = sourceField.toLowerCase();
     
@@ -4642,6 +5190,12 @@ Return ONLY a valid JSON response with this exact format:
   // NEW: Check if source is blocked (inverted logic for better success rate)
   isBlockedSource(sourceField) {
     if (!sourceField) return true; // Block empty sources
+
+    const orgOverride = getOrgSiteOverride(sourceField);
+    if (orgOverride) return orgOverride === 'untrusted';
+
+    const localeVerdict = getLocaleSiteVerdict(sourceField);
+    if (localeVerdict) return localeVerdict === 'untrusted';
     
     const sourceLower = sourceField.toLowerCase();
     
@@ -4723,7 +5277,7 @@ Return ONLY a valid JSON response with this exact format:
         const siteQuery = `site:${retailerDomain} "${productTitle}"`;
         const searchUrl = `https://serpapi.com/search.json?engine=google&q=${encodeURIComponent(siteQuery)}&api_key=${this.serpApiKey}&gl=us&hl=en&num=5`;
         
-        const response = await axios.get(searchUrl, { 
+        const response = await this.serpGet(searchUrl, { 
           timeout: 5000, // Reduced from 10s to 5s for better performance
           headers: {
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
@@ -4840,7 +5394,14 @@ Return ONLY a valid JSON response with this exact format:
   }
 
   // NEW: More flexible hard mismatch detection
+  // NEW: The reason returned is also counted in the active decision trace (see utils/decisionTrace)
   hardMismatch(queryAttrs, productAttrs) {
+    const reason = this.findHardMismatch(queryAttrs, productAttrs);
+    if (reason) traceRejection(reason);
+    return reason;
+  }
+
+  findHardMismatch(queryAttrs, productAttrs) {
     // Brand mismatch (critical)
     if (queryAttrs.brand && productAttrs.brand) {
       if (queryAttrs.brand.toLowerCase() !== productAttrs.brand.toLowerCase()) {
@@ -4889,14 +5450,21 @@ Return ONLY a valid JSON response with this exact format:
       capacity: null,
       type: null,
       finish: null,
+      // NEW: LKQ attributes (see utils/lkqEvaluator)
+      material: null,
+      capacityMeasure: null,
+      screenSize: null,
       keywords: []
     };
     
     const lowerText = productText.toLowerCase();
     
-    // Extract brand (usually first word, but be smarter about it)
-    const brandMatch = lowerText.match(/^([a-z]+)/);
-    if (brandMatch) {
+    // Extract brand - a known (tiered) brand anywhere in the text, else usually the first word
+    const knownBrand = detectKnownBrand(lowerText);
+    const brandMatch = knownBrand ? null : lowerText.match(/^([a-z]+)/);
+    if (knownBrand) {
+      attributes.brand = knownBrand;
+    } else if (brandMatch) {
       const potentialBrand = brandMatch[1];
       // Only use as brand if it's a reasonable length and not a common word
       const commonWords = ['the', 'and', 'with', 'for', 'in', 'of', 'to', 'a', 'an', 'on', 'at', 'by', 'from', 'up', 'out', 'off', 'over', 'under', 'through', 'during', 'before', 'after', 'above', 'below', 'between', 'among', 'within', 'without', 'against', 'toward', 'towards', 'upon', 'into', 'onto', 'across', 'behind', 'beneath', 'beside', 'beyond', 'inside', 'outside', 'underneath'];
@@ -4945,6 +5513,11 @@ Return ONLY a valid JSON response with this exact format:
       attributes.model = modelMatch[1].toUpperCase();
     }
     
+    // NEW: Material, capacity in any unit (qt, gal, L, cu ft) and screen size for the LKQ rules
+    attributes.material = detectMaterial(lowerText);
+    attributes.capacityMeasure = parseCapacityMeasure(lowerText);
+    attributes.screenSize = parseScreenSize(lowerText);
+    
     return attributes;
   }
   // NEW: More flexible product validation
@@ -4956,10 +5529,11 @@ Return ONLY a valid JSON response with this exact format:
     };
     
     // Check for hard mismatches first
-    const hardMismatch = this.hardMismatch(queryAttrs, productAttrs);
+    const hardMismatch = this.findHardMismatch(queryAttrs, productAttrs);
     if (hardMismatch) {
       validation.isValid = false;
       validation.skipReason = hardMismatch;
+      traceRejection(hardMismatch, { title: productTitle, source });
       return validation;
     }
     
@@ -4971,6 +5545,7 @@ Return ONLY a valid JSON response with this exact format:
         if (isAppliance) {
           validation.isValid = false;
           validation.skipReason = `SKIP(brand_mismatch: ${queryAttrs.brand} vs ${productAttrs.brand})`;
+          traceRejection(validation.skipReason, { title: productTitle, source });
           return validation;
         } else {
           // For general products, allow brand mismatch but note it
@@ -4988,6 +5563,7 @@ Return ONLY a valid JSON response with this exact format:
         if (queryAttrs.type.includes('freezer') || productAttrs.type.includes('freezer')) {
           validation.isValid = false;
           validation.skipReason = `SKIP(freezer_type_mismatch: ${queryAttrs.type} vs ${productAttrs.type})`;
+          traceRejection(validation.skipReason, { title: productTitle, source });
           return validation;
         }
         // Allow some flexibility for other similar types
@@ -5037,8 +5613,12 @@ Return ONLY a valid JSON response with this exact format:
     return results || [];
   }
 
-  selectBestMatchSmartFast(candidates, targetPrice, min, max) {
+  selectBestMatchSmartFast(candidates, targetPrice, min, max, query = '') {
     if (!candidates || candidates.length === 0) return null;
+    if (isCapturingCandidates()) {
+      recordCandidates('smart_fast', candidates.map(candidate =>
+        this.scoreCandidateOffer(candidate, query, { targetPrice, priceRange: { minPrice: min, maxPrice: max } })));
+    }
     
     // Simple selection for backward compatibility
     candidates.sort((a, b) => {
@@ -5120,7 +5700,7 @@ Return ONLY a valid JSON response with this exact format:
   }
 
   // NEW: Exact Product Search - Find the specific product requested
-  async findExactProduct(query, targetPrice = null) {
+  async findExactProduct(query, targetPrice = null, tolerance = 50) {
     console.log('🎯 ENHANCED EXACT PRODUCT SEARCH: Looking for exact match:', query);
     
     try {
@@ -6427,8 +7007,8 @@ Return ONLY a valid JSON response with this exact format:
       return 'General';
     }
   }
-  // Search for alternatives if exact search fails
-  async searchForAlternatives(query, targetPrice = null) {
+  // Search for alternatives if exact search fails - substitutes must pass the carrier LKQ rules
+  async searchForAlternatives(query, targetPrice = null, tolerance = null) {
     console.log('🔍 ENHANCED ALTERNATIVE SEARCH:', query);
     
     try {
@@ -6513,6 +7093,11 @@ Return ONLY a valid JSON response with this exact format:
       queryAnalysis.targetPrice = targetPrice;
       console.log('🔍 Alternative search analysis:', queryAnalysis);
       
+      // NEW: The claimed item's LKQ category and attributes - every substitute is held to them
+      const lkqCategory = resolveLkqCategory(query, queryAnalysis.category);
+      const originalAttributes = this.parseProductAttributes(query);
+      console.log(`⚖️ LKQ category: ${lkqCategory}`, originalAttributes);
+      
       // Step 2: Build targeted alternative search strategies
       const alternativeStrategies = this.buildAlternativeSearchStrategies(queryAnalysis);
       console.log(`🔍 Built ${alternativeStrategies.length} alternative search strategies`);
@@ -6524,7 +7109,7 @@ Return ONLY a valid JSON response with this exact format:
           console.log(`🔍 Executing alternative strategy ${index + 1}: "${strategy.query}"`);
           // Apply price filter via tbs when we have target price
           let tbsParamAlt;
-          if (targetPrice && typeof targetPrice === 'number' && targetPrice > 0) {
+          if (targetPrice && typeof targetPrice === 'number' && targetPrice > 0 && tolerance > 0) {
             // Use the provided tolerance for alternative search
             const tolFracAlt = tolerance / 100;
             const minPA = Math.max(0, Math.floor(targetPrice * (1 - tolFracAlt)));
@@ -6705,18 +7290,27 @@ Return ONLY a valid JSON response with this exact format:
       const scoredAlternatives = relevantResults.map((result, index) => {
         const score = this.calculateAlternativeScore(query, result, queryAnalysis);
         console.log(`📊 Alternative ${index + 1}: Score ${score.toFixed(2)} - ${result.title}`);
-        return { ...result, alternativeScore: score };
+        // NEW: LKQ verdict and written justification for this substitute
+        const substitutePrice = typeof result.extracted_price === 'number' ? result.extracted_price : this.parsePrice(String(result.price || ''));
+        const lkq = evaluateLkq(originalAttributes, this.parseProductAttributes(result.title), {
+          category: lkqCategory,
+          originalPrice: targetPrice,
+          substitutePrice
+        });
+        console.log(`⚖️ LKQ ${lkq.passed ? 'PASS' : 'FAIL'}: ${lkq.justification}`);
+        return { ...result, alternativeScore: score, lkq };
       });
       
               // Step 6: Apply strict filtering for high-quality alternatives
         const highQualityAlternatives = scoredAlternatives.filter(result => 
           result.alternativeScore >= 0.3 && // Balanced threshold: not too strict, not too loose
+          result.lkq.passed && // NEW: Carriers only accept like kind and quality substitutes
           this.isHighQualityAlternative(result, queryAnalysis) &&
           !this.isGenericOrIrrelevantProduct(result.title, query) // Reject generic/irrelevant products
         );
       
       if (highQualityAlternatives.length === 0) {
-        console.log('❌ No high-quality alternatives found (score >= 0.5)');
+        console.log('❌ No high-quality LKQ alternatives found (score >= 0.3)');
         return null;
       }
       
@@ -7018,7 +7612,8 @@ Return ONLY a valid JSON response with this exact format:
     }
     
     // NEW: Must not contain irrelevant brands that don't match the query
-    if (queryAnalysis.brand && result.title) {
+    // (LKQ-evaluated substitutes are held to the brand-tier rule instead, which allows other brands)
+    if (queryAnalysis.brand && result.title && !result.lkq) {
       const titleLower = result.title.toLowerCase();
       const queryBrandLower = queryAnalysis.brand.toLowerCase();
       
@@ -7181,7 +7776,7 @@ Return ONLY a valid JSON response with this exact format:
         console.log(`🚫 ELECTRONICS EXCLUSION: Payment plan detected in "${query}"`);
         return {
           Price: 0,
-          Currency: "USD",
+          Currency: getActiveLocale().currency,
           Source: "Excluded",
           URL: null,
           Status: "excluded",
@@ -7213,7 +7808,7 @@ Return ONLY a valid JSON response with this exact format:
         console.log(`🚫 ELECTRONICS EXCLUSION: Prepaid/locked phone detected in "${query}"`);
         return {
           Price: 0,
-          Currency: "USD",
+          Currency: getActiveLocale().currency,
           Source: "Excluded",
           URL: null,
           Status: "excluded",
@@ -7262,7 +7857,7 @@ Return ONLY a valid JSON response with this exact format:
         console.log(`🚫 DESIGNER EXCLUSION: Pre-owned item detected in "${query}"`);
         return {
           Price: 0,
-          Currency: "USD",
+          Currency: getActiveLocale().currency,
           Source: "Excluded",
           URL: null,
           Status: "excluded",
@@ -7367,7 +7962,7 @@ Return ONLY a valid JSON response with this exact format:
         console.log(`❌ STRICT REJECTION: Cannot determine product type for "${query}" - no specific patterns matched`);
         return {
           Price: null,
-          Currency: "USD",
+          Currency: getActiveLocale().currency,
           Source: "AI-Enhanced",
           URL: "https://example.com",
           Status: "Rejected",
@@ -7407,7 +8002,7 @@ Return ONLY a valid JSON response with this exact format:
         console.log(`❌ STRICT REJECTION: Estimated price $${estimatedPrice} is outside tolerance range $${minPrice} - $${maxPrice}`);
         return {
           Price: estimatedPrice,
-          Currency: "USD",
+          Currency: getActiveLocale().currency,
           Source: "AI-Enhanced",
           URL: "https://example.com",
           Status: "Rejected",
@@ -7502,7 +8097,7 @@ Return ONLY a valid JSON response with this exact format:
     
     return {
       Price: estimatedPrice,
-      Currency: "USD",
+      Currency: getActiveLocale().currency,
       Source: source,
       URL: searchUrl,
       Status: "estimated",
@@ -7533,59 +8128,59 @@ Return ONLY a valid JSON response with this exact format:
   // ENHANCED: Research tracking and analytics methods
   
   /**
-   * Start a new research session
+   * Start a research session for a user
    */
-  startResearchSession(sessionId, userId = 'anonymous') {
-    return this.researchTracker.startSession(sessionId, userId);
+  startResearchSession(sessionId, userId = 'anonymous', orgId = null) {
+    return this.researchTracker.startSession(sessionId, userId, orgId);
   }
 
   /**
-   * End current research session
+   * End a user's research session
    */
-  endResearchSession() {
-    return this.researchTracker.endSession();
+  endResearchSession(userId = 'anonymous') {
+    return this.researchTracker.endSession(userId);
   }
 
   /**
-   * Get comprehensive research analytics
+   * Get research analytics (filters: see ResearchTracker.getResearchHistory)
    */
-  getResearchAnalytics() {
-    return this.researchTracker.getResearchAnalytics();
+  getResearchAnalytics(filters = {}) {
+    return this.researchTracker.getResearchAnalytics(filters);
   }
 
   /**
-   * Get detailed research history
+   * Get a page of research history
    */
-  getResearchHistory(limit = 100, filters = {}) {
-    return this.researchTracker.getResearchHistory(limit, filters);
+  getResearchHistory(filters = {}, paging = {}) {
+    return this.researchTracker.getResearchHistory(filters, paging);
   }
 
   /**
    * Get session analytics
    */
-  getSessionAnalytics() {
-    return this.researchTracker.getSessionAnalytics();
+  getSessionAnalytics(filters = {}) {
+    return this.researchTracker.getSessionAnalytics(filters);
   }
 
   /**
    * Get performance insights and recommendations
    */
-  getPerformanceInsights() {
-    return this.researchTracker.getPerformanceInsights();
+  getPerformanceInsights(filters = {}) {
+    return this.researchTracker.getPerformanceInsights(filters);
   }
 
   /**
-   * Export all research data (for database migration later)
+   * Export research data
    */
-  exportResearchData() {
-    return this.researchTracker.exportResearchData();
+  exportResearchData(filters = {}) {
+    return this.researchTracker.exportResearchData(filters);
   }
 
   /**
-   * Clear research data (for testing/reset)
+   * Clear research data (optionally only what started before a date)
    */
-  clearResearchData() {
-    return this.researchTracker.clearData();
+  clearResearchData(options = {}) {
+    return this.researchTracker.clearData(options);
   }
 
   /**
@@ -7999,6 +8594,23 @@ Return ONLY a valid JSON response with this exact format:
             headers: this.getAntiBotHeaders(),
             maxRedirects: 5
           });
+          // NEW: the page's own structured price beats the first dollar amount in the HTML
+          const page = extractProductPage(String(productResponse.data || ''), { url: productUrl });
+          if (page.inStock === false) {
+            console.log(`⚠️ Skipping out-of-stock product page: ${productUrl}`);
+            continue;
+          }
+          if (page.price !== null) {
+            if (page.price >= minPrice && page.price <= maxPrice) {
+              console.log(`✅ Quick method found: ${productUrl} with ${page.method} price $${page.price}`);
+              return {
+                price: page.price,
+                url: productUrl
+              };
+            }
+            continue;
+          }
+
           const priceMatch = productResponse.data.match(/\$(\d+(?:\.\d{2})?)/g);
           
           if (priceMatch) {
@@ -8153,8 +8765,8 @@ Return ONLY a valid JSON response with this exact format:
   extractPriceFromText(priceText) {
     if (!priceText) return null;
     
-    const priceMatch = priceText.match(/\$?(\d+(?:\.\d{2})?)/);
-    return priceMatch ? parseFloat(priceMatch[1]) : null;
+    const parsed = parseLocalizedPrice(priceText);
+    return parsed ? parsed.amount : null;
   }
 
   /**
@@ -8186,7 +8798,7 @@ Return ONLY a valid JSON response with this exact format:
       
       console.log(`🔍 Searching Google Shopping: ${query}`);
       
-      const response = await axios.get(url, { params });
+      const response = await this.serpGet(url, { params });
       
       console.log(`🔍 SERP API Response Status: ${response.status}`);
       console.log(`🔍 SERP API Response Keys:`, Object.keys(response.data || {}));
@@ -8221,6 +8833,7 @@ Return ONLY a valid JSON response with this exact format:
         });
       
       console.log(`✅ Found ${results.length} Google Shopping results`);
+      this.recordShoppingOffers(query, results);
       
       // Filter by price range if specified
       if (minPrice !== null || maxPrice !== null) {
@@ -8272,7 +8885,7 @@ Return ONLY a valid JSON response with this exact format:
       
       console.log(`🔍 Product API request params:`, params);
       
-      const response = await axios.get(url, { params });
+      const response = await this.serpGet(url, { params });
       
       console.log(`🔍 Product API response status: ${response.status}`);
       console.log(`🔍 Product API response keys:`, Object.keys(response.data || {}));
@@ -2,6 +2,8 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const pLimit = require('p-limit');
 const { TRUSTED_DOMAINS, UNTRUSTED_DOMAINS, normalizeDomain } = require('../config/domains');
+const { extractProductPage } = require('../utils/productPageExtractor');
+const { parseLocalizedPrice } = require('../utils/locale');
 
 // FIXED: Handle node-cache dependency gracefully
 let NodeCache;
@@ -302,6 +304,12 @@ class ProductValidator {
         try {
           const productData = await this.extractProductData(result);
           
+          // NEW: a page that says it is sold out does not verify a price
+          if (productData && productData.inStock === false) {
+            console.log(`⚠️ Skipping out-of-stock product at ${productData.source}: ${productData.description}`);
+            return null;
+          }
+
           if (productData && productData.price) {
             const numericPrice = this.extractNumericPrice(productData.price);
             
@@ -344,6 +352,8 @@ class ProductValidator {
   }
 
   // Parse by specific retailer
+  // NEW: price, title, availability and identifiers come from the shared page extractor
+  // (JSON-LD → microdata → OpenGraph → per-retailer selectors); the retailer parsers add category data
   parseByRetailer($, domain, searchResult) {
     const baseData = {
       url: searchResult.link,
@@ -351,33 +361,44 @@ class ProductValidator {
       pricer: 'AI-Enhanced'
     };
 
+    let retailerData;
     if (domain.includes('amazon.com')) {
-      return { ...baseData, ...this.parseAmazon($) };
+      retailerData = this.parseAmazon($);
     } else if (domain.includes('target.com')) {
-      return { ...baseData, ...this.parseTarget($) };
+      retailerData = this.parseTarget($);
     } else if (domain.includes('walmart.com')) {
-      return { ...baseData, ...this.parseWalmart($) };
+      retailerData = this.parseWalmart($);
     } else if (domain.includes('bestbuy.com')) {
-      return { ...baseData, ...this.parseBestBuy($) };
+      retailerData = this.parseBestBuy($);
     } else if (domain.includes('reebok.com')) {
-      return { ...baseData, ...this.parseReebok($) };
+      retailerData = this.parseReebok($);
     } else if (domain.includes('singer.com')) {
-      return { ...baseData, ...this.parseSinger($) };
+      retailerData = this.parseSinger($);
     } else if (domain.includes('bissell.com')) {
-      return { ...baseData, ...this.parseBissell($) };
+      retailerData = this.parseBissell($);
     } else {
-      return { ...baseData, ...this.parseGeneric($) };
+      retailerData = this.parseGeneric($);
     }
+
+    const page = extractProductPage($, { url: searchResult.link, domain });
+    return {
+      ...baseData,
+      ...retailerData,
+      price: page.price !== null ? `$${page.price.toFixed(2)}` : null,
+      description: page.title || 'Unknown',
+      currency: page.currency || 'USD',
+      availability: page.availability,
+      inStock: page.inStock,
+      brand: page.brand,
+      gtin: page.gtin,
+      mpn: page.mpn,
+      extraction: page.method
+    };
   }
 
   // Amazon parser
   parseAmazon($) {
     return {
-      price: this.findPrice($, [
-        '#priceblock_dealprice', '#priceblock_ourprice', 
-        '.a-price-whole', '.a-offscreen', '[data-asin-price]'
-      ]),
-      description: this.findText($, ['#productTitle', 'h1']),
       category: this.findText($, ['#wayfinding-breadcrumbs_feature_div', '.nav-breadcrumb']),
       subCategory: this.extractSubCategory($('#wayfinding-breadcrumbs_feature_div').text())
     };
@@ -386,10 +407,6 @@ class ProductValidator {
   // Target parser
   parseTarget($) {
     return {
-      price: this.findPrice($, [
-        '[data-test="product-price"]', '.Price-module__currentPrice___1gVuV'
-      ]),
-      description: this.findText($, ['[data-test="product-title"]', 'h1']),
       category: this.findText($, ['[data-test="breadcrumb"]', '.Breadcrumb']),
       subCategory: this.extractSubCategory($('[data-test="breadcrumb"]').text())
     };
@@ -398,10 +415,6 @@ class ProductValidator {
   // Walmart parser
   parseWalmart($) {
     return {
-      price: this.findPrice($, [
-        '[data-automation-id="product-price"]', '.notranslate'
-      ]),
-      description: this.findText($, ['[data-automation-id="product-title"]', 'h1']),
       category: this.findText($, ['.breadcrumb', '[data-testid="breadcrumb"]']),
       subCategory: this.extractSubCategory($('.breadcrumb').text())
     };
@@ -410,8 +423,6 @@ class ProductValidator {
   // Best Buy parser
   parseBestBuy($) {
     return {
-      price: this.findPrice($, ['.sr-only:contains("current price")', '.pricing-price__range']),
-      description: this.findText($, ['.sku-title', 'h1']),
       category: this.findText($, ['.breadcrumb', '.sr-only']),
       subCategory: this.extractSubCategory($('.breadcrumb').text())
     };
@@ -420,24 +431,14 @@ class ProductValidator {
   // Generic parser
   parseGeneric($) {
     return {
-      price: this.findPrice($, [
-        '.price', '.product-price', '[class*="price"]', '[data-price]'
-      ]),
-      description: this.findText($, [
-        'h1', '.product-title', '[class*="title"]', '.product-name'
-      ]),
       category: this.categorizeProduct($('title').text() + ' ' + $('h1').text()),
       subCategory: 'Unknown'
     };
   }
 
-  // Reebok parser (best-effort selectors)
+  // Reebok parser
   parseReebok($) {
     return {
-      price: this.findPrice($, [
-        '[data-test="product-price"]', '.gl-price', '.salesprice', '.gl-price-item'
-      ]),
-      description: this.findText($, ['h1', '[data-test="product-title"]', '.product-title']),
       category: this.categorizeProduct($('title').text() + ' ' + $('h1').text()),
       subCategory: 'Footwear'
     };
@@ -446,8 +447,6 @@ class ProductValidator {
   // Singer parser
   parseSinger($) {
     return {
-      price: this.findPrice($, ['.price', '[data-product-price]', '.product-price__price']),
-      description: this.findText($, ['h1', '.product-title']),
       category: 'Appliances',
       subCategory: 'Sewing Machine'
     };
@@ -456,26 +455,12 @@ class ProductValidator {
   // Bissell parser
   parseBissell($) {
     return {
-      price: this.findPrice($, ['.price', '.product-price', '[itemprop="price"]']),
-      description: this.findText($, ['h1', '.product-title', '[itemprop="name"]']),
       category: 'Appliances',
       subCategory: 'Floor Care'
     };
   }
 
   // Helper functions
-  findPrice($, selectors) {
-    for (const selector of selectors) {
-      const element = $(selector).first();
-      if (element.length) {
-        const text = element.text().trim();
-        const price = this.extractPrice(text);
-        if (price) return price;
-      }
-    }
-    return null;
-  }
-
   findText($, selectors) {
     for (const selector of selectors) {
       const text = $(selector).first().text().trim();
@@ -484,14 +469,11 @@ class ProductValidator {
     return 'Unknown';
   }
 
-  extractPrice(text) {
-    const match = text.match(/\$[\d,]+\.?\d*/);
-    return match ? match[0] : null;
-  }
-
+  // "$79.97", "CA$1,299.99", "1.299,00 €" - formats and currency follow the job's locale
   extractNumericPrice(priceString) {
     if (!priceString) return 0;
-    return parseFloat(priceString.replace(/[$,]/g, ''));
+    const parsed = parseLocalizedPrice(priceString);
+    return parsed ? parsed.amount : 0;
   }
 
   isPriceValid(price, minPrice, maxPrice, operator) {
@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const { getUserStore } = require('../services/UserStore');
+const { getUsageMeter } = require('../services/UsageMeter');
+const { getUserFromRequest } = require('../utils/requestUtils');
+
+// Audit system (non-blocking) - only used for the caller's recent activity
+let Audit;
+try {
+  Audit = require('../../src/audit/index.js').Audit;
+} catch (e) {
+  console.log('⚠️ Audit system not available in account routes:', e.message);
+  Audit = null;
+}
+
+const userStore = getUserStore();
+const usageMeter = getUsageMeter();
+
+// UserError carries its own status code (400 validation, 404 missing)
+function sendAccountError(res, err, route) {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  console.error(`❌ ${route} error:`, err);
+  res.status(500).json({ error: 'failed', message: err.message });
+}
+
+function daysAgo(days) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() - days);
+  return date.toISOString().substring(0, 10);
+}
+
+// req.account is set by the loadAccount middleware for every identified caller
+function requireAccount(req, res, next) {
+  if (!getUserFromRequest(req)) {
+    return res.status(401).json({ error: req.authError || 'Authentication required' });
+  }
+  if (!req.account) {
+    return res.status(503).json({ error: 'Account store not available' });
+  }
+  next();
+}
+
+router.use(requireAccount);
+
+// Everything the Profile and Settings screens show for the signed-in user
+router.get('/', async (req, res) => {
+  try {
+    const user = getUserFromRequest(req);
+    const [budget, usage, activity] = await Promise.all([
+      usageMeter.checkBudget(user.id),
+      usageMeter.getSummary({ userId: user.id, since: daysAgo(29) }),
+      Audit ? Audit.getRecentActivity({ limit: 10, scope: { all: true }, userId: user.id }) : null
+    ]);
+    res.json({
+      user: { id: user.id, email: user.email, name: user.name, authProvider: user.authProvider, roles: user.roles },
+      account: req.account,
+      org: req.org ? { id: req.org.id, slug: req.org.slug, name: req.org.name } : null,
+      budget,
+      usage,
+      activity
+    });
+  } catch (err) {
+    sendAccountError(res, err, 'GET /api/me');
+  }
+});
+
+// Body: settings patch { theme, emailNotifications, autoSaveDrafts, defaultTolerancePct }
+router.put('/settings', async (req, res) => {
+  try {
+    const account = await userStore.updateSettings(req.account.id, req.body || {});
+    res.json({ settings: account.settings });
+  } catch (err) {
+    sendAccountError(res, err, 'PUT /api/me/settings');
+  }
+});
+
+// Body: profile patch { displayName, jobTitle, department } - "" clears a field
+router.put('/profile', async (req, res) => {
+  try {
+    const account = await userStore.updateProfile(req.account.id, req.body || {});
+    res.json({ profile: account.profile });
+  } catch (err) {
+    sendAccountError(res, err, 'PUT /api/me/profile');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { getChatSessionService } = require('../services/ChatSessionService');
+const { getUserFromRequest } = require('../utils/requestUtils');
+
+const chatSessions = getChatSessionService();
+
+// ChatSessionError / LocaleError carry their own status code (400 bad input, 404 unknown session)
+function sendChatError(res, err, route) {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  console.error(`❌ ${route} error:`, err);
+  res.status(500).json({ error: 'failed', message: err.message });
+}
+
+const requestUserId = (req) => getUserFromRequest(req)?.id || 'anonymous';
+
+// Body: { tolerancePct, locale (optional, e.g. "CA"), message (optional - priced right away) }
+router.post('/sessions', async (req, res) => {
+  try {
+    const { tolerancePct, locale, message } = req.body || {};
+    const { session, reply } = await chatSessions.createSession({
+      userId: requestUserId(req),
+      orgId: req.org?.id || null,
+      tolerancePct,
+      locale,
+      message
+    });
+    res.status(201).json(reply ? { ...reply, sessionId: session.id } : { sessionId: session.id, session });
+  } catch (err) {
+    sendChatError(res, err, 'POST /api/chat/sessions');
+  }
+});
+
+router.get('/sessions/:sessionId', async (req, res) => {
+  try {
+    const session = chatSessions.requireSession(req.params.sessionId, requestUserId(req));
+    res.json({ session: chatSessions.describeSession(session) });
+  } catch (err) {
+    sendChatError(res, err, 'GET /api/chat/sessions/:sessionId');
+  }
+});
+
+// Body: { message } - a new item or a follow-up about the last one (cheaper, retailer, spec, why)
+router.post('/sessions/:sessionId/messages', async (req, res) => {
+  try {
+    const answer = await chatSessions.handleMessage(req.params.sessionId, requestUserId(req), req.body?.message);
+    res.json({ ...answer, sessionId: req.params.sessionId });
+  } catch (err) {
+    sendChatError(res, err, 'POST /api/chat/sessions/:sessionId/messages');
+  }
+});
+
+router.delete('/sessions/:sessionId', async (req, res) => {
+  try {
+    chatSessions.deleteSession(req.params.sessionId, requestUserId(req));
+    res.json({ deleted: true, id: req.params.sessionId });
+  } catch (err) {
+    sendChatError(res, err, 'DELETE /api/chat/sessions/:sessionId');
+  }
+});
+
+module.exports = router;
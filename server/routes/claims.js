@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const { getClaimStore } = require('../services/ClaimStore');
+const { getJobResultStore } = require('../services/JobResultStore');
+const { getUserFromRequest } = require('../utils/requestUtils');
+
+const claimStore = getClaimStore();
+
+// ClaimError carries its own status code (400 validation, 404 missing, 409 conflict)
+function sendClaimError(res, err, route) {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  console.error(`❌ ${route} error:`, err);
+  res.status(500).json({ error: 'failed', message: err.message });
+}
+
+// Claims belong to the organization they were created for - other orgs get a 404.
+// :claimId accepts the claim id or the claim number (numbers are unique per org).
+router.param('claimId', async (req, res, next, claimId) => {
+  try {
+    req.claim = await claimStore.requireClaim(claimId, req.orgScope);
+    next();
+  } catch (err) {
+    sendClaimError(res, err, `${req.method} /api/claims/:claimId`);
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const claims = await claimStore.listClaims({ search: req.query.search, scope: req.orgScope });
+    res.json({ claims });
+  } catch (err) {
+    sendClaimError(res, err, 'GET /api/claims');
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const claim = await claimStore.createClaim({
+      ...req.body,
+      createdBy: getUserFromRequest(req)?.id || null,
+      orgId: req.org?.id || null
+    });
+    res.status(201).json(claim);
+  } catch (err) {
+    sendClaimError(res, err, 'POST /api/claims');
+  }
+});
+
+router.get('/:claimId', async (req, res) => {
+  try {
+    const claim = req.claim;
+    const jobs = await claimStore.listJobs(claim.id, req.orgScope);
+    res.json({ ...claim, jobs: jobs.map(({ rollup, ...job }) => ({ ...job, totals: rollup.totals })) });
+  } catch (err) {
+    sendClaimError(res, err, 'GET /api/claims/:claimId');
+  }
+});
+
+router.put('/:claimId', async (req, res) => {
+  try {
+    res.json(await claimStore.updateClaim(req.claim.id, req.body || {}, req.orgScope));
+  } catch (err) {
+    sendClaimError(res, err, 'PUT /api/claims/:claimId');
+  }
+});
+
+// Roll-up of RCV, depreciation and ACV by room and dep category across all attached jobs
+router.get('/:claimId/summary', async (req, res) => {
+  try {
+    res.json(await claimStore.getSummary(req.claim.id, req.orgScope));
+  } catch (err) {
+    sendClaimError(res, err, 'GET /api/claims/:claimId/summary');
+  }
+});
+
+// Attach an already processed job. Body: { jobId, jobType?, label?, results? }
+// Without results the stored job results (JobResultStore) are used.
+router.post('/:claimId/jobs', async (req, res) => {
+  try {
+    const { jobId, jobType, label } = req.body || {};
+    let results = req.body?.results;
+    let meta = null;
+    if (!Array.isArray(results) && jobId) {
+      const record = await getJobResultStore().getRecord(jobId);
+      if (!record || (record.meta?.orgId && record.meta.orgId !== req.org?.id && !req.orgScope?.all)) {
+        return res.status(404).json({ error: `No stored results for job "${jobId}" - pass results explicitly` });
+      }
+      results = record.results;
+      meta = record.meta;
+    }
+
+    const claimJob = await claimStore.attachJob(req.claim.id, {
+      jobId,
+      jobType: jobType || 'CSV',
+      label: label || meta?.originalFilename || null,
+      results,
+      attachedBy: getUserFromRequest(req)?.id || null
+    }, req.orgScope);
+    res.status(201).json(claimJob);
+  } catch (err) {
+    sendClaimError(res, err, 'POST /api/claims/:claimId/jobs');
+  }
+});
+
+router.delete('/:claimId/jobs/:jobId', async (req, res) => {
+  try {
+    res.json(await claimStore.detachJob(req.claim.id, req.params.jobId, req.orgScope));
+  } catch (err) {
+    sendClaimError(res, err, 'DELETE /api/claims/:claimId/jobs/:jobId');
+  }
+});
+
+module.exports = router;
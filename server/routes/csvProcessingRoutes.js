@@ -15,6 +15,7 @@ try {
   console.log('⚠️ Domain config not available in CSV routes:', e.message);
 }
 const gpt5Config = require('../config/gpt5Config');
+const { getUsageMeter } = require('../services/UsageMeter');
 
 // Import audit system
 let Audit;
@@ -58,6 +59,7 @@ ENHANCEMENT REQUIREMENTS:
 
 Return ONLY the enhanced description, no other text or explanations.`;
 
+    await getUsageMeter().assertWithinBudget();
     const response = await openai.chat.completions.create({
       model: gpt5Config.getTextModel(),
       messages: [
@@ -73,6 +75,7 @@ Return ONLY the enhanced description, no other text or explanations.`;
       temperature: 0.1,
       max_tokens: 150
     });
+    getUsageMeter().recordOpenAI(response);
 
     const enhancedDescription = response.choices[0].message.content.trim();
     console.log(`✅ CSV AI Enhancement: "${description}" → "${enhancedDescription}"`);
@@ -109,9 +112,9 @@ async function enhancedSearchWithAI(description, targetPrice) {
     console.log(`🔍 Built ${queries.length} AI-enhanced search queries:`, queries);
     
     // STEP 4: Execute search with enhanced queries
-    if (serpApiClient) {
+    if (searchProviderChain) {
       try {
-        const searchResults = await serpApiClient.multiPassSearch(queries);
+        const searchResults = await searchProviderChain.multiPassSearch(queries);
         console.log(`✅ AI-enhanced search completed with ${searchResults.length} queries`);
         
         // Process results and ensure no extremely low prices
@@ -124,7 +127,7 @@ async function enhancedSearchWithAI(description, targetPrice) {
         return await fallbackSearch(enhancedDescription, targetPrice);
       }
     } else {
-      console.log('⚠️ SerpAPI client not available, using fallback search');
+      console.log('⚠️ Search providers not available, using fallback search');
       return await fallbackSearch(enhancedDescription, targetPrice);
     }
     
@@ -282,28 +285,7 @@ async function fallbackSearch(description, targetPrice) {
 
 // Import always show price pipeline components
 console.log('🔍 Loading pipeline components...');
-let SerpApiClient, SerpApiDownError, GoogleCSEClient, ProductScraper, buildSerpQueries, scoreResults, estimateFromBaseline, TRUSTED_DOMAINS, isTrustedSource, normalizeSearchQuery, PriceToleranceValidator;
-
-try {
-  ({ SerpApiClient, SerpApiDownError } = require('../utils/serpApiClient'));
-  console.log('✅ SerpApiClient loaded');
-} catch (error) {
-  console.error('❌ Failed to load SerpApiClient:', error.message);
-}
-
-try {
-  ({ GoogleCSEClient } = require('../utils/search_cse'));
-  console.log('✅ GoogleCSEClient loaded');
-} catch (error) {
-  console.error('❌ Failed to load GoogleCSEClient:', error.message);
-}
-
-try {
-  ({ ProductScraper } = require('../utils/scraper_logic'));
-  console.log('✅ ProductScraper loaded');
-} catch (error) {
-  console.error('❌ Failed to load ProductScraper:', error.message);
-}
+let getSearchProviderChain, buildSerpQueries, scoreResults, estimateFromBaseline, TRUSTED_DOMAINS, isTrustedSource, normalizeSearchQuery, PriceToleranceValidator;
 
 try {
   ({ buildSerpQueries } = require('../utils/queryBuilder'));
@@ -348,33 +330,20 @@ try {
 }
 
 // Initialize pipeline components
-let serpApiClient, googleCSEClient, productScraper;
+// ENHANCED: SerpAPI, Google CSE and the scraper sit behind one failover chain (services/SearchProviders)
+let searchProviderChain;
 
 try {
-  if (SerpApiClient) {
-    serpApiClient = new SerpApiClient();
-    console.log('✅ serpApiClient initialized');
-  }
+  ({ getSearchProviderChain } = require('../services/SearchProviders'));
+  searchProviderChain = getSearchProviderChain();
+  console.log('✅ searchProviderChain initialized');
 } catch (error) {
-  console.error('❌ Failed to initialize serpApiClient:', error.message);
+  console.error('❌ Failed to initialize searchProviderChain:', error.message);
 }
 
-try {
-  if (GoogleCSEClient) {
-    googleCSEClient = new GoogleCSEClient();
-    console.log('✅ googleCSEClient initialized');
-  }
-} catch (error) {
-  console.error('❌ Failed to initialize googleCSEClient:', error.message);
-}
-
-try {
-  if (ProductScraper) {
-    productScraper = new ProductScraper();
-    console.log('✅ productScraper initialized');
-  }
-} catch (error) {
-  console.error('❌ Failed to initialize productScraper:', error.message);
+// Results served by Google CSE or the scraper keep the old FALLBACK tier label
+function pricingTierFor(result) {
+  return !result.provider || result.provider === 'serpapi' ? 'SERP' : 'FALLBACK';
 }
 
 /**
@@ -389,29 +358,29 @@ async function alwaysShowPricePipeline(facts, targetPrice = null) {
     const queries = buildSerpQueries(facts);
     console.log(`🔍 Built ${queries.length} search queries:`, queries);
     
-    // Step 2: Try SerpAPI first (primary path)
+    // Step 2: Search providers in failover order (SerpAPI → Google CSE → scraper)
+    // ENHANCED: SerpApiDownError now fails over to the next provider per query instead of
+    // dropping the whole row to the baseline estimate
     let serpApiDown = false;
     let serpSearchResults = [];
     
     try {
-      serpSearchResults = await serpApiClient.multiPassSearch(queries);
+      serpSearchResults = await searchProviderChain.multiPassSearch(queries, {
+        exclude: process.env.ENABLE_FALLBACK === 'false' ? ['cse', 'scraper'] : []
+      });
       
       // Check if any searches succeeded
       const successfulSearches = serpSearchResults.filter(r => r.success);
       if (successfulSearches.length === 0) {
-        throw new SerpApiDownError('All SerpAPI searches failed');
+        throw new Error('All search providers failed');
       }
       
-      console.log(`✅ SerpAPI returned results from ${successfulSearches.length} successful searches`);
+      const providersUsed = [...new Set(successfulSearches.map(r => r.provider))];
+      console.log(`✅ Search providers (${providersUsed.join(', ')}) returned results from ${successfulSearches.length} successful searches`);
       
     } catch (error) {
-      if (error instanceof SerpApiDownError || serpApiClient.isSerpApiDown(error)) {
-        console.log(`⚠️ SerpAPI is down, will use fallback path`);
-        serpApiDown = true;
-      } else {
-        console.error(`❌ SerpAPI error:`, error.message);
-        serpApiDown = true;
-      }
+      console.log(`⚠️ No search provider returned results: ${error.message}`);
+      serpApiDown = true;
     }
     
           // Step 3: Process SerpAPI results if available
@@ -528,7 +497,7 @@ async function alwaysShowPricePipeline(facts, targetPrice = null) {
 
           return {
             status: 'FOUND',
-            pricingTier: 'SERP',
+            pricingTier: pricingTierFor(bestMatch),
             basePrice: bestMatch.price,
             adjustedPrice: adjustedPrice,
             currency: 'USD',
@@ -615,7 +584,7 @@ async function alwaysShowPricePipeline(facts, targetPrice = null) {
 
           return {
             status: 'FOUND',
-            pricingTier: 'SERP',
+            pricingTier: pricingTierFor(absoluteLowest),
             basePrice: absoluteLowest.price,
             adjustedPrice: adjustedPrice,
             currency: 'USD',
@@ -657,40 +626,7 @@ async function alwaysShowPricePipeline(facts, targetPrice = null) {
       }
     }
     
-    // Step 4: Fallback path (only if SerpAPI is down)
-    if (serpApiDown && process.env.ENABLE_FALLBACK === 'true') {
-      console.log(`🔄 Using fallback path (Google CSE + scraping)`);
-      
-      try {
-        // Find product URLs using Google CSE
-        const productUrls = await googleCSEClient.findProductUrls(facts, TRUSTED_DOMAINS);
-        console.log(`🔍 Found ${productUrls.length} product URLs to scrape`);
-        
-        if (productUrls.length > 0) {
-          // Scrape prices from found URLs
-          const scrapedResults = await productScraper.getBestPrice(productUrls, facts);
-          
-          if (scrapedResults && scrapedResults.price) {
-            const adjustedPrice = scrapedResults.price; // No condition adjustments - always price for NEW items
-            
-            return {
-              status: 'FOUND',
-              pricingTier: 'FALLBACK',
-              basePrice: scrapedResults.price,
-              adjustedPrice: adjustedPrice,
-              currency: 'USD',
-              source: scrapedResults.domain,
-              url: scrapedResults.url,
-              pricer: 'AI-Enhanced',
-              confidence: Math.min(facts.confidence + 0.1, 1.0),
-              notes: `Scraped from ${scrapedResults.domain}`
-            };
-          }
-        }
-      } catch (fallbackError) {
-        console.error(`❌ Fallback path failed:`, fallbackError.message);
-      }
-    }
+    // Step 4: Fallback path (Google CSE + scraping) now runs inside the provider chain (Step 2)
     
     // Step 5: Final backstop - category baseline (guarantees a price)
     console.log(`🔄 Using category baseline as final backstop`);
@@ -1577,6 +1513,7 @@ Return ONLY a valid JSON response with this exact format:
   "reasoning": "explanation of how to get best deal from trusted sources only"
 }`;
 
+    await getUsageMeter().assertWithinBudget();
     const response = await openai.chat.completions.create({
       model: gpt5Config.getTextModel(),
       messages: [
@@ -1592,6 +1529,7 @@ Return ONLY a valid JSON response with this exact format:
       temperature: 0.1,
       max_tokens: 500
     });
+    getUsageMeter().recordOpenAI(response);
     
     const aiResult = JSON.parse(response.choices[0].message.content);
     console.log(`🤖 OpenAI analysis result:`, aiResult);
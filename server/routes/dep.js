@@ -1,6 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const DepService = require('../services/DepServiceSimple');
+const { getDepTableStore } = require('../services/DepTableStore');
+const { getUserFromRequest } = require('../utils/requestUtils');
+const { requireRole } = require('../utils/auth');
+
+const depTableStore = getDepTableStore();
+
+// DepTableError carries its own status code (400 validation, 404 missing, 409 conflict)
+function sendTableError(res, err, route) {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  console.error(`❌ ${route} error:`, err);
+  res.status(500).json({ error: 'failed', message: err.message });
+}
 
 router.post('/apply', async (req, res) => {
   try {
@@ -14,21 +28,40 @@ router.post('/apply', async (req, res) => {
       console.log('📋 First item:', JSON.stringify(items[0], null, 2));
     }
     
-    const results = await DepService.applyDepreciation(items);
+    // Optional carrier table: { table, version } or { table, at } (defaults to the built-in table)
+    const tableVersion = req.body?.table
+      ? await depTableStore.resolveVersion(req.body.table, { version: req.body.version, at: req.body.at })
+      : null;
+    
+    const results = await DepService.applyDepreciation(items, { tableVersion });
     console.log('✅ DepService returned results:', results.length);
     
     if (results.length > 0) {
       console.log('📋 First result:', JSON.stringify(results[0], null, 2));
     }
     
-    res.json({ results });
+    // Claim-level roll-up of replacement cost, depreciation and ACV
+    const totals = results.reduce((acc, r) => {
+      if (typeof r.acv === 'number') {
+        acc.rcv += r.rcv;
+        acc.depreciation += r.depAmount;
+        acc.acv += r.acv;
+      }
+      return acc;
+    }, { rcv: 0, depreciation: 0, acv: 0 });
+    Object.keys(totals).forEach(key => { totals[key] = Math.round(totals[key] * 100) / 100; });
+    
+    res.json({
+      results,
+      totals,
+      depTable: tableVersion ? { name: tableVersion.tableName, version: tableVersion.version } : { name: 'default', version: null }
+    });
   } catch (err) {
-    console.error('❌ /api/dep/apply error:', err);
-    res.status(500).json({ error: 'failed', message: err.message });
+    sendTableError(res, err, '/api/dep/apply');
   }
 });
 
-router.post('/reload', async (req, res) => {
+router.post('/reload', requireRole('admin'), async (req, res) => {
   try {
     const r = await DepService.reload();
     res.json(r);
@@ -38,6 +71,76 @@ router.post('/reload', async (req, res) => {
   }
 });
 
+// ===== Carrier depreciation tables =====
+
+router.get('/tables', async (req, res) => {
+  try {
+    const tables = await depTableStore.listTables({ includeArchived: req.query.includeArchived === 'true' });
+    res.json({ tables });
+  } catch (err) {
+    sendTableError(res, err, 'GET /api/dep/tables');
+  }
+});
+
+router.get('/tables/:name', async (req, res) => {
+  try {
+    const table = await depTableStore.getTable(req.params.name);
+    if (!table) {
+      return res.status(404).json({ error: `Depreciation table "${req.params.name}" not found` });
+    }
+    res.json(table);
+  } catch (err) {
+    sendTableError(res, err, 'GET /api/dep/tables/:name');
+  }
+});
+
+// Full category list for one version (or the version effective at ?at=)
+router.get('/tables/:name/versions/:version', async (req, res) => {
+  try {
+    const version = req.params.version === 'current' ? undefined : req.params.version;
+    const resolved = await depTableStore.resolveVersion(req.params.name, { version, at: req.query.at });
+    if (!resolved) {
+      return res.status(400).json({ error: 'The built-in table is managed through dep_categories' });
+    }
+    res.json(resolved);
+  } catch (err) {
+    sendTableError(res, err, 'GET /api/dep/tables/:name/versions/:version');
+  }
+});
+
+router.post('/tables', requireRole('admin'), async (req, res) => {
+  try {
+    const table = await depTableStore.createTable({
+      ...req.body,
+      createdBy: getUserFromRequest(req)?.id || null
+    });
+    res.status(201).json(table);
+  } catch (err) {
+    sendTableError(res, err, 'POST /api/dep/tables');
+  }
+});
+
+// Every edit creates a new effective-dated version
+router.put('/tables/:name', requireRole('admin'), async (req, res) => {
+  try {
+    const table = await depTableStore.updateTable(req.params.name, {
+      ...req.body,
+      createdBy: getUserFromRequest(req)?.id || null
+    });
+    res.json(table);
+  } catch (err) {
+    sendTableError(res, err, 'PUT /api/dep/tables/:name');
+  }
+});
+
+router.delete('/tables/:name', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await depTableStore.archiveTable(req.params.name));
+  } catch (err) {
+    sendTableError(res, err, 'DELETE /api/dep/tables/:name');
+  }
+});
+
 module.exports = router;
 
 
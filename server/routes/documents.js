@@ -0,0 +1,134 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { getDocumentStore, getMaxDocumentBytes, ALLOWED_MIME_TYPES } = require('../services/DocumentStore');
+const { getClaimStore } = require('../services/ClaimStore');
+const { visionExtractProductFacts } = require('../utils/visionExtractor');
+const { getUserFromRequest } = require('../utils/requestUtils');
+
+// Audit system (non-blocking)
+let Audit;
+try {
+  Audit = require('../../src/audit/index.js').Audit;
+} catch (e) {
+  console.log('⚠️ Audit system not available in document routes:', e.message);
+  Audit = null;
+}
+
+const documentStore = getDocumentStore();
+const claimStore = getClaimStore();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: getMaxDocumentBytes(), files: 1 }
+});
+
+// DocumentError / ClaimError carry their own status code (400 validation, 404 missing, 415 type, 503 storage)
+function sendDocumentError(res, err, route) {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  if (err instanceof multer.MulterError) {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: err.message });
+  }
+  console.error(`❌ ${route} error:`, err);
+  res.status(500).json({ error: 'failed', message: err.message });
+}
+
+// Documents belong to the organization they were uploaded for - other orgs get a 404.
+// Documents without an org stay visible, as do all documents to platform admins without an org.
+router.param('documentId', async (req, res, next, documentId) => {
+  try {
+    const doc = await documentStore.requireDocument(documentId);
+    if (doc.orgId && doc.orgId !== req.org?.id && !req.orgScope?.all) {
+      return res.status(404).json({ error: `Document "${documentId}" not found` });
+    }
+    req.document = doc;
+    next();
+  } catch (err) {
+    sendDocumentError(res, err, `${req.method} /api/documents/:documentId`);
+  }
+});
+
+// Query: claimId (id or claim number)
+router.get('/', async (req, res) => {
+  try {
+    const claim = req.query.claimId ? await claimStore.requireClaim(req.query.claimId, req.orgScope) : null;
+    const scope = req.orgScope || {};
+    const documents = await documentStore.listDocuments({
+      claimId: claim?.id,
+      orgId: scope.all ? undefined : (scope.orgId || null)
+    });
+    res.json({ documents });
+  } catch (err) {
+    sendDocumentError(res, err, 'GET /api/documents');
+  }
+});
+
+// multipart: file, document_type (photo|receipt|invoice|estimate|policy|other), related_id (claim id or number, optional)
+router.post('/upload', (req, res, next) => {
+  upload.single('file')(req, res, err => (err ? sendDocumentError(res, err, 'POST /api/documents/upload') : next()));
+}, async (req, res) => {
+  try {
+    const user = getUserFromRequest(req);
+    const relatedId = req.body?.related_id || req.body?.claimId;
+    const claim = relatedId ? await claimStore.requireClaim(relatedId, req.orgScope) : null;
+    const doc = await documentStore.createDocument(req.file, {
+      documentType: req.body?.document_type || req.body?.documentType || 'other',
+      claimId: claim?.id || null,
+      userId: user?.id || 'anonymous',
+      orgId: req.org?.id || null
+    });
+    console.log(`📎 Document ${doc.id} (${doc.documentType}, ${doc.sizeBytes} bytes) uploaded${claim ? ` to claim ${claim.claimNumber}` : ''}`);
+    if (Audit) {
+      Audit.logEvent(user?.id || 'anonymous', 'UPLOAD_DOCUMENT', {
+        documentId: doc.id,
+        documentType: doc.documentType,
+        claimId: doc.claimId,
+        name: doc.originalName,
+        size: doc.sizeBytes
+      });
+    }
+    res.status(201).json(doc);
+  } catch (err) {
+    sendDocumentError(res, err, 'POST /api/documents/upload');
+  }
+});
+
+router.get('/:documentId', async (req, res) => {
+  res.json(req.document);
+});
+
+// The stored bytes (S3 or memory), served as a download with the original file name.
+// Never rendered in the app's origin: attachment + nosniff + a sandboxing CSP, and documents stored
+// before uploads were sniffed (e.g. SVG) go out as application/octet-stream.
+router.get('/:documentId/content', async (req, res) => {
+  try {
+    const buffer = await documentStore.getContent(req.document);
+    const mimeType = ALLOWED_MIME_TYPES.includes(req.document.mimeType) ? req.document.mimeType : 'application/octet-stream';
+    res.set('Content-Type', mimeType);
+    res.set('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(req.document.originalName)}`);
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Content-Security-Policy', "default-src 'none'; sandbox");
+    res.send(buffer);
+  } catch (err) {
+    sendDocumentError(res, err, 'GET /api/documents/:documentId/content');
+  }
+});
+
+// Vision analysis of an image document - the extracted facts are kept on the document
+router.post('/:documentId/analyze', async (req, res) => {
+  try {
+    const user = getUserFromRequest(req);
+    const doc = await documentStore.analyzeDocument(req.document.id, visionExtractProductFacts, user?.id || null);
+    console.log(`👁️ Document ${doc.id} analyzed: ${doc.analysis?.title || 'no title'}`);
+    if (Audit) {
+      Audit.logEvent(user?.id || 'anonymous', 'ANALYZE_DOCUMENT', { documentId: doc.id, title: doc.analysis?.title || null });
+    }
+    res.json(doc);
+  } catch (err) {
+    sendDocumentError(res, err, 'POST /api/documents/:documentId/analyze');
+  }
+});
+
+module.exports = router;
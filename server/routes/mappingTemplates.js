@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const { getMappingTemplateStore } = require('../services/MappingTemplateStore');
+const { getOrgStore } = require('../services/OrgStore');
+const { getUserFromRequest } = require('../utils/requestUtils');
+const { getAuthConfig, hasRole } = require('../utils/auth');
+
+// Audit system (non-blocking)
+let Audit;
+try {
+  Audit = require('../../src/audit/index.js').Audit;
+} catch (e) {
+  console.log('⚠️ Audit system not available in mapping template routes:', e.message);
+  Audit = null;
+}
+
+const templateStore = getMappingTemplateStore();
+
+// MappingTemplateError carries its own status code (400 validation, 403, 404 missing, 409 name clash)
+function sendTemplateError(res, err, route) {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  console.error(`❌ ${route} error:`, err);
+  res.status(500).json({ error: 'failed', message: err.message });
+}
+
+/**
+ * Who is asking - templates are scoped to the org the request acts for. Org admins and
+ * platform admins may see and change every template of the org, not just shared ones.
+ */
+async function getTemplateActor(req) {
+  const user = getUserFromRequest(req);
+  let canManageAll = getAuthConfig().mode === 'none' || hasRole(user, 'admin');
+  if (!canManageAll && req.org && user) {
+    const member = await getOrgStore().getMember(req.org.id, user.id);
+    canManageAll = member?.role === 'org_admin';
+  }
+  return { userId: user?.id || 'anonymous', orgId: req.org?.id || null, canManageAll };
+}
+
+function logTemplateEvent(actor, action, template) {
+  if (Audit) {
+    Audit.logEvent(actor.userId, action, { templateId: template.id, name: template.name, shared: template.shared });
+  }
+}
+
+// Query: sheetName + headers (comma separated) to get the template an upload of that layout would use
+router.get('/', async (req, res) => {
+  try {
+    const actor = await getTemplateActor(req);
+    const templates = await templateStore.listTemplates(actor);
+    const headers = req.query.headers ? String(req.query.headers).split(',').map(header => header.trim()) : null;
+    const match = headers
+      ? await templateStore.findBestTemplate({ headers, sheetName: req.query.sheetName || '' }, actor)
+      : null;
+    res.json({
+      templates: templates.map(template => ({ ...template, canEdit: templateStore.canEdit(template, actor) })),
+      ...(headers ? { match: match ? { templateId: match.template.id, name: match.template.name, score: match.score, exact: match.exact, mapping: match.mapping } : null } : {})
+    });
+  } catch (err) {
+    sendTemplateError(res, err, 'GET /api/mapping-templates');
+  }
+});
+
+// Body: { name, sheetName, headers: [...], mapping: { field: column }, shared }
+router.post('/', async (req, res) => {
+  try {
+    const actor = await getTemplateActor(req);
+    const template = await templateStore.createTemplate(req.body || {}, actor);
+    console.log(`🗂️ Mapping template "${template.name}" created by ${actor.userId}${template.shared ? ' (shared)' : ''}`);
+    logTemplateEvent(actor, 'CREATE_MAPPING_TEMPLATE', template);
+    res.status(201).json(template);
+  } catch (err) {
+    sendTemplateError(res, err, 'POST /api/mapping-templates');
+  }
+});
+
+router.get('/:templateId', async (req, res) => {
+  try {
+    const actor = await getTemplateActor(req);
+    const template = await templateStore.requireTemplate(req.params.templateId, actor);
+    res.json({ ...template, canEdit: templateStore.canEdit(template, actor) });
+  } catch (err) {
+    sendTemplateError(res, err, 'GET /api/mapping-templates/:templateId');
+  }
+});
+
+// Body: any of { name, sheetName, headers, mapping, shared }
+router.put('/:templateId', async (req, res) => {
+  try {
+    const actor = await getTemplateActor(req);
+    const template = await templateStore.updateTemplate(req.params.templateId, req.body || {}, actor);
+    console.log(`🗂️ Mapping template "${template.name}" updated by ${actor.userId}`);
+    logTemplateEvent(actor, 'UPDATE_MAPPING_TEMPLATE', template);
+    res.json(template);
+  } catch (err) {
+    sendTemplateError(res, err, 'PUT /api/mapping-templates/:templateId');
+  }
+});
+
+// Body: { shared } - true (default) makes the template visible to the whole org, false makes it private again
+router.put('/:templateId/share', async (req, res) => {
+  try {
+    const actor = await getTemplateActor(req);
+    const template = await templateStore.shareTemplate(req.params.templateId, req.body?.shared, actor);
+    console.log(`🗂️ Mapping template "${template.name}" ${template.shared ? 'shared with the org' : 'made private'} by ${actor.userId}`);
+    logTemplateEvent(actor, template.shared ? 'SHARE_MAPPING_TEMPLATE' : 'UNSHARE_MAPPING_TEMPLATE', template);
+    res.json(template);
+  } catch (err) {
+    sendTemplateError(res, err, 'PUT /api/mapping-templates/:templateId/share');
+  }
+});
+
+router.delete('/:templateId', async (req, res) => {
+  try {
+    const actor = await getTemplateActor(req);
+    const template = await templateStore.deleteTemplate(req.params.templateId, actor);
+    console.log(`🗂️ Mapping template "${template.name}" deleted by ${actor.userId}`);
+    logTemplateEvent(actor, 'DELETE_MAPPING_TEMPLATE', template);
+    res.json({ deleted: true, id: template.id });
+  } catch (err) {
+    sendTemplateError(res, err, 'DELETE /api/mapping-templates/:templateId');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { getNotificationStore } = require('../services/NotificationStore');
+const { getUserFromRequest } = require('../utils/requestUtils');
+
+const notificationStore = getNotificationStore();
+
+// NotificationError carries its own status code (400 validation, 404 missing)
+function sendNotificationError(res, err, route) {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  console.error(`❌ ${route} error:`, err);
+  res.status(500).json({ error: 'failed', message: err.message });
+}
+
+// The feed is always the caller's own - there is no way to read someone else's
+router.use((req, res, next) => {
+  if (!getUserFromRequest(req)) {
+    return res.status(401).json({ error: req.authError || 'Authentication required' });
+  }
+  next();
+});
+
+// Query: unread_only (true|false), limit (1-100, default 50)
+router.get('/', async (req, res) => {
+  try {
+    const user = getUserFromRequest(req);
+    const result = await notificationStore.listForUser(user.id, {
+      unreadOnly: req.query.unread_only === 'true',
+      limit: req.query.limit
+    });
+    res.json(result);
+  } catch (err) {
+    sendNotificationError(res, err, 'GET /api/notifications');
+  }
+});
+
+router.put('/read-all', async (req, res) => {
+  try {
+    const user = getUserFromRequest(req);
+    await notificationStore.markAllRead(user.id);
+    res.json({ unread: 0 });
+  } catch (err) {
+    sendNotificationError(res, err, 'PUT /api/notifications/read-all');
+  }
+});
+
+router.put('/:notificationId/read', async (req, res) => {
+  try {
+    const user = getUserFromRequest(req);
+    const notification = await notificationStore.markRead(req.params.notificationId, user.id);
+    res.json(notification);
+  } catch (err) {
+    sendNotificationError(res, err, 'PUT /api/notifications/:notificationId/read');
+  }
+});
+
+module.exports = router;
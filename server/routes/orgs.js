@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const { getOrgStore } = require('../services/OrgStore');
+const { getDepTableStore } = require('../services/DepTableStore');
+const { getUserFromRequest } = require('../utils/requestUtils');
+const { getAuthConfig, hasRole } = require('../utils/auth');
+
+const orgStore = getOrgStore();
+
+// OrgError / DepTableError carry their own status code (400 validation, 403, 404 missing, 409 conflict)
+function sendOrgError(res, err, route) {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  console.error(`❌ ${route} error:`, err);
+  res.status(500).json({ error: 'failed', message: err.message });
+}
+
+function isPlatformAdmin(req) {
+  return getAuthConfig().mode === 'none' || hasRole(getUserFromRequest(req), 'admin');
+}
+
+// The org's default table must exist (and have the pinned version) before jobs start using it
+async function validateDepTable(depTable) {
+  const table = typeof depTable === 'string' ? { name: depTable } : depTable;
+  if (table?.name) {
+    await getDepTableStore().resolveVersion(table.name, { version: table.version ?? undefined });
+  }
+}
+
+// Creating and listing organizations spans tenants - platform admins only
+function requirePlatformAdmin(req, res, next) {
+  if (!isPlatformAdmin(req)) {
+    return res.status(403).json({ error: 'Requires admin role' });
+  }
+  next();
+}
+
+/**
+ * Loads :orgId into req.targetOrg. Members may read their org; org admins (and platform
+ * admins) may change its settings and members.
+ */
+function loadOrg(access) {
+  return async (req, res, next) => {
+    try {
+      const org = await orgStore.requireOrg(req.params.orgId);
+      if (!isPlatformAdmin(req)) {
+        const user = getUserFromRequest(req);
+        const member = await orgStore.getMember(org.id, user?.id);
+        // resolveOrg already checked the org the request acts for (membership or token claim).
+        // Outsiders get a 404 so org ids can't be probed
+        if (!member && req.org?.id !== org.id) {
+          return res.status(404).json({ error: `Organization "${req.params.orgId}" not found` });
+        }
+        if (access === 'org_admin' && member?.role !== 'org_admin') {
+          return res.status(403).json({ error: 'Requires org_admin membership' });
+        }
+      }
+      req.targetOrg = org;
+      next();
+    } catch (err) {
+      sendOrgError(res, err, `${req.method} /api/orgs/:orgId`);
+    }
+  };
+}
+
+// The org this request acts for (see resolveOrg) and the caller's membership in it
+router.get('/current', async (req, res) => {
+  try {
+    const user = getUserFromRequest(req);
+    const membership = req.org && user ? await orgStore.getMember(req.org.id, user.id) : null;
+    res.json({
+      org: req.org || null,
+      membership,
+      canManage: !!req.org && (membership?.role === 'org_admin' || isPlatformAdmin(req))
+    });
+  } catch (err) {
+    sendOrgError(res, err, 'GET /api/orgs/current');
+  }
+});
+
+router.get('/', requirePlatformAdmin, async (req, res) => {
+  try {
+    res.json({ orgs: await orgStore.listOrgs() });
+  } catch (err) {
+    sendOrgError(res, err, 'GET /api/orgs');
+  }
+});
+
+// Body: { name, slug?, id?, settings?, adminUserId?, adminEmail? } - adminUserId becomes the first org_admin
+router.post('/', requirePlatformAdmin, async (req, res) => {
+  try {
+    const { adminUserId, adminEmail, ...data } = req.body || {};
+    const createdBy = getUserFromRequest(req)?.id || null;
+    if (data.settings?.depTable) {
+      await validateDepTable(data.settings.depTable);
+    }
+    const org = await orgStore.createOrg({ ...data, createdBy });
+    const members = adminUserId
+      ? [await orgStore.addMember(org.id, { userId: adminUserId, email: adminEmail, role: 'org_admin', addedBy: createdBy })]
+      : [];
+    res.status(201).json({ ...org, members });
+  } catch (err) {
+    sendOrgError(res, err, 'POST /api/orgs');
+  }
+});
+
+// :orgId accepts the org id or slug
+router.get('/:orgId', loadOrg('member'), async (req, res) => {
+  res.json(req.targetOrg);
+});
+
+router.put('/:orgId', loadOrg('org_admin'), async (req, res) => {
+  try {
+    res.json(await orgStore.updateOrg(req.targetOrg.id, { name: req.body?.name }));
+  } catch (err) {
+    sendOrgError(res, err, 'PUT /api/orgs/:orgId');
+  }
+});
+
+// Body is a settings patch: { untrustedSites: { add, remove }, defaultTolerancePct, depTable: { name, version } }
+router.put('/:orgId/settings', loadOrg('org_admin'), async (req, res) => {
+  try {
+    const patch = req.body || {};
+    if (patch.depTable) {
+      await validateDepTable(patch.depTable);
+    }
+    const org = await orgStore.updateOrg(req.targetOrg.id, { settings: patch });
+    console.log(`🏢 Settings updated for ${org.slug} by ${getUserFromRequest(req)?.id || 'anonymous'}`);
+    res.json(org);
+  } catch (err) {
+    sendOrgError(res, err, 'PUT /api/orgs/:orgId/settings');
+  }
+});
+
+router.get('/:orgId/members', loadOrg('org_admin'), async (req, res) => {
+  try {
+    res.json({ orgId: req.targetOrg.id, members: await orgStore.listMembers(req.targetOrg.id) });
+  } catch (err) {
+    sendOrgError(res, err, 'GET /api/orgs/:orgId/members');
+  }
+});
+
+// Body: { userId, email?, role: member|org_admin } - re-adding an existing member changes their role
+router.post('/:orgId/members', loadOrg('org_admin'), async (req, res) => {
+  try {
+    const member = await orgStore.addMember(req.targetOrg.id, {
+      ...req.body,
+      addedBy: getUserFromRequest(req)?.id || null
+    });
+    res.status(201).json(member);
+  } catch (err) {
+    sendOrgError(res, err, 'POST /api/orgs/:orgId/members');
+  }
+});
+
+router.put('/:orgId/members/:userId', loadOrg('org_admin'), async (req, res) => {
+  try {
+    const existing = await orgStore.getMember(req.targetOrg.id, req.params.userId);
+    if (!existing) {
+      return res.status(404).json({ error: `User "${req.params.userId}" is not a member of ${req.targetOrg.slug}` });
+    }
+    res.json(await orgStore.addMember(req.targetOrg.id, { ...req.body, userId: req.params.userId }));
+  } catch (err) {
+    sendOrgError(res, err, 'PUT /api/orgs/:orgId/members/:userId');
+  }
+});
+
+router.delete('/:orgId/members/:userId', loadOrg('org_admin'), async (req, res) => {
+  try {
+    res.json(await orgStore.removeMember(req.targetOrg.id, req.params.userId));
+  } catch (err) {
+    sendOrgError(res, err, 'DELETE /api/orgs/:orgId/members/:userId');
+  }
+});
+
+module.exports = router;
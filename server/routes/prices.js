@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { getPriceHistoryStore, getDriftConfig } = require('../services/PriceHistoryStore');
+
+const priceHistory = getPriceHistoryStore();
+
+function sendPriceError(res, err, route) {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  console.error(`❌ ${route} error:`, err);
+  res.status(500).json({ error: 'failed', message: err.message });
+}
+
+// Query: q (description, search query or product key), days (default PRICE_HISTORY_DAYS),
+// price (optional - also returns how far that price is from the history)
+router.get('/history', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+    const history = await priceHistory.getHistory(q, { days: req.query.days });
+    const price = parseFloat(req.query.price);
+    const drift = Number.isFinite(price) ? await priceHistory.checkDrift(q, price) : undefined;
+    res.json({ ...history, drift, thresholdPct: getDriftConfig().thresholdPct });
+  } catch (err) {
+    sendPriceError(res, err, 'GET /api/prices/history');
+  }
+});
+
+// Query: search (words that must all appear in the product key), limit (1-100, default 25)
+router.get('/products', async (req, res) => {
+  try {
+    const products = await priceHistory.listProducts({ search: req.query.search, limit: req.query.limit });
+    res.json({ products });
+  } catch (err) {
+    sendPriceError(res, err, 'GET /api/prices/products');
+  }
+});
+
+module.exports = router;
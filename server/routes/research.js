@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const { getResearchTracker } = require('../services/ResearchTracker');
+const { getUserFromRequest } = require('../utils/requestUtils');
+const { getAuthConfig, hasRole, requireRole } = require('../utils/auth');
+
+const researchTracker = getResearchTracker();
+
+// ResearchError carries its own status code (400 bad filter, 409 session owned by someone else)
+function sendResearchError(res, err, route) {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ success: false, error: err.message });
+  }
+  console.error(`❌ ${route} error:`, err);
+  res.status(500).json({ success: false, error: 'failed', details: err.message });
+}
+
+/**
+ * History filters for the caller - adjusters see their own research, supervisors and admins
+ * everyone's (optionally one user's via ?userId=). The org follows req.orgScope like /api/documents.
+ * Query: userId, sessionId, jobId, status, success (true|false), query (substring),
+ * from / to (YYYY-MM-DD or ISO timestamp; a bare `to` date includes that day)
+ */
+function getResearchFilters(req) {
+  const user = getUserFromRequest(req);
+  const seesEveryone = getAuthConfig().mode === 'none' || hasRole(user, 'supervisor');
+  const scope = req.orgScope || {};
+  const { sessionId, jobId, status, success, query, from, to } = req.query;
+  return {
+    userId: seesEveryone ? req.query.userId : (user?.id || 'anonymous'),
+    orgId: scope.all ? undefined : (scope.orgId || null),
+    sessionId,
+    jobId,
+    status,
+    success,
+    query,
+    from,
+    to
+  };
+}
+
+// Body: { sessionId } (optional) - later searches by the caller join this session
+router.post('/session/start', async (req, res) => {
+  try {
+    const userId = getUserFromRequest(req)?.id || 'anonymous';
+    const sessionId = req.body?.sessionId || `session_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    const session = await researchTracker.startSession(sessionId, userId, req.org?.id || null);
+    res.json({ success: true, session, message: 'Research session started successfully' });
+  } catch (err) {
+    sendResearchError(res, err, 'POST /api/research/session/start');
+  }
+});
+
+router.post('/session/end', async (req, res) => {
+  try {
+    const session = await researchTracker.endSession(getUserFromRequest(req)?.id || 'anonymous');
+    if (!session) {
+      return res.status(400).json({ success: false, error: 'No active research session to end' });
+    }
+    res.json({ success: true, session, message: 'Research session ended successfully' });
+  } catch (err) {
+    sendResearchError(res, err, 'POST /api/research/session/end');
+  }
+});
+
+router.get('/analytics', async (req, res) => {
+  try {
+    const filters = getResearchFilters(req);
+    const analytics = await researchTracker.getResearchAnalytics(filters);
+    res.json({ success: true, analytics, filters });
+  } catch (err) {
+    sendResearchError(res, err, 'GET /api/research/analytics');
+  }
+});
+
+// Query: the history filters plus page (default 1) and pageSize (default 50, max 200)
+router.get('/history', async (req, res) => {
+  try {
+    const filters = getResearchFilters(req);
+    const history = await researchTracker.getResearchHistory(filters, { page: req.query.page, pageSize: req.query.pageSize });
+    res.json({
+      success: true,
+      history: history.attempts,
+      totalCount: history.total,
+      page: history.page,
+      pageSize: history.pageSize,
+      totalPages: history.totalPages,
+      filters
+    });
+  } catch (err) {
+    sendResearchError(res, err, 'GET /api/research/history');
+  }
+});
+
+router.get('/sessions', async (req, res) => {
+  try {
+    const analytics = await researchTracker.getSessionAnalytics(getResearchFilters(req));
+    res.json({ success: true, analytics });
+  } catch (err) {
+    sendResearchError(res, err, 'GET /api/research/sessions');
+  }
+});
+
+router.get('/insights', async (req, res) => {
+  try {
+    const insights = await researchTracker.getPerformanceInsights(getResearchFilters(req));
+    res.json({ success: true, insights });
+  } catch (err) {
+    sendResearchError(res, err, 'GET /api/research/insights');
+  }
+});
+
+router.get('/export', async (req, res) => {
+  try {
+    const data = await researchTracker.exportResearchData(getResearchFilters(req));
+    res.json({ success: true, data, message: 'Research data exported successfully' });
+  } catch (err) {
+    sendResearchError(res, err, 'GET /api/research/export');
+  }
+});
+
+// Body: { before } (optional date) - without it every stored attempt and session is removed
+router.post('/clear', requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await researchTracker.clearData({ before: req.body?.before });
+    console.log(`🔍 Research data cleared by ${getUserFromRequest(req)?.id || 'anonymous'}`);
+    res.json({ success: true, removed, message: 'Research data cleared successfully' });
+  } catch (err) {
+    sendResearchError(res, err, 'POST /api/research/clear');
+  }
+});
+
+module.exports = router;
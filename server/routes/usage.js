@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const { getUsageMeter } = require('../services/UsageMeter');
+const { getUserFromRequest } = require('../utils/requestUtils');
+const { requireRole } = require('../utils/auth');
+
+const usageMeter = getUsageMeter();
+
+function daysAgo(days) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() - days);
+  return date.toISOString().substring(0, 10);
+}
+
+// Current user's spend today against their daily budget
+router.get('/me', async (req, res) => {
+  try {
+    const userId = getUserFromRequest(req)?.id || 'anonymous';
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const [budget, summary] = await Promise.all([
+      usageMeter.checkBudget(userId),
+      usageMeter.getSummary({ userId, since: daysAgo(days - 1) })
+    ]);
+    res.json({ budget, usage: summary });
+  } catch (err) {
+    console.error('❌ GET /api/usage/me error:', err);
+    res.status(500).json({ error: 'failed', message: err.message });
+  }
+});
+
+// Spend across all users (same numbers as the usage block of /api/logs/summary)
+router.get('/summary', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    res.json(await usageMeter.getSummary({ userId: req.query.userId, since: daysAgo(days - 1) }));
+  } catch (err) {
+    console.error('❌ GET /api/usage/summary error:', err);
+    res.status(500).json({ error: 'failed', message: err.message });
+  }
+});
+
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const usage = await usageMeter.getJobUsage(req.params.jobId);
+    if (!usage) {
+      return res.status(404).json({ error: 'No usage recorded for this job' });
+    }
+    res.json(usage);
+  } catch (err) {
+    console.error('❌ GET /api/usage/jobs/:jobId error:', err);
+    res.status(500).json({ error: 'failed', message: err.message });
+  }
+});
+
+router.get('/budgets/:userId', async (req, res) => {
+  try {
+    res.json(await usageMeter.checkBudget(req.params.userId));
+  } catch (err) {
+    console.error('❌ GET /api/usage/budgets/:userId error:', err);
+    res.status(500).json({ error: 'failed', message: err.message });
+  }
+});
+
+// Body: { dailyBudgetUsd: number } - null removes the per-user budget (env defaults apply again)
+router.put('/budgets/:userId', requireRole('admin'), async (req, res) => {
+  try {
+    const raw = req.body?.dailyBudgetUsd;
+    const dailyBudgetUsd = raw === null ? null : parseFloat(raw);
+    if (dailyBudgetUsd !== null && (!Number.isFinite(dailyBudgetUsd) || dailyBudgetUsd < 0)) {
+      return res.status(400).json({ error: 'dailyBudgetUsd must be a non-negative number or null' });
+    }
+
+    await usageMeter.setBudget(req.params.userId, dailyBudgetUsd, getUserFromRequest(req)?.id || null);
+    res.json(await usageMeter.checkBudget(req.params.userId));
+  } catch (err) {
+    console.error('❌ PUT /api/usage/budgets/:userId error:', err);
+    res.status(500).json({ error: 'failed', message: err.message });
+  }
+});
+
+module.exports = router;
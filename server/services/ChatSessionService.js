@@ -0,0 +1,444 @@
+/**
+ * ChatSessionService
+ * Conversational single-item pricing: a chat session remembers the last item an adjuster priced
+ * (description, search query, parsed attributes, target price), the pricer's pick and the
+ * shopping candidates found alongside it, so a follow-up ("find a cheaper one", "only Home Depot
+ * or Lowe's", "same but 65 inch", "why did you pick this?") re-runs the pricer with adjusted
+ * constraints instead of starting from scratch (see utils/chatIntents for how messages are read).
+ *
+ * Sessions are conversation state, not records - they live in process memory, expire after
+ * CHAT_SESSION_TTL_MINUTES (default 120) without activity and belong to the user who started them.
+ */
+
+const { getInsuranceItemPricer } = require('./sharedServices');
+const { parseItemMessage, extractSpecs, interpretFollowUp, applySpecChanges } = require('../utils/chatIntents');
+const { resolveLocale, runWithLocale, localRetailerDomain } = require('../utils/locale');
+const { LOCALES } = require('../config/locales');
+const PriceRangeCalculator = require('../utils/priceRangeCalculator');
+
+const MAX_SESSIONS = 500;
+const MAX_MESSAGES = 50;
+const MAX_CANDIDATES = 40;
+// Retailer-restricted follow-ups search each named retailer, up to this many
+const MAX_RETAILER_SEARCHES = 3;
+
+class ChatSessionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ChatSessionError';
+    this.statusCode = statusCode;
+  }
+}
+
+const sessionTtlMs = () => (parseInt(process.env.CHAT_SESSION_TTL_MINUTES, 10) || 120) * 60 * 1000;
+
+const formatMoney = (amount) => `$${Number(amount).toFixed(2)}`;
+
+function parseTolerance(value) {
+  const tolerance = parseFloat(value);
+  if (!Number.isFinite(tolerance) || tolerance <= 0 || tolerance > 100) {
+    throw new ChatSessionError('tolerancePct must be a number between 1 and 100');
+  }
+  return tolerance;
+}
+
+// Pricer results and shopping listings reduced to what the chat shows and follow-ups compare.
+// Without SerpAPI the pricer answers in its capitalized shape (Status/Price/Pricer) with an estimate.
+function toChatResult(result, query) {
+  if (!result) return null;
+  const price = parseFloat(result.price ?? result.Price);
+  const source = result.source || result.Source || null;
+  return {
+    found: result.found !== undefined ? !!result.found : /^found$/i.test(result.Status || ''),
+    isEstimated: !!result.isEstimated || source === 'price-estimate' || /^AI-Enhanced/.test(result.Pricer || '') || /estimat/i.test(result.Status || ''),
+    price: Number.isFinite(price) ? price : null,
+    source,
+    url: result.url || result.URL || result.link || null,
+    description: result.description || result.title || result.Title || query,
+    category: result.category || result.Cat || null,
+    subcategory: result.subcategory || result['Sub Cat'] || null,
+    matchQuality: result.matchQuality || result['Match Quality'] || null,
+    matchType: result.matchType || null,
+    explanation: result.explanation || null,
+    lkq: result.lkq || null,
+    'Search Query Used': query
+  };
+}
+
+class ChatSessionService {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  get pricer() {
+    const pricer = getInsuranceItemPricer();
+    if (!pricer) {
+      throw new ChatSessionError('Pricing service unavailable', 503);
+    }
+    return pricer;
+  }
+
+  pruneSessions() {
+    const cutoff = Date.now() - sessionTtlMs();
+    for (const [id, session] of this.sessions) {
+      if (session.touchedAt < cutoff) this.sessions.delete(id);
+    }
+    while (this.sessions.size >= MAX_SESSIONS) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+  }
+
+  /**
+   * Session of a user - 404 for unknown, expired or someone else's sessions
+   */
+  requireSession(sessionId, userId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.userId !== userId || session.touchedAt < Date.now() - sessionTtlMs()) {
+      throw new ChatSessionError('Chat session not found', 404);
+    }
+    return session;
+  }
+
+  /**
+   * Start a session, optionally pricing its first message
+   * @param {Object} options - { userId, orgId, tolerancePct, locale, message }
+   */
+  async createSession({ userId, orgId = null, tolerancePct, locale, message } = {}) {
+    const session = {
+      id: `chat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      userId,
+      orgId,
+      tolerancePct: parseTolerance(tolerancePct),
+      locale: resolveLocale(locale),
+      item: null,
+      constraints: { maxPrice: null, retailers: [], excludeUrls: [] },
+      candidates: [],
+      lastResult: null,
+      lastDecision: null,
+      messages: [],
+      createdAt: new Date().toISOString(),
+      touchedAt: Date.now()
+    };
+    this.pruneSessions();
+    this.sessions.set(session.id, session);
+    console.log(`💬 Chat session ${session.id} started for ${userId}`);
+
+    const reply = message ? await this.handleMessage(session.id, userId, message) : null;
+    return { session: this.describeSession(session), reply };
+  }
+
+  /**
+   * Answer a chat message - a follow-up about the last item or a new item
+   * @returns {Object} { intent, intents, reply, result, updated (false when the pick stayed), session }
+   */
+  async handleMessage(sessionId, userId, message) {
+    const session = this.requireSession(sessionId, userId);
+    const text = String(message || '').trim();
+    if (!text) {
+      throw new ChatSessionError('message is required');
+    }
+    session.touchedAt = Date.now();
+    this.remember(session, 'user', text);
+
+    const answer = await runWithLocale(session.locale, async () => {
+      const followUp = session.item ? interpretFollowUp(text, session.locale) : null;
+      if (followUp?.intents.includes('why')) {
+        return { intent: 'why', intents: ['why'], reply: this.explainPick(session), result: session.lastResult, updated: false };
+      }
+      if (followUp) {
+        return this.refine(session, followUp);
+      }
+      return this.priceNewItem(session, text);
+    });
+
+    this.remember(session, 'assistant', answer.reply);
+    return { ...answer, session: this.describeSession(session) };
+  }
+
+  remember(session, role, content) {
+    session.messages.push({ role, content, at: new Date().toISOString() });
+    if (session.messages.length > MAX_MESSAGES) session.messages.shift();
+  }
+
+  async priceNewItem(session, text) {
+    const { description, targetPrice } = parseItemMessage(text);
+    if (!description) {
+      throw new ChatSessionError('Describe the item to price');
+    }
+    session.item = { description, query: description, targetPrice };
+    session.constraints = { maxPrice: null, retailers: [], excludeUrls: [] };
+    console.log(`💬 Chat ${session.id}: pricing new item "${description}"${targetPrice ? ` (target ${formatMoney(targetPrice)})` : ''}`);
+
+    const { result, candidates } = await this.search(session);
+    session.candidates = candidates;
+    this.setPick(session, result, { strategy: 'pricer', changed: [] });
+    return {
+      intent: 'new_item',
+      intents: ['new_item'],
+      reply: result?.found && !result.isEstimated
+        ? `Found ${result.description} for ${formatMoney(result.price)} at ${result.source}.`
+        : `I couldn't find a listing for "${description}"${result?.price ? ` - estimated at ${formatMoney(result.price)}` : ''}.`,
+      result,
+      updated: true
+    };
+  }
+
+  /**
+   * Re-run the search for the current item under the follow-up's constraints
+   * Constraints that lead nowhere are rolled back so the next follow-up starts from the last pick.
+   */
+  async refine(session, followUp) {
+    const previous = {
+      item: { ...session.item },
+      constraints: { ...session.constraints, excludeUrls: [...session.constraints.excludeUrls] }
+    };
+    const { intents } = followUp;
+    const changed = [];
+    const current = session.lastResult;
+
+    if (intents.includes('spec')) {
+      session.item.query = applySpecChanges(session.item.query, followUp.specs, followUp.color);
+      // A different size is a different product - the old target price and price cap no longer apply
+      session.item.targetPrice = null;
+      session.constraints.maxPrice = null;
+      session.constraints.excludeUrls = [];
+      changed.push(`searching for "${session.item.query}"`);
+    }
+    if (intents.includes('retailer')) {
+      session.constraints.retailers = followUp.retailers;
+      changed.push(`only ${this.retailerNames(session, followUp.retailers).join(' or ')}`);
+    }
+    if (intents.includes('cheaper')) {
+      const belowCurrent = current?.found && !current.isEstimated && current.price ? Math.round((current.price - 0.01) * 100) / 100 : null;
+      const caps = [followUp.maxPrice, belowCurrent, session.constraints.maxPrice].filter(Number.isFinite);
+      session.constraints.maxPrice = caps.length ? Math.min(...caps) : null;
+      if (current?.url) session.constraints.excludeUrls.push(current.url);
+      changed.push(session.constraints.maxPrice ? `at most ${formatMoney(session.constraints.maxPrice)}` : 'cheaper');
+    }
+    console.log(`💬 Chat ${session.id}: follow-up (${intents.join(', ')}) - ${changed.join(', ')}`);
+
+    // Spec and retailer changes search again; a price cap first looks through the kept candidates
+    const searchFirst = intents.includes('spec') || intents.includes('retailer');
+    let search = searchFirst ? await this.search(session) : { result: null, candidates: session.candidates };
+    let pick = this.choosePick(session, search);
+    if (!pick && !searchFirst) {
+      search = await this.search(session);
+      pick = this.choosePick(session, search);
+    }
+
+    if (!pick) {
+      Object.assign(session, previous);
+      return {
+        intent: intents[0],
+        intents,
+        reply: `I couldn't find a trusted listing (${changed.join(', ')}). Keeping ${current?.found && !current.isEstimated ? `${current.description} at ${formatMoney(current.price)}` : 'the previous result'}.`,
+        result: current,
+        updated: false
+      };
+    }
+
+    session.candidates = search.candidates;
+    this.setPick(session, pick.result, { strategy: pick.strategy, changed });
+    return {
+      intent: intents[0],
+      intents,
+      reply: `${pick.result.description} for ${formatMoney(pick.result.price)} at ${pick.result.source} (${changed.join(', ')}).`,
+      result: pick.result,
+      updated: true
+    };
+  }
+
+  // The pricer's pick when it meets the constraints, else the best kept shopping candidate
+  choosePick(session, { result, candidates }) {
+    if (this.isAcceptable(session, result)) {
+      return { result, strategy: 'pricer' };
+    }
+    const candidate = this.bestCandidate(session, candidates);
+    return candidate ? { result: candidate, strategy: 'candidates' } : null;
+  }
+
+  /**
+   * Price the session's item: the pricer's pick plus the shopping listings it chose from
+   */
+  async search(session) {
+    const { query } = session.item;
+    const { maxPrice, retailers } = session.constraints;
+    // A price cap moves the pricer's target down to it so its tolerance range sits below the cap
+    const targetPrice = maxPrice ? Math.min(maxPrice, session.item.targetPrice || maxPrice) : session.item.targetPrice;
+    const pricer = this.pricer;
+    const names = this.retailerNames(session, retailers).slice(0, MAX_RETAILER_SEARCHES);
+    const pricerQuery = names.length === 1 ? `${query} ${names[0]}` : query;
+    const candidateQueries = names.length ? names.map(name => `${query} ${name}`) : [query];
+
+    const [pricerResult, ...listingSets] = await Promise.all([
+      pricer.findBestPrice(pricerQuery, targetPrice, session.tolerancePct).catch(error => {
+        console.error(`⚠️ Chat ${session.id}: pricer failed:`, error.message);
+        return null;
+      }),
+      ...candidateQueries.map(candidateQuery => pricer.searchGoogleShopping(candidateQuery).catch(() => null))
+    ]);
+
+    const seen = new Set();
+    const candidates = listingSets.flat().filter(Boolean)
+      .map(listing => ({
+        title: listing.title,
+        price: listing.extracted_price || pricer.parsePrice(listing.price) || null,
+        source: listing.source || null,
+        url: listing.direct_url || listing.link || null,
+        trusted: pricer.isTrustedRetailer(listing.source || '')
+      }))
+      .filter(candidate => candidate.title && candidate.price && !seen.has(candidate.url || candidate.title) && seen.add(candidate.url || candidate.title))
+      .slice(0, MAX_CANDIDATES);
+
+    return { result: toChatResult(pricerResult, pricerQuery), candidates };
+  }
+
+  matchesRetailers(session, sourceOrUrl) {
+    const { retailers } = session.constraints;
+    if (retailers.length === 0) return true;
+    return sourceOrUrl.some(value => retailers.includes(localRetailerDomain(value, session.locale)));
+  }
+
+  isAcceptable(session, result) {
+    if (!result || !result.found || result.isEstimated || !result.price) return false;
+    const { maxPrice, excludeUrls } = session.constraints;
+    if (maxPrice && result.price > maxPrice) return false;
+    if (result.url && excludeUrls.includes(result.url)) return false;
+    return this.matchesRetailers(session, [result.source, result.url].filter(Boolean));
+  }
+
+  /**
+   * Best kept listing under the constraints - trusted, not a different product (pricer.hardMismatch)
+   * and ranked the way the pricer ranks shopping results
+   */
+  bestCandidate(session, candidates) {
+    const pricer = this.pricer;
+    const { query, targetPrice } = session.item;
+    const { maxPrice, excludeUrls } = session.constraints;
+    const queryAttrs = pricer.parseAttributes(query);
+    const wanted = extractSpecs(query).specs;
+    // A listing that states another size than asked for ("55 inch" for a 65 inch follow-up) is out
+    const conflictsWithSpecs = (title) => {
+      const listed = extractSpecs(title).specs;
+      return Object.entries(wanted).some(([unit, value]) => listed[unit] !== undefined && listed[unit] !== value);
+    };
+    const eligible = candidates.filter(candidate => candidate.trusted
+      && (!maxPrice || candidate.price <= maxPrice)
+      && !(candidate.url && excludeUrls.includes(candidate.url))
+      && this.matchesRetailers(session, [candidate.source, candidate.url].filter(Boolean))
+      && !conflictsWithSpecs(candidate.title)
+      && !pricer.hardMismatch(queryAttrs, pricer.parseProductAttributes(candidate.title)));
+    if (eligible.length === 0) return null;
+
+    const best = pricer.findBestShoppingMatch(
+      eligible.map(candidate => ({ ...candidate, extracted_price: candidate.price })),
+      query,
+      targetPrice
+    );
+    if (!best) return null;
+    return {
+      ...toChatResult({ ...best, found: true, price: best.extracted_price, url: best.url, description: best.title }, query),
+      matchQuality: 'Chat follow-up - shopping candidate',
+      similarity: best.similarity
+    };
+  }
+
+  setPick(session, result, { strategy, changed }) {
+    session.lastResult = result;
+    session.lastDecision = {
+      strategy,
+      changed,
+      query: session.item.query,
+      candidatesConsidered: session.candidates.length,
+      constraints: { ...session.constraints }
+    };
+  }
+
+  retailerNames(session, domains) {
+    const retailers = LOCALES[session.locale.country].retailers;
+    return domains.map(domain => retailers[domain]?.[0] || domain);
+  }
+
+  /**
+   * Why the current pick - match quality, retailer trust, price against the target, specs and constraints
+   */
+  explainPick(session) {
+    const result = session.lastResult;
+    const decision = session.lastDecision || {};
+    if (!result) return 'Nothing has been priced in this conversation yet.';
+    if (!result.found || result.isEstimated) {
+      return `No listing matched "${session.item.query}", so the price (${result.price ? formatMoney(result.price) : 'n/a'}) is an estimate${result.explanation ? ` - ${result.explanation}` : ''}.`;
+    }
+
+    const pricer = this.pricer;
+    const reasons = [];
+    reasons.push(decision.strategy === 'candidates'
+      ? `it ranked best among ${decision.candidatesConsidered} shopping listings on title similarity, price and retailer trust${result.similarity !== undefined ? ` (title similarity ${Math.round(result.similarity * 100)}%)` : ''}`
+      : `the pricer matched it as "${result.matchQuality || 'a match'}"`);
+    if (result.explanation) reasons.push(result.explanation);
+    if (result.source) {
+      reasons.push(pricer.isTrustedRetailer(result.source)
+        ? `${result.source} is a trusted retailer`
+        : `${result.source} is not on the trusted retailer list - check the listing`);
+    }
+    const { targetPrice } = session.item;
+    if (targetPrice) {
+      const range = PriceRangeCalculator.calculateRange(targetPrice, session.tolerancePct);
+      const inRange = result.price >= range.minPrice && result.price <= range.maxPrice;
+      reasons.push(`${formatMoney(result.price)} is ${inRange ? 'within' : 'outside'} your ${session.tolerancePct}% range of ${formatMoney(targetPrice)} (${range.formattedRange})`);
+    }
+    const wanted = extractSpecs(session.item.query);
+    const found = extractSpecs(result.description);
+    const matchedSpecs = Object.entries(wanted.specs)
+      .filter(([unit, value]) => found.specs[unit] === value)
+      .map(([unit, value]) => `${value} ${unit}`);
+    if (matchedSpecs.length) reasons.push(`the listing matches ${matchedSpecs.join(', ')}`);
+    const { maxPrice, retailers } = session.constraints;
+    if (maxPrice || retailers.length) {
+      const asked = [
+        maxPrice ? `at most ${formatMoney(maxPrice)}` : null,
+        retailers.length ? `only ${this.retailerNames(session, retailers).join(' or ')}` : null
+      ];
+      reasons.push(`you asked for ${asked.filter(Boolean).join(' and ')}`);
+    }
+
+    return `I picked ${result.description} at ${formatMoney(result.price)} from ${result.source} because ${reasons.join('; ')}.`;
+  }
+
+  describeSession(session) {
+    return {
+      id: session.id,
+      item: session.item && {
+        ...session.item,
+        attributes: { ...this.pricer.parseAttributes(session.item.query), ...extractSpecs(session.item.query) }
+      },
+      constraints: session.constraints,
+      lastResult: session.lastResult,
+      candidates: session.candidates,
+      tolerancePct: session.tolerancePct,
+      locale: session.locale,
+      messages: session.messages,
+      createdAt: session.createdAt
+    };
+  }
+
+  deleteSession(sessionId, userId) {
+    this.requireSession(sessionId, userId);
+    this.sessions.delete(sessionId);
+  }
+}
+
+let sharedChatSessionService = null;
+
+function getChatSessionService() {
+  if (!sharedChatSessionService) {
+    sharedChatSessionService = new ChatSessionService();
+  }
+  return sharedChatSessionService;
+}
+
+module.exports = {
+  ChatSessionService,
+  ChatSessionError,
+  getChatSessionService
+};
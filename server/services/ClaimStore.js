@@ -0,0 +1,564 @@
+/**
+ * ClaimStore Service
+ * Groups CSV, image and single-search jobs under one insurance claim so adjusters
+ * can see replacement cost, depreciation and ACV for the whole loss.
+ *
+ * Each attached job keeps a roll-up snapshot (per room / dep category) taken when it
+ * was attached, so claim totals do not depend on JOB_RESULT_TTL_HOURS retention.
+ *
+ * Claims belong to the organization they were created for and claim numbers are unique per
+ * org. Lookups take the request's org scope ({ orgId, all } - req.orgScope): a claim of
+ * another org is reported as not found. Without a scope (internal callers) every claim is visible.
+ *
+ * Drivers (CLAIM_STORE_DRIVER):
+ *   mysql  - claims / claim_jobs (src/audit/migrations/005_claims.sql, 014_claims_org.sql)
+ *   memory - process memory only (default when DB_HOST is not set)
+ */
+
+const crypto = require('crypto');
+
+const JOB_TYPES = ['CSV', 'IMAGE', 'SINGLE'];
+const UNASSIGNED_ROOM = 'Unassigned';
+const UNCATEGORIZED = 'Uncategorized';
+
+class ClaimError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ClaimError';
+    this.statusCode = statusCode;
+  }
+}
+
+function roundMoney(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+// Accepts numbers and "$1,234.56" strings
+function parseMoney(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : 0;
+  return parseFloat(String(value || '').replace(/[^0-9.\-]/g, '')) || 0;
+}
+
+function normalizeLossDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ClaimError('lossDate must be a valid date');
+  }
+  return date.toISOString().substring(0, 10);
+}
+
+// Policy limits are named coverages, e.g. { contents: 50000, perItem: 2500 }. Coverages named
+// per item (perItem, per_item, jewelryPerItem, ...) cap each row; the rest cap the whole claim.
+const PER_ITEM_COVERAGE = /per[\s_-]?item/i;
+
+function normalizePolicyLimits(limits) {
+  if (limits === undefined || limits === null) return {};
+  if (typeof limits !== 'object' || Array.isArray(limits)) {
+    throw new ClaimError('policyLimits must be an object of coverage name -> amount');
+  }
+  const result = {};
+  for (const [coverage, amount] of Object.entries(limits)) {
+    const value = parseMoney(amount);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new ClaimError(`policyLimits.${coverage} must be a non-negative amount`);
+    }
+    result[coverage] = roundMoney(value);
+  }
+  return result;
+}
+
+// Whether a claim is visible to an org scope (see the header)
+function inScope(claim, scope) {
+  if (!claim) return false;
+  if (!scope || scope.all) return true;
+  return (claim.orgId || null) === (scope.orgId || null);
+}
+
+// Org a scope reads and writes claims for - undefined means every org
+function scopeOrgId(scope) {
+  if (!scope || scope.all) return undefined;
+  return scope.orgId || null;
+}
+
+function emptyTotals() {
+  return { itemCount: 0, rcv: 0, depreciation: 0, acv: 0 };
+}
+
+function addTotals(target, source) {
+  target.itemCount += source.itemCount || 0;
+  target.rcv += source.rcv || 0;
+  target.depreciation += source.depreciation || 0;
+  target.acv += source.acv || 0;
+  return target;
+}
+
+function roundTotals(totals) {
+  return {
+    itemCount: totals.itemCount,
+    rcv: roundMoney(totals.rcv),
+    depreciation: roundMoney(totals.depreciation),
+    acv: roundMoney(totals.acv)
+  };
+}
+
+/**
+ * Roll priced rows up by room and depreciation category
+ * @param {Array} results - processed rows (enhanced/CSV result shape)
+ * @returns {{totals: Object, lines: Array, items: Array}} lines are { room, depCat, itemCount, rcv,
+ *   depreciation, acv }; items are { itemNumber, description, room, rcv } per row for per-item limits
+ */
+function summarizeResults(results = []) {
+  const lines = new Map();
+  const totals = emptyTotals();
+  const items = [];
+
+  (results || []).forEach(result => {
+    if (!result) return;
+    const rcv = parseMoney(result['Total Replacement Price'] ?? result.totalReplacementPrice ?? result.Price ?? result.price);
+    const depreciation = parseMoney(result.depAmount ?? result['Dep Amount']);
+    // Carrier-table rows carry their own ACV; AI-categorized rows only have a dep amount
+    const acv = typeof result.acv === 'number' ? result.acv : Math.max(0, rcv - depreciation);
+    const room = String(result.Room || result.room || '').trim() || UNASSIGNED_ROOM;
+    const depCat = String(result['Dep. Cat'] || result.depCat || '').trim() || UNCATEGORIZED;
+
+    const key = `${room}|${depCat}`;
+    const line = lines.get(key) || { room, depCat, ...emptyTotals() };
+    const row = { itemCount: 1, rcv, depreciation, acv };
+    addTotals(line, row);
+    addTotals(totals, row);
+    lines.set(key, line);
+    items.push({
+      itemNumber: result.itemNumber ?? null,
+      description: String(result.Description || result.description || '').substring(0, 200),
+      room,
+      rcv: roundMoney(rcv)
+    });
+  });
+
+  return {
+    totals: roundTotals(totals),
+    lines: Array.from(lines.values()).map(line => ({ room: line.room, depCat: line.depCat, ...roundTotals(line) })),
+    items
+  };
+}
+
+/**
+ * Check a claim's policy limits: per-item coverages against each row's RCV, the others against
+ * the claim total. Jobs attached before items were part of the roll-up have no rows to check
+ * until they are refreshed.
+ */
+function checkPolicyLimits(policyLimits, totals, jobs) {
+  const items = jobs.flatMap(job => (job.rollup?.items || []).map(item => ({ jobId: job.jobId, ...item })));
+  return Object.fromEntries(Object.entries(policyLimits || {}).map(([coverage, limit]) => {
+    if (!PER_ITEM_COVERAGE.test(coverage)) {
+      return [coverage, { limit, appliesTo: 'claim', rcv: totals.rcv, acv: totals.acv, exceeded: totals.rcv > limit }];
+    }
+    const itemsOverLimit = items.filter(item => item.rcv > limit);
+    return [coverage, {
+      limit,
+      appliesTo: 'item',
+      highestItemRcv: items.reduce((highest, item) => Math.max(highest, item.rcv), 0),
+      itemsOverLimit,
+      exceeded: itemsOverLimit.length > 0
+    }];
+  }));
+}
+
+class MemoryClaimAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.claims = new Map();
+    this.jobs = new Map(); // jobId -> claim job
+  }
+
+  async listClaims({ orgId } = {}) {
+    return [...this.claims.values()].filter(claim => orgId === undefined || (claim.orgId || null) === orgId);
+  }
+
+  async getClaim(id) {
+    return this.claims.get(id) || null;
+  }
+
+  async getClaimByNumber(claimNumber, orgId) {
+    return [...this.claims.values()].find(c => c.claimNumber === claimNumber &&
+      (orgId === undefined || (c.orgId || null) === orgId)) || null;
+  }
+
+  async saveClaim(claim) {
+    this.claims.set(claim.id, claim);
+  }
+
+  async listJobs(claimId) {
+    return [...this.jobs.values()].filter(job => job.claimId === claimId);
+  }
+
+  async getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  async saveJob(job) {
+    this.jobs.set(job.jobId, job);
+  }
+
+  async removeJob(jobId) {
+    this.jobs.delete(jobId);
+  }
+}
+
+class MySQLClaimAdapter {
+  /**
+   * @param {Function} getPool - returns a mysql2/promise pool
+   */
+  constructor(getPool) {
+    this.name = 'mysql';
+    this.getPool = getPool;
+  }
+
+  static parseJson(value, fallback) {
+    if (value == null) return fallback;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  static rowToClaim(row) {
+    return {
+      id: row.id,
+      orgId: row.org_id || null,
+      claimNumber: row.claim_number,
+      insured: row.insured_name,
+      lossDate: row.loss_date instanceof Date ? row.loss_date.toISOString().substring(0, 10) : row.loss_date,
+      policyLimits: MySQLClaimAdapter.parseJson(row.policy_limits_json, {}),
+      notes: row.notes,
+      createdBy: row.created_by,
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString()
+    };
+  }
+
+  static rowToJob(row) {
+    return {
+      jobId: row.job_id,
+      claimId: row.claim_id,
+      jobType: row.job_type,
+      label: row.label,
+      rollup: MySQLClaimAdapter.parseJson(row.rollup_json, { totals: emptyTotals(), lines: [], items: [] }),
+      attachedBy: row.attached_by,
+      attachedAt: new Date(row.attached_at).toISOString()
+    };
+  }
+
+  async listClaims({ orgId } = {}) {
+    const [rows] = orgId === undefined
+      ? await this.getPool().execute('SELECT * FROM claims ORDER BY created_at DESC')
+      : await this.getPool().execute(
+        `SELECT * FROM claims WHERE ${orgId ? 'org_id = ?' : 'org_id IS NULL'} ORDER BY created_at DESC`,
+        orgId ? [orgId] : []
+      );
+    return rows.map(MySQLClaimAdapter.rowToClaim);
+  }
+
+  async getClaim(id) {
+    const [rows] = await this.getPool().execute('SELECT * FROM claims WHERE id = ?', [id]);
+    return rows.length ? MySQLClaimAdapter.rowToClaim(rows[0]) : null;
+  }
+
+  async getClaimByNumber(claimNumber, orgId) {
+    const [rows] = orgId === undefined
+      ? await this.getPool().execute('SELECT * FROM claims WHERE claim_number = ? ORDER BY created_at', [claimNumber])
+      : await this.getPool().execute(
+        `SELECT * FROM claims WHERE claim_number = ? AND ${orgId ? 'org_id = ?' : 'org_id IS NULL'}`,
+        orgId ? [claimNumber, orgId] : [claimNumber]
+      );
+    return rows.length ? MySQLClaimAdapter.rowToClaim(rows[0]) : null;
+  }
+
+  async saveClaim(claim) {
+    await this.getPool().execute(
+      `INSERT INTO claims (id, org_id, claim_number, insured_name, loss_date, policy_limits_json, notes, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE claim_number = VALUES(claim_number), insured_name = VALUES(insured_name),
+         loss_date = VALUES(loss_date), policy_limits_json = VALUES(policy_limits_json), notes = VALUES(notes),
+         updated_at = VALUES(updated_at)`,
+      [
+        claim.id,
+        claim.orgId || null,
+        claim.claimNumber,
+        claim.insured || null,
+        claim.lossDate || null,
+        JSON.stringify(claim.policyLimits || {}),
+        claim.notes || null,
+        claim.createdBy || null,
+        new Date(claim.createdAt),
+        new Date(claim.updatedAt)
+      ]
+    );
+  }
+
+  async listJobs(claimId) {
+    const [rows] = await this.getPool().execute(
+      'SELECT * FROM claim_jobs WHERE claim_id = ? ORDER BY attached_at',
+      [claimId]
+    );
+    return rows.map(MySQLClaimAdapter.rowToJob);
+  }
+
+  async getJob(jobId) {
+    const [rows] = await this.getPool().execute('SELECT * FROM claim_jobs WHERE job_id = ?', [jobId]);
+    return rows.length ? MySQLClaimAdapter.rowToJob(rows[0]) : null;
+  }
+
+  async saveJob(job) {
+    await this.getPool().execute(
+      `INSERT INTO claim_jobs (job_id, claim_id, job_type, label, rollup_json, attached_by, attached_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE claim_id = VALUES(claim_id), job_type = VALUES(job_type), label = VALUES(label),
+         rollup_json = VALUES(rollup_json), attached_by = VALUES(attached_by), attached_at = VALUES(attached_at)`,
+      [job.jobId, job.claimId, job.jobType, job.label || null, JSON.stringify(job.rollup), job.attachedBy || null, new Date(job.attachedAt)]
+    );
+  }
+
+  async removeJob(jobId) {
+    await this.getPool().execute('DELETE FROM claim_jobs WHERE job_id = ?', [jobId]);
+  }
+}
+
+class ClaimStore {
+  constructor(adapter) {
+    this.adapter = adapter || new MemoryClaimAdapter();
+    console.log(`🗂️ ClaimStore initialized (driver: ${this.adapter.name})`);
+  }
+
+  get driver() {
+    return this.adapter.name;
+  }
+
+  /**
+   * @param {Object} options - { search, scope: req.orgScope }
+   */
+  async listClaims({ search, scope } = {}) {
+    const claims = await this.adapter.listClaims({ orgId: scopeOrgId(scope) });
+    const term = String(search || '').trim().toLowerCase();
+    return claims
+      .filter(claim => !term ||
+        claim.claimNumber.toLowerCase().includes(term) ||
+        String(claim.insured || '').toLowerCase().includes(term))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Look a claim up by id or claim number (the number within the scope's org)
+   * @param {Object} scope - req.orgScope; claims outside it are not found
+   */
+  async getClaim(idOrNumber, scope) {
+    const key = String(idOrNumber || '').trim();
+    if (!key) return null;
+    const byId = await this.adapter.getClaim(key);
+    if (byId) return inScope(byId, scope) ? byId : null;
+    return this.adapter.getClaimByNumber(key, scopeOrgId(scope));
+  }
+
+  async requireClaim(idOrNumber, scope) {
+    const claim = await this.getClaim(idOrNumber, scope);
+    if (!claim) {
+      throw new ClaimError(`Claim "${idOrNumber}" not found`, 404);
+    }
+    return claim;
+  }
+
+  async createClaim({ claimNumber, insured, lossDate, policyLimits, notes, createdBy, orgId = null }) {
+    const number = String(claimNumber || '').trim().substring(0, 64);
+    if (!number) {
+      throw new ClaimError('claimNumber is required');
+    }
+    if (await this.adapter.getClaimByNumber(number, orgId || null)) {
+      throw new ClaimError(`Claim "${number}" already exists`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const claim = {
+      id: crypto.randomUUID(),
+      orgId: orgId || null,
+      claimNumber: number,
+      insured: insured ? String(insured).trim() : null,
+      lossDate: normalizeLossDate(lossDate),
+      policyLimits: normalizePolicyLimits(policyLimits),
+      notes: notes || null,
+      createdBy: createdBy || null,
+      createdAt: now,
+      updatedAt: now
+    };
+    await this.adapter.saveClaim(claim);
+    console.log(`🗂️ Created claim ${claim.claimNumber} (${claim.id})`);
+    return claim;
+  }
+
+  async updateClaim(idOrNumber, { claimNumber, insured, lossDate, policyLimits, notes } = {}, scope) {
+    const claim = await this.requireClaim(idOrNumber, scope);
+    const updated = { ...claim, updatedAt: new Date().toISOString() };
+
+    if (claimNumber !== undefined) {
+      const number = String(claimNumber || '').trim().substring(0, 64);
+      if (!number) {
+        throw new ClaimError('claimNumber cannot be empty');
+      }
+      const existing = await this.adapter.getClaimByNumber(number, claim.orgId || null);
+      if (existing && existing.id !== claim.id) {
+        throw new ClaimError(`Claim "${number}" already exists`, 409);
+      }
+      updated.claimNumber = number;
+    }
+    if (insured !== undefined) updated.insured = insured ? String(insured).trim() : null;
+    if (lossDate !== undefined) updated.lossDate = normalizeLossDate(lossDate);
+    if (policyLimits !== undefined) updated.policyLimits = normalizePolicyLimits(policyLimits);
+    if (notes !== undefined) updated.notes = notes || null;
+
+    await this.adapter.saveClaim(updated);
+    return updated;
+  }
+
+  /**
+   * Attach a processed job to a claim (re-attaching moves it and refreshes its roll-up)
+   * @param {string} idOrNumber - claim id or claim number
+   * @param {Object} job - { jobId, jobType: CSV|IMAGE|SINGLE, label, results, attachedBy }
+   * @param {Object} scope - req.orgScope
+   */
+  async attachJob(idOrNumber, { jobId, jobType, label, results, attachedBy }, scope) {
+    const claim = await this.requireClaim(idOrNumber, scope);
+    if (!jobId) {
+      throw new ClaimError('jobId is required');
+    }
+    const type = String(jobType || 'CSV').toUpperCase();
+    if (!JOB_TYPES.includes(type)) {
+      throw new ClaimError(`jobType must be one of ${JOB_TYPES.join(', ')}`);
+    }
+
+    // A job attached to another org's claim is not ours to move
+    const attached = await this.adapter.getJob(String(jobId));
+    if (attached && attached.claimId !== claim.id && !inScope(await this.adapter.getClaim(attached.claimId), scope)) {
+      throw new ClaimError(`Job "${jobId}" is attached to another claim`, 409);
+    }
+
+    const claimJob = {
+      jobId: String(jobId),
+      claimId: claim.id,
+      jobType: type,
+      label: label || null,
+      rollup: summarizeResults(results),
+      attachedBy: attachedBy || null,
+      attachedAt: new Date().toISOString()
+    };
+    await this.adapter.saveJob(claimJob);
+    console.log(`🗂️ Attached ${type} job ${claimJob.jobId} to claim ${claim.claimNumber} (${claimJob.rollup.totals.itemCount} items)`);
+    return claimJob;
+  }
+
+  async detachJob(idOrNumber, jobId, scope) {
+    const claim = await this.requireClaim(idOrNumber, scope);
+    const job = await this.adapter.getJob(jobId);
+    if (!job || job.claimId !== claim.id) {
+      throw new ClaimError(`Job "${jobId}" is not attached to claim ${claim.claimNumber}`, 404);
+    }
+    await this.adapter.removeJob(jobId);
+    return { claimId: claim.id, jobId, detached: true };
+  }
+
+  /**
+   * Re-take the roll-up snapshot of an attached job after its results changed (e.g. adjuster overrides)
+   * @returns {Object|null} updated claim job, or null when the job isn't attached to a claim
+   */
+  async refreshJob(jobId, results) {
+    const job = await this.adapter.getJob(jobId);
+    if (!job) return null;
+    const claimJob = { ...job, rollup: summarizeResults(results) };
+    await this.adapter.saveJob(claimJob);
+    return claimJob;
+  }
+
+  async getClaimForJob(jobId) {
+    const job = await this.adapter.getJob(jobId);
+    return job ? this.adapter.getClaim(job.claimId) : null;
+  }
+
+  async listJobs(idOrNumber, scope) {
+    const claim = await this.requireClaim(idOrNumber, scope);
+    return this.adapter.listJobs(claim.id);
+  }
+
+  /**
+   * Claim roll-up across every attached job: totals, by room, by dep category
+   * and the room x category matrix, plus policy limit checks against RCV (per row for per-item coverages)
+   */
+  async getSummary(idOrNumber, scope) {
+    const claim = await this.requireClaim(idOrNumber, scope);
+    const jobs = await this.adapter.listJobs(claim.id);
+
+    const totals = emptyTotals();
+    const byRoom = new Map();
+    const byDepCategory = new Map();
+    const lines = new Map();
+    const byJobType = {};
+
+    jobs.forEach(job => {
+      byJobType[job.jobType] = (byJobType[job.jobType] || 0) + 1;
+      (job.rollup?.lines || []).forEach(line => {
+        addTotals(totals, line);
+        byRoom.set(line.room, addTotals(byRoom.get(line.room) || emptyTotals(), line));
+        byDepCategory.set(line.depCat, addTotals(byDepCategory.get(line.depCat) || emptyTotals(), line));
+        const key = `${line.room}|${line.depCat}`;
+        lines.set(key, addTotals(lines.get(key) || { room: line.room, depCat: line.depCat, ...emptyTotals() }, line));
+      });
+    });
+
+    const rounded = roundTotals(totals);
+    const policyLimits = checkPolicyLimits(claim.policyLimits, rounded, jobs);
+
+    return {
+      claim,
+      jobCount: jobs.length,
+      byJobType,
+      totals: rounded,
+      byRoom: Array.from(byRoom.entries()).map(([room, entry]) => ({ room, ...roundTotals(entry) })),
+      byDepCategory: Array.from(byDepCategory.entries()).map(([depCat, entry]) => ({ depCat, ...roundTotals(entry) })),
+      lines: Array.from(lines.values()).map(line => ({ room: line.room, depCat: line.depCat, ...roundTotals(line) })),
+      policyLimits,
+      jobs: jobs.map(job => ({
+        jobId: job.jobId,
+        jobType: job.jobType,
+        label: job.label,
+        attachedAt: job.attachedAt,
+        totals: job.rollup?.totals || roundTotals(emptyTotals())
+      }))
+    };
+  }
+}
+
+function createAdapter(driver) {
+  switch ((driver || '').toLowerCase()) {
+    case 'mysql':
+      return new MySQLClaimAdapter(() => require('../utils/database'));
+    case 'memory':
+      return new MemoryClaimAdapter();
+    default:
+      console.warn(`⚠️ Unknown CLAIM_STORE_DRIVER "${driver}", falling back to memory`);
+      return new MemoryClaimAdapter();
+  }
+}
+
+let sharedClaimStore = null;
+
+function getClaimStore() {
+  if (!sharedClaimStore) {
+    const driver = process.env.CLAIM_STORE_DRIVER || (process.env.DB_HOST ? 'mysql' : 'memory');
+    sharedClaimStore = new ClaimStore(createAdapter(driver));
+  }
+  return sharedClaimStore;
+}
+
+module.exports = {
+  ClaimStore,
+  ClaimError,
+  MemoryClaimAdapter,
+  MySQLClaimAdapter,
+  summarizeResults,
+  getClaimStore
+};
@@ -2,36 +2,64 @@ const DEFAULT_CATEGORY_NAME = process.env.DEP_DEFAULT_CATEGORY_NAME || '';
 const gpt5Config = require('../config/gpt5Config');
 const { chatWithFallback } = require('../utils/openaiWrapper');
 
+// ACV schedule defaults - depreciation never exceeds this share of replacement cost (0 = no depreciation)
+const envMaxDepreciation = parseFloat(process.env.DEP_MAX_DEPRECIATION);
+const DEFAULT_MAX_DEPRECIATION = Number.isFinite(envMaxDepreciation) && envMaxDepreciation >= 0 && envMaxDepreciation <= 1
+  ? envMaxDepreciation
+  : 0.80;
+// Items without an age keep the legacy behaviour of one year at the category rate
+const DEFAULT_AGE_YEARS = 1;
+
+// Condition modifiers scale the age-based depreciation (good = straight schedule)
+const CONDITION_MODIFIERS = {
+  new: 0.5,
+  good: 1.0,
+  fair: 1.25,
+  poor: 1.5
+};
+
+const CONDITION_ALIASES = {
+  new: ['new', 'like new', 'mint', 'excellent', 'unused', 'nib', 'a'],
+  good: ['good', 'average', 'very good', 'normal', 'b'],
+  fair: ['fair', 'used', 'worn', 'below average', 'c'],
+  poor: ['poor', 'damaged', 'broken', 'bad', 'd', 'f']
+};
+
 // Fallback categories in case database connection fails
 const FALLBACK_CATEGORIES = [
   {
     id: 1,
     name: 'KCW - KITCHEN (STORAGE)',
     depPercent: 0.10,
+    usefulLifeYears: 10,
     examples: ['cooler', 'beverage', 'storage', 'kitchen', 'lunch', 'stanley', 'canisters', 'silverware', 'pantry', 'mixer', 'mixers', 'blender', 'blenders', 'ninja', 'cuisinart', 'cookware', 'utensil', 'aprons', 'apron', 'dish', 'plate', 'cup', 'mug', 'glass', 'bowl', 'pan', 'pot', 'knife', 'fork', 'spoon', 'container', 'jar', 'bottle', 'thermos', 'lunchbox', 'kitchen', 'cooking', 'baking', 'prep', 'crockpot', 'slow cooker', 'waffle', 'waffle iron', 'toaster', 'coffee maker', 'microwave', 'oven', 'stove', 'range', 'refrigerator', 'freezer', 'dishwasher', 'sink', 'faucet', 'cabinet', 'drawer', 'shelf', 'rack', 'organizer', 'towel', 'rag', 'sponge', 'brush', 'cleaner', 'detergent', 'soap', 'trash', 'garbage', 'recycle', 'bin', 'basket', 'tray', 'serving', 'dining']
   },
   {
     id: 2,
     name: 'ELC - ELECTRONICS B',
     depPercent: 0.20,
+    usefulLifeYears: 5,
     examples: ['electronics', 'metal', 'electrical', 'wiring', 'circuit', 'tv', 'television', '4k', 'uhd', 'hd', 'remote', 'laptop', 'energizer','computer', 'pc', 'monitor', 'screen', 'tablet', 'iphone', 'android', 'camera', 'speaker', 'soundbar', 'bose', 'sony', 'headphone', 'headphones', 'earbuds', 'earphones', 'gaming', 'console', 'xbox', 'playstation', 'ps5', 'nintendo', 'charger', 'cables', 'wire', 'battery', 'power', 'digital', 'smart', 'device', 'gadget', 'bluetooth', 'wireless', 'audio', 'sound']
   },
   {
     id: 3,
     name: 'LIN - BEDDING II',
     depPercent: 0.05,
+    usefulLifeYears: 20,
     examples: ['mattress', 'bedding', 'bed', 'sleep', 'furniture', 'fabric', 'textile', 'mat','sheet', 'pillow', 'blanket', 'comforter', 'duvet', 'quilt', 'bedspread', 'boxspring', 'bedframe', 'headboard', 'footboard', 'nightstand', 'dresser', 'wardrobe', 'closet', 'bedroom', 'sleeping', 'rest', 'comfort', 'soft', 'cushion', 'support', 'down', 'feather', 'cotton', 'linen', 'wool', 'silk', 'polyester', 'memory', 'foam', 'innerspring', 'hybrid']
   },
   {
     id: 4,
     name: 'SPG - SPORTING GOODS',
     depPercent: 0.10,
+    usefulLifeYears: 10,
     examples: ['sporting', 'outdoor', 'camping', 'helmet', 'tents', 'sleeping', 'bags', 'equipment', 'exercise', 'fitness', 'gym', 'workout', 'sports', 'game', 'play', 'recreation', 'hobby', 'bicycle', 'bike', 'treadmill', 'weights', 'dumbbell', 'yoga', 'mat', 'ball', 'racket', 'club', 'gear', 'athletic', 'active', 'movement', 'training', 'cardio', 'strength', 'flexibility', 'balance', 'endurance']
   },
   {
     id: 5,
     name: 'FRN - FURNITURE',
     depPercent: 0.10,
+    usefulLifeYears: 10,
     examples: ['furniture', 'wood', 'metal', 'plastic', 'fabric', 'rattan', 'wicker', 'chair', 'chairs', 'table', 'tables', 'desk', 'sofa', 'couch', 'loveseat', 'ottoman', 'coffee', 'dining', 'office', 'work', 'study', 'living', 'family', 'room', 'home', 'house', 'apartment', 'decor', 'decoration', 'style', 'design', 'modern', 'traditional', 'classic', 'contemporary', 'leather', 'recliner', 'drawer', 'cabinet', 'shelf', 'bookcase', 'entertainment', 'center', 'console', 'side', 'end', 'accent', 'occasional', 'sectional', 'bed', 'bedroom', 'dresser', 'nightstand', 'headboard', 'footboard', 'bench', 'stool', 'barstool', 'credenza', 'armoire', 'wardrobe', 'chest', 'mirror', 'lamp', 'lamps', 'lighting', 'rug', 'carpet', 'curtain', 'blind', 'shade', 'pillow', 'cushion', 'throw', 'blanket', 'comforter', 'duvet', 'quilt', 'bedspread', 'mattress', 'boxspring', 'bedframe', 'crib', 'bunkbed', 'trundle', 'futon', 'daybed', 'platform', 'canopy', 'fourposter', 'sleigh', 'poster', 'twin', 'full', 'queen', 'king', 'california', 'eastern', 'western', 'out door', 'outdoor', 'electric', 'aluminum', 'entry', 'mat', 'decoration', 'decorative', 'heater', 'extension', 'cord']
 
   },
@@ -39,12 +67,14 @@ const FALLBACK_CATEGORIES = [
     id: 6,
     name: 'APM - APPLIANCES (MAJOR)',
     depPercent: 0.05,
+    usefulLifeYears: 20,
     examples: ['appliance', 'refrigerator', 'freezer', 'stove', 'range', 'major', 'kitchen', 'washer', 'dryer', 'dishwasher', 'microwave', 'oven', 'cooktop', 'hood', 'vent', 'fan', 'air', 'conditioner', 'heater', 'furnace', 'boiler', 'water', 'heater', 'garbage', 'disposal', 'trash', 'compactor', 'large', 'major', 'essential', 'household', 'home', 'domestic', 'laundry', 'cleaning', 'maintenance', 'vacuum', 'vacuum cleaner', 'iron', 'ironing', 'steam', 'press', 'machine']
   },
   {
     id: 7,
     name: 'LGP - OUTDOOR/PATIO',
     depPercent: 0.20,
+    usefulLifeYears: 5,
     examples: ['outdoor', 'patio', 'garden', 'polycast', 'hose', 'sprinkler', 'flag', 'plant', 'flower', 'lamp', 'lamps', 'light', 'lights', 'lighting', 'electrical', 'string', 'led', 'fairy', 'star', 'copper', 'wire', 'exterior', 'outside', 'external', 'landscape', 'landscaping', 'deck', 'porch', 'balcony', 'terrace', 'walkway', 'path', 'driveway', 'fence', 'gate', 'shed', 'garage', 'pool', 'spa', 'hot', 'tub', 'illumination', 'fixture', 'bulb', 'lantern', 'torch', 'spotlight', 'floodlight', 'pathlight', 'wall', 'mounted', 'post', 'mounted', 'hanging', 'ceiling', 'ground', 'buried']
 
     
@@ -53,42 +83,49 @@ const FALLBACK_CATEGORIES = [
     id: 8,
     name: 'PER - FOOD',
     depPercent: 0.00,
+    usefulLifeYears: 1,
     examples: ['food', 'beverage', 'alcohol', 'consumable', 'perishable', 'drink', 'snack', 'candy', 'chocolate', 'soda', 'juice', 'milk', 'water', 'beer', 'wine', 'liquor', 'spirit', 'cigarette', 'tobacco', 'medicine', 'vitamin', 'supplement', 'pill', 'tablet', 'capsule', 'powder', 'liquid', 'cream', 'lotion', 'soap', 'shampoo', 'toothpaste', 'cosmetic', 'makeup', 'coffee', 'tea', 'beans', 'grain', 'cereal', 'pasta', 'rice', 'flour', 'sugar', 'salt', 'spice', 'herb', 'oil', 'vinegar', 'sauce', 'condiment', 'vitamins', 'supplements', 'health', 'wellness', 'nutrition', 'dietary']
   },
   {
     id: 9,
     name: 'TLS - TOOLS & HARDWARE',
     depPercent: 0.15,
+    usefulLifeYears: 7,
     examples: ['tool', 'tools', 'trolley', 'hammer', 'hardware', 'aerosol', 'tank', 'sledgehammer', 'lock', 'pliers', 'rust', 'lubricant', 'screwdriver', 'hammer', 'wrench', 'saw', 'drill', 'paint', 'brush', 'roller', 'tape', 'measure', 'level', 'clamp', 'vise', 'file', 'chisel', 'plane', 'router', 'sander', 'grinder', 'cutter', 'shears', 'scissors', 'knife', 'blade', 'bit', 'socket', 'ratchet', 'extension', 'cord', 'wire', 'pipe', 'fitting', 'valve', 'faucet', 'sink', 'toilet', 'shower', 'bath', 'mirror', 'cabinet', 'shelf', 'rack', 'bin', 'container', 'storage', 'organizer', 'basket', 'tote', 'box', 'case', 'bag', 'backpack', 'knapsack', 'suitcase', 'luggage', 'travel', 'work', 'construction', 'maintenance', 'repair', 'installation', 'electrical', 'plumbing', 'carpentry', 'masonry', 'painting', 'landscaping', 'gardening', 'automotive', 'mechanical', 'industrial', 'commercial', 'residential']
   },
     {
       id: 10,
       name: 'CLT - CLOTHING & ACCESSORIES',
       depPercent: 0.25,
+      usefulLifeYears: 4,
       examples: ['clothing', 'clothes', 'shirt', 'shirts', 'tshirt', 'nylon', 'pouch', 't-shirts', 'tee', 'undershirt', 'undershirts', 'pants', 'jeans', 'shorts', 'dress', 'dresses', 'skirt', 'skirts', 'blouse', 'sweater', 'jacket', 'coat', 'suit', 'vest', 'tie', 'bow', 'scarf', 'hat', 'cap', 'beanie', 'boot', 'boots', 'shoes', 'sneakers', 'slippers', 'sandal', 'heels', 'pumps', 'loafers', 'oxfords', 'athletic', 'casual', 'formal', 'business', 'work', 'sport', 'outdoor', 'winter', 'summer', 'spring', 'fall', 'underwear', 'bra', 'panties', 'boxers', 'briefs', 'socks', 'stockings', 'tights', 'leggings', 'apron', 'aprons', 'jewelry', 'necklace', 'bracelet', 'ring', 'earring', 'watch', 'belt', 'wallet', 'purse', 'handbag', 'tote', 'backpack', 'bag', 'accessory', 'accessories', 'fashion', 'style', 'designer', 'mens', 'womens', 'kids', 'children', 'teen', 'adult', 'unisex']
     },
     {
       id: 11,
       name: 'ARC - ART',
       depPercent: 0.05,
+      usefulLifeYears: 20,
       examples: ['art', 'artwork', 'painting', 'drawing', 'print', 'photograph', 'sculpture', 'collectible', 'antique', 'decorative', 'wall', 'hanging', 'framed', 'canvas', 'metal', 'wood', 'ceramic', 'glass', 'pottery', 'vase', 'figurine', 'object', 'supplies', 'easel', 'frame', 'matting', 'storage', 'decor', 'poster', 'watercolor', 'plastic', 'wall decor']
     },
     {
       id: 12,
       name: 'OFS - OFFICE SUPPLIES',
       depPercent: 0.10,
+      usefulLifeYears: 10,
       examples: ['office', 'supply', 'stationery', 'paper', 'pen', 'pencil', 'marker', 'highlighter', 'notebook', 'binder', 'folder', 'stapler', 'clip', 'rubber band', 'tape', 'glue', 'scissor', 'ruler', 'calculator', 'organizer', 'cabinet', 'desk', 'accessory']
     },
     {
       id: 13,
       name: 'PCB - MISC',
       depPercent: 0.10,
+      usefulLifeYears: 10,
       examples: ['miscellaneous', 'general', 'merchandise', 'platform', 'truck', 'cart', 'dolly', 'hand truck', 'utility', 'storage', 'container', 'bin', 'box', 'equipment', 'misc']
     },
     {
       id: 14,
       name: 'HSW - FRAMES & ALBUMS',
       depPercent: 0.05,
+      usefulLifeYears: 20,
       examples: ['photo', 'frame', 'picture', 'album', 'scrapbook', 'storage', 'memory', 'book', 'collection', 'decorative', 'wall', 'table', 'digital', 'display']
     }
 ];
@@ -105,7 +142,7 @@ async function getDatabaseCategories() {
     });
 
     const [rows] = await connection.execute(
-      'SELECT id, name, annual_depreciation_rate as depPercent, examples_text as examples FROM dep_categories ORDER BY name'
+      'SELECT id, name, annual_depreciation_rate as depPercent, useful_life as usefulLife, examples_text as examples FROM dep_categories ORDER BY name'
     );
     
     await connection.end();
@@ -115,6 +152,7 @@ async function getDatabaseCategories() {
       id: row.id,
       name: row.name,
       depPercent: parseFloat(row.depPercent) / 100, // Convert percentage to decimal
+      usefulLifeYears: parseAgeYears(row.usefulLife), // "10 years" -> 10
       examples: row.examples ? row.examples.split(',').map(e => e.trim().toLowerCase()) : []
     }));
   } catch (error) {
@@ -132,6 +170,42 @@ function normalize(text) {
     .trim();
 }
 
+/**
+ * Parse an age value like 3, "3", "3 years" or "18 months" into years
+ * @returns {number|null} years, or null when no age is given
+ */
+function parseAgeYears(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+
+  const text = String(value).toLowerCase();
+  const match = text.match(/(\d+(?:\.\d+)?)/);
+  if (!match) return null;
+  const amount = parseFloat(match[1]);
+  if (text.includes('month')) return Math.round((amount / 12) * 100) / 100;
+  return amount;
+}
+
+/**
+ * Map free-text condition ("Like New", "Used", "B") to new/good/fair/poor
+ * @returns {string|null} condition key, or null when not recognised
+ */
+function normalizeCondition(value) {
+  const text = normalize(value);
+  if (!text) return null;
+  for (const [condition, aliases] of Object.entries(CONDITION_ALIASES)) {
+    if (aliases.includes(text)) return condition;
+  }
+  for (const [condition, aliases] of Object.entries(CONDITION_ALIASES)) {
+    if (aliases.some(alias => alias.length > 1 && text.includes(alias))) return condition;
+  }
+  return null;
+}
+
+function formatPercent(decimal) {
+  return `${Math.round(decimal * 10000) / 100}%`;
+}
+
 function tokenize(text) {
   const whitelist = new Set(['tv', '4k', 'hd', 'uhd', 'ac', 'dc', 'out', 'door']);
   return normalize(text)
@@ -156,6 +230,8 @@ class DepServiceSimple {
     console.log('🔧 DepServiceSimple constructor called');
     this.cache = [];
     this.aiHintCache = new Map();
+    // Prepared category lists per carrier table version ("name@vN")
+    this.tableCache = new Map();
     this.initialized = false;
   }
 
@@ -209,6 +285,37 @@ class DepServiceSimple {
     }
   }
 
+  /**
+   * Add the default category and token sets to a raw category list
+   */
+  prepareCategories(categories) {
+    return [
+      ...categories,
+      { id: 0, name: DEFAULT_CATEGORY_NAME, depPercent: 0, examples: [] }
+    ].map(cat => ({
+      ...cat,
+      examplesTokens: new Set(cat.examples || []),
+      nameTokens: tokenize(cat.name)
+    }));
+  }
+
+  /**
+   * Categories for a carrier table version (see DepTableStore), or the built-in set
+   * @param {Object|null} tableVersion - resolved version, null for the built-in table
+   */
+  async getCategories(tableVersion = null) {
+    await this.initialize();
+    if (!tableVersion) {
+      return this.cache;
+    }
+
+    const key = `${tableVersion.tableName}@v${tableVersion.version}`;
+    if (!this.tableCache.has(key)) {
+      this.tableCache.set(key, this.prepareCategories(tableVersion.categories || []));
+    }
+    return this.tableCache.get(key);
+  }
+
   async loadCache() {
     await this.initialize();
     return this.cache;
@@ -217,6 +324,7 @@ class DepServiceSimple {
   async reload() {
     this.initialized = false;
     this.aiHintCache.clear();
+    this.tableCache.clear();
     await this.initialize();
     return { reloaded: true, count: this.cache.length };
   }
@@ -225,17 +333,18 @@ class DepServiceSimple {
    * AI-powered categorization - PRIMARY METHOD
    * This replaces the keyword matching approach and works like a human manually selecting categories
    */
-  async categorizeWithAI(description, brand = '', productModel = '') {
+  async categorizeWithAI(description, brand = '', productModel = '', categories = null, cacheScope = '') {
     try {
       await this.initialize();
+      const cache = categories || this.cache;
       
-      const key = normalize(`${description} ${brand} ${productModel}`.trim());
+      const key = `${cacheScope}|${normalize(`${description} ${brand} ${productModel}`.trim())}`;
       if (this.aiHintCache.has(key)) {
         return this.aiHintCache.get(key);
       }
 
       const textModelName = gpt5Config.getTextModel();
-      const categoryList = this.cache
+      const categoryList = cache
         .filter(c => c.name !== DEFAULT_CATEGORY_NAME)
         .map(c => `${c.name} (${c.depPercent * 100}%)`)
         .join('\n');
@@ -291,7 +400,7 @@ CATEGORY:`;
       }
 
       // Validate against known categories
-      const match = this.cache.find(c => normalize(c.name) === normalize(cleanCategory));
+      const match = cache.find(c => normalize(c.name) === normalize(cleanCategory));
       if (!match) {
         console.warn(`⚠️ AI returned invalid category: "${aiCategory}" (cleaned: "${cleanCategory}") for "${description}"`);
         return null;
@@ -317,7 +426,7 @@ CATEGORY:`;
   /**
    * AI fallback to suggest a depreciation category when keyword match fails
    */
-  async aiSuggestCategory(text) {
+  async aiSuggestCategory(text, categories = null, cacheScope = '') {
     // PERFORMANCE OPTIMIZATION: Disable AI hints by default for speed
     // Set DEP_AI_HINTS_ENABLED=true in environment to enable
     if (process.env.DEP_AI_HINTS_ENABLED !== 'true') {
@@ -326,13 +435,14 @@ CATEGORY:`;
 
     try {
       await this.initialize();
-      const key = normalize(text);
+      const cache = categories || this.cache;
+      const key = `${cacheScope}|hint|${normalize(text)}`;
       if (this.aiHintCache.has(key)) {
         return this.aiHintCache.get(key);
       }
 
       const textModelName = gpt5Config.getTextModel();
-      const categoryList = this.cache.filter(c => c.name !== DEFAULT_CATEGORY_NAME).map(c => c.name).join(', ');
+      const categoryList = cache.filter(c => c.name !== DEFAULT_CATEGORY_NAME).map(c => c.name).join(', ');
       const messages = [
         { role: 'system', content: 'You map items to ONE depreciation category from the provided list. Return JSON only.' },
         { role: 'user', content: `Categories: ${categoryList}\nItem: ${text}\nRespond as JSON: {"name":"<exact category name>","confidence":0..1,"tokens":["keyword1", "keyword2"]}` }
@@ -351,7 +461,7 @@ CATEGORY:`;
       if (!parsed || !parsed.name) return null;
 
       // Validate against known categories
-      const match = this.cache.find(c => normalize(c.name) === normalize(parsed.name));
+      const match = cache.find(c => normalize(c.name) === normalize(parsed.name));
       if (!match) return null;
 
       const hint = {
@@ -368,12 +478,12 @@ CATEGORY:`;
     }
   }
 
-  async inferDepCategory(input) {
+  async inferDepCategory(input, categories = null, cacheScope = '') {
     await this.initialize();
     
     const { description, model, room, categoryHint, depCat, overrideDep, allowOverride } = input || {};
     const allow = allowOverride !== false;
-    const cache = this.cache;
+    const cache = categories || this.cache;
 
     // Manual override
     if (allow && (overrideDep === true || (depCat && String(depCat).trim()))) {
@@ -406,7 +516,7 @@ CATEGORY:`;
 
     // Strategy b) AI-POWERED CATEGORIZATION (PRIMARY METHOD)
     if (description) {
-      const aiResult = await this.categorizeWithAI(description, input.brand, model);
+      const aiResult = await this.categorizeWithAI(description, input.brand, model, cache, cacheScope);
       if (aiResult) {
         return aiResult;
       }
@@ -454,13 +564,76 @@ CATEGORY:`;
     };
   }
 
-  async applyDepreciation(items) {
+  /**
+   * Age/condition-based depreciation for one item
+   * depPercent = min(annualRate x min(age, usefulLife) x conditionModifier, maxDepreciation)
+   * @param {number} replacementCost - total replacement cost (RCV)
+   * @param {Object} category - { depCat|name, depPercent (annual rate, decimal) }
+   * @param {Object} options - { ageYears, condition, categories, settings } (categories/settings from a carrier table)
+   * @returns {Object} { depPercent, depAmount, acv, breakdown, formula }
+   */
+  calculateDepreciation(replacementCost, category, { ageYears, condition, categories = null, settings = {} } = {}) {
+    const annualRate = Number(category?.depPercent) || 0;
+    const categoryName = category?.depCat ?? category?.name;
+    const cached = (categories || this.cache).find(c => c.name === categoryName);
+    const usefulLifeYears = category?.usefulLifeYears || cached?.usefulLifeYears || null;
+    const maxDepreciation = category?.maxDepreciation ?? cached?.maxDepreciation ?? settings.maxDepreciation ?? DEFAULT_MAX_DEPRECIATION;
+    const conditionModifiers = { ...CONDITION_MODIFIERS, ...(settings.conditionModifiers || {}) };
+
+    const parsedAge = parseAgeYears(ageYears);
+    const age = parsedAge ?? DEFAULT_AGE_YEARS;
+    const effectiveAge = usefulLifeYears ? Math.min(age, usefulLifeYears) : age;
+
+    const conditionKey = normalizeCondition(condition);
+    const conditionModifier = conditionModifiers[conditionKey || 'good'] ?? 1;
+
+    const uncapped = annualRate * effectiveAge * conditionModifier;
+    const depPercent = Math.round(Math.min(Math.max(uncapped, 0), maxDepreciation) * 10000) / 10000;
+    const depAmount = Math.round(replacementCost * depPercent * 100) / 100;
+    const acv = Math.round((replacementCost - depAmount) * 100) / 100;
+
+    const formula = `$${replacementCost.toFixed(2)} x min(${formatPercent(annualRate)}/yr x ${effectiveAge}y x ${conditionModifier} (${conditionKey || 'good'}), ${formatPercent(maxDepreciation)}) = ${formatPercent(depPercent)} -> dep $${depAmount.toFixed(2)}, ACV $${acv.toFixed(2)}`;
+
+    return {
+      depPercent,
+      depAmount,
+      acv,
+      formula,
+      breakdown: {
+        replacementCost,
+        annualRate,
+        ageYears: parsedAge,
+        ageAssumed: parsedAge === null,
+        effectiveAgeYears: effectiveAge,
+        usefulLifeYears,
+        condition: conditionKey || 'good',
+        conditionProvided: condition ?? null,
+        conditionModifier,
+        uncappedDepPercent: Math.round(uncapped * 10000) / 10000,
+        maxDepreciation,
+        capped: uncapped > maxDepreciation
+      }
+    };
+  }
+
+  /**
+   * @param {Array} items - [{ itemId, totalReplacementPrice, description, ageYears, condition, ... }]
+   * @param {Object} options - { tableVersion } resolved carrier table version (DepTableStore), omit for the built-in table
+   */
+  async applyDepreciation(items, { tableVersion = null } = {}) {
     await this.initialize();
     
     if (!Array.isArray(items)) {
       throw new Error('Items must be an array');
     }
     
+    const categories = await this.getCategories(tableVersion);
+    const settings = tableVersion?.settings || {};
+    const cacheScope = tableVersion ? `${tableVersion.tableName}@v${tableVersion.version}` : '';
+    const depTable = tableVersion
+      ? { name: tableVersion.tableName, version: tableVersion.version, effectiveFrom: tableVersion.effectiveFrom }
+      : { name: 'default', version: null, effectiveFrom: null };
+    
     const results = [];
     for (const item of items) {
       try {
@@ -489,25 +662,34 @@ CATEGORY:`;
           continue;
         }
         
-        let depCategory = await this.inferDepCategory(item);
+        let depCategory = await this.inferDepCategory(item, categories, cacheScope);
 
         // AI fallback if default
         if ((depCategory.depCat === DEFAULT_CATEGORY_NAME || depCategory.depPercent === 0) && (item.description || item.model)) {
-          const aiHint = await this.aiSuggestCategory(item.description || item.model || '');
+          const aiHint = await this.aiSuggestCategory(item.description || item.model || '', categories, cacheScope);
           if (aiHint) {
             depCategory = aiHint;
           }
         }
-        // Fix: depPercent is already in decimal form (0.05 for 5%), so calculate correctly
-        console.log(`🔍 DEPRECIATION DEBUG - Item: ${itemId}, Price: ${totalReplacementPrice}, Category: ${depCategory.depCat}, Percent: ${depCategory.depPercent} (${typeof depCategory.depPercent})`);
-        const depAmount = Math.round(totalReplacementPrice * depCategory.depPercent * 100) / 100;
-        console.log(`🔍 DEPRECIATION DEBUG - Calculated Amount: ${depAmount}`);
+        // ENHANCED: ACV math - annual rate x age x condition, capped by useful life and max depreciation
+        const calculation = this.calculateDepreciation(totalReplacementPrice, depCategory, {
+          ageYears: item.ageYears ?? item.age ?? item['Item Age (Years)'] ?? item['Age (Years)'],
+          condition: item.condition ?? item.Condition,
+          categories,
+          settings
+        });
+        console.log(`🔍 DEPRECIATION DEBUG - Item: ${itemId}, ${calculation.formula}`);
         
         results.push({
           itemId: String(itemId),
           depCat: depCategory.depCat,
-          depPercent: depCategory.depPercent,
-          depAmount,
+          depPercent: calculation.depPercent,
+          depAmount: calculation.depAmount,
+          acv: calculation.acv,
+          rcv: totalReplacementPrice,
+          breakdown: calculation.breakdown,
+          formula: calculation.formula,
+          depTable,
           match: depCategory.match,
           candidates: depCategory.candidates || []
         });
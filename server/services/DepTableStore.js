@@ -0,0 +1,434 @@
+/**
+ * DepTableStore Service
+ * Named, carrier-specific depreciation tables with effective-dated versions.
+ *
+ * Every edit creates a new version instead of changing rates in place, so a job
+ * can always be traced back (and re-run) against the exact table it used.
+ * The built-in table ("default") is the dep_categories / FALLBACK_CATEGORIES set
+ * loaded by DepServiceSimple and is not stored here.
+ *
+ * Drivers (DEP_TABLE_STORE_DRIVER):
+ *   mysql  - dep_tables / dep_table_versions (src/audit/migrations/003_dep_tables.sql)
+ *   memory - process memory only (default when DB_HOST is not set)
+ */
+
+const DEFAULT_TABLE_NAME = 'default';
+
+class DepTableError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DepTableError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Table names end up in URLs and job metadata - keep them slug-like
+function normalizeTableName(name) {
+  return String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 64);
+}
+
+/**
+ * Validate and normalize a category list
+ * Rates are accepted as decimals (0.1) or percentages (10) and stored as decimals
+ */
+function normalizeCategories(categories) {
+  if (!Array.isArray(categories) || categories.length === 0) {
+    throw new DepTableError('categories must be a non-empty array');
+  }
+
+  const toDecimal = (value) => {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number) || number < 0) return null;
+    return number > 1 ? number / 100 : number;
+  };
+
+  const seen = new Set();
+  return categories.map((category, index) => {
+    const name = String(category?.name || '').trim();
+    if (!name) {
+      throw new DepTableError(`categories[${index}].name is required`);
+    }
+    if (seen.has(name.toLowerCase())) {
+      throw new DepTableError(`Duplicate category name "${name}"`);
+    }
+    seen.add(name.toLowerCase());
+
+    const depPercent = toDecimal(category.depPercent ?? category.annualRate);
+    if (depPercent === null) {
+      throw new DepTableError(`categories[${index}].depPercent must be a non-negative number`);
+    }
+
+    const examples = Array.isArray(category.examples)
+      ? category.examples
+      : String(category.examples || '').split(',');
+
+    return {
+      code: category.code ? String(category.code).trim() : name.split(' ')[0],
+      name,
+      depPercent,
+      usefulLifeYears: parseFloat(category.usefulLifeYears) || null,
+      maxDepreciation: category.maxDepreciation != null ? toDecimal(category.maxDepreciation) : null,
+      examples: examples.map(e => String(e).trim().toLowerCase()).filter(Boolean)
+    };
+  });
+}
+
+function normalizeSettings(settings = {}) {
+  const result = {};
+  if (settings.maxDepreciation != null) {
+    const max = parseFloat(settings.maxDepreciation);
+    if (!Number.isFinite(max) || max < 0) {
+      throw new DepTableError('settings.maxDepreciation must be a non-negative number');
+    }
+    result.maxDepreciation = max > 1 ? max / 100 : max;
+  }
+  if (settings.conditionModifiers) {
+    result.conditionModifiers = {};
+    for (const [condition, modifier] of Object.entries(settings.conditionModifiers)) {
+      const value = parseFloat(modifier);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new DepTableError(`settings.conditionModifiers.${condition} must be a non-negative number`);
+      }
+      result.conditionModifiers[condition.toLowerCase()] = value;
+    }
+  }
+  return result;
+}
+
+class MemoryDepTableAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.tables = new Map();
+    this.versions = new Map(); // tableName -> [version, ...]
+  }
+
+  async listTables() {
+    return [...this.tables.values()];
+  }
+
+  async getTable(name) {
+    return this.tables.get(name) || null;
+  }
+
+  async saveTable(table) {
+    this.tables.set(table.name, table);
+  }
+
+  async listVersions(name) {
+    return [...(this.versions.get(name) || [])];
+  }
+
+  async addVersion(version) {
+    const list = this.versions.get(version.tableName) || [];
+    list.push(version);
+    this.versions.set(version.tableName, list);
+  }
+}
+
+class MySQLDepTableAdapter {
+  /**
+   * @param {Function} getPool - returns a mysql2/promise pool
+   */
+  constructor(getPool) {
+    this.name = 'mysql';
+    this.getPool = getPool;
+  }
+
+  static rowToTable(row) {
+    return {
+      name: row.name,
+      carrier: row.carrier,
+      description: row.description,
+      archived: !!row.archived,
+      createdAt: new Date(row.created_at).toISOString()
+    };
+  }
+
+  static rowToVersion(row) {
+    const parseJson = (value, fallback) => {
+      if (value == null) return fallback;
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    };
+    return {
+      tableName: row.table_name,
+      version: row.version,
+      effectiveFrom: new Date(row.effective_from).toISOString(),
+      categories: parseJson(row.categories_json, []),
+      settings: parseJson(row.settings_json, {}),
+      note: row.note,
+      createdBy: row.created_by,
+      createdAt: new Date(row.created_at).toISOString()
+    };
+  }
+
+  async listTables() {
+    const [rows] = await this.getPool().execute('SELECT * FROM dep_tables ORDER BY name');
+    return rows.map(MySQLDepTableAdapter.rowToTable);
+  }
+
+  async getTable(name) {
+    const [rows] = await this.getPool().execute('SELECT * FROM dep_tables WHERE name = ?', [name]);
+    return rows.length ? MySQLDepTableAdapter.rowToTable(rows[0]) : null;
+  }
+
+  async saveTable(table) {
+    await this.getPool().execute(
+      `INSERT INTO dep_tables (name, carrier, description, archived, created_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE carrier = VALUES(carrier), description = VALUES(description), archived = VALUES(archived)`,
+      [table.name, table.carrier || null, table.description || null, table.archived ? 1 : 0, new Date(table.createdAt)]
+    );
+  }
+
+  async listVersions(name) {
+    const [rows] = await this.getPool().execute(
+      'SELECT * FROM dep_table_versions WHERE table_name = ? ORDER BY version',
+      [name]
+    );
+    return rows.map(MySQLDepTableAdapter.rowToVersion);
+  }
+
+  async addVersion(version) {
+    await this.getPool().execute(
+      `INSERT INTO dep_table_versions (table_name, version, effective_from, categories_json, settings_json, note, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        version.tableName,
+        version.version,
+        new Date(version.effectiveFrom),
+        JSON.stringify(version.categories),
+        JSON.stringify(version.settings || {}),
+        version.note || null,
+        version.createdBy || null,
+        new Date(version.createdAt)
+      ]
+    );
+  }
+}
+
+class DepTableStore {
+  constructor(adapter) {
+    this.adapter = adapter || new MemoryDepTableAdapter();
+    console.log(`📚 DepTableStore initialized (driver: ${this.adapter.name})`);
+  }
+
+  get driver() {
+    return this.adapter.name;
+  }
+
+  async listTables({ includeArchived = false } = {}) {
+    const tables = await this.adapter.listTables();
+    const visible = includeArchived ? tables : tables.filter(t => !t.archived);
+    return Promise.all(visible.map(async table => {
+      const versions = await this.adapter.listVersions(table.name);
+      const current = this.pickEffectiveVersion(versions);
+      return {
+        ...table,
+        versionCount: versions.length,
+        currentVersion: current ? current.version : null,
+        currentEffectiveFrom: current ? current.effectiveFrom : null
+      };
+    }));
+  }
+
+  /**
+   * Table metadata plus version history (without category lists)
+   */
+  async getTable(name) {
+    const table = await this.adapter.getTable(normalizeTableName(name));
+    if (!table) return null;
+
+    const versions = await this.adapter.listVersions(table.name);
+    const current = this.pickEffectiveVersion(versions);
+    return {
+      ...table,
+      currentVersion: current ? current.version : null,
+      versions: versions.map(({ categories, ...summary }) => ({
+        ...summary,
+        categoryCount: categories.length
+      }))
+    };
+  }
+
+  async createTable({ name, carrier, description, categories, settings, effectiveFrom, note, createdBy }) {
+    const tableName = normalizeTableName(name);
+    if (!tableName) {
+      throw new DepTableError('name is required');
+    }
+    if (tableName === DEFAULT_TABLE_NAME) {
+      throw new DepTableError(`"${DEFAULT_TABLE_NAME}" is the built-in table and cannot be created`);
+    }
+    if (await this.adapter.getTable(tableName)) {
+      throw new DepTableError(`Depreciation table "${tableName}" already exists`, 409);
+    }
+
+    const table = {
+      name: tableName,
+      carrier: carrier || null,
+      description: description || null,
+      archived: false,
+      createdAt: new Date().toISOString()
+    };
+    const normalizedCategories = normalizeCategories(categories);
+    const normalizedSettings = normalizeSettings(settings);
+
+    await this.adapter.saveTable(table);
+    const version = await this.addVersion(tableName, {
+      categories: normalizedCategories,
+      settings: normalizedSettings,
+      effectiveFrom,
+      note: note || 'Initial version',
+      createdBy
+    });
+    console.log(`📚 Created depreciation table "${tableName}" (${normalizedCategories.length} categories)`);
+    return { ...table, currentVersion: version.version };
+  }
+
+  /**
+   * Edit a table by creating a new effective-dated version.
+   * Omitted categories/settings carry over from the latest version.
+   */
+  async updateTable(name, { carrier, description, categories, settings, effectiveFrom, note, createdBy } = {}) {
+    const tableName = normalizeTableName(name);
+    const table = await this.adapter.getTable(tableName);
+    if (!table || table.archived) {
+      throw new DepTableError(`Depreciation table "${tableName}" not found`, 404);
+    }
+
+    if (carrier !== undefined || description !== undefined) {
+      await this.adapter.saveTable({
+        ...table,
+        carrier: carrier !== undefined ? carrier : table.carrier,
+        description: description !== undefined ? description : table.description
+      });
+    }
+
+    if (categories === undefined && settings === undefined) {
+      return this.getTable(tableName);
+    }
+
+    const versions = await this.adapter.listVersions(tableName);
+    const latest = versions[versions.length - 1];
+    const version = await this.addVersion(tableName, {
+      categories: categories !== undefined ? normalizeCategories(categories) : latest.categories,
+      settings: settings !== undefined ? normalizeSettings(settings) : latest.settings,
+      effectiveFrom,
+      note,
+      createdBy
+    });
+    console.log(`📚 Depreciation table "${tableName}" -> v${version.version} effective ${version.effectiveFrom}`);
+    return this.getTable(tableName);
+  }
+
+  // Tables are archived, never deleted, so old jobs still resolve their version
+  async archiveTable(name) {
+    const tableName = normalizeTableName(name);
+    const table = await this.adapter.getTable(tableName);
+    if (!table) {
+      throw new DepTableError(`Depreciation table "${tableName}" not found`, 404);
+    }
+    await this.adapter.saveTable({ ...table, archived: true });
+    return { name: tableName, archived: true };
+  }
+
+  async addVersion(tableName, { categories, settings, effectiveFrom, note, createdBy }) {
+    const versions = await this.adapter.listVersions(tableName);
+    const effective = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    if (Number.isNaN(effective.getTime())) {
+      throw new DepTableError('effectiveFrom must be a valid date');
+    }
+
+    const version = {
+      tableName,
+      version: versions.length > 0 ? versions[versions.length - 1].version + 1 : 1,
+      effectiveFrom: effective.toISOString(),
+      categories,
+      settings: settings || {},
+      note: note || null,
+      createdBy: createdBy || null,
+      createdAt: new Date().toISOString()
+    };
+    await this.adapter.addVersion(version);
+    return version;
+  }
+
+  // Latest version already in effect at the given time
+  pickEffectiveVersion(versions, at = new Date()) {
+    const time = new Date(at).getTime();
+    const effective = versions.filter(v => new Date(v.effectiveFrom).getTime() <= time);
+    if (effective.length === 0) return null;
+    return effective.reduce((best, v) => {
+      const diff = new Date(v.effectiveFrom).getTime() - new Date(best.effectiveFrom).getTime();
+      return diff > 0 || (diff === 0 && v.version > best.version) ? v : best;
+    });
+  }
+
+  /**
+   * Resolve a table to a concrete version
+   * @param {string} name - table name
+   * @param {Object} options - { version } for an exact version, or { at } for the version effective at a date
+   * @returns {Promise<Object|null>} version with categories, or null for the built-in table
+   */
+  async resolveVersion(name, { version, at } = {}) {
+    const tableName = normalizeTableName(name);
+    if (!tableName || tableName === DEFAULT_TABLE_NAME) {
+      return null;
+    }
+
+    const table = await this.adapter.getTable(tableName);
+    if (!table) {
+      throw new DepTableError(`Depreciation table "${tableName}" not found`, 404);
+    }
+
+    const versions = await this.adapter.listVersions(tableName);
+    const resolved = version != null
+      ? versions.find(v => v.version === parseInt(version, 10))
+      : this.pickEffectiveVersion(versions, at || new Date());
+
+    if (!resolved) {
+      throw new DepTableError(
+        version != null
+          ? `Version ${version} of depreciation table "${tableName}" not found`
+          : `Depreciation table "${tableName}" has no version in effect yet`,
+        404
+      );
+    }
+    return { ...resolved, carrier: table.carrier };
+  }
+}
+
+function createAdapter(driver) {
+  switch ((driver || '').toLowerCase()) {
+    case 'mysql':
+      return new MySQLDepTableAdapter(() => require('../utils/database'));
+    case 'memory':
+      return new MemoryDepTableAdapter();
+    default:
+      console.warn(`⚠️ Unknown DEP_TABLE_STORE_DRIVER "${driver}", falling back to memory`);
+      return new MemoryDepTableAdapter();
+  }
+}
+
+let sharedDepTableStore = null;
+
+function getDepTableStore() {
+  if (!sharedDepTableStore) {
+    const driver = process.env.DEP_TABLE_STORE_DRIVER || (process.env.DB_HOST ? 'mysql' : 'memory');
+    sharedDepTableStore = new DepTableStore(createAdapter(driver));
+  }
+  return sharedDepTableStore;
+}
+
+module.exports = {
+  DepTableStore,
+  DepTableError,
+  MemoryDepTableAdapter,
+  MySQLDepTableAdapter,
+  DEFAULT_TABLE_NAME,
+  getDepTableStore
+};
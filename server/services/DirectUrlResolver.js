@@ -148,6 +148,7 @@ class DirectUrlResolver {
           url: result.url,
           source: result.source,
           price: result.price || item.price,
+          lkq: result.lkq || null,
           matchQuality: 'Retailer Site Search'
         };
       }
@@ -197,6 +198,7 @@ class DirectUrlResolver {
             url: result.url,
             source: result.source,
             price: result.price || item.price,
+            lkq: result.lkq || null,
             matchQuality: 'AI-Enhanced Search'
           };
         }
@@ -0,0 +1,376 @@
+/**
+ * DocumentStore Service
+ * Claim documents (photos, receipts, invoices, estimates, policies) uploaded by adjusters.
+ * The bytes go to S3 (S3_UPLOAD_ENABLED=true + S3_BUCKET, under S3_PREFIX_DOCUMENTS) and the
+ * metadata to the audit `files` table, so documents show up next to the CSV / image uploads
+ * in /api/logs. Image documents can be run through visionExtractor; the extracted facts are
+ * stored on the document.
+ *
+ * The file type is taken from the bytes, not from the Content-Type the client declared: only
+ * raster images (JPEG, PNG, GIF, WebP, HEIC), PDF and plain text are kept. SVG and HTML never are -
+ * served from the app's origin they would run script (see GET /api/documents/:documentId/content).
+ *
+ * Drivers (DOCUMENT_STORE_DRIVER):
+ *   mysql  - audit `files` table (src/audit/migrations/009_documents_notifications.sql); needs S3
+ *   memory - metadata and bytes in process memory (default when DB_HOST is not set); when S3
+ *            is configured the bytes still go to S3
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+const DOCUMENT_TYPES = ['photo', 'receipt', 'invoice', 'estimate', 'policy', 'other'];
+const RASTER_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic'];
+const ALLOWED_MIME_TYPES = [...RASTER_IMAGE_TYPES, 'application/pdf', 'text/plain'];
+const DEFAULT_MAX_MB = 20;
+
+class DocumentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DocumentError';
+    this.statusCode = statusCode;
+  }
+}
+
+function getMaxDocumentBytes() {
+  const value = parseFloat(process.env.DOCUMENT_MAX_MB);
+  return Math.round((Number.isFinite(value) && value > 0 ? value : DEFAULT_MAX_MB) * 1024 * 1024);
+}
+
+function isS3Enabled() {
+  return process.env.S3_UPLOAD_ENABLED === 'true' && !!process.env.S3_BUCKET;
+}
+
+const startsWithBytes = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+const startsWithText = (buffer, text, offset = 0) =>
+  buffer.length >= offset + text.length && buffer.toString('latin1', offset, offset + text.length) === text;
+
+/**
+ * File type from the leading bytes of an upload, or null when it isn't one we keep.
+ * Plain text has no signature: it must be valid UTF-8 without NUL bytes and not look like markup.
+ */
+function sniffMimeType(buffer) {
+  if (!buffer || buffer.length === 0) return null;
+  if (startsWithBytes(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWithBytes(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWithText(buffer, 'GIF87a') || startsWithText(buffer, 'GIF89a')) return 'image/gif';
+  if (startsWithText(buffer, 'RIFF') && startsWithText(buffer, 'WEBP', 8)) return 'image/webp';
+  if (startsWithText(buffer, 'ftyp', 4) && /^(heic|heix|mif1|msf1)$/.test(buffer.toString('latin1', 8, 12))) return 'image/heic';
+  if (startsWithText(buffer, '%PDF-')) return 'application/pdf';
+
+  const head = buffer.subarray(0, 4096);
+  if (head.includes(0)) return null;
+  const text = head.toString('utf8');
+  // A multi-byte character cut at 4096 bytes decodes to U+FFFD too - only the tail may have one
+  if (text.slice(0, -4).includes('\uFFFD')) return null;
+  if (/^\s*<(?:!doctype|html|svg|\?xml|script|head|body|iframe)/i.test(text)) return null;
+  return 'text/plain';
+}
+
+// files.file_type - alongside the csv / xlsx / image values the processing routes write
+function fileTypeFor(mimeType) {
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType === 'application/pdf') return 'pdf';
+  return 'document';
+}
+
+class S3BlobStore {
+  constructor() {
+    this.name = 's3';
+    this.bucket = process.env.S3_BUCKET;
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      const { S3Client } = require('@aws-sdk/client-s3');
+      this.client = new S3Client({ region: process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1' });
+    }
+    return this.client;
+  }
+
+  async put(key, buffer, mimeType, metadata = {}) {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+    console.log('☁️ S3 upload begin (document)', { bucket: this.bucket, s3Key: key, size: buffer.length });
+    await this.getClient().send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: mimeType,
+      Metadata: metadata
+    }));
+    console.log(`☁️ Uploaded to S3 (document): s3://${this.bucket}/${key}`);
+    return { bucket: this.bucket, key };
+  }
+
+  async get(bucket, key) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    const response = await this.getClient().send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+}
+
+class MemoryBlobStore {
+  constructor() {
+    this.name = 'memory';
+    this.blobs = new Map();
+  }
+
+  async put(key, buffer) {
+    this.blobs.set(key, buffer);
+    return { bucket: 'memory', key };
+  }
+
+  async get(bucket, key) {
+    return this.blobs.get(key) || null;
+  }
+}
+
+class MemoryDocumentAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.documents = new Map();
+  }
+
+  async getDocument(id) {
+    return this.documents.get(id) || null;
+  }
+
+  async listDocuments({ claimId, orgId, userId } = {}) {
+    return [...this.documents.values()]
+      .filter(doc => (!claimId || doc.claimId === claimId)
+        && (orgId === undefined || doc.orgId === orgId)
+        && (!userId || doc.userId === userId))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async saveDocument(doc) {
+    this.documents.set(doc.id, doc);
+  }
+}
+
+class MySQLDocumentAdapter {
+  /**
+   * @param {Function} getPool - returns a mysql2/promise pool
+   */
+  constructor(getPool) {
+    this.name = 'mysql';
+    this.getPool = getPool;
+  }
+
+  static rowToDocument(row) {
+    const analysis = row.analysis_json == null
+      ? null
+      : (typeof row.analysis_json === 'string' ? JSON.parse(row.analysis_json) : row.analysis_json);
+    return {
+      id: row.id,
+      userId: row.user_id,
+      orgId: row.org_id || null,
+      claimId: row.claim_id || null,
+      documentType: row.document_type,
+      originalName: row.original_name,
+      mimeType: row.mime_type,
+      sizeBytes: Number(row.size_bytes),
+      sha256: row.sha256,
+      bucket: row.bucket,
+      s3Key: row.s3_key,
+      analysis,
+      analyzedAt: row.analyzed_at ? new Date(row.analyzed_at).toISOString() : null,
+      createdAt: new Date(row.created_at).toISOString()
+    };
+  }
+
+  async getDocument(id) {
+    const [rows] = await this.getPool().execute(
+      'SELECT * FROM files WHERE id = ? AND document_type IS NOT NULL',
+      [id]
+    );
+    return rows.length ? MySQLDocumentAdapter.rowToDocument(rows[0]) : null;
+  }
+
+  async listDocuments({ claimId, orgId, userId } = {}) {
+    const clauses = ['document_type IS NOT NULL'];
+    const params = [];
+    if (claimId) { clauses.push('claim_id = ?'); params.push(claimId); }
+    if (orgId !== undefined) {
+      clauses.push(orgId ? 'org_id = ?' : 'org_id IS NULL');
+      if (orgId) params.push(orgId);
+    }
+    if (userId) { clauses.push('user_id = ?'); params.push(userId); }
+    const [rows] = await this.getPool().execute(
+      `SELECT * FROM files WHERE ${clauses.join(' AND ')} ORDER BY created_at DESC LIMIT 500`,
+      params
+    );
+    return rows.map(MySQLDocumentAdapter.rowToDocument);
+  }
+
+  async saveDocument(doc) {
+    await this.getPool().execute(
+      `INSERT INTO files (id, user_id, org_id, claim_id, bucket, s3_key, original_name, mime_type, size_bytes, sha256,
+         file_type, document_type, analysis_json, analyzed_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE claim_id = VALUES(claim_id), document_type = VALUES(document_type),
+         analysis_json = VALUES(analysis_json), analyzed_at = VALUES(analyzed_at)`,
+      [
+        doc.id, doc.userId, doc.orgId || null, doc.claimId || null, doc.bucket, doc.s3Key, doc.originalName,
+        doc.mimeType, doc.sizeBytes, doc.sha256, fileTypeFor(doc.mimeType), doc.documentType,
+        doc.analysis ? JSON.stringify(doc.analysis) : null,
+        doc.analyzedAt ? new Date(doc.analyzedAt) : null,
+        new Date(doc.createdAt)
+      ]
+    );
+  }
+}
+
+class DocumentStore {
+  /**
+   * @param {Object} adapter - metadata adapter
+   * @param {Object} blobs - S3BlobStore or MemoryBlobStore
+   */
+  constructor(adapter, blobs) {
+    this.adapter = adapter || new MemoryDocumentAdapter();
+    this.blobs = blobs || new MemoryBlobStore();
+    console.log(`📎 DocumentStore initialized (driver: ${this.adapter.name}, bytes: ${this.blobs.name})`);
+  }
+
+  get driver() {
+    return this.adapter.name;
+  }
+
+  async getDocument(id) {
+    return this.adapter.getDocument(id);
+  }
+
+  async requireDocument(id) {
+    const doc = await this.getDocument(id);
+    if (!doc) {
+      throw new DocumentError(`Document "${id}" not found`, 404);
+    }
+    return doc;
+  }
+
+  /**
+   * @param {Object} filters - { claimId, orgId (null = documents without an org), userId }
+   */
+  async listDocuments(filters = {}) {
+    return this.adapter.listDocuments(filters);
+  }
+
+  /**
+   * Store an uploaded file
+   * @param {Object} file - multer file ({ buffer, originalname, mimetype, size })
+   * @param {Object} details - { documentType, claimId, userId, orgId }
+   */
+  async createDocument(file, { documentType = 'other', claimId = null, userId, orgId = null } = {}) {
+    if (!file || !file.buffer || file.buffer.length === 0) {
+      throw new DocumentError('file is required');
+    }
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+      throw new DocumentError(`document_type must be one of: ${DOCUMENT_TYPES.join(', ')}`);
+    }
+    // The declared type (multer's mimetype) is the client's word for it - only the bytes count
+    const mimeType = sniffMimeType(file.buffer);
+    if (!mimeType) {
+      const declared = (file.mimetype || 'application/octet-stream').toLowerCase();
+      throw new DocumentError(`Unsupported document type "${declared}" (JPEG, PNG, GIF, WebP, HEIC, PDF and plain text only)`, 415);
+    }
+    if (this.adapter.name === 'mysql' && this.blobs.name !== 's3') {
+      throw new DocumentError('Document uploads need S3 (S3_UPLOAD_ENABLED=true and S3_BUCKET) with DOCUMENT_STORE_DRIVER=mysql', 503);
+    }
+
+    const id = crypto.randomUUID();
+    const originalName = path.basename(file.originalname || 'document');
+    const safeName = originalName.replace(/[^\w.\-]/g, '_');
+    const prefix = process.env.S3_PREFIX_DOCUMENTS || 'documents/';
+    const key = `${prefix}${claimId || 'unassigned'}/${Date.now()}_${safeName}`;
+    const stored = await this.blobs.put(key, file.buffer, mimeType, {
+      'original-filename': encodeURIComponent(originalName),
+      'document-type': documentType,
+      'uploaded-by': String(userId || 'anonymous')
+    });
+
+    const doc = {
+      id,
+      userId: userId || 'anonymous',
+      orgId,
+      claimId,
+      documentType,
+      originalName,
+      mimeType,
+      sizeBytes: file.buffer.length,
+      sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      bucket: stored.bucket,
+      s3Key: stored.key,
+      analysis: null,
+      analyzedAt: null,
+      createdAt: new Date().toISOString()
+    };
+    await this.adapter.saveDocument(doc);
+    return doc;
+  }
+
+  async getContent(doc) {
+    const buffer = await this.blobs.get(doc.bucket, doc.s3Key);
+    if (!buffer) {
+      throw new DocumentError(`Content of document "${doc.id}" is no longer available`, 410);
+    }
+    return buffer;
+  }
+
+  /**
+   * Run an image document through visionExtractor and keep the facts on the document
+   * @param {string} id
+   * @param {Function} extract - async (buffer) => facts (visionExtractProductFacts)
+   * @param {string} analyzedBy - user id
+   */
+  async analyzeDocument(id, extract, analyzedBy = null) {
+    const doc = await this.requireDocument(id);
+    if (!RASTER_IMAGE_TYPES.includes(doc.mimeType)) {
+      throw new DocumentError('Only image documents can be analyzed', 415);
+    }
+    const facts = await extract(await this.getContent(doc));
+    const analyzed = {
+      ...doc,
+      analysis: { ...facts, analyzedBy },
+      analyzedAt: new Date().toISOString()
+    };
+    await this.adapter.saveDocument(analyzed);
+    return analyzed;
+  }
+}
+
+function createAdapter(driver) {
+  switch ((driver || '').toLowerCase()) {
+    case 'mysql':
+      return new MySQLDocumentAdapter(() => require('../utils/database'));
+    case 'memory':
+      return new MemoryDocumentAdapter();
+    default:
+      console.warn(`⚠️ Unknown DOCUMENT_STORE_DRIVER "${driver}", falling back to memory`);
+      return new MemoryDocumentAdapter();
+  }
+}
+
+let sharedDocumentStore = null;
+
+function getDocumentStore() {
+  if (!sharedDocumentStore) {
+    const driver = process.env.DOCUMENT_STORE_DRIVER || (process.env.DB_HOST ? 'mysql' : 'memory');
+    sharedDocumentStore = new DocumentStore(createAdapter(driver), isS3Enabled() ? new S3BlobStore() : new MemoryBlobStore());
+  }
+  return sharedDocumentStore;
+}
+
+module.exports = {
+  DocumentStore,
+  DocumentError,
+  MemoryDocumentAdapter,
+  MySQLDocumentAdapter,
+  MemoryBlobStore,
+  DOCUMENT_TYPES,
+  ALLOWED_MIME_TYPES,
+  sniffMimeType,
+  getMaxDocumentBytes,
+  getDocumentStore
+};
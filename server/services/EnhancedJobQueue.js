@@ -0,0 +1,317 @@
+/**
+ * EnhancedJobQueue Service
+ * Runs /api/enhanced/process-enhanced rows on a worker pool so the HTTP request
+ * can return a job id immediately instead of holding the connection open
+ * while every row is priced.
+ *
+ * Concurrency is controlled by ENHANCED_JOB_CONCURRENCY (rows priced in parallel
+ * per job, default 10). Jobs can be cancelled and resumed; resuming only prices
+ * rows that have not completed yet. A row whose processRow threw counts as failed
+ * (not processed) and stays pending, so resuming the job prices it again.
+ *
+ * Each run of a job gets a run id. Cancelling moves the id on, so the cancelled run's workers
+ * stop after the row they are pricing and never finalize; a resumed run waits for them to
+ * drain before it picks the remaining rows.
+ *
+ * Every finished row is appended to the job's row log with an increasing sequence
+ * number and emitted as 'job:row', so live listeners (SSE stream) can replay what
+ * a reconnecting client missed. The number is also set on the row's result (seq) so
+ * persisted results can be replayed the same way once the job has left memory.
+ */
+
+const EventEmitter = require('events');
+const { PerformanceOptimizer } = require('../utils/PerformanceOptimizer');
+
+const DEFAULT_CONCURRENCY = 10;
+// Finished (completed, cancelled, failed) jobs stay in memory this long for status polling and
+// resume; results live on in JobResultStore
+const FINISHED_JOB_RETENTION_MS = 60 * 60 * 1000;
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  FINALIZING: 'finalizing',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+function getDefaultConcurrency() {
+  const value = parseInt(process.env.ENHANCED_JOB_CONCURRENCY, 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_CONCURRENCY;
+}
+
+class EnhancedJobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    // One listener per open stream - don't warn past the default of 10
+    this.setMaxListeners(0);
+    this.concurrency = options.concurrency || getDefaultConcurrency();
+    this.jobs = new Map();
+    console.log(`🧵 EnhancedJobQueue initialized (concurrency: ${this.concurrency})`);
+  }
+
+  /**
+   * Register and start a job
+   * @param {string} jobId
+   * @param {Object} spec
+   * @param {Array} spec.rows - raw rows to process
+   * @param {Function} spec.processRow - async (row, index) => { type: 'processed'|'skipped', result }
+   * @param {Function} spec.finalize - async (results, job) => response payload for the client
+   * @param {Object} spec.meta - free-form metadata exposed in status (file name, user id, ...)
+   * @returns {Object} job status snapshot
+   */
+  createJob(jobId, { rows, processRow, finalize, meta = {} }) {
+    if (this.jobs.has(jobId)) {
+      throw new Error(`Job ${jobId} already exists`);
+    }
+
+    const job = {
+      id: jobId,
+      status: JOB_STATUS.QUEUED,
+      rows: Array.isArray(rows) ? rows : [],
+      processRow,
+      finalize,
+      meta,
+      outcomes: new Array(Array.isArray(rows) ? rows.length : 0),
+      rowLog: [],
+      processed: 0,
+      skipped: 0,
+      // Indexes of rows whose processRow threw - no outcome is kept, so resume retries them
+      failedRows: new Set(),
+      optimizer: new PerformanceOptimizer(),
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      error: null,
+      response: null,
+      runId: 0,
+      runPromise: null
+    };
+
+    this.jobs.set(jobId, job);
+    this.run(job);
+    return this.getStatus(jobId);
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Status snapshot for polling
+   */
+  getStatus(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    const total = job.rows.length;
+    const failed = job.failedRows.size;
+    const done = job.processed + job.skipped + failed;
+    let eta = null;
+    let etaMs = null;
+    if (job.status === JOB_STATUS.RUNNING && done > 0) {
+      etaMs = job.optimizer.estimateTimeRemainingMs();
+      eta = job.optimizer.estimateTimeRemaining();
+    }
+
+    return {
+      jobId: job.id,
+      status: job.status,
+      total,
+      processed: job.processed,
+      skipped: job.skipped,
+      failed,
+      remaining: Math.max(0, total - done),
+      progress: total > 0 ? Math.round((done / total) * 1000) / 10 : 100,
+      eta,
+      etaMs,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      error: job.error,
+      meta: job.meta
+    };
+  }
+
+  /**
+   * Row events recorded after the given sequence number (for stream replay)
+   * @param {string} jobId
+   * @param {number} afterSeq - last sequence number the client has seen (0 = everything)
+   * @returns {Array|null} [{ seq, index, outcome }]
+   */
+  getRowEvents(jobId, afterSeq = 0) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+    // seq is 1-based and matches the log position, so this is a plain slice
+    return job.rowLog.slice(Math.max(0, afterSeq));
+  }
+
+  /**
+   * Stop pulling new rows. Rows already being priced are allowed to finish.
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    if (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING) {
+      // Retire the current run - its workers check the run id before pulling the next row
+      job.runId++;
+      job.status = JOB_STATUS.CANCELLED;
+      job.completedAt = new Date().toISOString();
+      console.log(`🛑 Job ${jobId} cancelled at ${job.processed + job.skipped}/${job.rows.length} rows`);
+      this.emit('job:status', this.getStatus(jobId));
+      this.scheduleCleanup(job);
+    }
+    return this.getStatus(jobId);
+  }
+
+  /**
+   * Continue a cancelled or failed job - or a completed one with failed rows - with the rows
+   * that have not completed yet
+   */
+  resume(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    const retriesFailedRows = job.status === JOB_STATUS.COMPLETED && job.failedRows.size > 0;
+    if (job.status !== JOB_STATUS.CANCELLED && job.status !== JOB_STATUS.FAILED && !retriesFailedRows) {
+      throw new Error(`Job ${jobId} cannot be resumed from status "${job.status}"`);
+    }
+
+    console.log(`▶️ Resuming job ${jobId} (${job.rows.length - job.processed - job.skipped} rows remaining, ${job.failedRows.size} failed)`);
+    job.status = JOB_STATUS.QUEUED;
+    job.completedAt = null;
+    job.error = null;
+    this.run(job);
+    return this.getStatus(jobId);
+  }
+
+  /**
+   * Resolve once the job leaves the queued/running/finalizing states
+   */
+  async waitForJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+    await job.runPromise;
+    return job;
+  }
+
+  // Start a new run once the previous one (if any) has drained its in-flight rows
+  run(job) {
+    const runId = ++job.runId;
+    const previous = job.runPromise || Promise.resolve();
+    job.runPromise = previous.then(() => this.execute(job, runId)).catch(error => {
+      if (job.runId !== runId) return;
+      console.error(`❌ Job ${job.id} failed:`, error.message);
+      job.status = JOB_STATUS.FAILED;
+      job.error = error.message;
+      job.completedAt = new Date().toISOString();
+      this.emit('job:status', this.getStatus(job.id));
+      this.scheduleCleanup(job);
+    });
+    return job.runPromise;
+  }
+
+  async execute(job, runId) {
+    // Cancelled again while waiting for the previous run to drain
+    if (job.runId !== runId) return;
+    const isCurrentRun = () => job.runId === runId && job.status === JOB_STATUS.RUNNING;
+
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = job.startedAt || new Date().toISOString();
+
+    // Only rows without an outcome yet (failed rows included) - makes resume pick up where it left off
+    const pending = [];
+    for (let i = 0; i < job.rows.length; i++) {
+      if (!job.outcomes[i]) pending.push(i);
+    }
+
+    job.optimizer.startProcessing(pending.length);
+    this.emit('job:status', this.getStatus(job.id));
+
+    let cursor = 0;
+    let completedThisRun = 0;
+    const worker = async () => {
+      while (isCurrentRun() && cursor < pending.length) {
+        const index = pending[cursor++];
+        let outcome;
+        try {
+          outcome = (await job.processRow(job.rows[index], index)) || { type: 'skipped' };
+          job.failedRows.delete(index);
+          job.outcomes[index] = outcome;
+          if (outcome.type === 'skipped') {
+            job.skipped++;
+          } else {
+            job.processed++;
+          }
+        } catch (error) {
+          // processRow is expected to recover on its own; leave the row without an outcome so
+          // resume prices it again
+          console.error(`❌ Job ${job.id} row ${index + 1} failed:`, error.message);
+          outcome = { type: 'error', error: error.message };
+          job.failedRows.add(index);
+        }
+
+        completedThisRun++;
+        job.optimizer.updateProgress(completedThisRun);
+
+        const rowEvent = { seq: job.rowLog.length + 1, index, outcome };
+        if (rowEvent.outcome.result && typeof rowEvent.outcome.result === 'object') {
+          rowEvent.outcome.result.seq = rowEvent.seq;
+        }
+        job.rowLog.push(rowEvent);
+        this.emit('job:row', { jobId: job.id, ...rowEvent, status: this.getStatus(job.id) });
+      }
+    };
+
+    const workerCount = Math.min(this.concurrency, pending.length) || 1;
+    await Promise.all(Array.from({ length: workerCount }, () => worker()));
+
+    if (!isCurrentRun()) {
+      // Cancelled while running - keep outcomes so resume can continue
+      return;
+    }
+
+    job.status = JOB_STATUS.FINALIZING;
+    this.emit('job:status', this.getStatus(job.id));
+
+    const results = job.outcomes
+      .filter(outcome => outcome && outcome.type === 'processed' && outcome.result)
+      .map(outcome => outcome.result);
+
+    job.response = job.finalize ? await job.finalize(results, job) : { results };
+    job.status = JOB_STATUS.COMPLETED;
+    job.completedAt = new Date().toISOString();
+    job.optimizer.finishProcessing();
+    this.emit('job:status', this.getStatus(job.id));
+    this.scheduleCleanup(job);
+  }
+
+  // Drop finished jobs (and their raw rows) from memory after a while - unless resumed meanwhile
+  scheduleCleanup(job) {
+    const runId = job.runId;
+    const finished = [JOB_STATUS.COMPLETED, JOB_STATUS.CANCELLED, JOB_STATUS.FAILED];
+    const timer = setTimeout(() => {
+      if (job.runId === runId && finished.includes(job.status) && this.jobs.get(job.id) === job) {
+        this.jobs.delete(job.id);
+      }
+    }, FINISHED_JOB_RETENTION_MS);
+    if (timer.unref) timer.unref();
+  }
+}
+
+let sharedEnhancedJobQueue = null;
+
+function getEnhancedJobQueue() {
+  if (!sharedEnhancedJobQueue) {
+    sharedEnhancedJobQueue = new EnhancedJobQueue();
+  }
+  return sharedEnhancedJobQueue;
+}
+
+module.exports = {
+  EnhancedJobQueue,
+  JOB_STATUS,
+  getEnhancedJobQueue
+};
@@ -153,6 +153,7 @@ class EnhancedProcessingPipeline {
         url: result.url,
         source: result.source,
         price: result.price,
+        lkq: result.lkq || null,
         matchQuality: 'Direct Search'
       };
     }
@@ -175,6 +176,7 @@ class EnhancedProcessingPipeline {
           url: result.url,
           source: result.source,
           price: result.price,
+          lkq: result.lkq || null,
           matchQuality: 'Enhanced Search'
         };
       }
@@ -201,6 +203,7 @@ class EnhancedProcessingPipeline {
             url: result.url,
             source: retailer,
             price: result.price,
+            lkq: result.lkq || null,
             matchQuality: 'Retailer-Specific Search'
           };
         }
@@ -0,0 +1,586 @@
+/**
+ * JobResultStore Service
+ * Persists processed /api/enhanced job results so exports survive restarts
+ * and can be served by any App Runner instance.
+ *
+ * Drivers (JOB_STORE_DRIVER):
+ *   memory - process memory only (previous behaviour, default when nothing else is configured)
+ *   redis  - shared Redis used by InsuranceItemPricer.initRedis
+ *   mysql  - audit database (see src/audit/migrations/002_job_results.sql)
+ *   file   - JSON files on local disk (JOB_STORE_DIR)
+ *
+ * Retention is controlled by JOB_RESULT_TTL_HOURS (default 72h) so a claim
+ * adjuster can come back the next day and re-download a job. With a shared
+ * driver each instance also keeps the JOB_RESULT_CACHE_SIZE (default 20) most
+ * recently used jobs in memory.
+ *
+ * Stored records carry a version. updateResults (review decisions) only writes if
+ * the version it read is still current, so concurrent edits to one job are
+ * re-applied instead of overwriting each other.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TTL_HOURS = 72;
+const DEFAULT_PURGE_INTERVAL_MINUTES = 60;
+// Jobs kept in the per-instance cache in front of a shared backend (JOB_RESULT_CACHE_SIZE)
+const DEFAULT_LOCAL_CACHE_SIZE = 20;
+const REDIS_KEY_PREFIX = 'jobresults:';
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// Compare-and-set for Redis: write ARGV[1] only if the stored record is still at version ARGV[2]
+const REDIS_SAVE_IF_VERSION = `
+local current = redis.call('GET', KEYS[1])
+if not current then return 0 end
+local version = cjson.decode(current).version or 0
+if tonumber(version) ~= tonumber(ARGV[2]) then return 0 end
+redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[3])
+return 1
+`;
+
+function getTtlMs() {
+  const hours = parseFloat(process.env.JOB_RESULT_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+function getLocalCacheSize() {
+  const size = parseInt(process.env.JOB_RESULT_CACHE_SIZE, 10);
+  return Number.isFinite(size) && size >= 0 ? size : DEFAULT_LOCAL_CACHE_SIZE;
+}
+
+function recordVersion(record) {
+  return Number.isInteger(record?.version) ? record.version : 0;
+}
+
+// Backend errors while updating a job - reported as 503 rather than a bare 500
+function storeUnavailable(driver, jobId, action, cause) {
+  console.error(`⚠️ JobResultStore (${driver}) ${action} failed for ${jobId}:`, cause.message);
+  const error = new Error(`Job results for ${jobId} could not be updated: the ${driver} store is unavailable`);
+  error.statusCode = 503;
+  return error;
+}
+
+function isExpired(record, now = Date.now()) {
+  return !record || (record.expiresAt && new Date(record.expiresAt).getTime() <= now);
+}
+
+// Job ids end up in file names and cache keys - keep them boring
+function sanitizeJobId(jobId) {
+  return String(jobId || '').replace(/[^\w.\-]/g, '_').substring(0, 64);
+}
+
+class MemoryJobResultAdapter {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxRecords - evict the least recently used job past this many (default unbounded)
+   */
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.records = new Map();
+    this.maxRecords = Number.isFinite(options.maxRecords) ? options.maxRecords : Infinity;
+  }
+
+  async save(record) {
+    // Re-insert so the Map's insertion order doubles as recency order
+    this.records.delete(record.jobId);
+    this.records.set(record.jobId, record);
+    while (this.records.size > this.maxRecords) {
+      this.records.delete(this.records.keys().next().value);
+    }
+  }
+
+  async load(jobId) {
+    const record = this.records.get(jobId) || null;
+    if (record && this.maxRecords !== Infinity) {
+      this.records.delete(jobId);
+      this.records.set(jobId, record);
+    }
+    return record;
+  }
+
+  async saveIfVersion(record, expectedVersion) {
+    const current = this.records.get(record.jobId);
+    if (!current || recordVersion(current) !== expectedVersion) return false;
+    await this.save(record);
+    return true;
+  }
+
+  async remove(jobId) {
+    this.records.delete(jobId);
+  }
+
+  async purgeExpired(now = Date.now()) {
+    let removed = 0;
+    for (const [jobId, record] of this.records) {
+      if (isExpired(record, now)) {
+        this.records.delete(jobId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+class RedisJobResultAdapter {
+  /**
+   * @param {Function} getClient - async function returning a connected redis client or null
+   */
+  constructor(getClient) {
+    this.name = 'redis';
+    this.getClient = getClient;
+  }
+
+  async requireClient() {
+    const client = await this.getClient();
+    if (!client) {
+      throw new Error('Redis not available');
+    }
+    return client;
+  }
+
+  async save(record) {
+    const client = await this.requireClient();
+    await client.set(`${REDIS_KEY_PREFIX}${record.jobId}`, JSON.stringify(record), { EX: this.ttlSeconds(record) });
+  }
+
+  async saveIfVersion(record, expectedVersion) {
+    const client = await this.requireClient();
+    const saved = await client.eval(REDIS_SAVE_IF_VERSION, {
+      keys: [`${REDIS_KEY_PREFIX}${record.jobId}`],
+      arguments: [JSON.stringify(record), String(expectedVersion), String(this.ttlSeconds(record))]
+    });
+    return Number(saved) === 1;
+  }
+
+  ttlSeconds(record) {
+    return Math.max(1, Math.round((new Date(record.expiresAt).getTime() - Date.now()) / 1000));
+  }
+
+  async load(jobId) {
+    const client = await this.requireClient();
+    const raw = await client.get(`${REDIS_KEY_PREFIX}${jobId}`);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async remove(jobId) {
+    const client = await this.requireClient();
+    await client.del(`${REDIS_KEY_PREFIX}${jobId}`);
+  }
+
+  async purgeExpired() {
+    // Redis expires keys on its own via EX
+    return 0;
+  }
+}
+
+class MySQLJobResultAdapter {
+  /**
+   * @param {Function} getConnection - returns a mysql2/promise pool or null
+   */
+  constructor(getConnection) {
+    this.name = 'mysql';
+    this.getConnection = getConnection;
+  }
+
+  requireConnection() {
+    const connection = this.getConnection();
+    if (!connection) {
+      throw new Error('Audit database not available');
+    }
+    return connection;
+  }
+
+  async save(record) {
+    const db = this.requireConnection();
+    await db.execute(
+      `INSERT INTO job_results (job_id, user_id, meta_json, results_json, created_at, expires_at, version)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE user_id = VALUES(user_id), meta_json = VALUES(meta_json),
+         results_json = VALUES(results_json), expires_at = VALUES(expires_at), version = VALUES(version)`,
+      [
+        record.jobId,
+        record.meta?.userId || null,
+        JSON.stringify(record.meta || {}),
+        JSON.stringify(record.results || []),
+        new Date(record.createdAt),
+        new Date(record.expiresAt),
+        recordVersion(record)
+      ]
+    );
+  }
+
+  async saveIfVersion(record, expectedVersion) {
+    const db = this.requireConnection();
+    const [result] = await db.execute(
+      `UPDATE job_results SET user_id = ?, meta_json = ?, results_json = ?, version = ?
+       WHERE job_id = ? AND version = ?`,
+      [
+        record.meta?.userId || null,
+        JSON.stringify(record.meta || {}),
+        JSON.stringify(record.results || []),
+        recordVersion(record),
+        record.jobId,
+        expectedVersion
+      ]
+    );
+    return result?.affectedRows === 1;
+  }
+
+  async load(jobId) {
+    const db = this.requireConnection();
+    const [rows] = await db.execute(
+      'SELECT job_id, meta_json, results_json, created_at, expires_at, version FROM job_results WHERE job_id = ?',
+      [jobId]
+    );
+    if (rows.length === 0) return null;
+
+    const row = rows[0];
+    const parseJson = (value, fallback) => {
+      if (value == null) return fallback;
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    };
+    return {
+      jobId: row.job_id,
+      meta: parseJson(row.meta_json, {}),
+      results: parseJson(row.results_json, []),
+      createdAt: new Date(row.created_at).toISOString(),
+      expiresAt: new Date(row.expires_at).toISOString(),
+      version: row.version || 0
+    };
+  }
+
+  async remove(jobId) {
+    const db = this.requireConnection();
+    await db.execute('DELETE FROM job_results WHERE job_id = ?', [jobId]);
+  }
+
+  async purgeExpired() {
+    const db = this.requireConnection();
+    const [result] = await db.execute('DELETE FROM job_results WHERE expires_at <= NOW()');
+    return result?.affectedRows || 0;
+  }
+}
+
+class FileJobResultAdapter {
+  constructor(directory) {
+    this.name = 'file';
+    this.directory = directory;
+  }
+
+  filePath(jobId) {
+    return path.join(this.directory, `${sanitizeJobId(jobId)}.json`);
+  }
+
+  async save(record) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    // Write to a temp file first so a crash mid-write never leaves a truncated job behind
+    const target = this.filePath(record.jobId);
+    const tmp = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(record));
+    await fs.promises.rename(tmp, target);
+  }
+
+  async load(jobId) {
+    try {
+      const raw = await fs.promises.readFile(this.filePath(jobId), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Local disk is not shared between instances; JobResultStore already serializes updates per job
+  async saveIfVersion(record, expectedVersion) {
+    const current = await this.load(record.jobId);
+    if (!current || recordVersion(current) !== expectedVersion) return false;
+    await this.save(record);
+    return true;
+  }
+
+  async remove(jobId) {
+    await fs.promises.rm(this.filePath(jobId), { force: true });
+  }
+
+  async purgeExpired(now = Date.now()) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let removed = 0;
+    for (const entry of entries.filter(name => name.endsWith('.json'))) {
+      const jobId = entry.replace(/\.json$/, '');
+      try {
+        const record = await this.load(jobId);
+        if (isExpired(record, now)) {
+          await this.remove(jobId);
+          removed++;
+        }
+      } catch (error) {
+        console.log(`⚠️ JobResultStore: skipping unreadable file ${entry}:`, error.message);
+      }
+    }
+    return removed;
+  }
+}
+
+class JobResultStore {
+  constructor(adapter, options = {}) {
+    this.adapter = adapter || new MemoryJobResultAdapter();
+    this.ttlMs = options.ttlMs || getTtlMs();
+    // Local copy so the instance that ran the job never has to round-trip for it. Bounded (LRU) so
+    // results are not held twice for the whole TTL; the memory driver is its own cache.
+    this.localCache = this.adapter instanceof MemoryJobResultAdapter
+      ? this.adapter
+      : new MemoryJobResultAdapter({ maxRecords: options.localCacheSize ?? getLocalCacheSize() });
+    // Pending updateResults per job on this instance
+    this.updateQueues = new Map();
+    console.log(`💾 JobResultStore initialized (driver: ${this.adapter.name}, ttl: ${Math.round(this.ttlMs / 3600000)}h)`);
+  }
+
+  get driver() {
+    return this.adapter.name;
+  }
+
+  /**
+   * Persist processed rows for a job
+   * @param {string} jobId
+   * @param {Array} results - processed rows as returned to the client
+   * @param {Object} meta - originalFilename, sheetName, userId, ...
+   * @returns {Promise<Object>} the stored record
+   */
+  async saveResults(jobId, results, meta = {}) {
+    const now = Date.now();
+    const record = {
+      jobId,
+      results: Array.isArray(results) ? results : [],
+      meta,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlMs).toISOString(),
+      version: 0
+    };
+
+    await this.localCache.save(record);
+
+    if (this.adapter !== this.localCache) {
+      try {
+        await this.adapter.save(record);
+      } catch (error) {
+        // Never fail a job because the backing store is down - the local copy still serves this instance
+        console.error(`⚠️ JobResultStore (${this.adapter.name}) save failed for ${jobId}:`, error.message);
+      }
+    }
+
+    return record;
+  }
+
+  /**
+   * Load the full record (results + meta) for a job, or null if unknown/expired
+   */
+  async getRecord(jobId) {
+    if (!jobId) return null;
+
+    const local = await this.localCache.load(jobId);
+    if (local && !isExpired(local)) {
+      return local;
+    }
+
+    try {
+      const record = await this.adapter.load(jobId);
+      if (!record || isExpired(record)) {
+        return null;
+      }
+      await this.localCache.save(record);
+      return record;
+    } catch (error) {
+      console.error(`⚠️ JobResultStore (${this.adapter.name}) load failed for ${jobId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Change a stored job in place (review decisions) without losing a concurrent change.
+   * Updates to one job run one at a time on this instance, and the write only lands if the
+   * stored version is still the one that was read - otherwise the change is re-applied to a
+   * fresh copy. createdAt and expiresAt are kept.
+   * @param {string} jobId
+   * @param {Function} mutate - async (record) => value; edits record.results / record.meta in place,
+   *   and may throw to abort without writing
+   * @returns {Promise<{record: Object, value: *}|null>} null if the job is unknown/expired
+   * @throws {Error} statusCode 409 if the job kept changing, 503 if the backing store failed
+   */
+  async updateResults(jobId, mutate) {
+    const previous = this.updateQueues.get(jobId) || Promise.resolve();
+    const update = previous.catch(() => {}).then(() => this.applyUpdate(jobId, mutate));
+    this.updateQueues.set(jobId, update);
+    try {
+      return await update;
+    } finally {
+      if (this.updateQueues.get(jobId) === update) this.updateQueues.delete(jobId);
+    }
+  }
+
+  async applyUpdate(jobId, mutate) {
+    for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+      const stored = await this.loadForUpdate(jobId);
+      if (!stored) {
+        return null;
+      }
+
+      // Work on a copy - the memory adapter hands out the stored object itself
+      const record = JSON.parse(JSON.stringify(stored));
+      const version = recordVersion(record);
+      const value = await mutate(record);
+      record.version = version + 1;
+
+      let saved;
+      try {
+        saved = await this.adapter.saveIfVersion(record, version);
+      } catch (error) {
+        throw storeUnavailable(this.adapter.name, jobId, 'save', error);
+      }
+      if (saved) {
+        if (this.adapter !== this.localCache) {
+          await this.localCache.save(record);
+        }
+        return { record, value };
+      }
+      console.log(`🔁 JobResultStore: ${jobId} changed while updating, retrying (${attempt}/${MAX_UPDATE_ATTEMPTS})`);
+    }
+
+    const error = new Error(`Job ${jobId} is being changed by someone else - try again`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  // Read the backend directly - another instance may have changed the job since it was cached.
+  // A job only this instance has (its backend save failed) is written through first, so the
+  // update has a stored version to check against.
+  async loadForUpdate(jobId) {
+    let stored;
+    try {
+      stored = await this.adapter.load(jobId);
+    } catch (error) {
+      throw storeUnavailable(this.adapter.name, jobId, 'load', error);
+    }
+    if (stored && !isExpired(stored)) {
+      return stored;
+    }
+    if (this.adapter === this.localCache) {
+      return null;
+    }
+
+    const cached = await this.localCache.load(jobId);
+    if (!cached || isExpired(cached)) {
+      return null;
+    }
+    try {
+      await this.adapter.save(cached);
+    } catch (error) {
+      throw storeUnavailable(this.adapter.name, jobId, 'save', error);
+    }
+    console.log(`💾 JobResultStore: wrote cached ${jobId} through to ${this.adapter.name} before updating it`);
+    return cached;
+  }
+
+  /**
+   * Load only the processed rows for a job, or null if unknown/expired
+   */
+  async getResults(jobId) {
+    const record = await this.getRecord(jobId);
+    return record ? record.results : null;
+  }
+
+  async deleteResults(jobId) {
+    await this.localCache.remove(jobId);
+    if (this.adapter === this.localCache) return;
+    try {
+      await this.adapter.remove(jobId);
+    } catch (error) {
+      console.error(`⚠️ JobResultStore (${this.adapter.name}) delete failed for ${jobId}:`, error.message);
+    }
+  }
+
+  async purgeExpired() {
+    const now = Date.now();
+    let removed = await this.localCache.purgeExpired(now);
+    if (this.adapter !== this.localCache) {
+      try {
+        removed += await this.adapter.purgeExpired(now);
+      } catch (error) {
+        console.error(`⚠️ JobResultStore (${this.adapter.name}) purge failed:`, error.message);
+      }
+    }
+    if (removed > 0) {
+      console.log(`🧹 JobResultStore purged ${removed} expired job result(s)`);
+    }
+    return removed;
+  }
+}
+
+/**
+ * Build the adapter selected by JOB_STORE_DRIVER
+ */
+function createAdapter(driver) {
+  switch ((driver || '').toLowerCase()) {
+    case 'redis': {
+      const { getInsuranceItemPricer } = require('./sharedServices');
+      return new RedisJobResultAdapter(async () => {
+        const pricer = getInsuranceItemPricer();
+        if (!pricer) return null;
+        const client = await pricer.initRedis();
+        return client && pricer.redisConnected ? client : null;
+      });
+    }
+    case 'mysql': {
+      return new MySQLJobResultAdapter(() => {
+        try {
+          const { Audit } = require('../../src/audit/index.js');
+          return Audit && Audit.initialized ? Audit.dbConnection : null;
+        } catch (_e) {
+          return null;
+        }
+      });
+    }
+    case 'file': {
+      const directory = process.env.JOB_STORE_DIR || path.join(__dirname, '..', 'uploads', 'job-results');
+      return new FileJobResultAdapter(directory);
+    }
+    case 'memory':
+    case '':
+      return new MemoryJobResultAdapter();
+    default:
+      console.warn(`⚠️ Unknown JOB_STORE_DRIVER "${driver}", falling back to memory`);
+      return new MemoryJobResultAdapter();
+  }
+}
+
+let sharedJobResultStore = null;
+
+function getJobResultStore() {
+  if (!sharedJobResultStore) {
+    sharedJobResultStore = new JobResultStore(createAdapter(process.env.JOB_STORE_DRIVER));
+
+    const minutes = parseFloat(process.env.JOB_RESULT_PURGE_INTERVAL_MINUTES);
+    const intervalMs = (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_PURGE_INTERVAL_MINUTES) * 60 * 1000;
+    const timer = setInterval(() => {
+      sharedJobResultStore.purgeExpired().catch(() => {});
+    }, intervalMs);
+    if (timer.unref) timer.unref();
+  }
+  return sharedJobResultStore;
+}
+
+module.exports = {
+  JobResultStore,
+  MemoryJobResultAdapter,
+  RedisJobResultAdapter,
+  MySQLJobResultAdapter,
+  FileJobResultAdapter,
+  getJobResultStore
+};
@@ -0,0 +1,439 @@
+/**
+ * MappingTemplateStore Service
+ * Named column mappings for contents lists, so a carrier layout that arrives every week is
+ * mapped once instead of on every upload.
+ *
+ * A template records the sheet name and header set it was made from and a fingerprint of both
+ * (normalized, sorted headers + sheet name). On upload the best-matching template is applied
+ * before the hard-coded mapFields guesses: an identical fingerprint wins, otherwise the template
+ * whose headers overlap the file's most (Jaccard, at least MAPPING_TEMPLATE_MIN_SCORE), as long
+ * as every column it maps is present. Templates are private to their creator until shared with
+ * the organization.
+ *
+ * Drivers (MAPPING_TEMPLATE_STORE_DRIVER):
+ *   mysql  - mapping_templates (src/audit/migrations/011_mapping_templates.sql)
+ *   memory - process memory only (default when DB_HOST is not set)
+ */
+
+const crypto = require('crypto');
+
+// The mapping must name these before a template can be saved or applied (mapFields requires the same)
+const REQUIRED_TEMPLATE_FIELDS = ['Description', 'Purchase Price'];
+const DEFAULT_MIN_SCORE = 0.8;
+// Same layout under another sheet name ("Contents" vs "Sheet1") still counts, just slightly less
+const SHEET_MISMATCH_PENALTY = 0.05;
+
+class MappingTemplateError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'MappingTemplateError';
+    this.statusCode = statusCode;
+  }
+}
+
+function getMinScore() {
+  const value = parseFloat(process.env.MAPPING_TEMPLATE_MIN_SCORE);
+  return Number.isFinite(value) && value > 0 && value <= 1 ? value : DEFAULT_MIN_SCORE;
+}
+
+// "Cost to Replace Pre-Tax (each)" and "cost to replace pre tax each" are the same column
+function normalizeHeader(header) {
+  return String(header ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function headerSet(headers) {
+  return [...new Set((headers || []).map(normalizeHeader).filter(Boolean))].sort();
+}
+
+/**
+ * Fingerprint of a layout - the same columns (in any order) on the same sheet name
+ */
+function fingerprintLayout(headers, sheetName = '') {
+  return crypto.createHash('sha256')
+    .update(`${normalizeHeader(sheetName)}\n${headerSet(headers).join('|')}`)
+    .digest('hex')
+    .substring(0, 32);
+}
+
+/**
+ * Validate a mapping ({ canonical field: source column }) against the headers it was made for
+ * Empty entries are dropped; the result maps each field to the header as written in the file.
+ */
+function normalizeMapping(mapping, headers) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new MappingTemplateError('mapping must be an object of { field: column }');
+  }
+  const byNormalized = new Map((headers || []).map(header => [normalizeHeader(header), String(header)]));
+  const result = {};
+  for (const [field, column] of Object.entries(mapping)) {
+    if (column === null || column === undefined || String(column).trim() === '') continue;
+    const header = byNormalized.get(normalizeHeader(column));
+    if (!header) {
+      throw new MappingTemplateError(`mapping.${field} names column "${column}", which is not one of the template headers`);
+    }
+    result[String(field).trim()] = header;
+  }
+  const missing = REQUIRED_TEMPLATE_FIELDS.filter(field => !result[field]);
+  if (missing.length > 0) {
+    throw new MappingTemplateError(`mapping must include ${missing.join(', ')}`);
+  }
+  return result;
+}
+
+function normalizeName(name) {
+  const value = String(name || '').trim().replace(/\s+/g, ' ');
+  if (!value) {
+    throw new MappingTemplateError('name is required');
+  }
+  if (value.length > 100) {
+    throw new MappingTemplateError('name must be at most 100 characters');
+  }
+  return value;
+}
+
+/**
+ * Score a template against an uploaded layout
+ * @returns {Object|null} { score, exact, mapping } - mapping rewritten to the file's header
+ *   spelling; null when a mapped column is missing from the file
+ */
+function scoreTemplate(template, headers, sheetName, fingerprint) {
+  const byNormalized = new Map(headers.map(header => [normalizeHeader(header), header]));
+  const mapping = {};
+  for (const [field, column] of Object.entries(template.mapping)) {
+    const header = byNormalized.get(normalizeHeader(column));
+    if (!header) return null;
+    mapping[field] = header;
+  }
+  if (template.fingerprint === fingerprint) {
+    return { score: 1, exact: true, mapping };
+  }
+  const fileSet = new Set(headerSet(headers));
+  const templateSet = headerSet(template.headers);
+  const shared = templateSet.filter(header => fileSet.has(header)).length;
+  const union = new Set([...fileSet, ...templateSet]).size;
+  let score = union ? shared / union : 0;
+  if (normalizeHeader(template.sheetName) !== normalizeHeader(sheetName)) {
+    score -= SHEET_MISMATCH_PENALTY;
+  }
+  return { score: Math.round(score * 1000) / 1000, exact: false, mapping };
+}
+
+class MemoryMappingTemplateAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.templates = new Map();
+  }
+
+  async getTemplate(id) {
+    return this.templates.get(id) || null;
+  }
+
+  async listTemplates({ orgId } = {}) {
+    return [...this.templates.values()]
+      .filter(template => orgId === undefined || template.orgId === orgId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async saveTemplate(template) {
+    this.templates.set(template.id, template);
+  }
+
+  async deleteTemplate(id) {
+    this.templates.delete(id);
+  }
+}
+
+class MySQLMappingTemplateAdapter {
+  /**
+   * @param {Function} getPool - returns a mysql2/promise pool
+   */
+  constructor(getPool) {
+    this.name = 'mysql';
+    this.getPool = getPool;
+  }
+
+  static rowToTemplate(row) {
+    const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+    return {
+      id: row.id,
+      orgId: row.org_id || null,
+      name: row.name,
+      sheetName: row.sheet_name || '',
+      headers: parse(row.headers_json) || [],
+      fingerprint: row.fingerprint,
+      mapping: parse(row.mapping_json) || {},
+      shared: !!row.shared,
+      createdBy: row.created_by,
+      useCount: Number(row.use_count) || 0,
+      lastUsedAt: row.last_used_at ? new Date(row.last_used_at).toISOString() : null,
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString()
+    };
+  }
+
+  async getTemplate(id) {
+    const [rows] = await this.getPool().execute('SELECT * FROM mapping_templates WHERE id = ?', [id]);
+    return rows.length ? MySQLMappingTemplateAdapter.rowToTemplate(rows[0]) : null;
+  }
+
+  async listTemplates({ orgId } = {}) {
+    const clauses = [];
+    const params = [];
+    if (orgId !== undefined) {
+      clauses.push(orgId ? 'org_id = ?' : 'org_id IS NULL');
+      if (orgId) params.push(orgId);
+    }
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    const [rows] = await this.getPool().execute(
+      `SELECT * FROM mapping_templates ${where} ORDER BY updated_at DESC LIMIT 500`,
+      params
+    );
+    return rows.map(MySQLMappingTemplateAdapter.rowToTemplate);
+  }
+
+  async saveTemplate(template) {
+    await this.getPool().execute(
+      `INSERT INTO mapping_templates (id, org_id, name, sheet_name, headers_json, fingerprint, mapping_json, shared,
+         created_by, use_count, last_used_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE name = VALUES(name), sheet_name = VALUES(sheet_name), headers_json = VALUES(headers_json),
+         fingerprint = VALUES(fingerprint), mapping_json = VALUES(mapping_json), shared = VALUES(shared),
+         use_count = VALUES(use_count), last_used_at = VALUES(last_used_at), updated_at = VALUES(updated_at)`,
+      [
+        template.id, template.orgId || null, template.name, template.sheetName || null,
+        JSON.stringify(template.headers), template.fingerprint, JSON.stringify(template.mapping),
+        template.shared ? 1 : 0, template.createdBy, template.useCount || 0,
+        template.lastUsedAt ? new Date(template.lastUsedAt) : null,
+        new Date(template.createdAt), new Date(template.updatedAt)
+      ]
+    );
+  }
+
+  async deleteTemplate(id) {
+    await this.getPool().execute('DELETE FROM mapping_templates WHERE id = ?', [id]);
+  }
+}
+
+class MappingTemplateStore {
+  constructor(adapter) {
+    this.adapter = adapter || new MemoryMappingTemplateAdapter();
+    console.log(`🗂️ MappingTemplateStore initialized (driver: ${this.adapter.name})`);
+  }
+
+  get driver() {
+    return this.adapter.name;
+  }
+
+  /**
+   * Templates the caller can see - the org's shared templates and their own
+   * @param {Object} actor - { userId, orgId, canManageAll }
+   */
+  async listTemplates(actor = {}) {
+    const templates = await this.adapter.listTemplates({ orgId: actor.orgId || null });
+    return templates.filter(template => this.canView(template, actor));
+  }
+
+  canView(template, actor = {}) {
+    if ((template.orgId || null) !== (actor.orgId || null)) return false;
+    return template.shared || template.createdBy === actor.userId || !!actor.canManageAll;
+  }
+
+  // Creator, or an org admin / platform admin (actor.canManageAll)
+  canEdit(template, actor = {}) {
+    return this.canView(template, actor) && (template.createdBy === actor.userId || !!actor.canManageAll);
+  }
+
+  /**
+   * @throws {MappingTemplateError} 404 when missing or not visible to the caller
+   */
+  async requireTemplate(id, actor = {}) {
+    const template = await this.adapter.getTemplate(id);
+    if (!template || !this.canView(template, actor)) {
+      throw new MappingTemplateError(`Mapping template "${id}" not found`, 404);
+    }
+    return template;
+  }
+
+  async findByName(name, actor = {}) {
+    const wanted = normalizeName(name).toLowerCase();
+    const templates = await this.adapter.listTemplates({ orgId: actor.orgId || null });
+    return templates.find(template => template.name.toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * @param {Object} input - { name, sheetName, headers, mapping, shared }
+   * @param {Object} actor - { userId, orgId }
+   * @throws {MappingTemplateError} 409 when the org already has a template with that name
+   */
+  async createTemplate(input = {}, actor = {}) {
+    const name = normalizeName(input.name);
+    if (!Array.isArray(input.headers) || input.headers.length === 0) {
+      throw new MappingTemplateError('headers must be a non-empty array of column names');
+    }
+    if (await this.findByName(name, actor)) {
+      throw new MappingTemplateError(`A mapping template named "${name}" already exists`, 409);
+    }
+    const headers = input.headers.map(header => String(header ?? '')).filter(header => header.trim());
+    const sheetName = String(input.sheetName || '').trim();
+    const now = new Date().toISOString();
+    const template = {
+      id: crypto.randomUUID(),
+      orgId: actor.orgId || null,
+      name,
+      sheetName,
+      headers,
+      fingerprint: fingerprintLayout(headers, sheetName),
+      mapping: normalizeMapping(input.mapping, headers),
+      shared: !!input.shared,
+      createdBy: actor.userId || 'anonymous',
+      useCount: 0,
+      lastUsedAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    await this.adapter.saveTemplate(template);
+    return template;
+  }
+
+  /**
+   * Change a template's name, mapping, layout (headers / sheetName) or sharing
+   * @throws {MappingTemplateError} 403 for someone else's template, 409 on a name clash
+   */
+  async updateTemplate(id, changes = {}, actor = {}) {
+    const template = await this.requireTemplate(id, actor);
+    if (!this.canEdit(template, actor)) {
+      throw new MappingTemplateError('Only the creator or an org admin can change this mapping template', 403);
+    }
+    const updated = { ...template };
+    if (changes.name !== undefined) {
+      updated.name = normalizeName(changes.name);
+      const clash = await this.findByName(updated.name, actor);
+      if (clash && clash.id !== id) {
+        throw new MappingTemplateError(`A mapping template named "${updated.name}" already exists`, 409);
+      }
+    }
+    if (changes.headers !== undefined) {
+      if (!Array.isArray(changes.headers) || changes.headers.length === 0) {
+        throw new MappingTemplateError('headers must be a non-empty array of column names');
+      }
+      updated.headers = changes.headers.map(header => String(header ?? '')).filter(header => header.trim());
+    }
+    if (changes.sheetName !== undefined) {
+      updated.sheetName = String(changes.sheetName || '').trim();
+    }
+    if (changes.shared !== undefined) {
+      updated.shared = changes.shared === true || changes.shared === 'true';
+    }
+    // A new layout has to be re-checked against the (possibly unchanged) mapping
+    updated.mapping = normalizeMapping(changes.mapping !== undefined ? changes.mapping : template.mapping, updated.headers);
+    updated.fingerprint = fingerprintLayout(updated.headers, updated.sheetName);
+    updated.updatedAt = new Date().toISOString();
+    await this.adapter.saveTemplate(updated);
+    return updated;
+  }
+
+  async shareTemplate(id, shared, actor = {}) {
+    return this.updateTemplate(id, { shared: shared !== false && shared !== 'false' }, actor);
+  }
+
+  async deleteTemplate(id, actor = {}) {
+    const template = await this.requireTemplate(id, actor);
+    if (!this.canEdit(template, actor)) {
+      throw new MappingTemplateError('Only the creator or an org admin can delete this mapping template', 403);
+    }
+    await this.adapter.deleteTemplate(id);
+    return template;
+  }
+
+  /**
+   * Save the mapping a user confirmed for an upload - replaces the mapping of the caller's
+   * template with the same name, otherwise creates a new template
+   */
+  async saveFromUpload({ name, sheetName, headers, mapping, shared }, actor = {}) {
+    const existing = await this.findByName(name, actor);
+    if (existing) {
+      return this.updateTemplate(existing.id, { headers, sheetName, mapping, ...(shared !== undefined ? { shared } : {}) }, actor);
+    }
+    return this.createTemplate({ name, sheetName, headers, mapping, shared }, actor);
+  }
+
+  /**
+   * Best template for an uploaded layout among those the caller can see
+   * @returns {Object|null} { template, score, exact, mapping } - mapping uses the file's header spelling
+   */
+  async findBestTemplate({ headers = [], sheetName = '' } = {}, actor = {}) {
+    const fileHeaders = (headers || []).map(header => String(header ?? '')).filter(header => header.trim());
+    if (fileHeaders.length === 0) return null;
+    const fingerprint = fingerprintLayout(fileHeaders, sheetName);
+    const minScore = getMinScore();
+
+    // Ties go to the caller's own template, then the most used one
+    const own = (template) => (template.createdBy === actor.userId ? 1 : 0);
+    const candidates = (await this.listTemplates(actor))
+      .map(template => ({ template, ...scoreTemplate(template, fileHeaders, sheetName, fingerprint) }))
+      .filter(candidate => candidate.mapping && candidate.score >= minScore)
+      .sort((a, b) => (b.score - a.score)
+        || (own(b.template) - own(a.template))
+        || ((b.template.useCount || 0) - (a.template.useCount || 0)));
+    return candidates[0] || null;
+  }
+
+  /**
+   * A named template against an uploaded layout
+   * @returns {Object} { template, score, exact, mapping, missingColumns } - mapping is null when
+   *   the file lacks some of the template's columns (listed in missingColumns)
+   */
+  async matchTemplate(id, { headers = [], sheetName = '' } = {}, actor = {}) {
+    const template = await this.requireTemplate(id, actor);
+    const fileHeaders = (headers || []).map(header => String(header ?? '')).filter(header => header.trim());
+    const match = scoreTemplate(template, fileHeaders, sheetName, fingerprintLayout(fileHeaders, sheetName));
+    if (match) return { template, ...match, missingColumns: [] };
+    const present = new Set(headerSet(fileHeaders));
+    const missingColumns = Object.values(template.mapping).filter(column => !present.has(normalizeHeader(column)));
+    return { template, score: 0, exact: false, mapping: null, missingColumns };
+  }
+
+  async recordUse(id) {
+    const template = await this.adapter.getTemplate(id);
+    if (!template) return null;
+    const used = { ...template, useCount: (template.useCount || 0) + 1, lastUsedAt: new Date().toISOString() };
+    await this.adapter.saveTemplate(used);
+    return used;
+  }
+}
+
+function createAdapter(driver) {
+  switch ((driver || '').toLowerCase()) {
+    case 'mysql':
+      return new MySQLMappingTemplateAdapter(() => require('../utils/database'));
+    case 'memory':
+      return new MemoryMappingTemplateAdapter();
+    default:
+      console.warn(`⚠️ Unknown MAPPING_TEMPLATE_STORE_DRIVER "${driver}", falling back to memory`);
+      return new MemoryMappingTemplateAdapter();
+  }
+}
+
+let sharedMappingTemplateStore = null;
+
+function getMappingTemplateStore() {
+  if (!sharedMappingTemplateStore) {
+    const driver = process.env.MAPPING_TEMPLATE_STORE_DRIVER || (process.env.DB_HOST ? 'mysql' : 'memory');
+    sharedMappingTemplateStore = new MappingTemplateStore(createAdapter(driver));
+  }
+  return sharedMappingTemplateStore;
+}
+
+module.exports = {
+  MappingTemplateStore,
+  MappingTemplateError,
+  MemoryMappingTemplateAdapter,
+  MySQLMappingTemplateAdapter,
+  REQUIRED_TEMPLATE_FIELDS,
+  fingerprintLayout,
+  normalizeHeader,
+  getMappingTemplateStore
+};
@@ -0,0 +1,275 @@
+/**
+ * NotificationStore Service
+ * Per-user notification feed shown in the client (GET /api/notifications):
+ *   job_completed    - an enhanced processing job finished (with how many rows still need review)
+ *   job_failed       - an enhanced processing job failed
+ *   review_requested - someone asked this user to review a job's flagged rows
+ *
+ * Job notifications come from the EnhancedJobQueue 'job:status' events (see watchJobQueue),
+ * so every way a job finishes - stream, polling or nobody watching - produces one.
+ *
+ * Drivers (NOTIFICATION_STORE_DRIVER):
+ *   mysql  - `notifications` table (src/audit/migrations/009_documents_notifications.sql)
+ *   memory - process memory only (default when DB_HOST is not set)
+ */
+
+const crypto = require('crypto');
+
+const NOTIFICATION_TYPES = ['job_completed', 'job_failed', 'review_requested'];
+// Memory driver only keeps the newest entries per user
+const MEMORY_LIMIT_PER_USER = 200;
+
+class NotificationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'NotificationError';
+    this.statusCode = statusCode;
+  }
+}
+
+class MemoryNotificationAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.notifications = new Map(); // userId -> newest first
+  }
+
+  async listNotifications(userId, { unreadOnly, limit }) {
+    const list = this.notifications.get(userId) || [];
+    return list.filter(entry => !unreadOnly || !entry.readAt).slice(0, limit);
+  }
+
+  async countUnread(userId) {
+    return (this.notifications.get(userId) || []).filter(entry => !entry.readAt).length;
+  }
+
+  async getNotification(id) {
+    for (const list of this.notifications.values()) {
+      const entry = list.find(candidate => candidate.id === id);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  async saveNotification(notification) {
+    const list = this.notifications.get(notification.userId) || [];
+    const index = list.findIndex(entry => entry.id === notification.id);
+    if (index >= 0) {
+      list[index] = notification;
+    } else {
+      list.unshift(notification);
+      list.length = Math.min(list.length, MEMORY_LIMIT_PER_USER);
+    }
+    this.notifications.set(notification.userId, list);
+  }
+
+  async markAllRead(userId, readAt) {
+    (this.notifications.get(userId) || []).forEach(entry => {
+      if (!entry.readAt) entry.readAt = readAt;
+    });
+  }
+}
+
+class MySQLNotificationAdapter {
+  /**
+   * @param {Function} getPool - returns a mysql2/promise pool
+   */
+  constructor(getPool) {
+    this.name = 'mysql';
+    this.getPool = getPool;
+  }
+
+  static rowToNotification(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      orgId: row.org_id || null,
+      type: row.type,
+      title: row.title,
+      message: row.message,
+      data: row.data_json == null ? {} : (typeof row.data_json === 'string' ? JSON.parse(row.data_json) : row.data_json),
+      createdBy: row.created_by || null,
+      readAt: row.read_at ? new Date(row.read_at).toISOString() : null,
+      createdAt: new Date(row.created_at).toISOString()
+    };
+  }
+
+  async listNotifications(userId, { unreadOnly, limit }) {
+    const [rows] = await this.getPool().execute(
+      `SELECT * FROM notifications WHERE user_id = ? ${unreadOnly ? 'AND read_at IS NULL' : ''}
+       ORDER BY created_at DESC LIMIT ${Number(limit)}`,
+      [userId]
+    );
+    return rows.map(MySQLNotificationAdapter.rowToNotification);
+  }
+
+  async countUnread(userId) {
+    const [rows] = await this.getPool().execute(
+      'SELECT COUNT(*) AS unread FROM notifications WHERE user_id = ? AND read_at IS NULL',
+      [userId]
+    );
+    return Number(rows[0]?.unread || 0);
+  }
+
+  async getNotification(id) {
+    const [rows] = await this.getPool().execute('SELECT * FROM notifications WHERE id = ?', [id]);
+    return rows.length ? MySQLNotificationAdapter.rowToNotification(rows[0]) : null;
+  }
+
+  async saveNotification(notification) {
+    await this.getPool().execute(
+      `INSERT INTO notifications (id, user_id, org_id, type, title, message, data_json, created_by, read_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE read_at = VALUES(read_at)`,
+      [
+        notification.id, notification.userId, notification.orgId || null, notification.type, notification.title,
+        notification.message, JSON.stringify(notification.data || {}), notification.createdBy || null,
+        notification.readAt ? new Date(notification.readAt) : null, new Date(notification.createdAt)
+      ]
+    );
+  }
+
+  async markAllRead(userId, readAt) {
+    await this.getPool().execute(
+      'UPDATE notifications SET read_at = ? WHERE user_id = ? AND read_at IS NULL',
+      [new Date(readAt), userId]
+    );
+  }
+}
+
+class NotificationStore {
+  constructor(adapter) {
+    this.adapter = adapter || new MemoryNotificationAdapter();
+    console.log(`🔔 NotificationStore initialized (driver: ${this.adapter.name})`);
+  }
+
+  get driver() {
+    return this.adapter.name;
+  }
+
+  /**
+   * @param {Object} notification - { userId, orgId, type, title, message, data, createdBy }
+   */
+  async notify({ userId, orgId = null, type, title, message = '', data = {}, createdBy = null }) {
+    if (!userId) {
+      throw new NotificationError('userId is required');
+    }
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      throw new NotificationError(`type must be one of: ${NOTIFICATION_TYPES.join(', ')}`);
+    }
+    const notification = {
+      id: crypto.randomUUID(),
+      userId: String(userId),
+      orgId,
+      type,
+      title: String(title || type).substring(0, 255),
+      message: String(message || ''),
+      data,
+      createdBy,
+      readAt: null,
+      createdAt: new Date().toISOString()
+    };
+    await this.adapter.saveNotification(notification);
+    return notification;
+  }
+
+  /**
+   * @param {string} userId
+   * @param {Object} options - { unreadOnly, limit (1-100, default 50) }
+   * @returns {Promise<Object>} { notifications, unread }
+   */
+  async listForUser(userId, { unreadOnly = false, limit = 50 } = {}) {
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+    const [notifications, unread] = await Promise.all([
+      this.adapter.listNotifications(String(userId), { unreadOnly, limit: safeLimit }),
+      this.adapter.countUnread(String(userId))
+    ]);
+    return { notifications, unread };
+  }
+
+  /**
+   * Mark one of the user's notifications read (other users' notifications are reported missing)
+   */
+  async markRead(id, userId) {
+    const notification = await this.adapter.getNotification(id);
+    if (!notification || notification.userId !== String(userId)) {
+      throw new NotificationError(`Notification "${id}" not found`, 404);
+    }
+    if (notification.readAt) return notification;
+    const updated = { ...notification, readAt: new Date().toISOString() };
+    await this.adapter.saveNotification(updated);
+    return updated;
+  }
+
+  async markAllRead(userId) {
+    await this.adapter.markAllRead(String(userId), new Date().toISOString());
+  }
+}
+
+/**
+ * Notify job owners when their enhanced processing jobs complete or fail
+ * @param {EventEmitter} queue - EnhancedJobQueue
+ * @param {NotificationStore} store
+ */
+function watchJobQueue(queue, store) {
+  queue.on('job:status', status => {
+    const userId = status.meta?.userId;
+    if (!userId || (status.status !== 'completed' && status.status !== 'failed')) return;
+
+    const fileName = status.meta.originalFilename || status.jobId;
+    let notification;
+    if (status.status === 'completed') {
+      const pendingReview = queue.getJob(status.jobId)?.response?.review?.pending || 0;
+      notification = {
+        type: 'job_completed',
+        title: `Pricing finished: ${fileName}`,
+        message: pendingReview
+          ? `${status.processed} rows priced, ${pendingReview} need review`
+          : `${status.processed} rows priced`,
+        data: { jobId: status.jobId, claimId: status.meta.claimId || null, pendingReview }
+      };
+    } else {
+      notification = {
+        type: 'job_failed',
+        title: `Pricing failed: ${fileName}`,
+        message: status.error || 'The job stopped with an error',
+        data: { jobId: status.jobId, claimId: status.meta.claimId || null }
+      };
+    }
+
+    store.notify({ userId, orgId: status.meta.orgId || null, ...notification }).catch(error => {
+      console.error(`⚠️ Failed to record ${notification.type} notification for job ${status.jobId}:`, error.message);
+    });
+  });
+}
+
+function createAdapter(driver) {
+  switch ((driver || '').toLowerCase()) {
+    case 'mysql':
+      return new MySQLNotificationAdapter(() => require('../utils/database'));
+    case 'memory':
+      return new MemoryNotificationAdapter();
+    default:
+      console.warn(`⚠️ Unknown NOTIFICATION_STORE_DRIVER "${driver}", falling back to memory`);
+      return new MemoryNotificationAdapter();
+  }
+}
+
+let sharedNotificationStore = null;
+
+function getNotificationStore() {
+  if (!sharedNotificationStore) {
+    const driver = process.env.NOTIFICATION_STORE_DRIVER || (process.env.DB_HOST ? 'mysql' : 'memory');
+    sharedNotificationStore = new NotificationStore(createAdapter(driver));
+  }
+  return sharedNotificationStore;
+}
+
+module.exports = {
+  NotificationStore,
+  NotificationError,
+  MemoryNotificationAdapter,
+  MySQLNotificationAdapter,
+  NOTIFICATION_TYPES,
+  watchJobQueue,
+  getNotificationStore
+};
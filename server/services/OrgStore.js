@@ -0,0 +1,476 @@
+/**
+ * OrgStore Service
+ * Organizations (adjusting firms) sharing one deployment. Each org has its own members,
+ * its own slice of the audit history and its own settings:
+ *   untrustedSites      - { add, remove } on top of config/trustedSites.js (remove = trust a listed site)
+ *   defaultTolerancePct - used when a processing request does not send tolerancePct
+ *   depTable            - { name, version } carrier table used when a request names none
+ *
+ * The org a request acts for comes from the token's org claim (AUTH_ORG_CLAIM), otherwise
+ * from the user's memberships (X-Org-Id picks one when there are several). It is carried in
+ * AsyncLocalStorage (runWithOrg / getActiveOrg) so trusted-site checks deep in the pricer
+ * see the org's overrides without threading it through every call.
+ *
+ * Drivers (ORG_STORE_DRIVER):
+ *   mysql  - organizations / org_members (src/audit/migrations/007_organizations.sql)
+ *   memory - process memory only (default when DB_HOST is not set)
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const orgContext = new AsyncLocalStorage();
+
+const MEMBER_ROLES = ['member', 'org_admin'];
+const DEFAULT_SETTINGS = {
+  untrustedSites: { add: [], remove: [] },
+  defaultTolerancePct: null,
+  depTable: null
+};
+
+class OrgError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'OrgError';
+    this.statusCode = statusCode;
+  }
+}
+
+function slugify(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 64);
+}
+
+// Same normalization as isTrustedSite: lowercase host without scheme, www or path
+function normalizeSite(site) {
+  return String(site || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .split('/')[0];
+}
+
+function normalizeSiteList(list, field) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) {
+    throw new OrgError(`${field} must be an array of domains`);
+  }
+  return [...new Set(list.map(normalizeSite).filter(Boolean))].sort();
+}
+
+/**
+ * Merge a settings patch onto the current settings (keys left out are kept)
+ */
+function normalizeSettings(patch, current = DEFAULT_SETTINGS) {
+  if (patch === undefined || patch === null) return { ...DEFAULT_SETTINGS, ...current };
+  if (typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new OrgError('settings must be an object');
+  }
+  const settings = { ...DEFAULT_SETTINGS, ...current };
+
+  if (patch.untrustedSites !== undefined) {
+    const sites = patch.untrustedSites || {};
+    const add = normalizeSiteList(sites.add, 'untrustedSites.add');
+    const remove = normalizeSiteList(sites.remove, 'untrustedSites.remove');
+    const overlap = add.filter(site => remove.includes(site));
+    if (overlap.length) {
+      throw new OrgError(`untrustedSites cannot both add and remove ${overlap.join(', ')}`);
+    }
+    settings.untrustedSites = { add, remove };
+  }
+
+  if (patch.defaultTolerancePct !== undefined) {
+    if (patch.defaultTolerancePct === null || patch.defaultTolerancePct === '') {
+      settings.defaultTolerancePct = null;
+    } else {
+      const tolerance = parseFloat(patch.defaultTolerancePct);
+      if (!Number.isFinite(tolerance) || tolerance <= 0 || tolerance > 100) {
+        throw new OrgError('defaultTolerancePct must be a number between 0 and 100');
+      }
+      settings.defaultTolerancePct = tolerance;
+    }
+  }
+
+  if (patch.depTable !== undefined) {
+    const table = typeof patch.depTable === 'string' ? { name: patch.depTable } : patch.depTable;
+    if (!table || !table.name) {
+      settings.depTable = null;
+    } else {
+      const version = table.version == null || table.version === '' ? null : parseInt(table.version, 10);
+      if (version !== null && !Number.isInteger(version)) {
+        throw new OrgError('depTable.version must be an integer');
+      }
+      settings.depTable = { name: String(table.name).trim(), version };
+    }
+  }
+
+  return settings;
+}
+
+class MemoryOrgAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.orgs = new Map();
+    this.members = new Map(); // `${orgId}|${userId}` -> member
+  }
+
+  async listOrgs() {
+    return [...this.orgs.values()];
+  }
+
+  async getOrg(id) {
+    return this.orgs.get(id) || null;
+  }
+
+  async getOrgBySlug(slug) {
+    return [...this.orgs.values()].find(org => org.slug === slug) || null;
+  }
+
+  async saveOrg(org) {
+    this.orgs.set(org.id, org);
+  }
+
+  async listMembers(orgId) {
+    return [...this.members.values()].filter(member => member.orgId === orgId);
+  }
+
+  async listMemberships(userId) {
+    return [...this.members.values()].filter(member => member.userId === userId);
+  }
+
+  async getMember(orgId, userId) {
+    return this.members.get(`${orgId}|${userId}`) || null;
+  }
+
+  async saveMember(member) {
+    this.members.set(`${member.orgId}|${member.userId}`, member);
+  }
+
+  async removeMember(orgId, userId) {
+    this.members.delete(`${orgId}|${userId}`);
+  }
+}
+
+class MySQLOrgAdapter {
+  /**
+   * @param {Function} getPool - returns a mysql2/promise pool
+   */
+  constructor(getPool) {
+    this.name = 'mysql';
+    this.getPool = getPool;
+  }
+
+  static rowToOrg(row) {
+    const settings = row.settings_json == null
+      ? {}
+      : (typeof row.settings_json === 'string' ? JSON.parse(row.settings_json) : row.settings_json);
+    return {
+      id: row.id,
+      slug: row.slug,
+      name: row.name,
+      settings: { ...DEFAULT_SETTINGS, ...settings },
+      createdBy: row.created_by,
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString()
+    };
+  }
+
+  static rowToMember(row) {
+    return {
+      orgId: row.org_id,
+      userId: row.user_id,
+      email: row.email,
+      role: row.role,
+      addedBy: row.added_by,
+      addedAt: new Date(row.added_at).toISOString()
+    };
+  }
+
+  async listOrgs() {
+    const [rows] = await this.getPool().execute('SELECT * FROM organizations ORDER BY name');
+    return rows.map(MySQLOrgAdapter.rowToOrg);
+  }
+
+  async getOrg(id) {
+    const [rows] = await this.getPool().execute('SELECT * FROM organizations WHERE id = ?', [id]);
+    return rows.length ? MySQLOrgAdapter.rowToOrg(rows[0]) : null;
+  }
+
+  async getOrgBySlug(slug) {
+    const [rows] = await this.getPool().execute('SELECT * FROM organizations WHERE slug = ?', [slug]);
+    return rows.length ? MySQLOrgAdapter.rowToOrg(rows[0]) : null;
+  }
+
+  async saveOrg(org) {
+    await this.getPool().execute(
+      `INSERT INTO organizations (id, slug, name, settings_json, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE slug = VALUES(slug), name = VALUES(name), settings_json = VALUES(settings_json),
+         updated_at = VALUES(updated_at)`,
+      [org.id, org.slug, org.name, JSON.stringify(org.settings || {}), org.createdBy || null, new Date(org.createdAt), new Date(org.updatedAt)]
+    );
+  }
+
+  async listMembers(orgId) {
+    const [rows] = await this.getPool().execute('SELECT * FROM org_members WHERE org_id = ? ORDER BY added_at', [orgId]);
+    return rows.map(MySQLOrgAdapter.rowToMember);
+  }
+
+  async listMemberships(userId) {
+    const [rows] = await this.getPool().execute('SELECT * FROM org_members WHERE user_id = ? ORDER BY added_at', [userId]);
+    return rows.map(MySQLOrgAdapter.rowToMember);
+  }
+
+  async getMember(orgId, userId) {
+    const [rows] = await this.getPool().execute(
+      'SELECT * FROM org_members WHERE org_id = ? AND user_id = ?',
+      [orgId, userId]
+    );
+    return rows.length ? MySQLOrgAdapter.rowToMember(rows[0]) : null;
+  }
+
+  async saveMember(member) {
+    await this.getPool().execute(
+      `INSERT INTO org_members (org_id, user_id, email, role, added_by, added_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE email = VALUES(email), role = VALUES(role)`,
+      [member.orgId, member.userId, member.email || null, member.role, member.addedBy || null, new Date(member.addedAt)]
+    );
+  }
+
+  async removeMember(orgId, userId) {
+    await this.getPool().execute('DELETE FROM org_members WHERE org_id = ? AND user_id = ?', [orgId, userId]);
+  }
+}
+
+class OrgStore {
+  constructor(adapter) {
+    this.adapter = adapter || new MemoryOrgAdapter();
+    console.log(`🏢 OrgStore initialized (driver: ${this.adapter.name})`);
+  }
+
+  get driver() {
+    return this.adapter.name;
+  }
+
+  async listOrgs() {
+    return this.adapter.listOrgs();
+  }
+
+  /**
+   * Look an org up by id or slug
+   */
+  async getOrg(idOrSlug) {
+    const key = String(idOrSlug || '').trim();
+    if (!key) return null;
+    return (await this.adapter.getOrg(key)) || (await this.adapter.getOrgBySlug(key.toLowerCase()));
+  }
+
+  async requireOrg(idOrSlug) {
+    const org = await this.getOrg(idOrSlug);
+    if (!org) {
+      throw new OrgError(`Organization "${idOrSlug}" not found`, 404);
+    }
+    return org;
+  }
+
+  /**
+   * @param {Object} data - { id?, name, slug?, settings?, createdBy }; id defaults to a UUID and
+   *   should match the IdP's org claim when tokens carry one
+   */
+  async createOrg({ id, name, slug, settings, createdBy }) {
+    const orgName = String(name || '').trim().substring(0, 255);
+    if (!orgName) {
+      throw new OrgError('name is required');
+    }
+    const orgSlug = slugify(slug || orgName);
+    if (!orgSlug) {
+      throw new OrgError('slug must contain letters or digits');
+    }
+    if (await this.adapter.getOrgBySlug(orgSlug)) {
+      throw new OrgError(`Organization "${orgSlug}" already exists`, 409);
+    }
+    const orgId = id ? String(id).trim().substring(0, 64) : crypto.randomUUID();
+    if (await this.adapter.getOrg(orgId)) {
+      throw new OrgError(`Organization "${orgId}" already exists`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const org = {
+      id: orgId,
+      slug: orgSlug,
+      name: orgName,
+      settings: normalizeSettings(settings),
+      createdBy: createdBy || null,
+      createdAt: now,
+      updatedAt: now
+    };
+    await this.adapter.saveOrg(org);
+    console.log(`🏢 Created organization ${org.slug} (${org.id})`);
+    return org;
+  }
+
+  async updateOrg(idOrSlug, { name, settings } = {}) {
+    const org = await this.requireOrg(idOrSlug);
+    const updated = { ...org, updatedAt: new Date().toISOString() };
+    if (name !== undefined) {
+      const orgName = String(name || '').trim().substring(0, 255);
+      if (!orgName) {
+        throw new OrgError('name cannot be empty');
+      }
+      updated.name = orgName;
+    }
+    if (settings !== undefined) {
+      updated.settings = normalizeSettings(settings, org.settings);
+    }
+    await this.adapter.saveOrg(updated);
+    return updated;
+  }
+
+  async listMembers(idOrSlug) {
+    const org = await this.requireOrg(idOrSlug);
+    return this.adapter.listMembers(org.id);
+  }
+
+  async getMember(orgId, userId) {
+    if (!orgId || !userId) return null;
+    return this.adapter.getMember(orgId, String(userId));
+  }
+
+  /**
+   * Add a member, or change an existing member's role
+   * @param {Object} member - { userId, email, role: member|org_admin, addedBy }
+   */
+  async addMember(idOrSlug, { userId, email, role, addedBy }) {
+    const org = await this.requireOrg(idOrSlug);
+    const memberId = String(userId || '').trim().substring(0, 64);
+    if (!memberId) {
+      throw new OrgError('userId is required');
+    }
+    const memberRole = String(role || 'member').toLowerCase();
+    if (!MEMBER_ROLES.includes(memberRole)) {
+      throw new OrgError(`role must be one of ${MEMBER_ROLES.join(', ')}`);
+    }
+
+    const existing = await this.adapter.getMember(org.id, memberId);
+    if (existing && existing.role === 'org_admin' && memberRole !== 'org_admin') {
+      await this.assertNotLastAdmin(org, memberId);
+    }
+
+    const member = {
+      orgId: org.id,
+      userId: memberId,
+      email: email !== undefined ? (email || null) : (existing?.email || null),
+      role: memberRole,
+      addedBy: existing?.addedBy || addedBy || null,
+      addedAt: existing?.addedAt || new Date().toISOString()
+    };
+    await this.adapter.saveMember(member);
+    console.log(`🏢 ${existing ? 'Updated' : 'Added'} ${memberRole} ${memberId} in ${org.slug}`);
+    return member;
+  }
+
+  async removeMember(idOrSlug, userId) {
+    const org = await this.requireOrg(idOrSlug);
+    const member = await this.adapter.getMember(org.id, String(userId));
+    if (!member) {
+      throw new OrgError(`User "${userId}" is not a member of ${org.slug}`, 404);
+    }
+    if (member.role === 'org_admin') {
+      await this.assertNotLastAdmin(org, member.userId);
+    }
+    await this.adapter.removeMember(org.id, member.userId);
+    return { orgId: org.id, userId: member.userId, removed: true };
+  }
+
+  // An org must keep at least one org_admin who can manage its members
+  async assertNotLastAdmin(org, userId) {
+    const admins = (await this.adapter.listMembers(org.id)).filter(m => m.role === 'org_admin');
+    if (admins.length === 1 && admins[0].userId === userId) {
+      throw new OrgError(`${userId} is the last org_admin of ${org.slug}`, 409);
+    }
+  }
+
+  /**
+   * Work out which org a request acts for
+   * @param {Object} user - request user ({ id, orgId?, roles })
+   * @param {Object} options - { requestedOrgId: X-Org-Id header, isPlatformAdmin }
+   * @returns {Promise<Object|null>} org, or null when the user belongs to none
+   */
+  async resolveOrgForUser(user, { requestedOrgId, isPlatformAdmin = false } = {}) {
+    if (!user) return null;
+    const requested = requestedOrgId ? String(requestedOrgId).trim() : null;
+
+    // The IdP's org claim is authoritative - it can't be switched with X-Org-Id
+    if (user.orgId) {
+      const org = await this.getOrg(user.orgId);
+      if (requested && requested !== user.orgId && requested !== org?.slug) {
+        throw new OrgError(`Token is scoped to organization "${user.orgId}"`, 403);
+      }
+      // Orgs only known to the IdP still isolate their jobs; they just have no overrides yet
+      return org || { id: user.orgId, slug: slugify(user.orgId), name: user.orgId, settings: normalizeSettings() };
+    }
+
+    if (requested) {
+      const org = await this.requireOrg(requested);
+      if (!isPlatformAdmin && !(await this.adapter.getMember(org.id, user.id))) {
+        throw new OrgError(`Not a member of organization "${requested}"`, 403);
+      }
+      return org;
+    }
+
+    const [membership] = await this.adapter.listMemberships(user.id);
+    return membership ? this.adapter.getOrg(membership.orgId) : null;
+  }
+}
+
+function runWithOrg(org, fn) {
+  return orgContext.run(org || null, fn);
+}
+
+/**
+ * Org the current request / job runs for (see runWithOrg), or null
+ */
+function getActiveOrg() {
+  return orgContext.getStore() || null;
+}
+
+function createAdapter(driver) {
+  switch ((driver || '').toLowerCase()) {
+    case 'mysql':
+      return new MySQLOrgAdapter(() => require('../utils/database'));
+    case 'memory':
+      return new MemoryOrgAdapter();
+    default:
+      console.warn(`⚠️ Unknown ORG_STORE_DRIVER "${driver}", falling back to memory`);
+      return new MemoryOrgAdapter();
+  }
+}
+
+let sharedOrgStore = null;
+
+function getOrgStore() {
+  if (!sharedOrgStore) {
+    const driver = process.env.ORG_STORE_DRIVER || (process.env.DB_HOST ? 'mysql' : 'memory');
+    sharedOrgStore = new OrgStore(createAdapter(driver));
+  }
+  return sharedOrgStore;
+}
+
+module.exports = {
+  OrgStore,
+  OrgError,
+  MemoryOrgAdapter,
+  MySQLOrgAdapter,
+  MEMBER_ROLES,
+  normalizeSettings,
+  normalizeSite,
+  runWithOrg,
+  getActiveOrg,
+  getOrgStore
+};
@@ -0,0 +1,330 @@
+/**
+ * PriceHistoryStore Service
+ * Keeps the prices we see for a product over time so a re-priced item can be compared
+ * with what the market charged before. Observations are grouped by a normalized product
+ * key (see productKeyFor), so "Ninja BL610 Blender" and "blender ninja bl610" share history.
+ *
+ * Observation kinds:
+ *   offer - every priced Google Shopping result a search returned (retailer spread)
+ *   best  - the price findBestPrice picked for a query
+ *   row   - the final price of a priced job row (keyed by the row description)
+ *
+ * Drift (checkDrift) compares a new price with the median of the earlier best / row prices;
+ * offers are too noisy (accessories, bundles) to be a baseline.
+ *
+ * Drivers (PRICE_HISTORY_STORE_DRIVER):
+ *   mysql  - `price_observations` table (src/audit/migrations/010_price_history.sql)
+ *   memory - process memory only (default when DB_HOST is not set)
+ */
+
+const { normalizeSearchQuery } = require('../utils/TextNormalization');
+
+const OBSERVATION_KINDS = ['offer', 'best', 'row'];
+const BASELINE_KINDS = ['best', 'row'];
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'with', 'in', 'on', 'by', 'to', 'or', 'new']);
+const MAX_KEY_LENGTH = 200;
+// Memory driver only keeps the newest observations per product
+const MEMORY_LIMIT_PER_KEY = 1000;
+
+function getDriftConfig() {
+  const threshold = parseFloat(process.env.PRICE_DRIFT_THRESHOLD_PCT);
+  const minObservations = parseInt(process.env.PRICE_DRIFT_MIN_OBSERVATIONS, 10);
+  const days = parseInt(process.env.PRICE_HISTORY_DAYS, 10);
+  return {
+    thresholdPct: Number.isFinite(threshold) && threshold > 0 ? threshold : 35,
+    minObservations: Number.isFinite(minObservations) && minObservations > 0 ? minObservations : 3,
+    days: Number.isFinite(days) && days > 0 ? days : 365
+  };
+}
+
+/**
+ * Normalized product key: brand typos fixed, lower case, punctuation and filler words
+ * dropped, plurals folded and the words sorted so word order does not matter
+ * @param {string} text - item description or search query
+ * @returns {string} key ('' when nothing is left)
+ */
+function productKeyFor(text) {
+  if (!text || typeof text !== 'string') return '';
+  const words = normalizeSearchQuery(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+  return [...new Set(words)].sort().join(' ').substring(0, MAX_KEY_LENGTH).trim();
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function roundMoney(value) {
+  return value == null ? null : Math.round(value * 100) / 100;
+}
+
+function summarize(observations) {
+  const prices = observations.map(observation => observation.price);
+  if (prices.length === 0) {
+    return { count: 0, median: null, min: null, max: null, firstObservedAt: null, lastObservedAt: null };
+  }
+  const times = observations.map(observation => observation.observedAt).sort();
+  return {
+    count: prices.length,
+    median: roundMoney(median(prices)),
+    min: roundMoney(Math.min(...prices)),
+    max: roundMoney(Math.max(...prices)),
+    firstObservedAt: times[0],
+    lastObservedAt: times[times.length - 1]
+  };
+}
+
+class MemoryPriceHistoryAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.observations = new Map(); // productKey -> oldest first
+  }
+
+  async addObservations(observations) {
+    observations.forEach(observation => {
+      const list = this.observations.get(observation.productKey) || [];
+      list.push(observation);
+      if (list.length > MEMORY_LIMIT_PER_KEY) list.splice(0, list.length - MEMORY_LIMIT_PER_KEY);
+      this.observations.set(observation.productKey, list);
+    });
+  }
+
+  async listObservations(productKey, { since, before, kinds }) {
+    return (this.observations.get(productKey) || [])
+      .filter(observation => observation.observedAt >= since
+        && (!before || observation.observedAt < before)
+        && (!kinds || kinds.includes(observation.kind)));
+  }
+
+  async listProducts({ words, limit }) {
+    return [...this.observations.entries()]
+      .filter(([productKey]) => words.every(word => productKey.includes(word)))
+      .map(([productKey, list]) => ({
+        productKey,
+        observations: list.length,
+        lastObservedAt: list[list.length - 1].observedAt
+      }))
+      .sort((a, b) => b.lastObservedAt.localeCompare(a.lastObservedAt))
+      .slice(0, limit);
+  }
+}
+
+class MySQLPriceHistoryAdapter {
+  /**
+   * @param {Function} getPool - returns a mysql2/promise pool
+   */
+  constructor(getPool) {
+    this.name = 'mysql';
+    this.getPool = getPool;
+  }
+
+  static rowToObservation(row) {
+    return {
+      productKey: row.product_key,
+      kind: row.kind,
+      retailer: row.retailer || null,
+      price: Number(row.price),
+      url: row.url || null,
+      title: row.title || null,
+      jobId: row.job_id || null,
+      observedAt: new Date(row.observed_at).toISOString()
+    };
+  }
+
+  async addObservations(observations) {
+    const placeholders = observations.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+    const params = observations.flatMap(observation => [
+      observation.productKey, observation.kind, observation.retailer, observation.price,
+      observation.url, observation.title, observation.jobId, new Date(observation.observedAt)
+    ]);
+    await this.getPool().execute(
+      `INSERT INTO price_observations (product_key, kind, retailer, price, url, title, job_id, observed_at)
+       VALUES ${placeholders}`,
+      params
+    );
+  }
+
+  async listObservations(productKey, { since, before, kinds }) {
+    const clauses = ['product_key = ?', 'observed_at >= ?'];
+    const params = [productKey, new Date(since)];
+    if (before) { clauses.push('observed_at < ?'); params.push(new Date(before)); }
+    if (kinds) {
+      clauses.push(`kind IN (${kinds.map(() => '?').join(', ')})`);
+      params.push(...kinds);
+    }
+    const [rows] = await this.getPool().execute(
+      `SELECT * FROM price_observations WHERE ${clauses.join(' AND ')} ORDER BY observed_at DESC LIMIT 5000`,
+      params
+    );
+    return rows.map(MySQLPriceHistoryAdapter.rowToObservation).reverse();
+  }
+
+  async listProducts({ words, limit }) {
+    const where = words.length ? `WHERE ${words.map(() => 'product_key LIKE ?').join(' AND ')}` : '';
+    const [rows] = await this.getPool().execute(
+      `SELECT product_key, COUNT(*) AS observations, MAX(observed_at) AS last_observed_at
+       FROM price_observations ${where}
+       GROUP BY product_key ORDER BY last_observed_at DESC LIMIT ${Number(limit)}`,
+      words.map(word => `%${word}%`)
+    );
+    return rows.map(row => ({
+      productKey: row.product_key,
+      observations: Number(row.observations),
+      lastObservedAt: new Date(row.last_observed_at).toISOString()
+    }));
+  }
+}
+
+class PriceHistoryStore {
+  constructor(adapter) {
+    this.adapter = adapter || new MemoryPriceHistoryAdapter();
+    console.log(`📈 PriceHistoryStore initialized (driver: ${this.adapter.name})`);
+  }
+
+  get driver() {
+    return this.adapter.name;
+  }
+
+  /**
+   * Record prices seen for one product (invalid prices are skipped)
+   * @param {string} text - description or query the prices were found for
+   * @param {Array<Object>} observations - [{ kind, retailer, price, url, title }]
+   * @param {Object} details - { jobId }
+   * @returns {Promise<number>} observations stored
+   */
+  async record(text, observations, { jobId = null } = {}) {
+    const productKey = productKeyFor(text);
+    if (!productKey) return 0;
+    const observedAt = new Date().toISOString();
+    const valid = (observations || [])
+      .filter(observation => OBSERVATION_KINDS.includes(observation.kind)
+        && Number.isFinite(observation.price) && observation.price > 0)
+      .map(observation => ({
+        productKey,
+        kind: observation.kind,
+        retailer: observation.retailer ? String(observation.retailer).substring(0, 128) : null,
+        price: roundMoney(observation.price),
+        url: observation.url ? String(observation.url).substring(0, 1024) : null,
+        title: observation.title ? String(observation.title).substring(0, 512) : null,
+        jobId,
+        observedAt
+      }));
+    if (valid.length === 0) return 0;
+    await this.adapter.addObservations(valid);
+    return valid.length;
+  }
+
+  /**
+   * Price history for a product, with a per-day median series for sparklines
+   * @param {string} text - description, query or product key
+   * @param {Object} options - { days (default PRICE_HISTORY_DAYS), kinds }
+   */
+  async getHistory(text, { days, kinds } = {}) {
+    const productKey = productKeyFor(text);
+    const windowDays = parseInt(days, 10) > 0 ? parseInt(days, 10) : getDriftConfig().days;
+    const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString();
+    const observations = productKey
+      ? await this.adapter.listObservations(productKey, { since, kinds })
+      : [];
+
+    const byDay = new Map();
+    observations.forEach(observation => {
+      const day = observation.observedAt.substring(0, 10);
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(observation);
+    });
+    const daily = [...byDay.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([day, list]) => {
+        const { count, median: dayMedian, min, max } = summarize(list);
+        return { day, count, median: dayMedian, min, max };
+      });
+
+    return {
+      productKey,
+      days: windowDays,
+      stats: summarize(observations),
+      baseline: summarize(observations.filter(observation => BASELINE_KINDS.includes(observation.kind))),
+      daily,
+      observations: observations.slice(-200).reverse()
+    };
+  }
+
+  /**
+   * Compare a price with the product's earlier best / row prices
+   * @param {string} text - description or query
+   * @param {number} price
+   * @param {Object} options - { before (ISO time; only older observations count, e.g. the job start) }
+   * @returns {Promise<Object|null>} { baselineMedian, baselineCount, deviationPct, direction, drifted, thresholdPct }
+   *   or null when there is not enough history
+   */
+  async checkDrift(text, price, { before = null } = {}) {
+    const productKey = productKeyFor(text);
+    if (!productKey || !Number.isFinite(price) || price <= 0) return null;
+    const { thresholdPct, minObservations, days } = getDriftConfig();
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const history = await this.adapter.listObservations(productKey, { since, before, kinds: BASELINE_KINDS });
+    if (history.length < minObservations) return null;
+
+    const baselineMedian = median(history.map(observation => observation.price));
+    const deviationPct = Math.round(((price - baselineMedian) / baselineMedian) * 1000) / 10;
+    return {
+      productKey,
+      baselineMedian: roundMoney(baselineMedian),
+      baselineCount: history.length,
+      deviationPct,
+      direction: deviationPct >= 0 ? 'up' : 'down',
+      drifted: Math.abs(deviationPct) >= thresholdPct,
+      thresholdPct
+    };
+  }
+
+  /**
+   * Products with history, most recently observed first
+   * @param {Object} options - { search (every word must appear in the product key), limit (1-100, default 25) }
+   */
+  async listProducts({ search = '', limit = 25 } = {}) {
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 25, 1), 100);
+    const words = productKeyFor(search).split(' ').filter(Boolean);
+    return this.adapter.listProducts({ words, limit: safeLimit });
+  }
+}
+
+function createAdapter(driver) {
+  switch ((driver || '').toLowerCase()) {
+    case 'mysql':
+      return new MySQLPriceHistoryAdapter(() => require('../utils/database'));
+    case 'memory':
+      return new MemoryPriceHistoryAdapter();
+    default:
+      console.warn(`⚠️ Unknown PRICE_HISTORY_STORE_DRIVER "${driver}", falling back to memory`);
+      return new MemoryPriceHistoryAdapter();
+  }
+}
+
+let sharedPriceHistoryStore = null;
+
+function getPriceHistoryStore() {
+  if (!sharedPriceHistoryStore) {
+    const driver = process.env.PRICE_HISTORY_STORE_DRIVER || (process.env.DB_HOST ? 'mysql' : 'memory');
+    sharedPriceHistoryStore = new PriceHistoryStore(createAdapter(driver));
+  }
+  return sharedPriceHistoryStore;
+}
+
+module.exports = {
+  PriceHistoryStore,
+  MemoryPriceHistoryAdapter,
+  MySQLPriceHistoryAdapter,
+  OBSERVATION_KINDS,
+  productKeyFor,
+  getDriftConfig,
+  getPriceHistoryStore
+};
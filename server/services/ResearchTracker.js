@@ -1,81 +1,442 @@
 /**
  * ResearchTracker Service
- * Tracks AI research attempts, outcomes, and provides analytics
- * Designed to be easily migrated to database storage later
+ * Tracks pricing research attempts (one per findBestPrice search), their search results and any
+ * AI research, grouped into per-user research sessions, and turns the stored history into
+ * analytics and recommendations.
+ *
+ * The pricer reports synchronously (trackResearchAttempt → updateSearchResults → ...
+ * completeResearchAttempt) and never waits on storage: an attempt is kept in memory while it
+ * runs and written when it completes. Attempts are attributed to the user and job of the
+ * UsageMeter context and the org of the OrgStore context, and join the session that user
+ * started (sessions are per user, so concurrent users no longer share one session). A session
+ * started on another instance (or before a restart) is found through the adapter; that lookup
+ * is cached per user for OPEN_SESSION_CACHE_MS.
+ *
+ * Drivers (RESEARCH_STORE_DRIVER):
+ *   mysql  - research_sessions / research_attempts (src/audit/migrations/012_research_tracking.sql)
+ *   memory - process memory only (default when DB_HOST is not set)
  */
 
-class ResearchTracker {
+const MAX_PAGE_SIZE = 200;
+const DEFAULT_PAGE_SIZE = 50;
+// Analytics and recommendations read at most this many of the newest matching attempts
+const ANALYTICS_MAX_ATTEMPTS = 5000;
+// Attempts the pricer never completed (a crash mid-search) are dropped past this many
+const MAX_IN_FLIGHT = 1000;
+// Recommendations need this many attempts before they say anything about rates
+const MIN_SAMPLE = 10;
+const SLOW_RESPONSE_MS = 10000;
+// How long an adapter lookup of a user's open session (including "none open") is reused
+const OPEN_SESSION_CACHE_MS = 60 * 1000;
+
+// Words that say nothing about why a search failed
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'set', 'of', 'in', 'a', 'an', 'to', 'new', 'inch', 'pack', 'pc', 'pcs']);
+
+class ResearchError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ResearchError';
+    this.statusCode = statusCode;
+  }
+}
+
+// The parts of a pricer result worth keeping - full results carry raw SerpAPI payloads
+function summarizeResult(result) {
+  if (!result || typeof result !== 'object') return null;
+  const price = parseFloat(result.price ?? result.Price);
+  return {
+    found: !!result.found,
+    isEstimated: !!result.isEstimated,
+    price: Number.isFinite(price) ? price : null,
+    source: result.source || result.Source || null,
+    url: result.url || result.URL || null,
+    description: result.description || result.Title || null,
+    matchQuality: result.matchQuality || null,
+    searchStrategy: result.searchStrategy || null,
+    matchType: result.matchType || null,
+    explanation: result.explanation || null,
+    budgetExceeded: !!result.budgetExceeded
+  };
+}
+
+// Estimates come back found: true too - a search only succeeded when it priced a real listing
+// (exact or substitute), not when it fell back to a price estimate
+function isSuccessfulResult(result) {
+  return !!(result && result.found && (result.source || result.Source) !== 'price-estimate');
+}
+
+const isPriceEstimate = (attempt) => attempt.searchResults?.source === 'price-estimate';
+
+function toDate(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(/^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ResearchError(`${field} must be a date (YYYY-MM-DD or ISO timestamp)`);
+  }
+  return date;
+}
+
+/**
+ * Normalize history filters from a query string
+ * `to` given as a bare date includes that whole day.
+ */
+function normalizeFilters(filters = {}) {
+  const from = toDate(filters.from, 'from');
+  let to = toDate(filters.to, 'to');
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(String(filters.to))) {
+    to = new Date(to.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+  if (from && to && from > to) {
+    throw new ResearchError('from must be before to');
+  }
+  const success = filters.success === undefined || filters.success === null || filters.success === ''
+    ? undefined
+    : filters.success === true || filters.success === 'true';
+  return {
+    userId: filters.userId || undefined,
+    orgId: filters.orgId,
+    sessionId: filters.sessionId || undefined,
+    jobId: filters.jobId || undefined,
+    status: filters.status || undefined,
+    success,
+    query: filters.query ? String(filters.query).trim().toLowerCase() : undefined,
+    from,
+    to
+  };
+}
+
+function normalizePaging({ page, pageSize } = {}) {
+  const size = Math.min(Math.max(parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const number = Math.max(parseInt(page, 10) || 1, 1);
+  return { page: number, pageSize: size, offset: (number - 1) * size };
+}
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function matchesFilters(attempt, filters) {
+  if (filters.userId && attempt.userId !== filters.userId) return false;
+  if (filters.orgId !== undefined && (attempt.orgId || null) !== (filters.orgId || null)) return false;
+  if (filters.sessionId && attempt.sessionId !== filters.sessionId) return false;
+  if (filters.jobId && attempt.jobId !== filters.jobId) return false;
+  if (filters.status && attempt.status !== filters.status) return false;
+  if (filters.success !== undefined && attempt.success !== filters.success) return false;
+  if (filters.query && !attempt.query.toLowerCase().includes(filters.query)) return false;
+  const started = new Date(attempt.startTime);
+  if (filters.from && started < filters.from) return false;
+  if (filters.to && started > filters.to) return false;
+  return true;
+}
+
+class MemoryResearchAdapter {
   constructor() {
-    // In-memory storage (can be replaced with database later)
-    this.researchHistory = new Map();
-    this.successMetrics = {
-      totalAttempts: 0,
-      successfulPricing: 0,
-      failedPricing: 0,
-      aiResearchTriggered: 0,
-      aiResearchSuccessful: 0,
-      aiResearchFailed: 0
+    this.name = 'memory';
+    this.attempts = new Map();
+    this.sessions = new Map();
+  }
+
+  async saveAttempt(attempt) {
+    this.attempts.set(attempt.id, attempt);
+  }
+
+  async getAttempt(id) {
+    return this.attempts.get(id) || null;
+  }
+
+  async queryAttempts(filters, { limit, offset = 0 }) {
+    const matching = [...this.attempts.values()]
+      .filter(attempt => matchesFilters(attempt, filters))
+      .sort((a, b) => b.startTime.localeCompare(a.startTime));
+    return { attempts: matching.slice(offset, offset + limit), total: matching.length };
+  }
+
+  async saveSession(session) {
+    this.sessions.set(session.sessionId, session);
+  }
+
+  async getSession(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  async listSessions({ userId, orgId, from, to } = {}) {
+    return [...this.sessions.values()]
+      .filter(session => (!userId || session.userId === userId)
+        && (orgId === undefined || (session.orgId || null) === (orgId || null))
+        && (!from || new Date(session.startTime) >= from)
+        && (!to || new Date(session.startTime) <= to))
+      .sort((a, b) => b.startTime.localeCompare(a.startTime));
+  }
+
+  async findOpenSession(userId) {
+    return (await this.listSessions({ userId })).find(session => !session.endTime) || null;
+  }
+
+  async deleteAttempts({ before } = {}) {
+    let removed = 0;
+    for (const [id, attempt] of this.attempts) {
+      if (!before || new Date(attempt.startTime) < before) {
+        this.attempts.delete(id);
+        removed++;
+      }
+    }
+    for (const [id, session] of this.sessions) {
+      if (!before || new Date(session.startTime) < before) this.sessions.delete(id);
+    }
+    return removed;
+  }
+}
+
+class MySQLResearchAdapter {
+  /**
+   * @param {Function} getPool - returns a mysql2/promise pool
+   */
+  constructor(getPool) {
+    this.name = 'mysql';
+    this.getPool = getPool;
+  }
+
+  static rowToAttempt(row) {
+    const parse = (value) => (value == null ? null : (typeof value === 'string' ? JSON.parse(value) : value));
+    const searchResults = parse(row.search_results_json);
+    return {
+      id: row.id,
+      sessionId: row.session_id || null,
+      userId: row.user_id,
+      orgId: row.org_id || null,
+      jobId: row.job_id || null,
+      query: row.query,
+      targetPrice: row.target_price == null ? null : Number(row.target_price),
+      status: row.status,
+      success: !!row.success,
+      matchQuality: row.match_quality || null,
+      searchStrategy: row.search_strategy || null,
+      alternativeScore: searchResults?.alternativeScore ?? null,
+      searchResults,
+      finalResult: searchResults,
+      aiResearch: parse(row.ai_research_json),
+      processingTime: row.processing_ms == null ? null : Number(row.processing_ms),
+      startTime: new Date(row.started_at).toISOString(),
+      endTime: row.ended_at ? new Date(row.ended_at).toISOString() : null
     };
-    
-    // Research session tracking
-    this.currentSession = null;
-    this.sessionHistory = [];
-    
-    // Performance metrics
-    this.performanceMetrics = {
-      averageResponseTime: 0,
-      totalResponseTime: 0,
-      responseCount: 0
+  }
+
+  static rowToSession(row) {
+    return {
+      sessionId: row.id,
+      userId: row.user_id,
+      orgId: row.org_id || null,
+      startTime: new Date(row.started_at).toISOString(),
+      endTime: row.ended_at ? new Date(row.ended_at).toISOString() : null
+    };
+  }
+
+  static whereClause(filters) {
+    const clauses = [];
+    const params = [];
+    if (filters.userId) { clauses.push('user_id = ?'); params.push(filters.userId); }
+    if (filters.orgId !== undefined) {
+      clauses.push(filters.orgId ? 'org_id = ?' : 'org_id IS NULL');
+      if (filters.orgId) params.push(filters.orgId);
+    }
+    if (filters.sessionId) { clauses.push('session_id = ?'); params.push(filters.sessionId); }
+    if (filters.jobId) { clauses.push('job_id = ?'); params.push(filters.jobId); }
+    if (filters.status) { clauses.push('status = ?'); params.push(filters.status); }
+    if (filters.success !== undefined) { clauses.push('success = ?'); params.push(filters.success ? 1 : 0); }
+    if (filters.query) { clauses.push('LOWER(query) LIKE ?'); params.push(`%${filters.query}%`); }
+    if (filters.from) { clauses.push('started_at >= ?'); params.push(filters.from); }
+    if (filters.to) { clauses.push('started_at <= ?'); params.push(filters.to); }
+    return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  async saveAttempt(attempt) {
+    const results = attempt.searchResults ? { ...attempt.searchResults, alternativeScore: attempt.alternativeScore } : null;
+    await this.getPool().execute(
+      `INSERT INTO research_attempts (id, session_id, user_id, org_id, job_id, query, target_price, status, success,
+         is_estimated, match_quality, search_strategy, source, price, processing_ms, search_results_json,
+         ai_research_json, started_at, ended_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE status = VALUES(status), success = VALUES(success), is_estimated = VALUES(is_estimated),
+         match_quality = VALUES(match_quality), search_strategy = VALUES(search_strategy), source = VALUES(source),
+         price = VALUES(price), processing_ms = VALUES(processing_ms), search_results_json = VALUES(search_results_json),
+         ai_research_json = VALUES(ai_research_json), ended_at = VALUES(ended_at)`,
+      [
+        attempt.id, attempt.sessionId || null, attempt.userId, attempt.orgId || null, attempt.jobId || null,
+        String(attempt.query).substring(0, 512), attempt.targetPrice ?? null, attempt.status, attempt.success ? 1 : 0,
+        isPriceEstimate(attempt) ? 1 : 0, attempt.matchQuality, attempt.searchStrategy,
+        attempt.searchResults?.source ? String(attempt.searchResults.source).substring(0, 255) : null,
+        attempt.searchResults?.price ?? null, attempt.processingTime ?? null,
+        results ? JSON.stringify(results) : null,
+        attempt.aiResearch ? JSON.stringify(attempt.aiResearch) : null,
+        new Date(attempt.startTime), attempt.endTime ? new Date(attempt.endTime) : null
+      ]
+    );
+  }
+
+  async getAttempt(id) {
+    const [rows] = await this.getPool().execute('SELECT * FROM research_attempts WHERE id = ?', [id]);
+    return rows.length ? MySQLResearchAdapter.rowToAttempt(rows[0]) : null;
+  }
+
+  async queryAttempts(filters, { limit, offset = 0 }) {
+    const { where, params } = MySQLResearchAdapter.whereClause(filters);
+    const pool = this.getPool();
+    const [[{ total }]] = await pool.execute(`SELECT COUNT(*) AS total FROM research_attempts ${where}`, params);
+    // LIMIT / OFFSET are validated integers - mysql2 prepared statements reject them as parameters
+    const [rows] = await pool.execute(
+      `SELECT * FROM research_attempts ${where} ORDER BY started_at DESC LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+      params
+    );
+    return { attempts: rows.map(MySQLResearchAdapter.rowToAttempt), total: Number(total) };
+  }
+
+  async saveSession(session) {
+    await this.getPool().execute(
+      `INSERT INTO research_sessions (id, user_id, org_id, started_at, ended_at) VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE ended_at = VALUES(ended_at)`,
+      [session.sessionId, session.userId, session.orgId || null, new Date(session.startTime), session.endTime ? new Date(session.endTime) : null]
+    );
+  }
+
+  async getSession(sessionId) {
+    const [rows] = await this.getPool().execute('SELECT * FROM research_sessions WHERE id = ?', [sessionId]);
+    return rows.length ? MySQLResearchAdapter.rowToSession(rows[0]) : null;
+  }
+
+  async listSessions({ userId, orgId, from, to } = {}) {
+    const clauses = [];
+    const params = [];
+    if (userId) { clauses.push('user_id = ?'); params.push(userId); }
+    if (orgId !== undefined) {
+      clauses.push(orgId ? 'org_id = ?' : 'org_id IS NULL');
+      if (orgId) params.push(orgId);
+    }
+    if (from) { clauses.push('started_at >= ?'); params.push(from); }
+    if (to) { clauses.push('started_at <= ?'); params.push(to); }
+    const [rows] = await this.getPool().execute(
+      `SELECT * FROM research_sessions ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''} ORDER BY started_at DESC LIMIT 500`,
+      params
+    );
+    return rows.map(MySQLResearchAdapter.rowToSession);
+  }
+
+  async findOpenSession(userId) {
+    const [rows] = await this.getPool().execute(
+      'SELECT * FROM research_sessions WHERE user_id = ? AND ended_at IS NULL ORDER BY started_at DESC LIMIT 1',
+      [userId]
+    );
+    return rows.length ? MySQLResearchAdapter.rowToSession(rows[0]) : null;
+  }
+
+  async deleteAttempts({ before } = {}) {
+    const pool = this.getPool();
+    const [result] = before
+      ? await pool.execute('DELETE FROM research_attempts WHERE started_at < ?', [before])
+      : await pool.execute('DELETE FROM research_attempts');
+    if (before) {
+      await pool.execute('DELETE FROM research_sessions WHERE started_at < ?', [before]);
+    } else {
+      await pool.execute('DELETE FROM research_sessions');
+    }
+    return result.affectedRows || 0;
+  }
+}
+
+class ResearchTracker {
+  constructor(adapter) {
+    this.adapter = adapter || new MemoryResearchAdapter();
+    // Attempts the pricer is still working on - written to the adapter when they complete
+    this.inFlight = new Map();
+    // userId -> the session that user's attempts join
+    this.activeSessions = new Map();
+    // userId -> { promise, expiresAt } - open session looked up in the adapter when activeSessions misses
+    this.openSessionLookups = new Map();
+    // attemptId -> pending lookup; the attempt is stored once it has settled
+    this.sessionJoins = new Map();
+    console.log(`🔍 ResearchTracker initialized (driver: ${this.adapter.name})`);
+  }
+
+  get driver() {
+    return this.adapter.name;
+  }
+
+  // Who the pricer is working for right now (UsageMeter / OrgStore request and job context)
+  currentContext() {
+    const { getUsageMeter } = require('./UsageMeter');
+    const { getActiveOrg } = require('./OrgStore');
+    const context = getUsageMeter().getContext();
+    return {
+      userId: context.userId || 'anonymous',
+      jobId: context.jobId || null,
+      orgId: getActiveOrg()?.id || null
     };
-    
-    console.log('🔍 ResearchTracker initialized');
+  }
+
+  // Storage failures never reach the pricer - they are logged and the search goes on
+  persist(attempt) {
+    this.adapter.saveAttempt(attempt).catch(error => {
+      console.error(`⚠️ Failed to store research attempt ${attempt.id}:`, error.message);
+    });
   }
 
   /**
-   * Start a new research session
+   * Start a research session for a user - their attempts join it until it ends
+   * A session the user already had open is ended first.
    */
-  startSession(sessionId, userId = 'anonymous') {
-    this.currentSession = {
+  async startSession(sessionId, userId = 'anonymous', orgId = null) {
+    if (!sessionId) {
+      throw new ResearchError('sessionId is required');
+    }
+    const existing = await this.adapter.getSession(sessionId);
+    if (existing && existing.userId !== userId) {
+      throw new ResearchError(`Research session "${sessionId}" belongs to another user`, 409);
+    }
+    await this.endSession(userId);
+    const session = {
       sessionId,
       userId,
-      startTime: new Date(),
-      researchAttempts: [],
-      successfulPricings: [],
-      failedPricings: [],
-      aiResearchCount: 0,
-      totalItems: 0
+      orgId,
+      startTime: existing?.startTime || new Date().toISOString(),
+      endTime: null
     };
-    
+    await this.adapter.saveSession(session);
+    this.activeSessions.set(userId, session);
+    this.openSessionLookups.delete(userId);
     console.log(`🔍 Research session started: ${sessionId} for user: ${userId}`);
-    return this.currentSession;
+    return session;
   }
 
   /**
-   * End current research session
+   * End a user's open research session
+   * @returns {Object|null} the session with its stats, or null when the user had none open
    */
-  endSession() {
-    if (!this.currentSession) return null;
-    
-    this.currentSession.endTime = new Date();
-    this.currentSession.duration = this.currentSession.endTime - this.currentSession.startTime;
-    this.currentSession.successRate = this.currentSession.successfulPricings.length / this.currentSession.totalItems;
-    
-    // Store session in history
-    this.sessionHistory.push(this.currentSession);
-    
-    // Update global metrics
-    this.successMetrics.totalAttempts += this.currentSession.totalItems;
-    this.successMetrics.successfulPricing += this.currentSession.successfulPricings.length;
-    this.successMetrics.failedPricing += this.currentSession.failedPricings.length;
-    this.successMetrics.aiResearchTriggered += this.currentSession.aiResearchCount;
-    
-    console.log(`🔍 Research session ended: ${this.currentSession.sessionId}`);
-    console.log(`   - Success Rate: ${(this.currentSession.successRate * 100).toFixed(1)}%`);
-    console.log(`   - AI Research Count: ${this.currentSession.aiResearchCount}`);
-    
-    const session = this.currentSession;
-    this.currentSession = null;
-    return session;
+  async endSession(userId = 'anonymous') {
+    const open = this.activeSessions.get(userId) || await this.adapter.findOpenSession(userId);
+    this.activeSessions.delete(userId);
+    this.openSessionLookups.delete(userId);
+    if (!open) return null;
+
+    const ended = { ...open, endTime: new Date().toISOString() };
+    await this.adapter.saveSession(ended);
+    const [summary] = await this.summarizeSessions([ended]);
+    console.log(`🔍 Research session ended: ${ended.sessionId} (${summary.totalItems} items, ${summary.successRate}% success)`);
+    return summary;
+  }
+
+  // Open session of a user this instance did not start it for; storage failures count as none open
+  lookupOpenSession(userId) {
+    const cached = this.openSessionLookups.get(userId);
+    if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+    const promise = this.adapter.findOpenSession(userId).catch(error => {
+      console.error(`⚠️ Failed to look up the open research session of ${userId}:`, error.message);
+      return null;
+    });
+    this.openSessionLookups.set(userId, { promise, expiresAt: Date.now() + OPEN_SESSION_CACHE_MS });
+    return promise;
   }
 
   /**
@@ -83,12 +444,19 @@ class ResearchTracker {
    */
   trackResearchAttempt(query, targetPrice = null, startTime = Date.now()) {
     const attemptId = `attempt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
+    const context = this.currentContext();
+    const session = this.activeSessions.get(context.userId);
+
     const attempt = {
       id: attemptId,
-      query,
-      targetPrice,
-      startTime: new Date(startTime),
+      sessionId: session?.sessionId || null,
+      userId: context.userId,
+      orgId: context.orgId,
+      jobId: context.jobId,
+      query: String(query || ''),
+      targetPrice: Number.isFinite(parseFloat(targetPrice)) ? parseFloat(targetPrice) : null,
+      startTime: new Date(startTime).toISOString(),
+      endTime: null,
       status: 'in_progress',
       searchResults: null,
       aiResearch: null,
@@ -99,17 +467,21 @@ class ResearchTracker {
       searchStrategy: null,
       alternativeScore: null
     };
-    
-    // Store in global history
-    this.researchHistory.set(attemptId, attempt);
-    
-    // Add to current session if exists
-    if (this.currentSession) {
-      this.currentSession.researchAttempts.push(attempt);
-      this.currentSession.totalItems++;
+
+    if (!session) {
+      const join = this.lookupOpenSession(context.userId).then(open => {
+        if (open) attempt.sessionId = open.sessionId;
+      });
+      this.sessionJoins.set(attemptId, join);
     }
-    
-    console.log(`🔍 Research attempt tracked: ${attemptId} for query: "${query}"`);
+
+    if (this.inFlight.size >= MAX_IN_FLIGHT) {
+      const oldest = this.inFlight.keys().next().value;
+      this.inFlight.delete(oldest);
+      this.sessionJoins.delete(oldest);
+    }
+    this.inFlight.set(attemptId, attempt);
+    console.log(`🔍 Research attempt tracked: ${attemptId} for query: "${attempt.query}"`);
     return attemptId;
   }
 
@@ -117,365 +489,469 @@ class ResearchTracker {
    * Update research attempt with search results
    */
   updateSearchResults(attemptId, searchResults) {
-    const attempt = this.researchHistory.get(attemptId);
+    const attempt = this.inFlight.get(attemptId);
     if (!attempt) {
       console.warn(`⚠️ Attempt not found: ${attemptId}`);
       return false;
     }
-    
-    attempt.searchResults = searchResults;
+
+    attempt.searchResults = summarizeResult(searchResults);
     attempt.status = 'search_completed';
-    
-    // Analyze search results
-    if (searchResults && searchResults.found) {
-      attempt.success = true;
-      attempt.matchQuality = searchResults.matchQuality || 'Unknown';
-      attempt.searchStrategy = searchResults.searchStrategy || 'Direct Search';
-      attempt.alternativeScore = searchResults.alternativeScore || null;
-      
-      // Add to session successful pricings
-      if (this.currentSession) {
-        this.currentSession.successfulPricings.push({
-          query: attempt.query,
-          price: searchResults.price,
-          matchQuality: attempt.matchQuality,
-          searchStrategy: attempt.searchStrategy
-        });
-      }
-    } else {
-      attempt.success = false;
-      
-      // Add to session failed pricings
-      if (this.currentSession) {
-        this.currentSession.failedPricings.push({
-          query: attempt.query,
-          reason: searchResults?.explanation || 'No results found',
-          searchStrategy: 'Direct Search'
-        });
-      }
-    }
-    
+    attempt.success = isSuccessfulResult(searchResults);
+    attempt.matchQuality = searchResults?.matchQuality || (attempt.success ? 'Unknown' : null);
+    attempt.searchStrategy = searchResults?.searchStrategy || 'Direct Search';
+    attempt.alternativeScore = searchResults?.alternativeScore ?? null;
+
     console.log(`🔍 Search results updated for ${attemptId}: ${attempt.success ? 'SUCCESS' : 'FAILED'}`);
     return true;
   }
 
   /**
-   * Track AI research attempt
+   * Track an AI research step for an attempt (also after the attempt completed)
    */
   trackAIResearch(attemptId, aiResearchData) {
-    const attempt = this.researchHistory.get(attemptId);
-    if (!attempt) {
-      console.warn(`⚠️ Attempt not found: ${attemptId}`);
-      return false;
-    }
-    
-    attempt.aiResearch = {
-      ...aiResearchData,
-      timestamp: new Date(),
-      success: false
-    };
-    
-    attempt.status = 'ai_research_in_progress';
-    
-    // Update session AI research count
-    if (this.currentSession) {
-      this.currentSession.aiResearchCount++;
-    }
-    
-    // Update global metrics
-    this.successMetrics.aiResearchTriggered++;
-    
-    console.log(`🔍 AI research tracked for ${attemptId}`);
-    return true;
+    return this.updateAttempt(attemptId, attempt => {
+      attempt.aiResearch = {
+        ...aiResearchData,
+        timestamp: new Date().toISOString(),
+        success: false
+      };
+      if (attempt.status !== 'completed') attempt.status = 'ai_research_in_progress';
+    }, 'AI research tracked');
   }
 
   /**
    * Update AI research results
    */
   updateAIResearchResults(attemptId, aiResults, success = false) {
-    const attempt = this.researchHistory.get(attemptId);
-    if (!attempt || !attempt.aiResearch) {
-      console.warn(`⚠️ Attempt or AI research not found: ${attemptId}`);
-      return false;
-    }
-    
-    attempt.aiResearch = {
-      ...attempt.aiResearch,
-      results: aiResults,
-      success,
-      completedAt: new Date()
-    };
-    
-    attempt.status = success ? 'ai_research_successful' : 'ai_research_failed';
-    
-    // Update global metrics
-    if (success) {
-      this.successMetrics.aiResearchSuccessful++;
-    } else {
-      this.successMetrics.aiResearchFailed++;
+    return this.updateAttempt(attemptId, attempt => {
+      if (!attempt.aiResearch) return false;
+      attempt.aiResearch = {
+        ...attempt.aiResearch,
+        results: aiResults,
+        success: !!success,
+        completedAt: new Date().toISOString()
+      };
+      if (attempt.status !== 'completed') attempt.status = success ? 'ai_research_successful' : 'ai_research_failed';
+      return true;
+    }, `AI research results updated (${success ? 'SUCCESS' : 'FAILED'})`);
+  }
+
+  // In-flight attempts change in place; completed ones are read back, changed and stored again
+  updateAttempt(attemptId, change, label) {
+    const attempt = this.inFlight.get(attemptId);
+    if (attempt) {
+      if (change(attempt) === false) {
+        console.warn(`⚠️ Attempt or AI research not found: ${attemptId}`);
+        return false;
+      }
+      console.log(`🔍 ${label} for ${attemptId}`);
+      return true;
     }
-    
-    console.log(`🔍 AI research results updated for ${attemptId}: ${success ? 'SUCCESS' : 'FAILED'}`);
+    this.adapter.getAttempt(attemptId)
+      .then(stored => {
+        if (!stored || change(stored) === false) {
+          console.warn(`⚠️ Attempt not found: ${attemptId}`);
+          return;
+        }
+        console.log(`🔍 ${label} for ${attemptId}`);
+        this.persist(stored);
+      })
+      .catch(error => console.error(`⚠️ Failed to update research attempt ${attemptId}:`, error.message));
     return true;
   }
 
   /**
-   * Complete research attempt
+   * Complete research attempt - stores it
    */
   completeResearchAttempt(attemptId, finalResult, endTime = Date.now()) {
-    const attempt = this.researchHistory.get(attemptId);
+    const attempt = this.inFlight.get(attemptId);
     if (!attempt) {
       console.warn(`⚠️ Attempt not found: ${attemptId}`);
       return false;
     }
-    
-    attempt.finalResult = finalResult;
+    this.inFlight.delete(attemptId);
+
+    if (!attempt.searchResults && finalResult) {
+      attempt.searchResults = summarizeResult(finalResult);
+      attempt.success = isSuccessfulResult(finalResult);
+    }
+    attempt.finalResult = attempt.searchResults;
     attempt.status = 'completed';
-    attempt.endTime = new Date(endTime);
-    attempt.processingTime = endTime - attempt.startTime.getTime();
-    
-    // Update performance metrics
-    this.performanceMetrics.totalResponseTime += attempt.processingTime;
-    this.performanceMetrics.responseCount++;
-    this.performanceMetrics.averageResponseTime = this.performanceMetrics.totalResponseTime / this.performanceMetrics.responseCount;
-    
+    attempt.endTime = new Date(endTime).toISOString();
+    attempt.processingTime = endTime - new Date(attempt.startTime).getTime();
+    // AI research nobody reported results for is judged by the search it fed
+    if (attempt.aiResearch && !attempt.aiResearch.completedAt) {
+      attempt.aiResearch = { ...attempt.aiResearch, success: attempt.success, completedAt: attempt.endTime };
+    }
+    const join = this.sessionJoins.get(attemptId);
+    this.sessionJoins.delete(attemptId);
+    if (join) {
+      join.then(() => this.persist(attempt));
+    } else {
+      this.persist(attempt);
+    }
+
     console.log(`🔍 Research attempt completed: ${attemptId} in ${attempt.processingTime}ms`);
     return true;
   }
 
   /**
-   * Get research analytics
+   * Filtered, paginated research history (newest first)
+   * @param {Object} filters - { userId, orgId (null = no org), sessionId, jobId, status, success, query, from, to }
+   * @param {Object} paging - { page, pageSize }
+   * @returns {Object} { attempts, total, page, pageSize, totalPages }
    */
-  getResearchAnalytics() {
-    const totalAttempts = this.successMetrics.totalAttempts;
-    const successfulPricings = this.successMetrics.successfulPricing;
-    const failedPricings = this.successMetrics.failedPricing;
-    const aiResearchTriggered = this.successMetrics.aiResearchTriggered;
-    const aiResearchSuccessful = this.successMetrics.aiResearchSuccessful;
-    
-    const analytics = {
-      // Success Rates
-      overallSuccessRate: totalAttempts > 0 ? (successfulPricings / totalAttempts) * 100 : 0,
-      aiResearchSuccessRate: aiResearchTriggered > 0 ? (aiResearchSuccessful / aiResearchTriggered) * 100 : 0,
-      
-      // Volume Metrics
-      totalResearchAttempts: totalAttempts,
-      successfulPricings,
-      failedPricings,
-      aiResearchTriggered,
-      aiResearchSuccessful,
-      
-      // Performance Metrics
-      averageResponseTime: this.performanceMetrics.averageResponseTime,
-      totalResponseTime: this.performanceMetrics.totalResponseTime,
-      
-      // Session Metrics
-      totalSessions: this.sessionHistory.length,
-      currentSession: this.currentSession ? {
-        sessionId: this.currentSession.sessionId,
-        startTime: this.currentSession.startTime,
-        totalItems: this.currentSession.totalItems,
-        aiResearchCount: this.currentSession.aiResearchCount
-      } : null
-    };
-    
-    return analytics;
+  async getResearchHistory(filters = {}, paging = {}) {
+    const { page, pageSize, offset } = normalizePaging(paging);
+    const { attempts, total } = await this.adapter.queryAttempts(normalizeFilters(filters), { limit: pageSize, offset });
+    return { attempts, total, page, pageSize, totalPages: Math.ceil(total / pageSize) };
   }
 
-  /**
-   * Get detailed research history
-   */
-  getResearchHistory(limit = 100, filters = {}) {
-    let history = Array.from(this.researchHistory.values());
-    
-    // Apply filters
-    if (filters.status) {
-      history = history.filter(attempt => attempt.status === filters.status);
-    }
-    
-    if (filters.success !== undefined) {
-      history = history.filter(attempt => attempt.success === filters.success);
-    }
-    
-    if (filters.query) {
-      history = history.filter(attempt => 
-        attempt.query.toLowerCase().includes(filters.query.toLowerCase())
-      );
-    }
-    
-    // Sort by start time (newest first)
-    history.sort((a, b) => b.startTime - a.startTime);
-    
-    // Apply limit
-    if (limit > 0) {
-      history = history.slice(0, limit);
-    }
-    
-    return history;
+  async getAttempt(attemptId) {
+    return this.inFlight.get(attemptId) || this.adapter.getAttempt(attemptId);
+  }
+
+  async loadAttempts(filters) {
+    const { attempts, total } = await this.adapter.queryAttempts(normalizeFilters(filters), { limit: ANALYTICS_MAX_ATTEMPTS, offset: 0 });
+    return { attempts, total, sampled: total > attempts.length };
   }
 
   /**
-   * Get session analytics
+   * Research analytics over the stored attempts that match the filters
    */
-  getSessionAnalytics() {
-    if (this.sessionHistory.length === 0) {
-      return {
-        totalSessions: 0,
-        averageSuccessRate: 0,
-        averageDuration: 0,
-        totalItems: 0
-      };
-    }
-    
-    const totalSessions = this.sessionHistory.length;
-    const totalSuccessRate = this.sessionHistory.reduce((sum, session) => sum + session.successRate, 0);
-    const totalDuration = this.sessionHistory.reduce((sum, session) => sum + session.duration, 0);
-    const totalItems = this.sessionHistory.reduce((sum, session) => sum + session.totalItems, 0);
-    
+  async getResearchAnalytics(filters = {}) {
+    const { attempts, total, sampled } = await this.loadAttempts(filters);
+    return this.computeAnalytics(attempts, { total, sampled });
+  }
+
+  computeAnalytics(attempts, { total = attempts.length, sampled = false } = {}) {
+    const successful = attempts.filter(attempt => attempt.success);
+    const estimated = attempts.filter(isPriceEstimate);
+    const withAI = attempts.filter(attempt => attempt.aiResearch);
+    const aiSuccessful = withAI.filter(attempt => attempt.aiResearch.success);
+    const times = attempts.map(attempt => attempt.processingTime).filter(Number.isFinite).sort((a, b) => a - b);
+    const totalTime = times.reduce((sum, time) => sum + time, 0);
+
+    const breakdown = (keyOf) => {
+      const groups = {};
+      attempts.forEach(attempt => {
+        const key = keyOf(attempt) || 'Unknown';
+        groups[key] = groups[key] || { attempts: 0, successful: 0 };
+        groups[key].attempts++;
+        if (attempt.success) groups[key].successful++;
+      });
+      return Object.entries(groups)
+        .map(([key, group]) => ({ key, ...group, successRate: percent(group.successful, group.attempts) }))
+        .sort((a, b) => b.attempts - a.attempts);
+    };
+
+    const daily = {};
+    attempts.forEach(attempt => {
+      const day = attempt.startTime.substring(0, 10);
+      daily[day] = daily[day] || { date: day, attempts: 0, successful: 0 };
+      daily[day].attempts++;
+      if (attempt.success) daily[day].successful++;
+    });
+
     return {
-      totalSessions,
-      averageSuccessRate: (totalSuccessRate / totalSessions) * 100,
-      averageDuration: totalDuration / totalSessions,
-      totalItems,
-      sessions: this.sessionHistory.map(session => ({
+      // Success Rates
+      overallSuccessRate: percent(successful.length, attempts.length),
+      aiResearchSuccessRate: percent(aiSuccessful.length, withAI.length),
+
+      // Volume Metrics
+      totalResearchAttempts: total,
+      analyzedAttempts: attempts.length,
+      sampled,
+      successfulPricings: successful.length,
+      failedPricings: attempts.length - successful.length,
+      estimatedPricings: estimated.length,
+      aiResearchTriggered: withAI.length,
+      aiResearchSuccessful: aiSuccessful.length,
+
+      // Performance Metrics
+      averageResponseTime: times.length ? Math.round(totalTime / times.length) : 0,
+      medianResponseTime: percentile(times, 0.5),
+      p95ResponseTime: percentile(times, 0.95),
+      totalResponseTime: totalTime,
+
+      byMatchQuality: breakdown(attempt => attempt.matchQuality),
+      bySource: breakdown(attempt => attempt.searchResults?.source),
+      daily: Object.values(daily)
+        .map(day => ({ ...day, successRate: percent(day.successful, day.attempts) }))
+        .sort((a, b) => a.date.localeCompare(b.date))
+    };
+  }
+
+  // Per-session stats from the stored attempts
+  async summarizeSessions(sessions) {
+    return Promise.all(sessions.map(async session => {
+      const { attempts } = await this.adapter.queryAttempts(normalizeFilters({ sessionId: session.sessionId }), { limit: ANALYTICS_MAX_ATTEMPTS, offset: 0 });
+      const successful = attempts.filter(attempt => attempt.success).length;
+      const end = session.endTime ? new Date(session.endTime) : new Date();
+      return {
         sessionId: session.sessionId,
         userId: session.userId,
+        orgId: session.orgId || null,
         startTime: session.startTime,
         endTime: session.endTime,
-        duration: session.duration,
-        totalItems: session.totalItems,
-        successRate: session.successRate * 100,
-        aiResearchCount: session.aiResearchCount
-      }))
+        active: !session.endTime,
+        duration: end - new Date(session.startTime),
+        totalItems: attempts.length,
+        successfulPricings: successful,
+        failedPricings: attempts.length - successful,
+        successRate: percent(successful, attempts.length),
+        aiResearchCount: attempts.filter(attempt => attempt.aiResearch).length
+      };
+    }));
+  }
+
+  /**
+   * Session analytics - sessions started in the filtered range, with stats from their attempts
+   */
+  async getSessionAnalytics(filters = {}) {
+    const normalized = normalizeFilters(filters);
+    const sessions = await this.summarizeSessions(await this.adapter.listSessions(normalized));
+    const withItems = sessions.filter(session => session.totalItems > 0);
+    return {
+      totalSessions: sessions.length,
+      averageSuccessRate: withItems.length
+        ? Math.round(withItems.reduce((sum, session) => sum + session.successRate, 0) / withItems.length * 10) / 10
+        : 0,
+      averageDuration: sessions.length ? Math.round(sessions.reduce((sum, session) => sum + session.duration, 0) / sessions.length) : 0,
+      totalItems: sessions.reduce((sum, session) => sum + session.totalItems, 0),
+      sessions
     };
   }
 
   /**
-   * Get performance insights
+   * Performance insights and recommendations from the stored history
    */
-  getPerformanceInsights() {
-    const analytics = this.getResearchAnalytics();
-    const sessionAnalytics = this.getSessionAnalytics();
-    
-    const insights = {
-      // Performance Trends
-      responseTimeTrend: this.performanceMetrics.averageResponseTime < 5000 ? 'Excellent' : 
-                        this.performanceMetrics.averageResponseTime < 10000 ? 'Good' : 'Needs Improvement',
-      
-      // Success Insights
-      successTrend: analytics.overallSuccessRate > 80 ? 'Excellent' :
-                   analytics.overallSuccessRate > 60 ? 'Good' :
-                   analytics.overallSuccessRate > 40 ? 'Fair' : 'Needs Improvement',
-      
-      // AI Research Effectiveness
-      aiResearchEffectiveness: analytics.aiResearchSuccessRate > 70 ? 'Highly Effective' :
-                              analytics.aiResearchSuccessRate > 50 ? 'Effective' :
-                              analytics.aiResearchSuccessRate > 30 ? 'Moderately Effective' : 'Needs Improvement',
-      
-      // Recommendations
-      recommendations: this.generateRecommendations(analytics, sessionAnalytics)
+  async getPerformanceInsights(filters = {}) {
+    const { attempts, total, sampled } = await this.loadAttempts(filters);
+    const analytics = this.computeAnalytics(attempts, { total, sampled });
+    const sessionAnalytics = await this.getSessionAnalytics(filters);
+    const rate = (value, levels, labels) => labels[levels.findIndex(level => value > level)] || labels[labels.length - 1];
+
+    return {
+      sampleSize: attempts.length,
+      responseTimeTrend: analytics.averageResponseTime < 5000 ? 'Excellent'
+        : analytics.averageResponseTime < SLOW_RESPONSE_MS ? 'Good' : 'Needs Improvement',
+      successTrend: rate(analytics.overallSuccessRate, [80, 60, 40], ['Excellent', 'Good', 'Fair', 'Needs Improvement']),
+      aiResearchEffectiveness: analytics.aiResearchTriggered === 0
+        ? 'No AI research recorded'
+        : rate(analytics.aiResearchSuccessRate, [70, 50, 30], ['Highly Effective', 'Effective', 'Moderately Effective', 'Needs Improvement']),
+      recommendations: this.generateRecommendations(analytics, sessionAnalytics, attempts)
     };
-    
-    return insights;
   }
 
   /**
-   * Generate improvement recommendations
+   * Improvement recommendations backed by the attempts they were drawn from
+   * Each one carries the numbers behind it (evidence) so a reader can check the claim.
    */
-  generateRecommendations(analytics, sessionAnalytics) {
+  generateRecommendations(analytics, sessionAnalytics, attempts = []) {
     const recommendations = [];
-    
+    if (attempts.length < MIN_SAMPLE) {
+      recommendations.push({
+        type: 'insufficient_data',
+        priority: 'info',
+        message: `Only ${attempts.length} research attempt(s) in this range - at least ${MIN_SAMPLE} are needed for recommendations.`,
+        suggestedActions: ['Widen the date range or remove filters'],
+        evidence: { attempts: attempts.length }
+      });
+      return recommendations;
+    }
+
+    const failed = attempts.filter(attempt => !attempt.success);
+
     if (analytics.overallSuccessRate < 60) {
+      const queries = {};
+      failed.forEach(attempt => { queries[attempt.query] = (queries[attempt.query] || 0) + 1; });
+      const topFailed = Object.entries(queries).sort((a, b) => b[1] - a[1]).slice(0, 5)
+        .map(([query, count]) => ({ query, count }));
       recommendations.push({
         type: 'success_rate',
         priority: 'high',
-        message: 'Overall success rate is below target. Consider improving search strategies and product matching algorithms.',
+        message: `${analytics.overallSuccessRate}% of ${attempts.length} searches priced a real listing (target 60%).`,
         suggestedActions: [
-          'Review failed search queries for patterns',
-          'Enhance product attribute extraction',
-          'Optimize search term generation'
-        ]
+          `Review the most frequent failures: ${topFailed.map(item => `"${item.query}"`).join(', ')}`,
+          'Add model numbers or brands to those descriptions',
+          'Check whether the failures share a category the search terms miss'
+        ],
+        evidence: { successRate: analytics.overallSuccessRate, attempts: attempts.length, topFailedQueries: topFailed }
       });
     }
-    
-    if (analytics.aiResearchSuccessRate < 50) {
+
+    // Words that show up in many searches that mostly fail point at a weak product category
+    const terms = {};
+    attempts.forEach(attempt => {
+      new Set(attempt.query.toLowerCase().split(/[^a-z0-9]+/)
+        .filter(word => word.length > 2 && !STOP_WORDS.has(word) && !/^\d+$/.test(word)))
+        .forEach(word => {
+          terms[word] = terms[word] || { attempts: 0, successful: 0 };
+          terms[word].attempts++;
+          if (attempt.success) terms[word].successful++;
+        });
+    });
+    const weakTerms = Object.entries(terms)
+      .filter(([, term]) => term.attempts >= 3 && percent(term.successful, term.attempts) < Math.min(40, analytics.overallSuccessRate))
+      .sort((a, b) => b[1].attempts - a[1].attempts)
+      .slice(0, 5)
+      .map(([term, stats]) => ({ term, attempts: stats.attempts, successRate: percent(stats.successful, stats.attempts) }));
+    if (weakTerms.length > 0) {
       recommendations.push({
-        type: 'ai_research',
+        type: 'weak_categories',
         priority: 'medium',
-        message: 'AI research success rate could be improved. Consider refining AI prompts and fallback strategies.',
+        message: `Searches mentioning ${weakTerms.map(term => `"${term.term}"`).join(', ')} succeed far less often than the rest.`,
         suggestedActions: [
-          'Analyze AI research failures',
-          'Improve prompt engineering',
-          'Add more fallback search strategies'
-        ]
+          'Add retailer or category-specific search terms for these items',
+          'Check the trusted-site list covers retailers that stock them'
+        ],
+        evidence: { terms: weakTerms }
+      });
+    }
+
+    const errors = attempts.filter(attempt => attempt.matchQuality === 'Error-Estimated');
+    if (percent(errors.length, attempts.length) >= 5) {
+      recommendations.push({
+        type: 'reliability',
+        priority: 'high',
+        message: `${errors.length} of ${attempts.length} searches (${percent(errors.length, attempts.length)}%) ended in an error and fell back to an estimate.`,
+        suggestedActions: ['Check SerpAPI and search provider health', 'Review server logs for "Error in enhanced pricing"'],
+        evidence: { errors: errors.length, attempts: attempts.length }
+      });
+    }
+
+    const budget = attempts.filter(attempt => attempt.searchResults?.budgetExceeded);
+    if (budget.length > 0) {
+      recommendations.push({
+        type: 'budget',
+        priority: 'medium',
+        message: `${budget.length} searches were estimated because the daily usage budget ran out.`,
+        suggestedActions: ['Raise the daily budget or spread large jobs over more days'],
+        evidence: { budgetExceeded: budget.length }
+      });
+    }
+
+    if (analytics.aiResearchTriggered >= MIN_SAMPLE && analytics.aiResearchSuccessRate < 50) {
+      recommendations.push({
+        type: 'ai_research',
+        priority: 'medium',
+        message: `AI research succeeded in ${analytics.aiResearchSuccessRate}% of ${analytics.aiResearchTriggered} attempts.`,
+        suggestedActions: ['Analyze AI research failures', 'Improve prompt engineering', 'Add more fallback search strategies'],
+        evidence: { aiResearchTriggered: analytics.aiResearchTriggered, aiResearchSuccessRate: analytics.aiResearchSuccessRate }
       });
     }
-    
-    if (this.performanceMetrics.averageResponseTime > 10000) {
+
+    if (analytics.p95ResponseTime > SLOW_RESPONSE_MS) {
+      const slowest = attempts
+        .filter(attempt => Number.isFinite(attempt.processingTime))
+        .sort((a, b) => b.processingTime - a.processingTime)
+        .slice(0, 5)
+        .map(attempt => ({ query: attempt.query, processingTime: attempt.processingTime }));
       recommendations.push({
         type: 'performance',
         priority: 'medium',
-        message: 'Average response time is high. Consider performance optimizations.',
-        suggestedActions: [
-          'Implement caching strategies',
-          'Optimize search algorithms',
-          'Review API rate limiting'
-        ]
+        message: `1 in 20 searches takes longer than ${Math.round(analytics.p95ResponseTime / 1000)}s (median ${Math.round(analytics.medianResponseTime / 1000)}s).`,
+        suggestedActions: ['Check the slowest queries below for retries or page fetch timeouts', 'Review cache hit rates in /api/admin/cache'],
+        evidence: { medianResponseTime: analytics.medianResponseTime, p95ResponseTime: analytics.p95ResponseTime, slowest }
       });
     }
-    
-    if (sessionAnalytics.totalSessions > 0 && sessionAnalytics.averageSuccessRate < 60) {
+
+    // Compare the newest week with the week before it
+    const newest = attempts.reduce((max, attempt) => Math.max(max, new Date(attempt.startTime).getTime()), 0);
+    const week = 7 * 24 * 60 * 60 * 1000;
+    const recent = attempts.filter(attempt => new Date(attempt.startTime).getTime() > newest - week);
+    const previous = attempts.filter(attempt => {
+      const time = new Date(attempt.startTime).getTime();
+      return time <= newest - week && time > newest - 2 * week;
+    });
+    if (recent.length >= MIN_SAMPLE && previous.length >= MIN_SAMPLE) {
+      const recentRate = percent(recent.filter(attempt => attempt.success).length, recent.length);
+      const previousRate = percent(previous.filter(attempt => attempt.success).length, previous.length);
+      if (previousRate - recentRate >= 10) {
+        recommendations.push({
+          type: 'regression',
+          priority: 'high',
+          message: `Success rate dropped from ${previousRate}% to ${recentRate}% over the last week.`,
+          suggestedActions: ['Check recent deploys and trusted-site changes', 'Compare failed queries of both weeks'],
+          evidence: { recentRate, previousRate, recentAttempts: recent.length, previousAttempts: previous.length }
+        });
+      }
+    }
+
+    const sessionsWithItems = (sessionAnalytics.sessions || []).filter(session => session.totalItems > 0);
+    if (sessionsWithItems.length >= 3 && sessionAnalytics.averageSuccessRate < 60) {
       recommendations.push({
         type: 'user_experience',
         priority: 'low',
-        message: 'User session success rates could be improved. Consider user onboarding and interface improvements.',
-        suggestedActions: [
-          'Improve user interface guidance',
-          'Add search tips and examples',
-          'Implement progressive disclosure of advanced features'
-        ]
+        message: `Research sessions average ${sessionAnalytics.averageSuccessRate}% success across ${sessionsWithItems.length} sessions.`,
+        suggestedActions: ['Improve user interface guidance', 'Add search tips and examples'],
+        evidence: { sessions: sessionsWithItems.length, averageSuccessRate: sessionAnalytics.averageSuccessRate }
       });
     }
-    
+
     return recommendations;
   }
 
   /**
-   * Export research data (for database migration later)
+   * Export matching attempts and sessions
    */
-  exportResearchData() {
+  async exportResearchData(filters = {}) {
+    const { attempts, total, sampled } = await this.loadAttempts(filters);
     return {
-      researchHistory: Array.from(this.researchHistory.values()),
-      successMetrics: this.successMetrics,
-      performanceMetrics: this.performanceMetrics,
-      sessionHistory: this.sessionHistory,
+      researchHistory: attempts,
+      totalAttempts: total,
+      sampled,
+      sessionHistory: (await this.getSessionAnalytics(filters)).sessions,
       exportTimestamp: new Date().toISOString()
     };
   }
 
   /**
-   * Clear all data (for testing/reset)
+   * Delete stored research (everything, or what started before a date)
+   * @returns {number} attempts removed
    */
-  clearData() {
-    this.researchHistory.clear();
-    this.sessionHistory = [];
-    this.successMetrics = {
-      totalAttempts: 0,
-      successfulPricing: 0,
-      failedPricing: 0,
-      aiResearchTriggered: 0,
-      aiResearchSuccessful: 0,
-      aiResearchFailed: 0
-    };
-    this.performanceMetrics = {
-      averageResponseTime: 0,
-      totalResponseTime: 0,
-      responseCount: 0
-    };
-    this.currentSession = null;
-    
-    console.log('🔍 All research data cleared');
+  async clearData({ before } = {}) {
+    const cutoff = toDate(before, 'before');
+    const removed = await this.adapter.deleteAttempts({ before: cutoff });
+    if (!cutoff) {
+      this.inFlight.clear();
+      this.activeSessions.clear();
+      this.openSessionLookups.clear();
+      this.sessionJoins.clear();
+    }
+    console.log(`🔍 Research data cleared (${removed} attempts${cutoff ? ` before ${cutoff.toISOString()}` : ''})`);
+    return removed;
+  }
+}
+
+function createAdapter(driver) {
+  switch ((driver || '').toLowerCase()) {
+    case 'mysql':
+      return new MySQLResearchAdapter(() => require('../utils/database'));
+    case 'memory':
+      return new MemoryResearchAdapter();
+    default:
+      console.warn(`⚠️ Unknown RESEARCH_STORE_DRIVER "${driver}", falling back to memory`);
+      return new MemoryResearchAdapter();
+  }
+}
+
+let sharedResearchTracker = null;
+
+function getResearchTracker() {
+  if (!sharedResearchTracker) {
+    const driver = process.env.RESEARCH_STORE_DRIVER || (process.env.DB_HOST ? 'mysql' : 'memory');
+    sharedResearchTracker = new ResearchTracker(createAdapter(driver));
   }
+  return sharedResearchTracker;
 }
 
-module.exports = ResearchTracker;
+module.exports = {
+  ResearchTracker,
+  ResearchError,
+  MemoryResearchAdapter,
+  MySQLResearchAdapter,
+  getResearchTracker
+};
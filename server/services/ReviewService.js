@@ -0,0 +1,282 @@
+/**
+ * ReviewService
+ * Adjuster review of priced rows: flags rows the PriceToleranceValidator would not
+ * approve or whose price drifted sharply from its history, and applies accept / override / "unable to replace" decisions to a row.
+ * Rows priced with candidates (see utils/candidateCapture) can also be swapped to one of their runner-up offers.
+ *
+ * Decisions are applied to the stored job results (so exports and claim roll-ups pick
+ * them up) and every change is kept on the row in reviewHistory; the routes also write
+ * each decision to the audit final_choices table.
+ */
+
+const PriceToleranceValidator = require('../utils/priceToleranceValidator');
+const { applyReplacementCost } = require('../utils/replacementCost');
+
+const REVIEW_ACTIONS = ['accept', 'override', 'unable_to_replace', 'swap'];
+const REVIEW_STATUS = {
+  NOT_REQUIRED: 'not_required',
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  OVERRIDDEN: 'overridden',
+  UNABLE_TO_REPLACE: 'unable_to_replace'
+};
+const UNABLE_TO_REPLACE_STATUS = 'Unable to Replace';
+
+const validator = new PriceToleranceValidator();
+
+class ReviewError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ReviewError';
+    this.statusCode = statusCode;
+  }
+}
+
+function parseMoney(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const number = parseFloat(String(value ?? '').replace(/[$,]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function roundMoney(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * Run the tolerance validator on a priced row and record whether it needs review
+ * (mutates the row in place)
+ * @param {Object} result - priced row
+ * @param {Object} options - { targetPrice, tolerance, category }
+ */
+function flagForReview(result, { targetPrice, tolerance, category } = {}) {
+  try {
+    const validation = validator.validatePrice(
+      {
+        adjustedPrice: parseMoney(result.Price ?? result.price),
+        pricingTier: result.pricingTier,
+        confidence: result.confidence
+      },
+      parseMoney(targetPrice),
+      parseFloat(tolerance) || null,
+      { category }
+    );
+    const review = validator.requiresManualReview(validation, result, { category });
+
+    result.requiresManualReview = review.required;
+    result.reviewStatus = review.required ? REVIEW_STATUS.PENDING : REVIEW_STATUS.NOT_REQUIRED;
+    result.reviewReasons = review.required
+      ? [review.reason, ...validation.errors.filter(error => error !== 'REJECTED: Price is outside tolerance range')]
+      : [];
+  } catch (error) {
+    // Validation must never break pricing - send the row to review instead
+    console.error('⚠️ Review flagging failed:', error.message);
+    result.requiresManualReview = true;
+    result.reviewStatus = REVIEW_STATUS.PENDING;
+    result.reviewReasons = [`Validation error: ${error.message}`];
+  }
+  return result;
+}
+
+/**
+ * Attach a price-history drift check to a row and send sharply drifted rows to review
+ * (mutates the row in place)
+ * @param {Object} result - priced row
+ * @param {Object|null} drift - PriceHistoryStore.checkDrift result (null = not enough history)
+ */
+function flagPriceDrift(result, drift) {
+  if (!drift) return result;
+  result.priceDrift = drift;
+  if (drift.drifted) {
+    const sign = drift.deviationPct > 0 ? '+' : '';
+    result.requiresManualReview = true;
+    result.reviewStatus = REVIEW_STATUS.PENDING;
+    result.reviewReasons = [
+      ...(result.reviewReasons || []),
+      `Price drift: ${sign}${drift.deviationPct}% vs median $${drift.baselineMedian.toFixed(2)} of ${drift.baselineCount} earlier prices`
+    ];
+  }
+  return result;
+}
+
+/**
+ * Recompute totals and depreciation after the unit price changed
+ */
+function repriceRow(result, unitPrice) {
+  // Pipeline rows don't carry quantity, but their total is always unit price x quantity
+  const previousPrice = parseMoney(result.Price ?? result.price);
+  const previousTotal = parseMoney(result['Total Replacement Price'] ?? result.totalPrice);
+  const quantity = parseInt(result.quantity || result.QTY || result.Quantity, 10)
+    || (previousPrice > 0 && previousTotal > 0 ? Math.round(previousTotal / previousPrice) : 0)
+    || 1;
+  const total = roundMoney(unitPrice * quantity);
+
+  result.Price = unitPrice;
+  result.price = unitPrice;
+  result['Total Replacement Price'] = total;
+  result.totalPrice = total;
+
+  const depPercent = parseFloat(String(result.depPercent ?? result['Dep Percent'] ?? '').replace('%', ''));
+  if (Number.isFinite(depPercent)) {
+    result.depAmount = roundMoney(total * depPercent / 100);
+    result['Dep Amount'] = result.depAmount;
+    if (typeof result.acv === 'number') {
+      result.acv = roundMoney(total - result.depAmount);
+    }
+  }
+
+  // Sales tax and shipping follow the new price
+  if (result.rcvInclTax !== undefined) {
+    applyReplacementCost(result);
+  }
+}
+
+/**
+ * The row's candidate a swap asks for, by rank
+ */
+function findSwapCandidate(result, rank) {
+  const candidates = Array.isArray(result.candidates) ? result.candidates : [];
+  if (candidates.length === 0) {
+    throw new ReviewError('This row was priced without candidates - re-run the job with candidates to swap offers');
+  }
+  const candidate = candidates.find(entry => entry.rank === parseInt(rank, 10));
+  if (!candidate) {
+    throw new ReviewError(`candidate must be one of ranks ${candidates.map(entry => entry.rank).join(', ')}`);
+  }
+  if (candidate.selected) {
+    throw new ReviewError(`Candidate ${candidate.rank} is already the chosen offer`);
+  }
+  return candidate;
+}
+
+/**
+ * Apply an adjuster decision to a row (mutates the row in place)
+ * @param {Object} result - stored row
+ * @param {Object} decision - { action, price, url, source, reason }; a swap sends { action: 'swap', candidate: rank, reason? }
+ * @param {string} reviewer - user id of the adjuster
+ * @returns {Object} audit entry for the decision
+ */
+function applyReviewDecision(result, decision = {}, reviewer = null) {
+  const action = String(decision.action || '').toLowerCase();
+  if (!REVIEW_ACTIONS.includes(action)) {
+    throw new ReviewError(`action must be one of ${REVIEW_ACTIONS.join(', ')}`);
+  }
+
+  // A swap takes price, URL and source from the chosen candidate - one click, so the reason is optional
+  const candidate = action === 'swap' ? findSwapCandidate(result, decision.candidate) : null;
+  if (candidate) {
+    decision = {
+      ...decision,
+      price: candidate.price,
+      url: candidate.url,
+      source: candidate.source,
+      reason: decision.reason || `Swapped to candidate ${candidate.rank}: ${candidate.title}`
+    };
+  }
+
+  const reason = decision.reason ? String(decision.reason).trim() : '';
+  if (action !== 'accept' && !reason) {
+    throw new ReviewError('reason is required for overrides and "unable to replace"');
+  }
+
+  let price = null;
+  if (decision.price !== undefined && decision.price !== null && decision.price !== '') {
+    price = parseMoney(decision.price);
+    if (price === null || price < 0) {
+      throw new ReviewError('price must be a non-negative amount');
+    }
+  }
+  if (action === 'override' && price === null && !decision.url && !decision.source) {
+    throw new ReviewError('override needs at least one of price, url or source');
+  }
+
+  const previous = {
+    price: parseMoney(result.Price ?? result.price),
+    url: result.URL || result.url || null,
+    source: result.Source || result.source || null,
+    status: result.Status || result.status || null
+  };
+  // Keep the pipeline's own answer once, however many times the row is reviewed
+  if (!result.originalPricing) {
+    result.originalPricing = previous;
+  }
+
+  if (price !== null) {
+    repriceRow(result, price);
+  }
+  if (decision.url) {
+    result.URL = String(decision.url).trim();
+    result.url = result.URL;
+  }
+  if (decision.source) {
+    result.Source = String(decision.source).trim();
+    result.source = result.Source;
+  }
+
+  if (action === 'accept') {
+    result.reviewStatus = REVIEW_STATUS.ACCEPTED;
+  } else if (action === 'override' || action === 'swap') {
+    result.reviewStatus = REVIEW_STATUS.OVERRIDDEN;
+    result.Status = 'Adjusted';
+    result.status = 'Adjusted';
+    result.pricingTier = 'MANUAL';
+  } else {
+    result.reviewStatus = REVIEW_STATUS.UNABLE_TO_REPLACE;
+    result.Status = UNABLE_TO_REPLACE_STATUS;
+    result.status = UNABLE_TO_REPLACE_STATUS;
+  }
+
+  if (candidate) {
+    // The old listing's URL must not survive a swap to an offer that has none
+    result.URL = candidate.url || null;
+    result.url = result.URL;
+    if (candidate.currency) result.currency = candidate.currency;
+    result.candidates = result.candidates.map(entry => ({ ...entry, selected: entry.rank === candidate.rank }));
+  }
+
+  const decidedAt = new Date().toISOString();
+  result.requiresManualReview = false;
+  if (action !== 'accept') {
+    result.adjustedBy = reviewer || 'unknown';
+    result.adjustedAt = decidedAt;
+    result.adjustmentReason = reason;
+  }
+
+  const entry = {
+    action,
+    reviewer: reviewer || 'unknown',
+    reason: reason || null,
+    ...(candidate && { candidate: { rank: candidate.rank, title: candidate.title, score: candidate.score } }),
+    previous,
+    current: {
+      price: parseMoney(result.Price ?? result.price),
+      url: result.URL || result.url || null,
+      source: result.Source || result.source || null,
+      status: result.Status || result.status || null
+    },
+    decidedAt
+  };
+  result.reviewHistory = [...(result.reviewHistory || []), entry];
+  return entry;
+}
+
+/**
+ * Summary of review state for a job's rows
+ */
+function summarizeReview(results = []) {
+  const counts = Object.fromEntries(Object.values(REVIEW_STATUS).map(status => [status, 0]));
+  results.forEach(result => {
+    const status = result.reviewStatus || (result.requiresManualReview ? REVIEW_STATUS.PENDING : REVIEW_STATUS.NOT_REQUIRED);
+    counts[status] = (counts[status] || 0) + 1;
+  });
+  return { total: results.length, ...counts };
+}
+
+module.exports = {
+  REVIEW_ACTIONS,
+  REVIEW_STATUS,
+  ReviewError,
+  flagForReview,
+  flagPriceDrift,
+  applyReviewDecision,
+  summarizeReview
+};
@@ -0,0 +1,415 @@
+/**
+ * SearchProviders Service
+ * One interface in front of every product search backend the pricer can use,
+ * with normalized shopping results, per-provider cost/latency accounting and an
+ * ordered failover chain.
+ *
+ * Providers (engine names match audit `engine ENUM('serpapi','cse','scraper')`):
+ *   serpapi - SerpApiClient (Google Shopping via SerpAPI)
+ *   cse     - GoogleCSEClient (site-restricted Google Custom Search on TRUSTED_DOMAINS)
+ *   scraper - ProductScraper (scrapes candidate URLs handed over by earlier providers)
+ *
+ * SEARCH_PROVIDER_ORDER sets the failover order (default "serpapi,cse,scraper").
+ * A provider that raises an outage (e.g. SerpApiDownError) is skipped for
+ * SEARCH_PROVIDER_COOLDOWN_MS (default 60s) so a dead backend is not hammered
+ * once per row. Cost per request comes from UsageMeter (SEARCH_COST_<ENGINE>), and
+ * every billed request is metered against the current user/job.
+ */
+
+const { SerpApiClient, SerpApiDownError } = require('../utils/serpApiClient');
+const { GoogleCSEClient } = require('../utils/search_cse');
+const { ProductScraper } = require('../utils/scraper_logic');
+const { TRUSTED_DOMAINS } = require('../utils/trusted_sources_new');
+const { getCostPerRequest, getUsageMeter } = require('./UsageMeter');
+const { getActiveLocale, parseLocalizedPrice } = require('../utils/locale');
+
+const DEFAULT_ORDER = ['serpapi', 'cse', 'scraper'];
+const DEFAULT_COOLDOWN_MS = 60 * 1000;
+
+function parsePrice(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const parsed = parseLocalizedPrice(value.toString());
+  return parsed ? parsed.amount : null;
+}
+
+/**
+ * Normalized shopping result shared by every provider
+ * (same field names as SerpApiClient.normalizeShoppingResults plus `provider`)
+ */
+function normalizeResult(provider, item) {
+  return {
+    title: item.title || '',
+    price: parsePrice(item.price),
+    currency: item.currency || getActiveLocale().currency,
+    source: item.source || '',
+    link: item.link || '',
+    thumbnail: item.thumbnail || '',
+    rating: item.rating || null,
+    reviews: item.reviews || null,
+    delivery: item.delivery || null,
+    serpapi_product_id: item.serpapi_product_id || null,
+    provider
+  };
+}
+
+/**
+ * Raised by providers that cannot serve a request right now (missing credentials,
+ * no candidate URLs, upstream outage). Always triggers failover.
+ */
+class SearchProviderUnavailableError extends Error {
+  constructor(provider, message, originalError = null) {
+    super(message);
+    this.name = 'SearchProviderUnavailableError';
+    this.provider = provider;
+    this.originalError = originalError;
+  }
+}
+
+class SearchProvider {
+  constructor(engine) {
+    this.engine = engine;
+    this.costPerRequest = getCostPerRequest(engine);
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  isOutage(error) {
+    return error instanceof SearchProviderUnavailableError;
+  }
+
+  // Providers that depend on earlier results (scraper) opt out when there is nothing to work on
+  canSearch(options = {}) {
+    return true;
+  }
+
+  /**
+   * @param {string} query - Search query
+   * @param {Object} options - { num, candidates }
+   * @returns {Promise<{results: Array, requests: number, candidates?: Array}>}
+   */
+  async search(query, options = {}) {
+    throw new Error(`${this.engine} provider does not implement search()`);
+  }
+}
+
+class SerpApiSearchProvider extends SearchProvider {
+  constructor(client = new SerpApiClient()) {
+    super('serpapi');
+    this.client = client;
+  }
+
+  isConfigured() {
+    return !!this.client.apiKey;
+  }
+
+  isOutage(error) {
+    return super.isOutage(error) || error instanceof SerpApiDownError || this.client.isSerpApiDown(error);
+  }
+
+  async search(query, options = {}) {
+    const data = await this.client.searchGoogleShopping(query, options.num ? { num: options.num } : {});
+    if (data.error) {
+      throw new SerpApiDownError(`SerpAPI error: ${data.error}`);
+    }
+    return {
+      results: data.results.map(item => normalizeResult(this.engine, item)),
+      requests: 1
+    };
+  }
+}
+
+class GoogleCSESearchProvider extends SearchProvider {
+  constructor(client = new GoogleCSEClient(), domains = TRUSTED_DOMAINS) {
+    super('cse');
+    this.client = client;
+    this.domains = domains;
+  }
+
+  isConfigured() {
+    return !!(this.client.apiKey && this.client.searchEngineId);
+  }
+
+  // CSE only returns prices when the retailer exposes offer/product structured data
+  extractPrice(pagemap = {}) {
+    const offer = (pagemap.offer || [])[0] || {};
+    const product = (pagemap.product || [])[0] || {};
+    const meta = (pagemap.metatags || [])[0] || {};
+    return parsePrice(offer.price || product.price || meta['product:price:amount'] || meta['og:price:amount']);
+  }
+
+  async search(query, options = {}) {
+    const data = await this.client.searchTrustedSites(query, this.domains, { num: options.num || 5 });
+    const normalized = data.results.map(item => normalizeResult(this.engine, {
+      title: item.title,
+      price: this.extractPrice(item.pagemap),
+      source: item.domain,
+      link: item.link,
+      thumbnail: ((item.pagemap || {}).cse_thumbnail || [])[0]?.src
+    }));
+
+    return {
+      results: normalized.filter(result => result.price),
+      // Unpriced product pages are handed to the next provider (scraper)
+      candidates: data.results.filter((item, index) => !normalized[index].price),
+      requests: data.domains_searched.length
+    };
+  }
+}
+
+class ScraperSearchProvider extends SearchProvider {
+  constructor(scraper = new ProductScraper()) {
+    super('scraper');
+    this.scraper = scraper;
+  }
+
+  canSearch(options = {}) {
+    return (options.candidates || []).some(candidate => candidate && candidate.link);
+  }
+
+  async search(query, options = {}) {
+    const candidates = (options.candidates || []).filter(candidate => candidate && candidate.link);
+    if (candidates.length === 0) {
+      throw new SearchProviderUnavailableError(this.engine, 'No candidate product URLs to scrape');
+    }
+
+    const scraped = await this.scraper.scrapeProductPrices(candidates, { title: query });
+    return {
+      results: scraped.map(item => normalizeResult(this.engine, {
+        title: item.title,
+        price: item.price,
+        source: item.domain,
+        link: item.url
+      })),
+      requests: Math.min(candidates.length, 5)
+    };
+  }
+}
+
+const PROVIDER_FACTORIES = {
+  serpapi: () => new SerpApiSearchProvider(),
+  cse: () => new GoogleCSESearchProvider(),
+  scraper: () => new ScraperSearchProvider()
+};
+
+class SearchProviderChain {
+  /**
+   * @param {Array<SearchProvider>} providers - Providers in failover order
+   * @param {Object} options - { cooldownMs }
+   */
+  constructor(providers, options = {}) {
+    this.providers = providers;
+    this.cooldownMs = options.cooldownMs ?? DEFAULT_COOLDOWN_MS;
+    this.state = new Map();
+    providers.forEach(provider => this.state.set(provider.engine, {
+      requests: 0,
+      searches: 0,
+      successes: 0,
+      failures: 0,
+      outages: 0,
+      results: 0,
+      totalLatencyMs: 0,
+      estimatedCostUsd: 0,
+      downUntil: 0,
+      lastError: null
+    }));
+  }
+
+  getProvider(engine) {
+    return this.providers.find(provider => provider.engine === engine) || null;
+  }
+
+  /**
+   * Whether a provider is configured and not cooling down after an outage
+   */
+  isAvailable(engine) {
+    const provider = this.getProvider(engine);
+    if (!provider || !provider.isConfigured()) return false;
+    return this.state.get(engine).downUntil <= Date.now();
+  }
+
+  /**
+   * Mark a provider as down (also used by callers that talk to the backend directly)
+   */
+  reportOutage(engine, error) {
+    const stats = this.state.get(engine);
+    if (!stats) return;
+    stats.outages++;
+    stats.lastError = error ? error.message : null;
+    stats.downUntil = Date.now() + this.cooldownMs;
+    console.log(`🚧 Search provider ${engine} marked down for ${Math.round(this.cooldownMs / 1000)}s: ${stats.lastError}`);
+  }
+
+  /**
+   * Report an error from a direct backend call; outages put the provider into cooldown
+   * @returns {boolean} True when the error was treated as an outage
+   */
+  reportError(engine, error) {
+    const provider = this.getProvider(engine);
+    if (!provider || !error || !provider.isOutage(error)) return false;
+    this.reportOutage(engine, error);
+    return true;
+  }
+
+  /**
+   * Search the providers in order until one returns priced results
+   * @param {string} query - Search query
+   * @param {Object} options - { num, exclude: ['serpapi'] }
+   * @returns {Promise<{provider: string|null, results: Array, attempts: Array}>}
+   */
+  async search(query, options = {}) {
+    const exclude = options.exclude || [];
+    const attempts = [];
+    let candidates = [];
+
+    // Over-budget users get no paid searches - callers fall back to cache/baseline estimates
+    if (await getUsageMeter().shouldDegrade()) {
+      console.log(`💸 Search skipped for "${query}": daily usage budget exceeded`);
+      return { provider: null, results: [], attempts: [{ provider: null, skipped: 'budget exceeded' }], budgetExceeded: true };
+    }
+
+    for (const provider of this.providers) {
+      const engine = provider.engine;
+      if (exclude.includes(engine)) continue;
+      if (!this.isAvailable(engine)) {
+        attempts.push({ provider: engine, skipped: provider.isConfigured() ? 'cooldown' : 'not configured' });
+        continue;
+      }
+      if (!provider.canSearch({ ...options, candidates })) {
+        attempts.push({ provider: engine, skipped: 'nothing to search' });
+        continue;
+      }
+
+      const stats = this.state.get(engine);
+      const startTime = Date.now();
+      stats.searches++;
+
+      try {
+        const response = await provider.search(query, { ...options, candidates });
+        const latencyMs = Date.now() - startTime;
+        this.recordUsage(provider, response.requests || 1, latencyMs);
+        stats.successes++;
+        stats.results += response.results.length;
+        candidates = candidates.concat(response.candidates || []);
+        attempts.push({ provider: engine, latencyMs, resultCount: response.results.length });
+
+        if (response.results.length > 0) {
+          if (attempts.length > 1) {
+            console.log(`🔀 Search failover: "${query}" served by ${engine} after ${attempts.length - 1} other provider(s)`);
+          }
+          return { provider: engine, results: response.results, attempts };
+        }
+      } catch (error) {
+        const latencyMs = Date.now() - startTime;
+        const outage = provider.isOutage(error);
+        // Unavailable providers never reached the backend, so they are not billed
+        this.recordUsage(provider, error instanceof SearchProviderUnavailableError ? 0 : 1, latencyMs);
+        stats.failures++;
+        stats.lastError = error.message;
+        attempts.push({ provider: engine, latencyMs, error: error.message, outage });
+
+        if (outage && !(error instanceof SearchProviderUnavailableError)) {
+          this.reportOutage(engine, error);
+        } else {
+          console.log(`⚠️ Search provider ${engine} failed for "${query}": ${error.message}`);
+        }
+      }
+    }
+
+    return { provider: null, results: [], attempts };
+  }
+
+  /**
+   * Drop-in replacement for SerpApiClient.multiPassSearch that fails over per query
+   * @param {Array<string>} queries - Search queries
+   * @param {Object} options - Search options passed to search()
+   * @returns {Promise<Array>} [{ query, success, provider, data: { results }, error, attempts }]
+   */
+  async multiPassSearch(queries, options = {}) {
+    const passes = [];
+    for (const query of queries) {
+      const outcome = await this.search(query, options);
+      const lastError = outcome.attempts.filter(attempt => attempt.error).map(attempt => attempt.error).pop() || null;
+      passes.push({
+        query,
+        success: outcome.results.length > 0,
+        provider: outcome.provider,
+        data: outcome.results.length > 0 ? { results: outcome.results, total_results: outcome.results.length } : null,
+        error: outcome.results.length > 0 ? null : (lastError || 'No results from any search provider'),
+        attempts: outcome.attempts
+      });
+    }
+    return passes;
+  }
+
+  recordUsage(provider, requests, latencyMs) {
+    const stats = this.state.get(provider.engine);
+    stats.requests += requests;
+    stats.totalLatencyMs += latencyMs;
+    stats.estimatedCostUsd += requests * provider.costPerRequest;
+    if (requests > 0) {
+      getUsageMeter().record({ provider: provider.engine, requests, costUsd: requests * provider.costPerRequest });
+    }
+  }
+
+  /**
+   * Per-provider cost/latency accounting
+   */
+  getStats() {
+    return this.providers.map(provider => {
+      const stats = this.state.get(provider.engine);
+      return {
+        engine: provider.engine,
+        configured: provider.isConfigured(),
+        available: this.isAvailable(provider.engine),
+        downUntil: stats.downUntil > Date.now() ? new Date(stats.downUntil).toISOString() : null,
+        searches: stats.searches,
+        requests: stats.requests,
+        successes: stats.successes,
+        failures: stats.failures,
+        outages: stats.outages,
+        results: stats.results,
+        avgLatencyMs: stats.searches ? Math.round(stats.totalLatencyMs / stats.searches) : null,
+        costPerRequest: provider.costPerRequest,
+        estimatedCostUsd: Math.round(stats.estimatedCostUsd * 10000) / 10000,
+        lastError: stats.lastError
+      };
+    });
+  }
+}
+
+function parseProviderOrder(value) {
+  const order = (value || '').split(',').map(engine => engine.trim().toLowerCase()).filter(Boolean);
+  const known = order.filter(engine => PROVIDER_FACTORIES[engine]);
+  order.filter(engine => !PROVIDER_FACTORIES[engine])
+    .forEach(engine => console.warn(`⚠️ Unknown search provider "${engine}" in SEARCH_PROVIDER_ORDER, ignoring`));
+  return known.length > 0 ? known : DEFAULT_ORDER;
+}
+
+let sharedSearchProviderChain = null;
+
+function getSearchProviderChain() {
+  if (!sharedSearchProviderChain) {
+    const order = parseProviderOrder(process.env.SEARCH_PROVIDER_ORDER);
+    const cooldownMs = parseInt(process.env.SEARCH_PROVIDER_COOLDOWN_MS, 10);
+    sharedSearchProviderChain = new SearchProviderChain(
+      order.map(engine => PROVIDER_FACTORIES[engine]()),
+      { cooldownMs: Number.isFinite(cooldownMs) && cooldownMs >= 0 ? cooldownMs : DEFAULT_COOLDOWN_MS }
+    );
+    console.log(`🔀 Search providers: ${order.join(' → ')}`);
+  }
+  return sharedSearchProviderChain;
+}
+
+module.exports = {
+  SearchProvider,
+  SerpApiSearchProvider,
+  GoogleCSESearchProvider,
+  ScraperSearchProvider,
+  SearchProviderChain,
+  SearchProviderUnavailableError,
+  normalizeResult,
+  getSearchProviderChain
+};
@@ -0,0 +1,521 @@
+/**
+ * UsageMeter Service
+ * Meters every paid external call (SerpAPI, Google CSE, scraper, OpenAI) and tags it
+ * with the user and job that caused it, so spend can be reported per job / per user
+ * and capped with daily budgets.
+ *
+ * Tagging uses AsyncLocalStorage: routes wrap work in runWithContext({ userId, jobId })
+ * and every record() call underneath picks the tags up without threading ids through
+ * the pricer.
+ *
+ * Drivers (USAGE_STORE_DRIVER):
+ *   memory - process memory only (default when no database is configured)
+ *   mysql  - audit database, `job_usage` / `user_budgets` (src/audit/migrations/004_job_usage.sql)
+ *
+ * Budgets: USAGE_DAILY_BUDGET_USD is the default per-user daily cap (0/unset = unlimited),
+ * USAGE_USER_BUDGETS is an optional JSON map of per-user overrides, and budgets set via
+ * PUT /api/usage/budgets/:userId take precedence over both. Over-budget users degrade to
+ * cache/baseline estimates instead of spending more.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const usageContext = new AsyncLocalStorage();
+
+const DEFAULT_FLUSH_INTERVAL_MS = 5000;
+const BUDGET_CACHE_MS = 10 * 1000;
+// Live per-job counters kept in memory; older jobs are served from the store
+const MAX_LIVE_JOBS = 500;
+
+// Published list prices (USD) - override with SEARCH_COST_<PROVIDER> / OPENAI_COST_PER_1K_*
+const DEFAULT_COST_PER_REQUEST = {
+  serpapi: 0.01,
+  cse: 0.005,
+  scraper: 0,
+  openai: 0
+};
+const DEFAULT_OPENAI_COST_PER_1K = {
+  prompt: 0.0025,
+  completion: 0.01
+};
+
+function readCost(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function getCostPerRequest(provider) {
+  return readCost(`SEARCH_COST_${provider.toUpperCase()}`, DEFAULT_COST_PER_REQUEST[provider] || 0);
+}
+
+function estimateCost(provider, { requests = 0, promptTokens = 0, completionTokens = 0 } = {}) {
+  let cost = requests * getCostPerRequest(provider);
+  if (provider === 'openai') {
+    cost += (promptTokens / 1000) * readCost('OPENAI_COST_PER_1K_PROMPT', DEFAULT_OPENAI_COST_PER_1K.prompt);
+    cost += (completionTokens / 1000) * readCost('OPENAI_COST_PER_1K_COMPLETION', DEFAULT_OPENAI_COST_PER_1K.completion);
+  }
+  return cost;
+}
+
+function usageDay(date = new Date()) {
+  return date.toISOString().substring(0, 10);
+}
+
+function roundCost(value) {
+  return Math.round((value || 0) * 1000000) / 1000000;
+}
+
+function emptyTotals() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+}
+
+function addTotals(target, source) {
+  target.requests += source.requests || 0;
+  target.promptTokens += source.promptTokens || 0;
+  target.completionTokens += source.completionTokens || 0;
+  target.costUsd += source.costUsd || 0;
+  return target;
+}
+
+/**
+ * Raised when a metered call is attempted for a user that has spent their daily budget
+ */
+class BudgetExceededError extends Error {
+  constructor(budget) {
+    super(`Daily usage budget exceeded for ${budget.userId} ($${budget.spentUsd.toFixed(2)} of $${budget.budgetUsd.toFixed(2)})`);
+    this.name = 'BudgetExceededError';
+    this.statusCode = 429;
+    this.budget = budget;
+  }
+}
+
+class MemoryUsageAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.rows = new Map();
+    this.budgets = new Map();
+  }
+
+  async upsertUsage(rows) {
+    rows.forEach(row => {
+      const key = `${row.jobId}|${row.userId}|${row.provider}|${row.day}`;
+      const existing = this.rows.get(key) || { ...row, ...emptyTotals() };
+      this.rows.set(key, addTotals(existing, row));
+    });
+  }
+
+  async getUserDaySpend(userId, day) {
+    let total = 0;
+    for (const row of this.rows.values()) {
+      if (row.userId === userId && row.day === day) total += row.costUsd;
+    }
+    return total;
+  }
+
+  async listUsage({ jobId, userId, since } = {}) {
+    return Array.from(this.rows.values()).filter(row =>
+      (!jobId || row.jobId === jobId) &&
+      (!userId || row.userId === userId) &&
+      (!since || row.day >= since)
+    );
+  }
+
+  async getBudget(userId) {
+    return this.budgets.has(userId) ? this.budgets.get(userId) : null;
+  }
+
+  async setBudget(userId, dailyBudgetUsd) {
+    if (dailyBudgetUsd === null) {
+      this.budgets.delete(userId);
+    } else {
+      this.budgets.set(userId, dailyBudgetUsd);
+    }
+  }
+}
+
+class MySQLUsageAdapter {
+  /**
+   * @param {Function} getPool - returns a mysql2/promise pool
+   */
+  constructor(getPool) {
+    this.name = 'mysql';
+    this.getPool = getPool;
+  }
+
+  async upsertUsage(rows) {
+    for (const row of rows) {
+      await this.getPool().execute(
+        `INSERT INTO job_usage (job_id, user_id, provider, usage_date, requests, prompt_tokens, completion_tokens, cost_usd)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           requests = requests + VALUES(requests),
+           prompt_tokens = prompt_tokens + VALUES(prompt_tokens),
+           completion_tokens = completion_tokens + VALUES(completion_tokens),
+           cost_usd = cost_usd + VALUES(cost_usd)`,
+        [row.jobId, row.userId, row.provider, row.day, row.requests, row.promptTokens, row.completionTokens, roundCost(row.costUsd)]
+      );
+    }
+  }
+
+  async getUserDaySpend(userId, day) {
+    const [rows] = await this.getPool().execute(
+      'SELECT COALESCE(SUM(cost_usd), 0) AS spent FROM job_usage WHERE user_id = ? AND usage_date = ?',
+      [userId, day]
+    );
+    return parseFloat(rows[0]?.spent) || 0;
+  }
+
+  async listUsage({ jobId, userId, since } = {}) {
+    const clauses = [];
+    const params = [];
+    if (jobId) { clauses.push('job_id = ?'); params.push(jobId); }
+    if (userId) { clauses.push('user_id = ?'); params.push(userId); }
+    if (since) { clauses.push('usage_date >= ?'); params.push(since); }
+    const [rows] = await this.getPool().execute(
+      `SELECT * FROM job_usage ${clauses.length ? 'WHERE ' + clauses.join(' AND ') : ''} ORDER BY usage_date DESC`,
+      params
+    );
+    return rows.map(row => ({
+      jobId: row.job_id,
+      userId: row.user_id,
+      provider: row.provider,
+      day: row.usage_date instanceof Date ? usageDay(row.usage_date) : String(row.usage_date),
+      requests: row.requests,
+      promptTokens: Number(row.prompt_tokens),
+      completionTokens: Number(row.completion_tokens),
+      costUsd: parseFloat(row.cost_usd) || 0
+    }));
+  }
+
+  async getBudget(userId) {
+    const [rows] = await this.getPool().execute(
+      'SELECT daily_budget_usd FROM user_budgets WHERE user_id = ?',
+      [userId]
+    );
+    return rows.length ? parseFloat(rows[0].daily_budget_usd) : null;
+  }
+
+  async setBudget(userId, dailyBudgetUsd, updatedBy = null) {
+    if (dailyBudgetUsd === null) {
+      await this.getPool().execute('DELETE FROM user_budgets WHERE user_id = ?', [userId]);
+      return;
+    }
+    await this.getPool().execute(
+      `INSERT INTO user_budgets (user_id, daily_budget_usd, updated_by) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE daily_budget_usd = VALUES(daily_budget_usd), updated_by = VALUES(updated_by)`,
+      [userId, dailyBudgetUsd, updatedBy]
+    );
+  }
+}
+
+class UsageMeter {
+  constructor(adapter, options = {}) {
+    this.adapter = adapter;
+    this.driver = adapter.name;
+    this.flushIntervalMs = options.flushIntervalMs ?? DEFAULT_FLUSH_INTERVAL_MS;
+    this.pending = new Map();
+    this.jobs = new Map();
+    this.budgetCache = new Map();
+    this.flushTimer = null;
+    this.flushing = null;
+  }
+
+  /**
+   * Run fn with usage tags; nested calls inherit and override the outer tags
+   * @param {Object} context - { userId, jobId }
+   */
+  runWithContext(context, fn) {
+    return usageContext.run({ ...this.getContext(), ...context }, fn);
+  }
+
+  getContext() {
+    return usageContext.getStore() || {};
+  }
+
+  /**
+   * Record a metered external call for the current user/job
+   * @param {Object} usage - { provider, requests, promptTokens, completionTokens, costUsd }
+   */
+  record(usage) {
+    const context = this.getContext();
+    const provider = usage.provider;
+    const entry = {
+      requests: usage.requests ?? 1,
+      promptTokens: usage.promptTokens || 0,
+      completionTokens: usage.completionTokens || 0
+    };
+    entry.costUsd = usage.costUsd ?? estimateCost(provider, entry);
+
+    const userId = context.userId || 'anonymous';
+    const jobId = context.jobId || '';
+    const day = usageDay();
+
+    if (jobId) {
+      if (!this.jobs.has(jobId) && this.jobs.size >= MAX_LIVE_JOBS) {
+        this.jobs.delete(this.jobs.keys().next().value);
+      }
+      const job = this.jobs.get(jobId) || { jobId, userId, totals: emptyTotals(), providers: {} };
+      addTotals(job.totals, entry);
+      job.providers[provider] = addTotals(job.providers[provider] || emptyTotals(), entry);
+      this.jobs.set(jobId, job);
+    }
+
+    const key = `${jobId}|${userId}|${provider}|${day}`;
+    const pending = this.pending.get(key) || { jobId, userId, provider, day, ...emptyTotals() };
+    this.pending.set(key, addTotals(pending, entry));
+
+    const cached = this.budgetCache.get(userId);
+    if (cached && cached.day === day) {
+      cached.spentUsd += entry.costUsd;
+    }
+
+    this.scheduleFlush();
+    return entry;
+  }
+
+  /**
+   * Record the token usage of an OpenAI chat completion response
+   */
+  recordOpenAI(response, operation = 'chat') {
+    const usage = response?.usage || {};
+    return this.record({
+      provider: 'openai',
+      operation,
+      requests: 1,
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0
+    });
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(() => {});
+    }, this.flushIntervalMs);
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+
+  /**
+   * Persist pending usage rows (non-blocking callers should .catch())
+   */
+  async flush() {
+    if (this.flushing) await this.flushing;
+    if (this.pending.size === 0) return;
+
+    const rows = Array.from(this.pending.values());
+    this.pending.clear();
+    this.flushing = this.adapter.upsertUsage(rows)
+      .catch(error => {
+        console.error('⚠️ Usage metering flush failed:', error.message);
+        // Put the rows back so the next flush retries them
+        rows.forEach(row => {
+          const key = `${row.jobId}|${row.userId}|${row.provider}|${row.day}`;
+          this.pending.set(key, addTotals(this.pending.get(key) || { ...row, ...emptyTotals() }, row));
+        });
+      })
+      .finally(() => { this.flushing = null; });
+    await this.flushing;
+  }
+
+  /**
+   * Usage totals for a job (live counters, falling back to persisted rows)
+   */
+  async getJobUsage(jobId) {
+    const live = this.jobs.get(jobId);
+    if (live) {
+      return this.formatUsage(jobId, live.userId, live.totals, live.providers);
+    }
+
+    const rows = await this.adapter.listUsage({ jobId });
+    if (rows.length === 0) return null;
+    const totals = emptyTotals();
+    const providers = {};
+    rows.forEach(row => {
+      addTotals(totals, row);
+      providers[row.provider] = addTotals(providers[row.provider] || emptyTotals(), row);
+    });
+    return this.formatUsage(jobId, rows[0].userId, totals, providers);
+  }
+
+  formatUsage(jobId, userId, totals, providers) {
+    const round = entry => ({ ...entry, costUsd: roundCost(entry.costUsd) });
+    return {
+      jobId,
+      userId,
+      ...round(totals),
+      providers: Object.fromEntries(Object.entries(providers).map(([name, entry]) => [name, round(entry)]))
+    };
+  }
+
+  /**
+   * Daily budget for a user: stored budget > USAGE_USER_BUDGETS > USAGE_DAILY_BUDGET_USD
+   * @returns {Promise<number|null>} USD per day, null when unlimited
+   */
+  async getBudget(userId) {
+    try {
+      const stored = await this.adapter.getBudget(userId);
+      if (stored !== null && stored !== undefined) return stored;
+    } catch (error) {
+      console.error('⚠️ Usage budget lookup failed:', error.message);
+    }
+
+    try {
+      const overrides = JSON.parse(process.env.USAGE_USER_BUDGETS || '{}');
+      if (overrides[userId] !== undefined) return parseFloat(overrides[userId]);
+    } catch (error) {
+      console.error('⚠️ USAGE_USER_BUDGETS is not valid JSON:', error.message);
+    }
+
+    const fallback = parseFloat(process.env.USAGE_DAILY_BUDGET_USD);
+    return Number.isFinite(fallback) && fallback > 0 ? fallback : null;
+  }
+
+  async setBudget(userId, dailyBudgetUsd, updatedBy = null) {
+    await this.adapter.setBudget(userId, dailyBudgetUsd, updatedBy);
+    this.budgetCache.delete(userId);
+  }
+
+  /**
+   * Today's spend against the user's budget (cached for a few seconds per user)
+   */
+  async checkBudget(userId = this.getContext().userId || 'anonymous') {
+    const day = usageDay();
+    const cached = this.budgetCache.get(userId);
+    if (cached && cached.day === day && Date.now() - cached.checkedAt < BUDGET_CACHE_MS) {
+      return this.describeBudget(cached);
+    }
+
+    let spentUsd = 0;
+    try {
+      spentUsd = await this.adapter.getUserDaySpend(userId, day);
+    } catch (error) {
+      console.error('⚠️ Usage spend lookup failed:', error.message);
+    }
+    for (const row of this.pending.values()) {
+      if (row.userId === userId && row.day === day) spentUsd += row.costUsd;
+    }
+
+    const entry = { userId, day, spentUsd, budgetUsd: await this.getBudget(userId), checkedAt: Date.now() };
+    this.budgetCache.set(userId, entry);
+    return this.describeBudget(entry);
+  }
+
+  describeBudget({ userId, day, spentUsd, budgetUsd }) {
+    return {
+      userId,
+      day,
+      spentUsd: roundCost(spentUsd),
+      budgetUsd,
+      remainingUsd: budgetUsd === null ? null : roundCost(Math.max(0, budgetUsd - spentUsd)),
+      exceeded: budgetUsd !== null && spentUsd >= budgetUsd
+    };
+  }
+
+  /**
+   * True when the current user has spent their budget and callers should degrade
+   */
+  async shouldDegrade() {
+    const budget = await this.checkBudget();
+    return budget.exceeded;
+  }
+
+  /**
+   * Throw BudgetExceededError before a paid call when the current user is over budget
+   */
+  async assertWithinBudget() {
+    const budget = await this.checkBudget();
+    if (budget.exceeded) {
+      throw new BudgetExceededError(budget);
+    }
+  }
+
+  /**
+   * Aggregated usage for dashboards
+   * @param {Object} filters - { userId, since (YYYY-MM-DD) }
+   */
+  async getSummary(filters = {}) {
+    await this.flush();
+    const rows = await this.adapter.listUsage(filters);
+    const today = usageDay();
+    const totals = emptyTotals();
+    const todayTotals = emptyTotals();
+    const byProvider = {};
+    const byUser = {};
+
+    rows.forEach(row => {
+      addTotals(totals, row);
+      if (row.day === today) addTotals(todayTotals, row);
+      byProvider[row.provider] = addTotals(byProvider[row.provider] || emptyTotals(), row);
+      byUser[row.userId] = addTotals(byUser[row.userId] || emptyTotals(), row);
+    });
+
+    const round = entry => ({ ...entry, costUsd: roundCost(entry.costUsd) });
+    return {
+      since: filters.since || null,
+      totals: round(totals),
+      today: round(todayTotals),
+      byProvider: Object.fromEntries(Object.entries(byProvider).map(([name, entry]) => [name, round(entry)])),
+      topUsers: Object.entries(byUser)
+        .map(([userId, entry]) => ({ userId, ...round(entry) }))
+        .sort((a, b) => b.costUsd - a.costUsd)
+        .slice(0, 10)
+    };
+  }
+
+  /**
+   * Totals for every user (not just the top 10), with today's spend alongside
+   * @param {Object} filters - { since }
+   * @returns {Promise<Object>} userId -> { requests, promptTokens, completionTokens, costUsd, today }
+   */
+  async getUsageByUser(filters = {}) {
+    await this.flush();
+    const rows = await this.adapter.listUsage({ since: filters.since });
+    const today = usageDay();
+    const byUser = {};
+
+    rows.forEach(row => {
+      const entry = byUser[row.userId] || (byUser[row.userId] = { ...emptyTotals(), today: emptyTotals() });
+      addTotals(entry, row);
+      if (row.day === today) addTotals(entry.today, row);
+    });
+
+    return Object.fromEntries(Object.entries(byUser).map(([userId, entry]) => [userId, {
+      ...entry,
+      costUsd: roundCost(entry.costUsd),
+      today: { ...entry.today, costUsd: roundCost(entry.today.costUsd) }
+    }]));
+  }
+}
+
+function createAdapter(driver) {
+  switch ((driver || '').toLowerCase()) {
+    case 'mysql':
+      return new MySQLUsageAdapter(() => require('../utils/database'));
+    case 'memory':
+      return new MemoryUsageAdapter();
+    default:
+      console.warn(`⚠️ Unknown USAGE_STORE_DRIVER "${driver}", falling back to memory`);
+      return new MemoryUsageAdapter();
+  }
+}
+
+let sharedUsageMeter = null;
+
+function getUsageMeter() {
+  if (!sharedUsageMeter) {
+    const driver = process.env.USAGE_STORE_DRIVER || (process.env.DB_HOST ? 'mysql' : 'memory');
+    sharedUsageMeter = new UsageMeter(createAdapter(driver));
+  }
+  return sharedUsageMeter;
+}
+
+module.exports = {
+  UsageMeter,
+  BudgetExceededError,
+  MemoryUsageAdapter,
+  MySQLUsageAdapter,
+  getCostPerRequest,
+  estimateCost,
+  getUsageMeter
+};
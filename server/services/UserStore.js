@@ -0,0 +1,414 @@
+/**
+ * UserStore Service
+ * Application-side account records for everyone who has called the API: the identity seen on
+ * their last request, an admin-assigned role override, active/deactivated status, and the
+ * settings and profile fields edited on the Settings / Profile screens.
+ *
+ * The role override replaces the roles from the token (or X-Dev-Roles) while it is set;
+ * clearing it (null) hands control back to the identity provider. Deactivated accounts are
+ * rejected by the loadAccount middleware (server/utils/auth.js) before any route runs.
+ *
+ * Records are read on every API request, so each process keeps them for ACCOUNT_CACHE_MS;
+ * a deactivation made on another instance takes effect there within that window.
+ *
+ * Drivers (USER_STORE_DRIVER):
+ *   mysql  - the audit `users` table (src/audit/migrations/008_user_admin.sql)
+ *   memory - process memory only (default when DB_HOST is not set)
+ */
+
+const { ROLES } = require('../utils/auth');
+
+const ACCOUNT_CACHE_MS = 30 * 1000;
+// last_seen_at only needs minute-level precision - don't write on every request
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const USER_STATUS = ['active', 'deactivated'];
+const THEMES = ['light', 'dark'];
+const DEFAULT_SETTINGS = {
+  theme: 'light',
+  emailNotifications: true,
+  autoSaveDrafts: true,
+  defaultTolerancePct: null
+};
+const DEFAULT_PROFILE = {
+  displayName: null,
+  jobTitle: null,
+  department: null
+};
+const MAX_PROFILE_FIELD_LENGTH = 120;
+
+class UserError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'UserError';
+    this.statusCode = statusCode;
+  }
+}
+
+function rejectUnknownFields(patch, allowed, kind) {
+  const unknown = Object.keys(patch).filter(key => !(key in allowed));
+  if (unknown.length) {
+    throw new UserError(`Unknown ${kind} field(s): ${unknown.join(', ')}`);
+  }
+}
+
+/**
+ * Validate a settings patch and merge it over the current settings
+ * @param {Object} patch - { theme, emailNotifications, autoSaveDrafts, defaultTolerancePct }
+ * @param {Object} current
+ */
+function normalizeSettings(patch, current = DEFAULT_SETTINGS) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new UserError('settings must be an object');
+  }
+  rejectUnknownFields(patch, DEFAULT_SETTINGS, 'settings');
+
+  const settings = { ...DEFAULT_SETTINGS, ...current };
+  if (patch.theme !== undefined) {
+    if (!THEMES.includes(patch.theme)) {
+      throw new UserError(`theme must be one of: ${THEMES.join(', ')}`);
+    }
+    settings.theme = patch.theme;
+  }
+  ['emailNotifications', 'autoSaveDrafts'].forEach(field => {
+    if (patch[field] !== undefined) {
+      if (typeof patch[field] !== 'boolean') {
+        throw new UserError(`${field} must be true or false`);
+      }
+      settings[field] = patch[field];
+    }
+  });
+  if (patch.defaultTolerancePct !== undefined) {
+    if (patch.defaultTolerancePct === null || patch.defaultTolerancePct === '') {
+      settings.defaultTolerancePct = null;
+    } else {
+      const value = parseFloat(patch.defaultTolerancePct);
+      if (!Number.isFinite(value) || value < 0 || value > 100) {
+        throw new UserError('defaultTolerancePct must be between 0 and 100 (or null)');
+      }
+      settings.defaultTolerancePct = value;
+    }
+  }
+  return settings;
+}
+
+/**
+ * Validate a profile patch and merge it over the current profile. Empty strings clear a field.
+ * @param {Object} patch - { displayName, jobTitle, department }
+ * @param {Object} current
+ */
+function normalizeProfile(patch, current = DEFAULT_PROFILE) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new UserError('profile must be an object');
+  }
+  rejectUnknownFields(patch, DEFAULT_PROFILE, 'profile');
+
+  const profile = { ...DEFAULT_PROFILE, ...current };
+  Object.keys(DEFAULT_PROFILE).forEach(field => {
+    if (patch[field] === undefined) return;
+    if (patch[field] !== null && typeof patch[field] !== 'string') {
+      throw new UserError(`${field} must be a string`);
+    }
+    const value = (patch[field] || '').trim();
+    if (value.length > MAX_PROFILE_FIELD_LENGTH) {
+      throw new UserError(`${field} must be at most ${MAX_PROFILE_FIELD_LENGTH} characters`);
+    }
+    profile[field] = value || null;
+  });
+  return profile;
+}
+
+function matchesFilters(user, { orgId, memberIds, unscoped, search, status } = {}) {
+  if (orgId && user.orgId !== orgId && !(memberIds || []).includes(user.id)) return false;
+  if (unscoped && user.orgId) return false;
+  if (status && user.status !== status) return false;
+  if (search) {
+    const needle = search.toLowerCase();
+    const haystack = [user.id, user.email, user.name, user.profile?.displayName].filter(Boolean).join(' ').toLowerCase();
+    if (!haystack.includes(needle)) return false;
+  }
+  return true;
+}
+
+class MemoryUserAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.users = new Map();
+  }
+
+  async getUser(id) {
+    return this.users.get(id) || null;
+  }
+
+  async listUsers(filters = {}) {
+    return [...this.users.values()]
+      .filter(user => matchesFilters(user, filters))
+      .sort((a, b) => String(b.lastSeenAt).localeCompare(String(a.lastSeenAt)));
+  }
+
+  async saveUser(user) {
+    this.users.set(user.id, user);
+  }
+}
+
+class MySQLUserAdapter {
+  /**
+   * @param {Function} getPool - returns a mysql2/promise pool
+   */
+  constructor(getPool) {
+    this.name = 'mysql';
+    this.getPool = getPool;
+  }
+
+  static parseJson(value, fallback) {
+    if (value == null) return { ...fallback };
+    return { ...fallback, ...(typeof value === 'string' ? JSON.parse(value) : value) };
+  }
+
+  static rowToUser(row) {
+    const toIso = value => (value ? new Date(value).toISOString() : null);
+    return {
+      id: row.id,
+      email: row.email,
+      name: row.name,
+      authProvider: row.auth_provider,
+      orgId: row.org_id || null,
+      role: row.role || null,
+      status: row.status || 'active',
+      settings: MySQLUserAdapter.parseJson(row.settings_json, DEFAULT_SETTINGS),
+      profile: MySQLUserAdapter.parseJson(row.profile_json, DEFAULT_PROFILE),
+      lastSeenAt: toIso(row.last_seen_at),
+      createdAt: toIso(row.created_at),
+      deactivatedAt: toIso(row.deactivated_at),
+      deactivatedBy: row.deactivated_by || null
+    };
+  }
+
+  async getUser(id) {
+    const [rows] = await this.getPool().execute('SELECT * FROM users WHERE id = ?', [id]);
+    return rows.length ? MySQLUserAdapter.rowToUser(rows[0]) : null;
+  }
+
+  async listUsers({ orgId, memberIds = [], unscoped, search, status } = {}) {
+    const clauses = [];
+    const params = [];
+    if (orgId) {
+      const members = memberIds.length ? ` OR id IN (${memberIds.map(() => '?').join(', ')})` : '';
+      clauses.push(`(org_id = ?${members})`);
+      params.push(orgId, ...memberIds);
+    }
+    if (unscoped) clauses.push('org_id IS NULL');
+    if (status) { clauses.push('status = ?'); params.push(status); }
+    if (search) {
+      clauses.push('(id LIKE ? OR email LIKE ? OR name LIKE ?)');
+      const like = `%${search}%`;
+      params.push(like, like, like);
+    }
+    const [rows] = await this.getPool().execute(
+      `SELECT * FROM users ${clauses.length ? 'WHERE ' + clauses.join(' AND ') : ''}
+       ORDER BY last_seen_at IS NULL, last_seen_at DESC LIMIT 1000`,
+      params
+    );
+    return rows.map(MySQLUserAdapter.rowToUser);
+  }
+
+  async saveUser(user) {
+    await this.getPool().execute(
+      `INSERT INTO users (id, email, name, auth_provider, org_id, role, status, settings_json, profile_json,
+         last_seen_at, deactivated_at, deactivated_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE email = VALUES(email), name = VALUES(name), auth_provider = VALUES(auth_provider),
+         org_id = VALUES(org_id), role = VALUES(role), status = VALUES(status), settings_json = VALUES(settings_json),
+         profile_json = VALUES(profile_json), last_seen_at = VALUES(last_seen_at),
+         deactivated_at = VALUES(deactivated_at), deactivated_by = VALUES(deactivated_by)`,
+      [
+        user.id,
+        user.email || 'unknown@example.com',
+        user.name || 'Unknown User',
+        user.authProvider || 'system',
+        user.orgId || null,
+        user.role || null,
+        user.status,
+        JSON.stringify(user.settings || {}),
+        JSON.stringify(user.profile || {}),
+        user.lastSeenAt ? new Date(user.lastSeenAt) : null,
+        user.deactivatedAt ? new Date(user.deactivatedAt) : null,
+        user.deactivatedBy || null,
+        new Date(user.createdAt)
+      ]
+    );
+  }
+}
+
+class UserStore {
+  constructor(adapter) {
+    this.adapter = adapter || new MemoryUserAdapter();
+    this.cache = new Map(); // userId -> { user, cachedAt }
+    console.log(`👤 UserStore initialized (driver: ${this.adapter.name})`);
+  }
+
+  get driver() {
+    return this.adapter.name;
+  }
+
+  async save(user) {
+    await this.adapter.saveUser(user);
+    this.cache.set(user.id, { user, cachedAt: Date.now() });
+    return user;
+  }
+
+  async getUser(id) {
+    if (!id) return null;
+    return this.adapter.getUser(String(id));
+  }
+
+  async requireUser(id) {
+    const user = await this.getUser(id);
+    if (!user) {
+      throw new UserError(`User "${id}" not found`, 404);
+    }
+    return user;
+  }
+
+  /**
+   * Account record for the identity on the current request, creating it on first sight.
+   * Identity fields follow the token; lastSeenAt is refreshed at most every TOUCH_INTERVAL_MS.
+   * @param {Object} identity - getUserFromRequest() result
+   */
+  async touch(identity) {
+    const id = String(identity.id);
+    const cached = this.cache.get(id);
+    const now = Date.now();
+    const existing = cached && now - cached.cachedAt < ACCOUNT_CACHE_MS
+      ? cached.user
+      : await this.adapter.getUser(id);
+
+    if (!existing) {
+      const nowIso = new Date(now).toISOString();
+      return this.save({
+        id,
+        email: identity.email || null,
+        name: identity.name || null,
+        authProvider: identity.authProvider || null,
+        orgId: identity.orgId || null,
+        role: null,
+        status: 'active',
+        settings: { ...DEFAULT_SETTINGS },
+        profile: { ...DEFAULT_PROFILE },
+        lastSeenAt: nowIso,
+        createdAt: nowIso,
+        deactivatedAt: null,
+        deactivatedBy: null
+      });
+    }
+
+    const changed = ['email', 'name', 'authProvider'].some(field => identity[field] && identity[field] !== existing[field])
+      || (identity.orgId && identity.orgId !== existing.orgId);
+    const stale = !existing.lastSeenAt || now - new Date(existing.lastSeenAt).getTime() > TOUCH_INTERVAL_MS;
+    if (!changed && !stale) {
+      if (!cached || cached.user !== existing) this.cache.set(id, { user: existing, cachedAt: now });
+      return existing;
+    }
+
+    return this.save({
+      ...existing,
+      email: identity.email || existing.email,
+      name: identity.name || existing.name,
+      authProvider: identity.authProvider || existing.authProvider,
+      orgId: identity.orgId || existing.orgId,
+      lastSeenAt: new Date(now).toISOString()
+    });
+  }
+
+  /**
+   * @param {Object} filters
+   * @param {Object} filters.scope - req.orgScope ({ orgId, all })
+   * @param {string[]} filters.memberIds - members of scope.orgId who may not have acted for it yet
+   * @param {string} filters.search - matches id, email or name
+   * @param {string} filters.status - active | deactivated
+   */
+  async listUsers({ scope = {}, memberIds = [], search, status } = {}) {
+    if (status && !USER_STATUS.includes(status)) {
+      throw new UserError(`status must be one of: ${USER_STATUS.join(', ')}`);
+    }
+    return this.adapter.listUsers({
+      orgId: scope.orgId || null,
+      memberIds: scope.orgId ? memberIds : [],
+      unscoped: !scope.orgId && !scope.all,
+      search: search ? String(search).trim() : null,
+      status: status || null
+    });
+  }
+
+  /**
+   * Set (or clear with null) the admin role override
+   */
+  async setRole(id, role) {
+    if (role !== null && !ROLES.includes(role)) {
+      throw new UserError(`role must be one of: ${ROLES.join(', ')} (or null to use the token's roles)`);
+    }
+    const user = await this.requireUser(id);
+    return this.save({ ...user, role });
+  }
+
+  async deactivate(id, deactivatedBy) {
+    const user = await this.requireUser(id);
+    if (user.status === 'deactivated') return user;
+    return this.save({
+      ...user,
+      status: 'deactivated',
+      deactivatedAt: new Date().toISOString(),
+      deactivatedBy: deactivatedBy || null
+    });
+  }
+
+  async reactivate(id) {
+    const user = await this.requireUser(id);
+    if (user.status === 'active') return user;
+    return this.save({ ...user, status: 'active', deactivatedAt: null, deactivatedBy: null });
+  }
+
+  async updateSettings(id, patch) {
+    const user = await this.requireUser(id);
+    return this.save({ ...user, settings: normalizeSettings(patch, user.settings) });
+  }
+
+  async updateProfile(id, patch) {
+    const user = await this.requireUser(id);
+    return this.save({ ...user, profile: normalizeProfile(patch, user.profile) });
+  }
+}
+
+function createAdapter(driver) {
+  switch ((driver || '').toLowerCase()) {
+    case 'mysql':
+      return new MySQLUserAdapter(() => require('../utils/database'));
+    case 'memory':
+      return new MemoryUserAdapter();
+    default:
+      console.warn(`⚠️ Unknown USER_STORE_DRIVER "${driver}", falling back to memory`);
+      return new MemoryUserAdapter();
+  }
+}
+
+let sharedUserStore = null;
+
+function getUserStore() {
+  if (!sharedUserStore) {
+    const driver = process.env.USER_STORE_DRIVER || (process.env.DB_HOST ? 'mysql' : 'memory');
+    sharedUserStore = new UserStore(createAdapter(driver));
+  }
+  return sharedUserStore;
+}
+
+module.exports = {
+  UserStore,
+  UserError,
+  MemoryUserAdapter,
+  MySQLUserAdapter,
+  USER_STATUS,
+  DEFAULT_SETTINGS,
+  normalizeSettings,
+  normalizeProfile,
+  getUserStore
+};
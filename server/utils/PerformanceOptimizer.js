@@ -265,10 +265,19 @@ class PerformanceOptimizer {
     };
   }
 
+  // FIXED: derive the average from elapsed time instead of the nonexistent processingStats
+  estimateTimeRemainingMs() {
+    if (!this.processingStartTime || this.processedItems <= 0) return null;
+
+    const elapsedMs = Date.now() - this.processingStartTime;
+    const averageProcessingTime = elapsedMs / this.processedItems;
+    const remainingItems = Math.max(0, this.totalItems - this.processedItems);
+    return Math.round(remainingItems * averageProcessingTime);
+  }
+
   estimateTimeRemaining() {
-    const { totalItems, processedItems, averageProcessingTime } = this.processingStats;
-    const remainingItems = totalItems - processedItems;
-    const remainingTime = remainingItems * averageProcessingTime;
+    const remainingTime = this.estimateTimeRemainingMs();
+    if (remainingTime === null) return null;
     
     if (remainingTime < 60000) {
       return `${Math.round(remainingTime / 1000)} seconds`;
@@ -0,0 +1,291 @@
+/**
+ * Authentication and role-based access control
+ * Verifies Bearer JWTs and maps their claims to application roles
+ *
+ * Modes (AUTH_MODE):
+ *   jwks  - verify against a remote JWKS (AUTH_JWKS_URI, or <AUTH_ISSUER>/.well-known/jwks.json for Cognito)
+ *   local - verify against a key file (AUTH_LOCAL_KEY_FILE: PEM public key, JWK/JWKS JSON or a shared HS256 secret)
+ *   none  - no verification and no role checks; X-Dev-User is honoured (local development only)
+ * Without AUTH_MODE the mode is inferred from which of the variables above are set.
+ */
+
+const fs = require('fs');
+
+// Ordered lowest to highest - a role grants everything the roles before it can do
+const ROLES = ['adjuster', 'supervisor', 'admin'];
+const DEFAULT_ROLE_CLAIMS = ['cognito:groups', 'roles', 'custom:role'];
+const DEFAULT_ORG_CLAIMS = ['custom:org_id', 'org_id'];
+
+let authConfig = null;
+let keyResolver = null;
+
+function getAuthConfig() {
+  if (authConfig) return authConfig;
+
+  const mode = (process.env.AUTH_MODE
+    || (process.env.AUTH_JWKS_URI || process.env.AUTH_ISSUER ? 'jwks' : '')
+    || (process.env.AUTH_LOCAL_KEY_FILE ? 'local' : '')
+    || 'none').toLowerCase();
+
+  let roleMap = {};
+  if (process.env.AUTH_ROLE_MAP) {
+    try {
+      roleMap = JSON.parse(process.env.AUTH_ROLE_MAP);
+    } catch (error) {
+      console.error('❌ AUTH_ROLE_MAP is not valid JSON - falling back to role names as-is:', error.message);
+    }
+  }
+
+  authConfig = {
+    mode,
+    issuer: process.env.AUTH_ISSUER || undefined,
+    audience: process.env.AUTH_AUDIENCE || undefined,
+    jwksUri: process.env.AUTH_JWKS_URI
+      || (process.env.AUTH_ISSUER ? `${process.env.AUTH_ISSUER.replace(/\/$/, '')}/.well-known/jwks.json` : null),
+    localKeyFile: process.env.AUTH_LOCAL_KEY_FILE || null,
+    localAlgorithm: process.env.AUTH_LOCAL_ALG || 'RS256',
+    roleClaims: process.env.AUTH_ROLES_CLAIM
+      ? process.env.AUTH_ROLES_CLAIM.split(',').map(claim => claim.trim()).filter(Boolean)
+      : DEFAULT_ROLE_CLAIMS,
+    orgClaims: process.env.AUTH_ORG_CLAIM
+      ? process.env.AUTH_ORG_CLAIM.split(',').map(claim => claim.trim()).filter(Boolean)
+      : DEFAULT_ORG_CLAIMS,
+    roleMap: Object.fromEntries(Object.entries(roleMap).map(([from, to]) => [String(from).toLowerCase(), String(to).toLowerCase()])),
+    allowDevUser: mode === 'none' || process.env.AUTH_ALLOW_DEV_USER === 'true'
+  };
+
+  if (mode === 'none') {
+    console.warn(`⚠️ AUTH_MODE=none - tokens are not verified and role checks are disabled${process.env.NODE_ENV === 'production' ? ' (PRODUCTION)' : ''}`);
+  } else {
+    console.log(`🔐 Auth mode: ${mode}${mode === 'jwks' ? ` (${authConfig.jwksUri})` : ` (${authConfig.localKeyFile})`}`);
+  }
+  return authConfig;
+}
+
+/**
+ * Build (once) the key jose verifies signatures with
+ */
+async function getKeyResolver(config) {
+  if (keyResolver) return keyResolver;
+  const jose = require('jose');
+
+  if (config.mode === 'jwks') {
+    if (!config.jwksUri) {
+      throw new Error('AUTH_MODE=jwks needs AUTH_JWKS_URI or AUTH_ISSUER');
+    }
+    keyResolver = jose.createRemoteJWKSet(new URL(config.jwksUri));
+  } else if (config.mode === 'local') {
+    if (!config.localKeyFile) {
+      throw new Error('AUTH_MODE=local needs AUTH_LOCAL_KEY_FILE');
+    }
+    const content = fs.readFileSync(config.localKeyFile, 'utf8').trim();
+    if (content.startsWith('{')) {
+      const json = JSON.parse(content);
+      keyResolver = jose.createLocalJWKSet(json.keys ? json : { keys: [json] });
+    } else if (content.startsWith('-----BEGIN')) {
+      keyResolver = await jose.importSPKI(content, config.localAlgorithm);
+    } else {
+      // Anything else is a shared secret for HS256 test tokens
+      keyResolver = new TextEncoder().encode(content);
+    }
+  } else {
+    throw new Error(`Unknown AUTH_MODE "${config.mode}"`);
+  }
+  return keyResolver;
+}
+
+/**
+ * Map token claims to application roles (unknown groups are dropped)
+ */
+function mapRoles(claims, config = getAuthConfig()) {
+  const raw = config.roleClaims.flatMap(claim => {
+    const value = claims[claim];
+    if (Array.isArray(value)) return value;
+    return typeof value === 'string' ? value.split(/[,\s]+/) : [];
+  });
+  const roles = raw
+    .map(role => String(role).toLowerCase())
+    .map(role => config.roleMap[role] || role)
+    .filter(role => ROLES.includes(role));
+  return [...new Set(roles)];
+}
+
+/**
+ * Organization the token is issued for (first org claim present), or null
+ */
+function mapOrg(claims, config = getAuthConfig()) {
+  const claim = config.orgClaims.find(name => claims[name] != null && claims[name] !== '');
+  return claim ? String(claims[claim]) : null;
+}
+
+/**
+ * Verify a JWT and return the user it identifies
+ * @param {string} token - compact JWT
+ * @returns {Promise<Object>} { id, email, name, authProvider, roles, orgId }
+ */
+async function verifyToken(token) {
+  const config = getAuthConfig();
+  const jose = require('jose');
+  const key = await getKeyResolver(config);
+
+  const { payload } = await jose.jwtVerify(token, key, {
+    issuer: config.issuer,
+    audience: config.audience
+  });
+  if (!payload.sub) {
+    throw new Error('Token has no subject');
+  }
+
+  return {
+    id: String(payload.sub),
+    email: payload.email || null,
+    name: payload.name || payload['cognito:username'] || payload.username || null,
+    authProvider: config.mode === 'jwks' ? 'cognito' : 'local',
+    roles: mapRoles(payload, config),
+    orgId: mapOrg(payload, config)
+  };
+}
+
+function getBearerToken(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7).trim();
+  }
+  // EventSource can't send headers, so SSE endpoints accept ?access_token=
+  if (req.method === 'GET' && typeof req.query?.access_token === 'string') {
+    return req.query.access_token;
+  }
+  return null;
+}
+
+/**
+ * Express middleware: verifies the Bearer token (if any) and sets req.user.
+ * Never rejects on its own - routes that need a user are wrapped in requireRole.
+ */
+async function authenticate(req, res, next) {
+  const config = getAuthConfig();
+  if (config.mode === 'none') {
+    return next();
+  }
+
+  const token = getBearerToken(req);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    req.user = await verifyToken(token);
+  } catch (error) {
+    console.warn(`🔐 Rejected token for ${req.method} ${req.originalUrl}: ${error.code || error.message}`);
+    req.authError = error.code === 'ERR_JWT_EXPIRED' ? 'Token expired' : 'Invalid token';
+  }
+  next();
+}
+
+function hasRole(user, role) {
+  const required = ROLES.indexOf(role);
+  return !!user && Array.isArray(user.roles) && user.roles.some(userRole => ROLES.indexOf(userRole) >= required);
+}
+
+/**
+ * Express middleware factory: 401 without a verified user, 403 without the role (or a higher one)
+ * @param {string} role - adjuster | supervisor | admin
+ */
+function requireRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role "${role}"`);
+  }
+
+  return (req, res, next) => {
+    const config = getAuthConfig();
+    if (config.mode === 'none') {
+      return next();
+    }
+
+    // Required lazily - requestUtils uses getAuthConfig from this module
+    const { getUserFromRequest } = require('./requestUtils');
+    const user = getUserFromRequest(req);
+    if (!user) {
+      return res.status(401).json({ error: req.authError || 'Authentication required' });
+    }
+    if (!hasRole(user, role)) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware: loads (or creates) the caller's account record (see UserStore), rejects
+ * deactivated accounts with 403 and applies the admin-assigned role override to req.user.
+ * A store outage never locks users out - the request continues with the token's roles.
+ */
+async function loadAccount(req, res, next) {
+  // Required lazily - both modules load this one
+  const { getUserFromRequest } = require('./requestUtils');
+  const { getUserStore } = require('../services/UserStore');
+  const user = getUserFromRequest(req);
+  if (!user) {
+    return next();
+  }
+
+  try {
+    const account = await getUserStore().touch(user);
+    if (account.status === 'deactivated') {
+      return res.status(403).json({ error: 'Account deactivated' });
+    }
+    req.account = account;
+    if (account.role) {
+      req.user = { ...user, roles: [account.role] };
+    }
+  } catch (error) {
+    console.error(`⚠️ Failed to load account for ${user.id}:`, error.message);
+  }
+  next();
+}
+
+/**
+ * Express middleware: resolves the organization the request acts for (token org claim, else the
+ * user's memberships, X-Org-Id picking one) into req.org and runs the rest of the request inside
+ * it (see OrgStore.runWithOrg). req.orgScope tells /api/logs which audit rows the caller may see:
+ * their org's, everything (platform admins without an org, AUTH_MODE=none) or only pre-org rows.
+ */
+async function resolveOrg(req, res, next) {
+  // Required lazily - both modules load this one
+  const { getUserFromRequest } = require('./requestUtils');
+  const { getOrgStore, runWithOrg } = require('../services/OrgStore');
+  const user = getUserFromRequest(req);
+
+  try {
+    req.org = await getOrgStore().resolveOrgForUser(user, {
+      requestedOrgId: req.headers['x-org-id'],
+      isPlatformAdmin: hasRole(user, 'admin')
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    // Fail closed - without the org we can't keep tenants apart
+    console.error(`❌ Failed to resolve organization for ${req.method} ${req.originalUrl}:`, error.message);
+    return res.status(503).json({ error: 'Organization lookup failed' });
+  }
+
+  req.orgScope = {
+    orgId: req.org?.id || null,
+    all: !req.org && (getAuthConfig().mode === 'none' || hasRole(user, 'admin'))
+  };
+  runWithOrg(req.org, next);
+}
+
+module.exports = {
+  ROLES,
+  getAuthConfig,
+  verifyToken,
+  mapRoles,
+  mapOrg,
+  authenticate,
+  hasRole,
+  requireRole,
+  loadAccount,
+  resolveOrg
+};
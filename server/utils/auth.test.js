@@ -0,0 +1,99 @@
+/**
+ * Offline tests for the token claim mapping in auth.js: mapRoles and mapOrg
+ * Configs are passed explicitly, so no AUTH_* variables or keys are needed.
+ *
+ * Run with: node server/utils/auth.test.js
+ */
+
+const { mapRoles, mapOrg } = require('./auth');
+
+let failures = 0;
+
+// Simple test framework
+function describe(name, fn) {
+  console.log(`\n📋 ${name}`);
+  fn();
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`  ❌ ${name}`);
+    console.log(`     ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe: (expected) => {
+      if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+      }
+    },
+    toEqual: (expected) => {
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+      }
+    }
+  };
+}
+
+// The parts of getAuthConfig() the mappers read
+function config(overrides = {}) {
+  return {
+    roleClaims: ['cognito:groups', 'roles', 'custom:role'],
+    orgClaims: ['custom:org_id', 'org_id'],
+    roleMap: {},
+    ...overrides
+  };
+}
+
+describe('mapRoles', () => {
+  test('should read roles from array and string claims', () => {
+    expect(mapRoles({ 'cognito:groups': ['Adjuster'], 'custom:role': 'supervisor' }, config())).toEqual(['adjuster', 'supervisor']);
+  });
+
+  test('should split comma and space separated role strings', () => {
+    expect(mapRoles({ roles: 'adjuster, admin supervisor' }, config())).toEqual(['adjuster', 'admin', 'supervisor']);
+  });
+
+  test('should drop unknown groups and duplicates', () => {
+    expect(mapRoles({ 'cognito:groups': ['everyone', 'admin'], roles: ['ADMIN'] }, config())).toEqual(['admin']);
+  });
+
+  test('should translate groups through the role map', () => {
+    const mapped = mapRoles({ 'cognito:groups': ['ClaimsTeam', 'ClaimsLeads'] }, config({
+      roleMap: { claimsteam: 'adjuster', claimsleads: 'supervisor' }
+    }));
+    expect(mapped).toEqual(['adjuster', 'supervisor']);
+  });
+
+  test('should only read the configured claims', () => {
+    expect(mapRoles({ roles: ['admin'], groups: ['supervisor'] }, config({ roleClaims: ['groups'] }))).toEqual(['supervisor']);
+  });
+
+  test('should return no roles for a token without role claims', () => {
+    expect(mapRoles({ sub: 'user-1' }, config())).toEqual([]);
+  });
+});
+
+describe('mapOrg', () => {
+  test('should use the first org claim present', () => {
+    expect(mapOrg({ 'custom:org_id': 'acme', org_id: 'other' }, config())).toBe('acme');
+    expect(mapOrg({ org_id: 'other' }, config())).toBe('other');
+  });
+
+  test('should skip empty claims and stringify numeric ids', () => {
+    expect(mapOrg({ 'custom:org_id': '', org_id: 42 }, config())).toBe('42');
+  });
+
+  test('should return null without an org claim', () => {
+    expect(mapOrg({ sub: 'user-1' }, config())).toBe(null);
+  });
+});
+
+console.log(failures === 0 ? '\n🎯 All tests completed!' : `\n❌ ${failures} test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,143 @@
+// utils/candidateCapture.js - Opt-in top-N scored offers alongside the pricer's pick
+
+/**
+ * findBestValidatedMatch, findBestShoppingMatch and selectBestMatchSmartFast score many offers but
+ * only the winner leaves the pricer. Inside captureCandidates() they also hand their scored offers
+ * to a collector carried in AsyncLocalStorage (the same way utils/locale carries the job's locale),
+ * so a job row or a findBestPrice call can return its runners-up without threading a list through
+ * every search path. Outside captureCandidates() nothing is recorded and results are unchanged.
+ *
+ * Every sub-score is 0..1, or null when it can't be judged (no query, no target price, no stock info):
+ *   titleSimilarity - share of the query's words found in the listing title
+ *   specMatch       - share of the query's sizes / capacities (55 inch, 18 oz, ...) found in the title
+ *   priceInRange    - 1 inside the tolerance band, falling off with the distance outside it
+ *   trust           - 1 for a trusted retailer, 0.3 otherwise (as findBestShoppingMatch weighs it)
+ *   availability    - 1 in stock, 0 out of stock / discontinued
+ * The overall score is their weighted mean over the sub-scores that are known.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const candidateContext = new AsyncLocalStorage();
+
+const CANDIDATE_WEIGHTS = {
+  titleSimilarity: 0.35,
+  specMatch: 0.2,
+  priceInRange: 0.2,
+  trust: 0.15,
+  availability: 0.1
+};
+const DEFAULT_TOP_N = 5;
+const MAX_TOP_N = 20;
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * How many candidates a request asked for - 0 (off) for missing / false, DEFAULT_TOP_N for true
+ * or an unreadable value, otherwise the number capped at MAX_TOP_N
+ */
+function resolveTopN(value) {
+  if (value === undefined || value === null || value === false || value === '' || value === 'false') return 0;
+  if (value === true || value === 'true') return DEFAULT_TOP_N;
+  const count = parseInt(value, 10);
+  if (!Number.isFinite(count)) return DEFAULT_TOP_N;
+  return Math.max(0, Math.min(count, MAX_TOP_N));
+}
+
+/**
+ * Run fn with a candidate collector - returns { value: fn's result, collector }
+ */
+async function captureCandidates(topN, fn) {
+  const collector = { topN: resolveTopN(topN) || DEFAULT_TOP_N, offers: new Map() };
+  const value = await candidateContext.run(collector, fn);
+  return { value, collector };
+}
+
+function isCapturingCandidates() {
+  return !!candidateContext.getStore();
+}
+
+function weightedScore(scores) {
+  let total = 0;
+  let weight = 0;
+  for (const [name, value] of Object.entries(scores)) {
+    if (typeof value === 'number' && CANDIDATE_WEIGHTS[name]) {
+      total += value * CANDIDATE_WEIGHTS[name];
+      weight += CANDIDATE_WEIGHTS[name];
+    }
+  }
+  return weight > 0 ? total / weight : 0;
+}
+
+const offerKey = (offer) => (offer.url || `${offer.source}|${offer.title}|${offer.price}`).toLowerCase();
+
+/**
+ * Add scored offers from one selection stage to the active collector (no-op outside captureCandidates)
+ * @param {string} stage - 'validated' | 'shopping' | 'smart_fast'
+ * @param {Array} offers - { title, price, currency, source, url, scores } (see InsuranceItemPricer.scoreCandidateOffer)
+ */
+function recordCandidates(stage, offers = []) {
+  const collector = candidateContext.getStore();
+  if (!collector) return;
+
+  for (const offer of offers) {
+    if (!offer || !(offer.price > 0)) continue;
+    const key = offerKey(offer);
+    const score = weightedScore(offer.scores || {});
+    const existing = collector.offers.get(key);
+    const stages = existing ? [...new Set([...existing.stages, stage])] : [stage];
+    // The same listing can be scored by several stages - keep its best showing
+    if (existing && existing.score >= score) {
+      existing.stages = stages;
+      continue;
+    }
+    collector.offers.set(key, { ...offer, score, stages });
+  }
+}
+
+/**
+ * The collector's best offers, highest score first (cheaper first on ties). The one matching the
+ * row's final pick (same URL, else same source and price) is marked selected.
+ * @param {Object} pick - the chosen offer in either pricer shape ({ url, source, price } or { URL, Source, Price })
+ */
+function topCandidates(collector, pick = {}) {
+  if (!collector) return [];
+  const pickUrl = String(pick.url || pick.URL || '').toLowerCase();
+  const pickSource = String(pick.source || pick.Source || '').toLowerCase();
+  const pickPrice = parseFloat(pick.price ?? pick.Price);
+  const isPick = (offer) => (pickUrl && String(offer.url || '').toLowerCase() === pickUrl)
+    || (!!pickSource && String(offer.source || '').toLowerCase() === pickSource && Math.abs(offer.price - pickPrice) < 0.005);
+
+  let selectedSeen = false;
+  return [...collector.offers.values()]
+    .sort((a, b) => b.score - a.score || a.price - b.price)
+    .slice(0, collector.topN)
+    .map((offer, index) => {
+      const selected = !selectedSeen && isPick(offer);
+      if (selected) selectedSeen = true;
+      return {
+        rank: index + 1,
+        title: offer.title,
+        price: offer.price,
+        currency: offer.currency || null,
+        source: offer.source,
+        url: offer.url || null,
+        score: round(offer.score),
+        scores: Object.fromEntries(Object.keys(CANDIDATE_WEIGHTS)
+          .map(name => [name, typeof offer.scores?.[name] === 'number' ? round(offer.scores[name]) : null])),
+        stages: offer.stages,
+        selected
+      };
+    });
+}
+
+module.exports = {
+  CANDIDATE_WEIGHTS,
+  DEFAULT_TOP_N,
+  MAX_TOP_N,
+  resolveTopN,
+  captureCandidates,
+  isCapturingCandidates,
+  recordCandidates,
+  topCandidates
+};
@@ -0,0 +1,193 @@
+// utils/chatIntents.js - Reading chat pricing messages: new items and follow-ups about the last one
+
+/**
+ * The chat pricing flow keeps the last item an adjuster priced (see ChatSessionService). A message
+ * is either a new item ("Samsung 55 inch TV $600") or a follow-up about that item:
+ *   cheaper  - "find a cheaper one", "anything under $500?", "cheaper than £300"
+ *   retailer - "only Home Depot or Lowe's" (names come from the locale's retailer table)
+ *   spec     - "same but 65 inch", "same in black"
+ *   why      - "why did you pick this?"
+ * Several follow-ups can share a message ("cheaper at Lowe's").
+ */
+
+const { LOCALES } = require('../config/locales');
+const { getActiveLocale, parseLocalizedPrice } = require('./locale');
+
+// Explicit target price phrases, most specific first (the old client-side extractCostFromMessage)
+const TARGET_PRICE_PATTERNS = [
+  /(?:replacement\s+|total\s+)?cost\s+(?:of\s+)?(?:replacement\s+|to\s+replace\s+)?(?:is\s+|was\s+)?\$?(\d[\d,]*(?:\.\d{1,2})?)/i,
+  /(?:paid|price\s+(?:is|was)|value\s+(?:is|was)|worth)\s+\$?(\d[\d,]*(?:\.\d{1,2})?)/i,
+  /\$(\d[\d,]*(?:\.\d{1,2})?)/,
+  /(\d[\d,]*(?:\.\d{1,2})?)\s*(?:dollars?|bucks|usd)\b/i
+];
+
+// Size / capacity specs a follow-up can swap - unit name -> pattern for "<number> <unit>"
+const SPEC_UNITS = {
+  inch: /(\d+(?:\.\d+)?)\s*(?:-\s*)?(?:inches|inch|in\b|")/i,
+  'cu ft': /(\d+(?:\.\d+)?)\s*(?:cu\.?\s*ft\.?|cubic\s+f(?:ee|oo)t|cuft)/i,
+  quart: /(\d+(?:\.\d+)?)\s*(?:quarts?|qt\.?)\b/i,
+  gallon: /(\d+(?:\.\d+)?)\s*(?:gallons?|gal\.?)\b/i,
+  oz: /(\d+(?:\.\d+)?)\s*(?:ounces?|oz\.?)\b/i,
+  lb: /(\d+(?:\.\d+)?)\s*(?:pounds?|lbs?\.?)\b/i,
+  ft: /(\d+(?:\.\d+)?)\s*(?:feet|foot|ft\.?)\b(?!\s*(?:cu|cubic))/i,
+  tb: /(\d+(?:\.\d+)?)\s*tb\b/i,
+  gb: /(\d+(?:\.\d+)?)\s*gb\b/i,
+  watt: /(\d+(?:\.\d+)?)\s*(?:watts?|w)\b/i,
+  volt: /(\d+(?:\.\d+)?)\s*(?:volts?|v)\b/i,
+  piece: /(\d+)\s*(?:-\s*)?(?:pieces?|pcs?|pack|count|ct)\b/i
+};
+
+const COLORS = ['stainless steel', 'black stainless', 'black', 'white', 'silver', 'gray', 'grey', 'red', 'blue', 'green', 'gold', 'bronze', 'chrome', 'brown', 'beige', 'navy', 'pink'];
+
+const WHY_PATTERN = /\bwhy\b|\bexplain\b|\bhow did you (?:pick|choose|find|get)\b|\breason(?:ing)?\b|\bwhat made you\b/i;
+const CHEAPER_PATTERN = /\bcheaper\b|\bless expensive\b|\blower[-\s]priced?\b|\bcheapest\b|\blowest price\b|\bbudget\b|\bsave money\b/i;
+// The amount may carry a currency marker or code either side ("CA$300", "300 €", "1.299,00 €") - it is
+// read with parseLocalizedPrice so decimal commas and thousands separators follow the listing rules
+const MAX_PRICE_PATTERN = /\b(?:under|below|cheaper than|(?:for\s+)?less than|no more than|at most|max(?:imum)?|up to)\s+((?:(?:US|CA|AU|C|A)?\$|[£€]|(?:USD|CAD|AUD|GBP|EUR)\s?)?\s?\d+(?:[.,\s\u00a0]\d{3})*(?:[.,]\d{1,2})?(?:\s?(?:€|£|USD|CAD|AUD|GBP|EUR|dollars?|bucks|euros?|pounds?)\b)?)/i;
+const SPEC_CHANGE_PATTERN = /\bsame\b|\binstead\b|\bwhat about\b|\bhow about\b|\bmake it\b|\bbut\b|\bswitch to\b|\bin\s+(?:a\s+)?(?:bigger|smaller|larger)\b/i;
+const RETAILER_PATTERN = /\bonly\b|\bjust\b|\bfrom\b|\bat\b|\bprefer\b|\bstick to\b|\bretailers?\b|\bstores?\b/i;
+
+const parseAmount = (text) => parseFloat(String(text).replace(/,/g, ''));
+
+/**
+ * Split a new item message into the description to search for and the adjuster's target price
+ * "Samsung 55 inch TV, paid $600" → { description: 'Samsung 55 inch TV', targetPrice: 600 }
+ */
+function parseItemMessage(message) {
+  const text = String(message || '').trim();
+  let description = text;
+  let targetPrice = null;
+
+  for (const pattern of TARGET_PRICE_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      const amount = parseAmount(match[1]);
+      if (Number.isFinite(amount) && amount > 0) {
+        targetPrice = amount;
+        description = text.replace(match[0], ' ');
+        break;
+      }
+    }
+  }
+
+  description = description
+    .replace(/\s+/g, ' ')
+    .replace(/^(?:price|find|search for|look up|how much is|how much for)\s+/i, '')
+    .replace(/^(?:a|an|the)\s+/i, '')
+    .replace(/^[\s,;:-]*(?:and|with)?\s*|[\s,;:-]*(?:and|with)?[\s,;:?.!-]*$/gi, '')
+    .trim();
+
+  return { description, targetPrice };
+}
+
+/**
+ * Size / capacity / count specs and color in a text
+ * @returns {Object} { specs: { unit: value }, color }
+ */
+function extractSpecs(text) {
+  const value = String(text || '');
+  const specs = {};
+  for (const [unit, pattern] of Object.entries(SPEC_UNITS)) {
+    const match = value.match(pattern);
+    if (match) specs[unit] = parseFloat(match[1]);
+  }
+  const lower = value.toLowerCase();
+  const color = COLORS.find(name => new RegExp(`\\b${name}\\b`).test(lower)) || null;
+  return { specs, color };
+}
+
+/**
+ * Retailer domains (of the active locale) a message names
+ * "only Home Depot or Lowe's" → ['homedepot.com', 'lowes.com']
+ */
+function findRetailers(message, locale = getActiveLocale()) {
+  const normalize = (text) => String(text).toLowerCase().replace(/[’']/g, '').replace(/[^a-z0-9.]+/g, ' ').trim();
+  const text = ` ${normalize(message)} `;
+  const retailers = LOCALES[locale.country].retailers;
+  return Object.keys(retailers).filter(domain => {
+    const names = [...retailers[domain], domain, domain.split('.')[0]]
+      .map(normalize)
+      .filter(name => name.length > 2);
+    return names.some(name => text.includes(` ${name} `));
+  });
+}
+
+// "65 inch?" or "in black" - nothing but specs, so not a new item ("65 inch TV" is one)
+function isBareSpec(text) {
+  let rest = String(text).toLowerCase();
+  Object.values(SPEC_UNITS).forEach(pattern => { rest = rest.replace(pattern, ' '); });
+  COLORS.forEach(name => { rest = rest.replace(new RegExp(`\\b${name}\\b`, 'g'), ' '); });
+  return rest.replace(/\b(?:in|a|an|the|one|please|ok|okay|try)\b|[^a-z0-9]+/g, ' ').trim() === '';
+}
+
+/**
+ * What a follow-up asks for - null when the message reads as a new item
+ * @returns {Object|null} { intents: ['cheaper'|'retailer'|'spec'|'why'], maxPrice, retailers, specs, color }
+ */
+function interpretFollowUp(message, locale = getActiveLocale()) {
+  const text = String(message || '').trim();
+  if (!text) return null;
+
+  const intents = [];
+  const followUp = { intents, maxPrice: null, retailers: [], specs: {}, color: null };
+
+  if (WHY_PATTERN.test(text)) {
+    intents.push('why');
+    return followUp;
+  }
+
+  const maxPrice = text.match(MAX_PRICE_PATTERN);
+  if (CHEAPER_PATTERN.test(text) || maxPrice) {
+    intents.push('cheaper');
+    if (maxPrice) followUp.maxPrice = parseLocalizedPrice(maxPrice[1], locale)?.amount ?? null;
+  }
+
+  const retailers = findRetailers(text, locale);
+  // A bare retailer name is a restriction too; inside a longer sentence it needs "only" / "at" / ...
+  const wordCount = text.split(/\s+/).length;
+  if (retailers.length > 0 && (RETAILER_PATTERN.test(text) || wordCount <= retailers.length * 3 + 1)) {
+    intents.push('retailer');
+    followUp.retailers = retailers;
+  }
+
+  const { specs, color } = extractSpecs(text);
+  if ((Object.keys(specs).length > 0 || color) && (SPEC_CHANGE_PATTERN.test(text) || intents.length > 0 || isBareSpec(text))) {
+    intents.push('spec');
+    followUp.specs = specs;
+    followUp.color = color;
+  }
+
+  return intents.length > 0 ? followUp : null;
+}
+
+/**
+ * Apply spec / color changes to a search query - the matching spec is replaced, a new one appended
+ * applySpecChanges('Samsung 55 inch TV', { inch: 65 }) → 'Samsung 65 inch TV'
+ */
+function applySpecChanges(query, specs = {}, color = null) {
+  let updated = String(query || '');
+  for (const [unit, value] of Object.entries(specs)) {
+    const pattern = SPEC_UNITS[unit];
+    const match = updated.match(pattern);
+    if (match) {
+      updated = updated.replace(match[0], match[0].replace(match[1], String(value)));
+    } else {
+      updated = `${updated} ${value} ${unit}`;
+    }
+  }
+  if (color) {
+    const current = COLORS.find(name => new RegExp(`\\b${name}\\b`, 'i').test(updated));
+    updated = current
+      ? updated.replace(new RegExp(`\\b${current}\\b`, 'i'), color)
+      : `${updated} ${color}`;
+  }
+  return updated.replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  parseItemMessage,
+  extractSpecs,
+  findRetailers,
+  interpretFollowUp,
+  applySpecChanges
+};
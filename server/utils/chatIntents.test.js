@@ -0,0 +1,91 @@
+/**
+ * Offline tests for reading chat follow-ups in chatIntents.js: interpretFollowUp
+ *
+ * Run with: node server/utils/chatIntents.test.js
+ */
+
+const { interpretFollowUp } = require('./chatIntents');
+const { resolveLocale } = require('./locale');
+
+let failures = 0;
+
+// Simple test framework
+function describe(name, fn) {
+  console.log(`\n📋 ${name}`);
+  fn();
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`  ❌ ${name}`);
+    console.log(`     ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe: (expected) => {
+      if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+      }
+    },
+    toEqual: (expected) => {
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+      }
+    }
+  };
+}
+
+describe('interpretFollowUp', () => {
+  test('should read cheaper requests with and without a cap', () => {
+    expect(interpretFollowUp('find a cheaper one').intents).toEqual(['cheaper']);
+    expect(interpretFollowUp('find a cheaper one').maxPrice).toBe(null);
+    expect(interpretFollowUp('anything under $500?').maxPrice).toBe(500);
+    expect(interpretFollowUp('anything under $1,299.99?').maxPrice).toBe(1299.99);
+  });
+
+  test('should read "cheaper than" and "for less than" caps', () => {
+    expect(interpretFollowUp('cheaper than $300').maxPrice).toBe(300);
+    expect(interpretFollowUp('one for less than 250 dollars').maxPrice).toBe(250);
+  });
+
+  test('should parse caps in other currencies and formats', () => {
+    expect(interpretFollowUp('under £300').maxPrice).toBe(300);
+    expect(interpretFollowUp('under 1.299,00 €').maxPrice).toBe(1299);
+  });
+
+  test('should restrict to named retailers', () => {
+    const followUp = interpretFollowUp("only Home Depot or Lowe's");
+    expect(followUp.intents).toEqual(['retailer']);
+    expect(followUp.retailers).toEqual(['homedepot.com', 'lowes.com']);
+  });
+
+  test('should use the retailers of the given locale', () => {
+    expect(interpretFollowUp('only Canadian Tire', resolveLocale({ country: 'CA' })).retailers).toEqual(['canadiantire.ca']);
+  });
+
+  test('should read spec and color changes', () => {
+    expect(interpretFollowUp('same but 65 inch').specs).toEqual({ inch: 65 });
+    expect(interpretFollowUp('same in black').color).toBe('black');
+  });
+
+  test('should combine follow-ups in one message', () => {
+    expect(interpretFollowUp("cheaper at Lowe's").intents).toEqual(['cheaper', 'retailer']);
+  });
+
+  test('should answer why questions on their own', () => {
+    expect(interpretFollowUp('why did you pick this?').intents).toEqual(['why']);
+  });
+
+  test('should return null for a new item', () => {
+    expect(interpretFollowUp('Samsung 55 inch TV')).toBe(null);
+  });
+});
+
+console.log(failures === 0 ? '\n🎯 All tests completed!' : `\n❌ ${failures} test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,222 @@
+// utils/decisionTrace.js - Why a priced row came out Found or Estimated
+
+/**
+ * A row that comes back "Estimated" used to say nothing about which step gave up. Inside
+ * traceDecisions() the pricing steps note what they tried in a trace carried in AsyncLocalStorage
+ * (the same way utils/locale carries the job's locale): every strategy and its outcome, candidate
+ * counts, the rejection reasons from hardMismatch / validateProductStrict / strict validation, and
+ * the cache hits. Outside traceDecisions() every call here is a no-op.
+ *
+ * Trace (kept on the job row as decisionTrace and in job_items.decision_trace):
+ *   { query, targetPrice, tolerancePct, startedAt, durationMs,
+ *     steps:      [{ strategy, outcome, ms, candidates?, kept?, detail? }],
+ *     rejections: { total, byReason: { outside_tolerance: 4, ... }, examples: [{ reason, detail, title, source }] },
+ *     cache:      { hits: [{ layer, key }], misses, rejected },
+ *     outcome:    { status, source, price, strategy, explanation } }
+ *
+ * Step outcomes: found | hit | miss | rejected | no_results | error | skipped | estimated | downgraded
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const decisionContext = new AsyncLocalStorage();
+
+const MAX_STEPS = 80;
+const MAX_EXAMPLES = 12;
+const MAX_DETAIL = 200;
+
+const clip = (value, length = MAX_DETAIL) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const text = String(value);
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+};
+
+function createTrace(context = {}) {
+  return {
+    query: clip(context.query) || null,
+    targetPrice: Number.isFinite(parseFloat(context.targetPrice)) ? parseFloat(context.targetPrice) : null,
+    tolerancePct: Number.isFinite(parseFloat(context.tolerancePct)) ? parseFloat(context.tolerancePct) : null,
+    startedAt: new Date().toISOString(),
+    started: Date.now(),
+    durationMs: null,
+    steps: [],
+    droppedSteps: 0,
+    rejections: { total: 0, byReason: {}, examples: [] },
+    cache: { hits: [], misses: 0, rejected: 0 },
+    outcome: null
+  };
+}
+
+/**
+ * Run fn while recording its pricing decisions - returns { value: fn's result, trace }.
+ * A nested call joins the trace already running; when fn throws, the error carries the trace
+ * as error.decisionTrace so a crash fallback row can still explain itself.
+ */
+async function traceDecisions(context, fn) {
+  const active = decisionContext.getStore();
+  if (active) return { value: await fn(), trace: active, nested: true };
+
+  const trace = createTrace(context);
+  try {
+    const value = await decisionContext.run(trace, fn);
+    return { value, trace };
+  } catch (error) {
+    if (error && typeof error === 'object') error.decisionTrace = trace;
+    throw error;
+  }
+}
+
+function isTracing() {
+  return !!decisionContext.getStore();
+}
+
+/**
+ * Note one strategy attempt
+ * @param {string} strategy - e.g. 'serpapi', 'direct_retailer', 'google_shopping', 'quick_pricer'
+ * @param {string} outcome - see the outcomes above
+ * @param {Object} details - { candidates, kept, detail }
+ */
+function traceStep(strategy, outcome, details = {}) {
+  const trace = decisionContext.getStore();
+  if (!trace) return;
+  if (trace.steps.length >= MAX_STEPS) {
+    trace.droppedSteps++;
+    return;
+  }
+
+  const step = { strategy, outcome, ms: Date.now() - trace.started };
+  if (Number.isFinite(details.candidates)) step.candidates = details.candidates;
+  if (Number.isFinite(details.kept)) step.kept = details.kept;
+  const detail = clip(details.detail);
+  if (detail) step.detail = detail;
+  trace.steps.push(step);
+}
+
+/**
+ * Note a listing that was turned down. "SKIP(capacity_class_mismatch: compact vs standard)" is
+ * counted as capacity_class_mismatch; other reasons are counted as given ('outside_tolerance', ...).
+ */
+function traceRejection(reason, listing = {}) {
+  const trace = decisionContext.getStore();
+  if (!trace || !reason) return;
+
+  const text = String(reason);
+  const skip = text.match(/^SKIP\(([a-z_]+)(?::\s*([\s\S]*?))?\)?$/i);
+  const code = skip ? skip[1].toLowerCase() : text;
+  const detail = skip ? skip[2] : undefined;
+
+  trace.rejections.total++;
+  trace.rejections.byReason[code] = (trace.rejections.byReason[code] || 0) + 1;
+  if (trace.rejections.examples.length < MAX_EXAMPLES) {
+    trace.rejections.examples.push({
+      reason: code,
+      ...(clip(detail) && { detail: clip(detail) }),
+      ...(clip(listing.title, 120) && { title: clip(listing.title, 120) }),
+      ...(clip(listing.source, 80) && { source: clip(listing.source, 80) })
+    });
+  }
+}
+
+/**
+ * Note a cache lookup
+ * @param {string} layer - 'memory' | 'redis'
+ * @param {string} outcome - 'hit' | 'miss' | 'rejected' (cached price outside the tolerance band)
+ */
+function traceCache(layer, outcome, key) {
+  const trace = decisionContext.getStore();
+  if (!trace) return;
+  if (outcome === 'hit') trace.cache.hits.push({ layer, ...(clip(key, 120) && { key: clip(key, 120) }) });
+  else if (outcome === 'rejected') trace.cache.rejected++;
+  else trace.cache.misses++;
+  traceStep(`cache_${layer}`, outcome, { detail: key });
+}
+
+const isFoundStatus = (status) => /^(found|verified|exact)/i.test(String(status || ''));
+
+// One sentence on why the row ended where it did, built from the recorded steps
+function explainTrace(trace, status) {
+  const steps = trace.steps;
+  const winner = [...steps].reverse().find(step => step.outcome === 'found' || step.outcome === 'hit');
+
+  if (isFoundStatus(status)) {
+    if (!winner) return 'Found';
+    return winner.outcome === 'hit' ? `Found in the ${winner.strategy.replace('cache_', '')} cache` : `Found by ${winner.strategy}`;
+  }
+
+  const reasons = [];
+  steps.filter(step => step.outcome === 'skipped' && step.detail)
+    .forEach(step => reasons.push(`${step.strategy} skipped (${step.detail})`));
+  steps.filter(step => step.outcome === 'error')
+    .forEach(step => reasons.push(`${step.strategy} failed${step.detail ? ` (${step.detail})` : ''}`));
+
+  // Steps that settled for an estimate along the way (the last one is the row's own result)
+  const estimates = steps.filter(step => step.outcome === 'estimated' && step.detail);
+  estimates.slice(0, -1).forEach(step => reasons.push(`${step.strategy}: ${step.detail}`));
+
+  const empty = [...new Set(steps.filter(step => step.outcome === 'no_results').map(step => step.strategy))];
+  if (empty.length > 0) reasons.push(`no results from ${empty.join(', ')}`);
+
+  const { total, byReason } = trace.rejections;
+  if (total > 0) {
+    const top = Object.entries(byReason)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([reason, count]) => `${count} ${reason.replace(/_/g, ' ')}`);
+    reasons.push(`${total} listing${total === 1 ? '' : 's'} rejected (${top.join(', ')})`);
+  }
+
+  steps.filter(step => (step.outcome === 'rejected' || step.outcome === 'downgraded') && step.detail)
+    .slice(-2)
+    .forEach(step => reasons.push(`${step.strategy}: ${step.detail}`));
+
+  if (trace.cache.rejected > 0) reasons.push('cached price outside the tolerance band');
+
+  return reasons.length > 0
+    ? `Estimated - ${[...new Set(reasons)].join('; ')}`
+    : 'Estimated - no step found a verified listing';
+}
+
+/**
+ * Close a trace with the row's final pick and return a plain copy to store
+ * @param {Object} pick - { status, source, price, url } of the finished row
+ * @param {Array} lastSteps - steps decided after the traced call returned (the row's own status
+ *   downgrade, a crash) - { strategy, outcome, detail }
+ */
+function finishTrace(trace, pick = {}, lastSteps = []) {
+  if (!trace) return null;
+  for (const step of lastSteps) {
+    trace.steps.push({ strategy: step.strategy, outcome: step.outcome, ms: Date.now() - trace.started, ...(clip(step.detail) && { detail: clip(step.detail) }) });
+  }
+  // The step that produced the row: the last find for a Found row, the last estimate otherwise
+  const settled = isFoundStatus(pick.status) ? ['found', 'hit'] : ['estimated'];
+  const winner = [...trace.steps].reverse().find(step => settled.includes(step.outcome));
+  const { started, ...rest } = trace;
+  return {
+    ...rest,
+    durationMs: Date.now() - started,
+    steps: trace.steps.map(step => ({ ...step })),
+    rejections: {
+      total: trace.rejections.total,
+      byReason: { ...trace.rejections.byReason },
+      examples: trace.rejections.examples.map(example => ({ ...example }))
+    },
+    cache: { ...trace.cache, hits: trace.cache.hits.map(hit => ({ ...hit })) },
+    outcome: {
+      status: pick.status || null,
+      source: pick.source || null,
+      price: Number.isFinite(parseFloat(pick.price)) ? parseFloat(pick.price) : null,
+      url: pick.url || null,
+      strategy: winner ? winner.strategy : null,
+      explanation: explainTrace(trace, pick.status)
+    }
+  };
+}
+
+module.exports = {
+  traceDecisions,
+  isTracing,
+  traceStep,
+  traceRejection,
+  traceCache,
+  finishTrace
+};
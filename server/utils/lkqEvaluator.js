@@ -0,0 +1,220 @@
+// utils/lkqEvaluator.js - Evaluate a substitute product against the carrier LKQ rules
+
+/**
+ * The pricer's alternative search finds "similar" products; this decides whether a carrier would
+ * accept one as like kind and quality. Rules are declared per category in config/lkqRules and run
+ * against parseProductAttributes() output for the claimed item and the substitute. Every
+ * evaluation carries a written justification for the export's notes column.
+ */
+
+const { LKQ_RULES, BRAND_TIERS, BRAND_TIER_RANK, MATERIAL_CLASSES } = require('../config/lkqRules');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const wordPattern = (term) => new RegExp(`(^|[^a-z0-9])${escapeRegex(term)}(?![a-z0-9])`, 'i');
+
+// Longest terms first so "stainless steel" wins over "steel" and "black+decker" over "black"
+const MATERIAL_TERMS = Object.entries(MATERIAL_CLASSES)
+  .flatMap(([materialClass, terms]) => terms.map(term => ({ term, materialClass, pattern: wordPattern(term) })))
+  .sort((a, b) => b.term.length - a.term.length);
+
+const BRAND_TERMS = Object.entries(BRAND_TIERS)
+  .flatMap(([tier, brands]) => brands.map(brand => ({ brand, tier, pattern: wordPattern(brand) })))
+  .sort((a, b) => b.brand.length - a.brand.length);
+
+// Capacity units and their size in liters, so 4.5 qt and 1.2 gal compare directly
+const CAPACITY_UNITS = [
+  { unit: 'cu ft', liters: 28.3168, pattern: /(\d+(?:\.\d+)?)\s*(?:cu\.?\s*ft\.?|cuft|cubic\s*f(?:ee|oo)t)/i },
+  { unit: 'gal', liters: 3.78541, pattern: /(\d+(?:\.\d+)?)\s*(?:-\s*)?(?:gallons?|gal\.?)(?![a-z])/i },
+  { unit: 'qt', liters: 0.946353, pattern: /(\d+(?:\.\d+)?)\s*(?:-\s*)?(?:quarts?|qt\.?)(?![a-z])/i },
+  { unit: 'L', liters: 1, pattern: /(\d+(?:\.\d+)?)\s*(?:-\s*)?(?:liters?|litres?|l)(?![a-z])/i },
+  { unit: 'cup', liters: 0.236588, pattern: /(\d+(?:\.\d+)?)\s*(?:-\s*)?cups?(?![a-z])/i },
+  { unit: 'fl oz', liters: 0.0295735, pattern: /(\d+(?:\.\d+)?)\s*(?:fl\.?\s*oz|fluid\s*ounces?)/i }
+];
+
+const SCREEN_SIZE = /(\d{2,3}(?:\.\d)?)\s*(?:"|''|-?\s*inch(?:es)?(?![a-z])|-?\s*in\.?(?![a-z])|-?\s*class)/i;
+
+function detectMaterial(text) {
+  const match = MATERIAL_TERMS.find(({ pattern }) => pattern.test(String(text || '')));
+  return match ? match.term : null;
+}
+
+function materialClassOf(material) {
+  if (!material) return null;
+  const match = MATERIAL_TERMS.find(({ term }) => term === String(material).toLowerCase());
+  return match ? match.materialClass : null;
+}
+
+function detectKnownBrand(text) {
+  const match = BRAND_TERMS.find(({ pattern }) => pattern.test(String(text || '')));
+  return match ? match.brand : null;
+}
+
+function brandTierOf(brand) {
+  if (!brand) return null;
+  const match = BRAND_TERMS.find(entry => entry.brand === String(brand).toLowerCase());
+  return match ? match.tier : null;
+}
+
+/**
+ * First capacity stated in the text
+ * @returns {Object|null} { value, unit, liters }
+ */
+function parseCapacityMeasure(text) {
+  for (const { unit, liters, pattern } of CAPACITY_UNITS) {
+    const match = String(text || '').match(pattern);
+    if (match) {
+      const value = parseFloat(match[1]);
+      if (value > 0) return { value, unit, liters: value * liters };
+    }
+  }
+  return null;
+}
+
+function parseScreenSize(text) {
+  const match = String(text || '').match(SCREEN_SIZE);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Pick the LKQ category for an item - explicit keyword hits first, then the query analysis category
+ * @param {string} text - claimed item description
+ * @param {string} [hint] - analyzeQueryForExactSearch() category
+ */
+function resolveLkqCategory(text, hint = null) {
+  const lowerText = String(text || '').toLowerCase();
+  for (const [key, category] of Object.entries(LKQ_RULES)) {
+    if (category.keywords.some(keyword => wordPattern(keyword).test(lowerText))) return key;
+  }
+  return hint && LKQ_RULES[hint] ? hint : 'default';
+}
+
+const formatMeasure = (measure) => `${Number(measure.value.toFixed(2))} ${measure.unit}`;
+const formatMoney = (value) => `$${Number(value).toFixed(2)}`;
+// "lg" -> "LG", "hamilton beach" -> "Hamilton Beach"
+const brandLabel = (value) => (String(value).length <= 3
+  ? String(value).toUpperCase()
+  : String(value).replace(/(^|[\s-])([a-z])/g, (m, sep, ch) => sep + ch.toUpperCase()));
+
+// A rule the claimed item says nothing about does not apply; one the listing is silent on is
+// unverified (or failed when the rule is required)
+function missing(rule, label, original, substitute) {
+  if (original === null || original === undefined) return { status: 'n/a', detail: `${label} not stated for the claimed item` };
+  if (substitute === null || substitute === undefined) {
+    return rule.required
+      ? { status: 'fail', detail: `${label} not stated on the listing (required)` }
+      : { status: 'unverified', detail: `${label} not stated on the listing` };
+  }
+  return null;
+}
+
+const CHECKS = {
+  capacity(rule, original, substitute) {
+    const from = original.capacityMeasure;
+    const to = substitute.capacityMeasure;
+    const gap = missing(rule, 'capacity', from, to);
+    if (gap) return gap;
+    const minRatio = rule.minRatio || 1;
+    // Half a percent of slack keeps unit conversions (1 gal vs 4 qt) from failing on rounding
+    return to.liters >= from.liters * minRatio * 0.995
+      ? { status: 'pass', detail: `capacity ${formatMeasure(to)} is at least ${formatMeasure(from)}` }
+      : { status: 'fail', detail: `capacity ${formatMeasure(to)} is below ${formatMeasure(from)}` };
+  },
+
+  screenSize(rule, original, substitute) {
+    const gap = missing(rule, 'screen size', original.screenSize, substitute.screenSize);
+    if (gap) return gap;
+    const minRatio = rule.minRatio || 1;
+    return substitute.screenSize >= original.screenSize * minRatio
+      ? { status: 'pass', detail: `${substitute.screenSize}" screen is at least ${original.screenSize}"` }
+      : { status: 'fail', detail: `${substitute.screenSize}" screen is smaller than ${original.screenSize}"` };
+  },
+
+  materialClass(rule, original, substitute) {
+    const from = materialClassOf(original.material);
+    const to = materialClassOf(substitute.material);
+    const gap = missing(rule, 'material', from, to);
+    if (gap) return gap;
+    const label = from.replace(/_/g, ' ');
+    if (original.material === substitute.material) return { status: 'pass', detail: `same material (${original.material})` };
+    return from === to
+      ? { status: 'pass', detail: `${substitute.material} is the same material class as ${original.material} (${label})` }
+      : { status: 'fail', detail: `${substitute.material} (${to.replace(/_/g, ' ')}) is not the same material class as ${original.material} (${label})` };
+  },
+
+  type(rule, original, substitute) {
+    const gap = missing(rule, 'configuration', original.type, substitute.type);
+    if (gap) return gap;
+    const label = (value) => value.replace(/_/g, ' ');
+    return original.type === substitute.type
+      ? { status: 'pass', detail: `same configuration (${label(original.type)})` }
+      : { status: 'fail', detail: `${label(substitute.type)} is a different configuration from ${label(original.type)}` };
+  },
+
+  brandTier(rule, original, substitute) {
+    const from = brandTierOf(original.brand);
+    const to = brandTierOf(substitute.brand);
+    const gap = missing(rule, 'brand tier', from, to);
+    if (gap) return gap;
+    const describe = (attrs, tier) => `${brandLabel(attrs.brand)} (${tier} tier)`;
+    if (original.brand === substitute.brand) return { status: 'pass', detail: `same brand (${brandLabel(original.brand)})` };
+    return BRAND_TIER_RANK[to] >= BRAND_TIER_RANK[from]
+      ? { status: 'pass', detail: `${describe(substitute, to)} is no downgrade from ${describe(original, from)}` }
+      : { status: 'fail', detail: `${describe(substitute, to)} is a downgrade from ${describe(original, from)}` };
+  },
+
+  price(rule, original, substitute, context) {
+    const { originalPrice, substitutePrice } = context;
+    if (!(originalPrice > 0)) return { status: 'n/a', detail: 'no claimed price to compare' };
+    if (!(substitutePrice > 0)) return { status: 'fail', detail: 'substitute has no price' };
+    const diffPct = Math.abs(substitutePrice - originalPrice) / originalPrice * 100;
+    return diffPct <= rule.pct
+      ? { status: 'pass', detail: `price ${formatMoney(substitutePrice)} is within ${rule.pct}% of ${formatMoney(originalPrice)}` }
+      : { status: 'fail', detail: `price ${formatMoney(substitutePrice)} is ${Math.round(diffPct)}% from ${formatMoney(originalPrice)} (limit ${rule.pct}%)` };
+  }
+};
+
+/**
+ * Run the category's LKQ rules for one substitute
+ * @param {Object} original - parseProductAttributes() of the claimed item
+ * @param {Object} substitute - parseProductAttributes() of the substitute listing
+ * @param {Object} context - { category, originalPrice, substitutePrice }
+ * @returns {Object} { category, label, passed, checks: [{ check, status, detail }], justification }
+ */
+function evaluateLkq(original = {}, substitute = {}, context = {}) {
+  const category = LKQ_RULES[context.category] ? context.category : 'default';
+  const ruleSet = LKQ_RULES[category];
+
+  const checks = ruleSet.rules.map(rule => {
+    const run = CHECKS[rule.check];
+    if (!run) return { check: rule.check, status: 'n/a', detail: `unknown rule "${rule.check}"` };
+    return { check: rule.check, ...run(rule, original, substitute, context) };
+  });
+
+  const failed = checks.filter(check => check.status === 'fail');
+  const passed = failed.length === 0;
+  const applied = checks.filter(check => check.status === 'pass');
+  const unverified = checks.filter(check => check.status === 'unverified');
+
+  let justification;
+  if (passed) {
+    justification = `LKQ substitute (${ruleSet.label}): ${applied.length ? applied.map(check => check.detail).join('; ') : 'no category rule applied'}.`;
+    if (unverified.length) {
+      justification += ` Not verified: ${unverified.map(check => check.detail).join('; ')}.`;
+    }
+  } else {
+    justification = `Not LKQ (${ruleSet.label}): ${failed.map(check => check.detail).join('; ')}.`;
+  }
+
+  return { category, label: ruleSet.label, passed, checks, justification };
+}
+
+module.exports = {
+  evaluateLkq,
+  resolveLkqCategory,
+  detectMaterial,
+  materialClassOf,
+  detectKnownBrand,
+  brandTierOf,
+  parseCapacityMeasure,
+  parseScreenSize
+};
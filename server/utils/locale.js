@@ -0,0 +1,231 @@
+// utils/locale.js - Per-job country / currency / language for searching and reading prices
+
+/**
+ * A job is priced in one locale (config/locales): SerpAPI searches that country's Google
+ * storefront, prices are read in its currency and retailers from other countries are not
+ * trusted. The locale is carried in AsyncLocalStorage (runWithLocale / getActiveLocale), the same
+ * way OrgStore carries the org, so the pricer's SerpAPI calls and price parsers pick it up
+ * without threading it through every call. Outside a job the US default applies, and the US
+ * default leaves SerpAPI requests exactly as they were (fixtures and caches keep their keys).
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { DEFAULT_COUNTRY, LOCALES, CURRENCY_MARKERS, DOLLAR_CURRENCIES, CURRENCY_FORMATS } = require('../config/locales');
+const { parsePriceValue } = require('./productPageExtractor');
+
+const localeContext = new AsyncLocalStorage();
+
+// Query params that pin a SerpAPI request to a storefront; replaced together for other locales
+const SERP_LOCALE_PARAMS = ['gl', 'hl', 'google_domain', 'location'];
+
+class LocaleError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'LocaleError';
+    this.statusCode = statusCode;
+  }
+}
+
+function buildLocale(country, overrides = {}) {
+  const entry = LOCALES[country];
+  return {
+    country,
+    name: entry.name,
+    currency: overrides.currency || entry.currency,
+    language: overrides.language || entry.language,
+    googleDomain: entry.googleDomain
+  };
+}
+
+const DEFAULT_LOCALE = Object.freeze(buildLocale(DEFAULT_COUNTRY));
+
+/**
+ * Normalize a requested locale - "CA", "en-GB", "fr_CA" or { country, currency, language }
+ * Missing parts come from the country's defaults; nothing at all is the US default.
+ * @returns {Object} { country, name, currency, language, googleDomain }
+ * @throws {LocaleError} for an unknown country, currency or a malformed language
+ */
+function resolveLocale(input) {
+  if (input === null || input === undefined || input === '') return { ...DEFAULT_LOCALE };
+
+  let country = null;
+  let language = null;
+  let currency = null;
+  if (typeof input === 'object') {
+    country = input.country ? String(input.country).trim() : null;
+    language = input.language ? String(input.language).trim() : null;
+    currency = input.currency ? String(input.currency).trim() : null;
+  } else {
+    const parts = String(input).trim().split(/[-_\s]+/);
+    if (parts.length > 1) {
+      [language, country] = parts;
+    } else {
+      country = parts[0];
+    }
+  }
+
+  country = (country || DEFAULT_COUNTRY).toUpperCase();
+  // "UK" is what people type; ISO (and Google's gl) say GB
+  if (country === 'UK') country = 'GB';
+  if (!LOCALES[country]) {
+    throw new LocaleError(`Unsupported country "${country}" (expected one of ${Object.keys(LOCALES).join(', ')})`);
+  }
+  if (currency) {
+    currency = currency.toUpperCase();
+    if (!CURRENCY_FORMATS[currency]) {
+      throw new LocaleError(`Unsupported currency "${currency}" (expected one of ${Object.keys(CURRENCY_FORMATS).join(', ')})`);
+    }
+  }
+  if (language) {
+    language = language.toLowerCase();
+    if (!/^[a-z]{2}$/.test(language)) {
+      throw new LocaleError(`Invalid language "${language}" (expected a two-letter code such as en or fr)`);
+    }
+  }
+
+  return buildLocale(country, { currency, language });
+}
+
+/**
+ * Run fn with a job's locale active (see getActiveLocale)
+ */
+function runWithLocale(locale, fn) {
+  return localeContext.run(locale || null, fn);
+}
+
+/**
+ * Locale the current job runs in (see runWithLocale), or the US default
+ */
+function getActiveLocale() {
+  return localeContext.getStore() || DEFAULT_LOCALE;
+}
+
+function isDefaultLocale(locale) {
+  return !locale || (locale.country === DEFAULT_LOCALE.country && locale.language === DEFAULT_LOCALE.language);
+}
+
+/**
+ * gl / hl / google_domain for a locale
+ */
+function serpLocaleParams(locale = getActiveLocale()) {
+  return {
+    gl: locale.country.toLowerCase(),
+    hl: locale.language,
+    google_domain: locale.googleDomain
+  };
+}
+
+/**
+ * Point a SerpAPI request (axios config) at the locale's storefront
+ * Storefront params in the URL or in config.params are replaced; the default locale returns the
+ * config untouched so existing fixture keys keep matching.
+ */
+function localizeSerpRequest(config = {}, locale = getActiveLocale()) {
+  if (isDefaultLocale(locale)) return config;
+
+  let url = config.url;
+  try {
+    const parsed = new URL(url);
+    SERP_LOCALE_PARAMS.forEach(name => parsed.searchParams.delete(name));
+    url = parsed.toString();
+  } catch (_e) {
+    // Relative or malformed URL - params below still carry the locale
+  }
+  const params = { ...(config.params || {}) };
+  SERP_LOCALE_PARAMS.forEach(name => delete params[name]);
+
+  return { ...config, url, params: { ...params, ...serpLocaleParams(locale) } };
+}
+
+/**
+ * Cache key scoped to the locale - a US price must never answer a Canadian claim
+ */
+function localeCacheKey(key, locale = getActiveLocale()) {
+  if (!key || isDefaultLocale(locale)) return key;
+  return `${key}|${locale.country.toLowerCase()}-${locale.language}`;
+}
+
+/**
+ * Currency a price string is written in - "CA$12.99" → CAD, "12,99 €" → EUR, "$5" → the
+ * locale's own dollar (USD outside dollar countries); null when the text names none
+ */
+function currencyFromText(text, locale = getActiveLocale()) {
+  const value = String(text || '');
+  const code = value.match(/\b(USD|CAD|AUD|GBP|EUR)\b/i);
+  if (code) return code[1].toUpperCase();
+  const marked = CURRENCY_MARKERS.find(({ marker }) => value.includes(marker));
+  if (marked) return marked.currency;
+  if (value.includes('$')) return DOLLAR_CURRENCIES.includes(locale.currency) ? locale.currency : 'USD';
+  return null;
+}
+
+/**
+ * Read a listing or page price in any of the supported formats
+ * "$1,299.99", "CA$1,299.99", "£1,049", "1.299,00 €", "1 299,00 €", 1299
+ * @returns {Object|null} { amount, currency } - currency defaults to the locale's
+ */
+function parseLocalizedPrice(value, locale = getActiveLocale()) {
+  const amount = parsePriceValue(value);
+  if (amount === null) return null;
+  const currency = typeof value === 'number' ? null : currencyFromText(value, locale);
+  return { amount, currency: currency || locale.currency };
+}
+
+function domainsIn(value) {
+  return String(value || '').toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .match(/[a-z0-9-]+(?:\.[a-z0-9-]+)+/g) || [];
+}
+
+const onDomain = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+/**
+ * Local retailer domain for a SerpAPI source name or URL ("Canadian Tire" → canadiantire.ca), or null
+ */
+function localRetailerDomain(domainOrSource, locale = getActiveLocale()) {
+  if (!domainOrSource) return null;
+  const retailers = LOCALES[locale.country].retailers;
+  const hosts = domainsIn(domainOrSource);
+  const byDomain = Object.keys(retailers).find(domain => hosts.some(host => onDomain(host, domain)));
+  if (byDomain) return byDomain;
+  const name = String(domainOrSource).trim().toLowerCase();
+  return Object.keys(retailers).find(domain => retailers[domain].some(alias => alias.toLowerCase() === name)) || null;
+}
+
+/**
+ * Trust verdict from the job's country: 'trusted' for a local retailer, 'untrusted' for a
+ * retailer domain that belongs to another country, otherwise null (the global rules apply)
+ */
+function getLocaleSiteVerdict(domainOrSource, locale = getActiveLocale()) {
+  if (!domainOrSource) return null;
+  if (localRetailerDomain(domainOrSource, locale)) return 'trusted';
+  const hosts = domainsIn(domainOrSource);
+  if (hosts.length === 0) return null;
+  const foreign = Object.entries(LOCALES)
+    .filter(([country]) => country !== locale.country)
+    .some(([, entry]) => Object.keys(entry.retailers).some(domain => hosts.some(host => onDomain(host, domain))));
+  return foreign ? 'untrusted' : null;
+}
+
+/**
+ * Excel number format for money in a currency
+ */
+function currencyNumFmt(currency) {
+  return CURRENCY_FORMATS[currency] || CURRENCY_FORMATS[DEFAULT_LOCALE.currency];
+}
+
+module.exports = {
+  resolveLocale,
+  runWithLocale,
+  getActiveLocale,
+  serpLocaleParams,
+  localizeSerpRequest,
+  localeCacheKey,
+  currencyFromText,
+  parseLocalizedPrice,
+  localRetailerDomain,
+  getLocaleSiteVerdict,
+  currencyNumFmt,
+  LocaleError
+};
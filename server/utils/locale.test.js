@@ -0,0 +1,77 @@
+/**
+ * Offline tests for parseLocalizedPrice in locale.js - price formats and currencies per locale
+ *
+ * Run with: node server/utils/locale.test.js
+ */
+
+const { parseLocalizedPrice, resolveLocale } = require('./locale');
+
+let failures = 0;
+
+// Simple test framework
+function describe(name, fn) {
+  console.log(`\n📋 ${name}`);
+  fn();
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`  ❌ ${name}`);
+    console.log(`     ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe: (expected) => {
+      if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+      }
+    },
+    toEqual: (expected) => {
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+      }
+    }
+  };
+}
+
+describe('parseLocalizedPrice', () => {
+  test('should parse US formatted prices in the default locale', () => {
+    expect(parseLocalizedPrice('$1,299.99')).toEqual({ amount: 1299.99, currency: 'USD' });
+    expect(parseLocalizedPrice(1299)).toEqual({ amount: 1299, currency: 'USD' });
+  });
+
+  test('should read decimal commas and thousands separators', () => {
+    expect(parseLocalizedPrice('1.299,00 €')).toEqual({ amount: 1299, currency: 'EUR' });
+    expect(parseLocalizedPrice('1 299,00 €')).toEqual({ amount: 1299, currency: 'EUR' });
+    expect(parseLocalizedPrice('12,50').amount).toBe(12.5);
+  });
+
+  test('should take the currency from a marker or code', () => {
+    expect(parseLocalizedPrice('CA$1,299.99').currency).toBe('CAD');
+    expect(parseLocalizedPrice('£1,049')).toEqual({ amount: 1049, currency: 'GBP' });
+    expect(parseLocalizedPrice('49.99 AUD').currency).toBe('AUD');
+  });
+
+  test('should read a bare dollar sign as the locale\'s own dollar', () => {
+    expect(parseLocalizedPrice('$5', resolveLocale({ country: 'CA' })).currency).toBe('CAD');
+    expect(parseLocalizedPrice('$5', resolveLocale({ country: 'GB' })).currency).toBe('USD');
+  });
+
+  test('should default to the locale currency when none is written', () => {
+    expect(parseLocalizedPrice('15', resolveLocale({ country: 'DE' })).currency).toBe('EUR');
+  });
+
+  test('should return null for text without a price', () => {
+    expect(parseLocalizedPrice('abc')).toBe(null);
+    expect(parseLocalizedPrice('')).toBe(null);
+  });
+});
+
+console.log(failures === 0 ? '\n🎯 All tests completed!' : `\n❌ ${failures} test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
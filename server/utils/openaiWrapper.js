@@ -10,6 +10,7 @@ const {
   getFallbackChain,
   ERROR_TYPES 
 } = require('../config/modelCapabilities');
+const { getUsageMeter } = require('../services/UsageMeter');
 
 // Initialize OpenAI client
 const openai = new OpenAI({
@@ -20,6 +21,9 @@ const openai = new OpenAI({
  * Chat completion with automatic fallback and parameter sanitization
  */
 async function chatWithFallback({ model, messages, ...opts }) {
+  // Over-budget users get BudgetExceededError so callers use their non-AI fallback
+  await getUsageMeter().assertWithinBudget();
+
   let currentModel = model;
   let tried = [];
   let params = { model: currentModel, messages, ...opts };
@@ -43,6 +47,7 @@ async function chatWithFallback({ model, messages, ...opts }) {
       }
       
       const response = await openai.chat.completions.create(payload);
+      const usage = getUsageMeter().recordOpenAI(response);
       
       // Success! Log the final result
       console.log(`✅ Success with ${currentModel} (attempt ${attempt + 1})`);
@@ -55,7 +60,8 @@ async function chatWithFallback({ model, messages, ...opts }) {
         response,
         attempt: attempt + 1,
         strippedParams,
-        fallbackUsed: attempt > 0
+        fallbackUsed: attempt > 0,
+        usage
       };
       
     } catch (err) {
@@ -127,8 +133,11 @@ async function visionWithFallback({ model, messages, ...opts }) {
  */
 async function simpleChat({ model, messages, ...opts }) {
   try {
+    await getUsageMeter().assertWithinBudget();
     const payload = sanitizeParams(model, { model, messages, ...opts });
-    return await openai.chat.completions.create(payload);
+    const response = await openai.chat.completions.create(payload);
+    getUsageMeter().recordOpenAI(response);
+    return response;
   } catch (err) {
     console.error('❌ Simple chat failed:', err.message);
     throw err;
@@ -38,8 +38,9 @@ class ProductAvailabilityValidator {
     try {
       console.log(`🔍 AVAILABILITY CHECK: Validating "${product.title || product.Title}"`);
       
-      // Check 1: URL validation
-      if (!product.url || !product.URL) {
+      // Check 1: URL validation (either casing - the pricer passes url, pricing rows carry URL)
+      const url = product.url || product.URL;
+      if (!url) {
         console.log(`❌ AVAILABILITY REJECTION: No URL provided`);
         return {
           isAvailable: false,
@@ -47,8 +48,6 @@ class ProductAvailabilityValidator {
           shouldFallback: true
         };
       }
-
-      const url = product.url || product.URL;
       
       // Check 2: URL format validation
       if (!this.isValidProductUrl(url)) {
@@ -0,0 +1,203 @@
+// utils/productIdentifiers.js - UPC/EAN/GTIN, ASIN and model-number detection and matching
+
+/**
+ * Contents lists often carry an exact identifier next to (or inside) the description - a UPC
+ * off the box, an Amazon ASIN from an order history, or a model number in the "Brand or Model#"
+ * column. These helpers find them and check whether a shopping listing or a fetched product page
+ * (see productPageExtractor) really is that item, so the pricer can take its identifier path.
+ */
+
+const IDENTIFIER_TYPES = ['upc', 'ean', 'gtin', 'asin', 'mpn'];
+
+const IDENTIFIER_LABELS = {
+  upc: 'UPC',
+  ean: 'EAN',
+  gtin: 'GTIN',
+  asin: 'ASIN',
+  mpn: 'Model #'
+};
+
+// Search priority: barcodes are globally unique, ASINs unique on Amazon, model numbers per brand
+const TYPE_PRIORITY = { upc: 0, ean: 0, gtin: 0, asin: 1, mpn: 2 };
+
+// Tokens that mix letters and digits but describe a size, capacity or spec rather than a model
+const SPEC_TOKEN = /^(\d+(\.\d+)?(qt|quart|in|inch|ft|oz|lb|lbs|v|w|mah|ah|gb|tb|mb|mm|cm|m|pk|pc|pcs|ct|k|p|hz|ghz|mhz|cu|gal|l|ml|btu|mp|ply|pack|count|piece|gauge|g|kg|yr|yrs|th|st|nd|rd)|\d+x\d+(x\d+)?|x\d+|\d+x)$/i;
+
+const LABELED_BARCODE = /\b(upc|ean|gtin|isbn)(?:[\s-]*(?:code|#|no\.?|number))?\s*[:#]?\s*(\d[\d\s-]{6,20}\d)/gi;
+const LABELED_ASIN = /\basin\s*[:#]?\s*([a-z0-9]{10})\b/gi;
+const LABELED_MODEL = /\b(?:model|mod|mpn|part|p\/n|item|sku|style)(?:\s*(?:#|no\.?|number|num))?\s*[:#]?\s*([a-z0-9][a-z0-9\-\/.]{2,24})/gi;
+const BARE_ASIN = /\bB0[A-Z0-9]{8}\b/g;
+const BARE_BARCODE = /(?<![\d-])\d{12,14}(?![\d-])/g;
+
+/**
+ * GS1 mod-10 check digit (UPC-A, EAN-8/13, GTIN-14)
+ */
+function isValidGtin(value) {
+  const digits = String(value || '');
+  if (!/^\d+$/.test(digits) || ![8, 12, 13, 14].includes(digits.length)) return false;
+  let sum = 0;
+  for (let i = digits.length - 2, weight = 3; i >= 0; i--, weight = weight === 3 ? 1 : 3) {
+    sum += Number(digits[i]) * weight;
+  }
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+// UPC-A 012345678905 == EAN-13 0012345678905 == GTIN-14 00012345678905
+function gtinKey(value) {
+  return String(value || '').replace(/\D/g, '').padStart(14, '0');
+}
+
+function barcodeType(digits) {
+  if (digits.length === 12) return 'upc';
+  if (digits.length === 13) return 'ean';
+  return 'gtin';
+}
+
+// Model numbers compare without case, spaces, dashes, dots or slashes ("HD-7000" == "hd7000")
+function compactModel(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Labeled values ("Model # 2252") may be all digits; bare tokens need letters and digits
+function looksLikeModel(token, { strict = false, labeled = false } = {}) {
+  const compact = compactModel(token);
+  if (compact.length < (strict ? 5 : 4) || compact.length > 24) return false;
+  if (!/\d/.test(compact) || (!labeled && !/[A-Z]/.test(compact))) return false;
+  if (strict && (compact.match(/\d/g) || []).length < 2) return false;
+  return !SPEC_TOKEN.test(String(token).replace(/[-.]/g, ''));
+}
+
+function normalizedValue(type, value) {
+  if (type === 'mpn') return compactModel(value);
+  if (type === 'asin') return String(value).toUpperCase();
+  return String(value).replace(/\D/g, '');
+}
+
+/**
+ * Find identifiers in a row
+ * @param {Object} fields - { description, brand, model } (any may be empty; "No Brand" is ignored)
+ * @returns {Array<Object>} [{ type, value, normalized, source, labeled }] - barcodes first, then ASINs, then model numbers
+ */
+function detectIdentifiers(fields = {}) {
+  const found = new Map();
+  const add = (type, value, source, labeled) => {
+    const normalized = normalizedValue(type, value);
+    if (!normalized) return;
+    const key = `${type === 'mpn' || type === 'asin' ? type : 'gtin'}:${type === 'mpn' || type === 'asin' ? normalized : gtinKey(normalized)}`;
+    if (!found.has(key)) {
+      found.set(key, { type, value: String(value).trim(), normalized, source, labeled });
+    }
+  };
+
+  for (const source of ['model', 'brand', 'description']) {
+    const text = String(fields[source] || '').trim();
+    if (!text || /^no\s*brand$/i.test(text) || /^n\/?a$/i.test(text)) continue;
+
+    // Values quoted as "UPC: ..." / "ASIN ..." / "Model # ..."
+    for (const match of text.matchAll(LABELED_BARCODE)) {
+      const digits = match[2].replace(/\D/g, '');
+      if (isValidGtin(digits)) add(barcodeType(digits), digits, source, true);
+    }
+    for (const match of text.matchAll(LABELED_ASIN)) {
+      if (/\d/.test(match[1])) add('asin', match[1], source, true);
+    }
+    for (const match of text.matchAll(LABELED_MODEL)) {
+      const token = match[1].replace(/[.\-/]+$/, '');
+      if (looksLikeModel(token, { labeled: true }) && !/^B0[A-Z0-9]{8}$/i.test(token)) add('mpn', token, source, true);
+    }
+
+    // Bare values - barcodes must pass the check digit, ASINs must look like Amazon's B0 series
+    for (const match of text.matchAll(BARE_BARCODE)) {
+      if (isValidGtin(match[0])) add(barcodeType(match[0]), match[0], source, false);
+    }
+    for (const match of text.matchAll(BARE_ASIN)) {
+      add('asin', match[0], source, false);
+    }
+
+    // The brand/model columns hold little else, so any letter+digit token there is a model number;
+    // descriptions need a longer token with at least two digits
+    const strict = source === 'description';
+    for (const token of text.split(/[\s,;()[\]{}"'|]+/)) {
+      const cleaned = token.replace(/^[#:]+|[.\-/:]+$/g, '');
+      if (!cleaned || /^B0[A-Z0-9]{8}$/.test(cleaned) || /^\d+$/.test(cleaned)) continue;
+      if (looksLikeModel(cleaned, { strict })) add('mpn', cleaned, source, false);
+    }
+  }
+
+  return [...found.values()].sort((a, b) =>
+    TYPE_PRIORITY[a.type] - TYPE_PRIORITY[b.type] || Number(b.labeled) - Number(a.labeled)
+  );
+}
+
+/**
+ * Shopping query for an identifier - model numbers keep the brand so short models stay specific
+ */
+function identifierQuery(identifier, brand = '') {
+  if (identifier.type === 'mpn') {
+    // "Brand or Model#" cells often hold both ("KitchenAid KSM150PSER") - keep only the brand words
+    const brandText = String(brand || '')
+      .split(/\s+/)
+      .filter(word => word && compactModel(word) !== identifier.normalized)
+      .join(' ');
+    const useBrand = brandText && !/^no\s*brand$/i.test(brandText);
+    return useBrand ? `${brandText} ${identifier.value}` : identifier.value;
+  }
+  return identifier.normalized;
+}
+
+function textTokens(text) {
+  return String(text || '').split(/[\s,;()[\]{}"'|:]+/).map(compactModel).filter(Boolean);
+}
+
+/**
+ * Does a shopping listing name the identifier (title, snippet, extensions or URL)?
+ * @param {Object} listing - SerpAPI shopping result
+ * @param {Object} identifier - detectIdentifiers() entry
+ */
+function listingMatchesIdentifier(listing, identifier) {
+  if (!listing || !identifier) return false;
+  const urls = [listing.direct_url, listing.link, listing.product_link, listing.url].filter(Boolean).join(' ');
+  const text = [listing.title, listing.snippet, ...(listing.extensions || [])].filter(Boolean).join(' ');
+
+  if (identifier.type === 'asin') {
+    return new RegExp(`/(dp|gp/product)/${identifier.normalized}(?![A-Z0-9])`, 'i').test(urls)
+      || textTokens(text).includes(identifier.normalized);
+  }
+  if (identifier.type === 'mpn') {
+    return textTokens(text).includes(identifier.normalized);
+  }
+  const key = gtinKey(identifier.normalized);
+  return (`${text} ${urls}`.match(/\d{8,14}/g) || []).some(digits => isValidGtin(digits) && gtinKey(digits) === key);
+}
+
+/**
+ * Does an extracted product page carry the identifier (structured GTIN / MPN / SKU, or the URL for ASINs)?
+ * @param {Object} page - productPageExtractor result
+ * @param {Object} identifier - detectIdentifiers() entry
+ */
+function pageMatchesIdentifier(page, identifier) {
+  if (!page || !identifier) return false;
+
+  if (identifier.type === 'asin') {
+    const urls = [page.finalUrl, page.url, page.productUrl, page.canonicalUrl].filter(Boolean).join(' ');
+    return new RegExp(`/(dp|gp/product)/${identifier.normalized}(?![A-Z0-9])`, 'i').test(urls)
+      || compactModel(page.sku) === identifier.normalized;
+  }
+  if (identifier.type === 'mpn') {
+    return [page.mpn, page.sku].some(value => value && compactModel(value) === identifier.normalized)
+      || textTokens(page.title).includes(identifier.normalized);
+  }
+  return !!page.gtin && gtinKey(page.gtin) === gtinKey(identifier.normalized);
+}
+
+module.exports = {
+  detectIdentifiers,
+  identifierQuery,
+  listingMatchesIdentifier,
+  pageMatchesIdentifier,
+  isValidGtin,
+  gtinKey,
+  compactModel,
+  IDENTIFIER_TYPES,
+  IDENTIFIER_LABELS
+};
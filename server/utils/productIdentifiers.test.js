@@ -0,0 +1,93 @@
+/**
+ * Offline tests for identifier detection in productIdentifiers.js: detectIdentifiers and isValidGtin
+ *
+ * Run with: node server/utils/productIdentifiers.test.js
+ */
+
+const { detectIdentifiers, isValidGtin } = require('./productIdentifiers');
+
+let failures = 0;
+
+// Simple test framework
+function describe(name, fn) {
+  console.log(`\n📋 ${name}`);
+  fn();
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`  ❌ ${name}`);
+    console.log(`     ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe: (expected) => {
+      if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+      }
+    },
+    toEqual: (expected) => {
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+      }
+    }
+  };
+}
+
+describe('isValidGtin', () => {
+  test('should accept UPC-A and EAN-13 codes with a correct check digit', () => {
+    expect(isValidGtin('036000291452')).toBe(true);
+    expect(isValidGtin('4006381333931')).toBe(true);
+  });
+
+  test('should reject a wrong check digit', () => {
+    expect(isValidGtin('036000291453')).toBe(false);
+  });
+
+  test('should reject lengths that are not a GTIN', () => {
+    expect(isValidGtin('12345')).toBe(false);
+  });
+});
+
+describe('detectIdentifiers', () => {
+  test('should find a labeled UPC in the description', () => {
+    const [identifier] = detectIdentifiers({ description: 'Keurig coffee maker UPC 036000291452' });
+    expect(identifier.type).toBe('upc');
+    expect(identifier.normalized).toBe('036000291452');
+    expect(identifier.labeled).toBe(true);
+  });
+
+  test('should find a labeled ASIN', () => {
+    const [identifier] = detectIdentifiers({ description: 'Echo Dot ASIN: B07XJ8C8F5' });
+    expect(identifier.type).toBe('asin');
+    expect(identifier.value).toBe('B07XJ8C8F5');
+  });
+
+  test('should read a model number from the model column', () => {
+    const [identifier] = detectIdentifiers({ description: 'Samsung TV', brand: 'Samsung', model: 'UN55TU7000' });
+    expect(identifier.type).toBe('mpn');
+    expect(identifier.source).toBe('model');
+  });
+
+  test('should ignore a bare barcode with a bad check digit', () => {
+    expect(detectIdentifiers({ description: 'Drill 036000291453' }).length).toBe(0);
+  });
+
+  test('should not treat specs as model numbers', () => {
+    expect(detectIdentifiers({ description: 'KitchenAid 5 qt mixer' }).length).toBe(0);
+  });
+
+  test('should list barcodes before ASINs', () => {
+    const types = detectIdentifiers({ description: 'Vacuum B0CABC1234 and 012345678905' }).map(identifier => identifier.type);
+    expect(types).toEqual(['upc', 'asin']);
+  });
+});
+
+console.log(failures === 0 ? '\n🎯 All tests completed!' : `\n❌ ${failures} test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,565 @@
+// utils/productPageExtractor.js - Structured product data from retailer pages
+
+/**
+ * One place that turns a product page into price / currency / availability / identifiers.
+ *
+ * Sources, highest priority first (each field is taken from the first source that has it):
+ *   json-ld    - schema.org Product / ProductGroup with Offer, AggregateOffer or priceSpecification
+ *   microdata  - itemscope/itemprop markup under a schema.org/Product scope
+ *   opengraph  - og:* and product:* meta tags
+ *   selectors  - per-retailer CSS selectors (RETAILER_SELECTORS), the old scraping approach
+ *
+ * Used by ProductValidator, ProductScraper and InsuranceItemPricer wherever a product URL is fetched
+ * to verify its price. Tests: node server/utils/productPageExtractor.test.js (offline HTML fixtures)
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+const PRODUCT_TYPES = ['Product', 'ProductGroup', 'IndividualProduct', 'ProductModel', 'SomeProducts'];
+
+const AVAILABILITY = ['in_stock', 'out_of_stock', 'preorder', 'backorder', 'discontinued', 'unknown'];
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '£': 'GBP', '€': 'EUR', '¥': 'JPY', '₹': 'INR' };
+
+// Per-retailer fallbacks for pages without structured data (merged from ProductValidator and ProductScraper)
+const RETAILER_SELECTORS = {
+  'amazon.com': {
+    price: ['.a-price .a-offscreen', '#priceblock_dealprice', '#priceblock_ourprice', '#corePrice_feature_div .a-offscreen', '.a-price-range .a-price .a-offscreen', '[data-asin-price]', '.a-price-whole'],
+    title: ['#productTitle', 'h1.a-size-large', 'h1'],
+    availability: ['#availability', '#outOfStock']
+  },
+  'walmart.com': {
+    price: ['[itemprop="price"]', '[data-testid="price-current"]', '[data-automation-id="product-price"]', '.price-current', '.price .visuallyhidden', '.notranslate'],
+    title: ['h1[data-automation-id="product-title"]', '[data-automation-id="product-title"]', 'h1'],
+    availability: ['[data-testid="add-to-cart-section"]', '[data-automation-id="fulfillment-section"]']
+  },
+  'target.com': {
+    price: ['[data-test="product-price"]', '.Price-characteristic', '.h-text-red'],
+    title: ['h1[data-test="product-title"]', '[data-test="product-title"]', 'h1'],
+    availability: ['[data-test="fulfillment-cell-shipping"]', '[data-test="outOfStockMessage"]']
+  },
+  'bestbuy.com': {
+    price: ['.priceView-customer-price span:first-child', '.sr-only:contains("current price")', '.pricing-price__range'],
+    title: ['.sku-title', 'h1.heading-5', 'h1'],
+    availability: ['.fulfillment-add-to-cart-button']
+  },
+  'homedepot.com': {
+    price: ['.price-format__main-price', '.price-detailed__main', '[data-testid="price"]'],
+    title: ['h1.product-title', 'h1'],
+    availability: ['.buybox__actions']
+  },
+  'lowes.com': {
+    price: ['[data-testid="price-current"]', '.price-current', '.sr-only'],
+    title: ['h1.pdp-product-name', 'h1'],
+    availability: []
+  },
+  'reebok.com': {
+    price: ['[data-test="product-price"]', '.gl-price', '.salesprice', '.gl-price-item'],
+    title: ['h1', '[data-test="product-title"]', '.product-title'],
+    availability: []
+  },
+  'singer.com': {
+    price: ['[data-product-price]', '.product-price__price', '.price'],
+    title: ['h1', '.product-title'],
+    availability: []
+  },
+  'bissell.com': {
+    price: ['[itemprop="price"]', '.product-price', '.price'],
+    title: ['h1', '.product-title', '[itemprop="name"]'],
+    availability: []
+  },
+  generic: {
+    price: ['[itemprop="price"]', '[data-price]', '.product-price', '.current-price', '.price', '[class*="price"]', '[id*="price"]'],
+    title: ['h1', '.product-title', '.product-name', '[class*="title"]'],
+    availability: ['.availability', '.stock', '[class*="availability"]', '[class*="stock"]']
+  }
+};
+
+/**
+ * Selector set for a hostname ("www.amazon.com", "amazon.com/..."); unknown sites get the generic set
+ */
+function selectorsForDomain(domain) {
+  const host = String(domain || '').toLowerCase();
+  const key = Object.keys(RETAILER_SELECTORS).find(name => name !== 'generic' && host.includes(name));
+  return RETAILER_SELECTORS[key || 'generic'];
+}
+
+function domainFromUrl(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * "$1,299.99", "1299.99", 1299.99, "USD 12.50", "12,50 €" → number (null when nothing usable)
+ */
+function parsePriceValue(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value : null;
+
+  // Digits with optional thousands groups ("1,299", "1.299", "1 299") and up to two decimals
+  const match = String(value).match(/\d+(?:[.,\s\u00a0]\d{3})*(?:[.,]\d{1,2})?(?!\d)/);
+  if (!match) return null;
+  let digits = match[0].replace(/[\s\u00a0]/g, '');
+
+  const lastComma = digits.lastIndexOf(',');
+  const lastDot = digits.lastIndexOf('.');
+  if (lastComma > lastDot) {
+    // "1.299,99" / "12,50" use a decimal comma; "1,299" is a thousands separator
+    digits = /,\d{1,2}$/.test(digits) ? digits.replace(/\./g, '').replace(',', '.') : digits.replace(/,/g, '');
+  } else {
+    digits = digits.replace(/,/g, '');
+  }
+
+  const price = parseFloat(digits);
+  return Number.isFinite(price) && price > 0 ? Math.round(price * 100) / 100 : null;
+}
+
+function currencyFromText(text) {
+  const value = String(text || '');
+  const code = value.match(/\b(USD|CAD|AUD|GBP|EUR|JPY|INR|MXN)\b/i);
+  if (code) return code[1].toUpperCase();
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(sym => value.includes(sym));
+  return symbol ? CURRENCY_SYMBOLS[symbol] : null;
+}
+
+/**
+ * schema.org availability URL / enum / free text → one of AVAILABILITY
+ */
+function normalizeAvailability(value) {
+  if (!value) return 'unknown';
+  const text = String(value).toLowerCase().replace(/^https?:\/\/schema\.org\//, '').replace(/[\s_-]+/g, '');
+
+  if (/outofstock|soldout|unavailable|notavailable|notinstock/.test(text)) return 'out_of_stock';
+  if (/discontinued/.test(text)) return 'discontinued';
+  if (/preorder|presale/.test(text)) return 'preorder';
+  if (/backorder/.test(text)) return 'backorder';
+  if (/instock|limitedavailability|onlineonly|instoreonly|available|addtocart/.test(text)) return 'in_stock';
+  return 'unknown';
+}
+
+function inStockFor(availability) {
+  if (availability === 'in_stock') return true;
+  if (availability === 'out_of_stock' || availability === 'discontinued') return false;
+  return null;
+}
+
+function cleanText(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+// GTINs are 8/12/13/14 digits; anything else is not an identifier we can match on
+function normalizeGtin(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return [8, 12, 13, 14].includes(digits.length) ? digits : null;
+}
+
+function asArray(value) {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function typesOf(node) {
+  return asArray(node && node['@type']).map(type => String(type).replace(/^.*[/:]/, ''));
+}
+
+function isProductNode(node) {
+  return typesOf(node).some(type => PRODUCT_TYPES.includes(type));
+}
+
+function nameOf(value) {
+  const first = asArray(value)[0];
+  if (!first) return null;
+  return cleanText(typeof first === 'object' ? first.name || first['@id'] : first);
+}
+
+function imageOf(value) {
+  const first = asArray(value)[0];
+  if (!first) return null;
+  return cleanText(typeof first === 'object' ? first.url || first.contentUrl || first['@id'] : first);
+}
+
+// ---------------------------------------------------------------------------
+// JSON-LD
+// ---------------------------------------------------------------------------
+
+function parseJsonLdScript(raw) {
+  const text = String(raw || '')
+    .replace(/^\s*<!--/, '').replace(/-->\s*$/, '')
+    .replace(/^\s*\/\/\s*<!\[CDATA\[/, '').replace(/\/\/\s*\]\]>\s*$/, '')
+    .trim();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    // Raw newlines/tabs inside strings are the most common breakage on retailer pages
+    try {
+      return JSON.parse(text.replace(/[\r\n\t]+/g, ' '));
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Every JSON-LD node on the page, with arrays, @graph and mainEntity flattened.
+ * Products nested in an ItemList come after the top-level nodes and are marked `listed`.
+ */
+function readJsonLd($) {
+  const nodes = [];
+  const listed = [];
+
+  const visit = (node, inList) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(child => visit(child, inList));
+      return;
+    }
+    (inList ? listed : nodes).push(node);
+    if (node['@graph']) visit(node['@graph'], inList);
+    if (node.mainEntity) visit(node.mainEntity, inList);
+    if (typesOf(node).includes('ItemList')) {
+      asArray(node.itemListElement).forEach(entry => visit(entry && entry.item ? entry.item : entry, true));
+    }
+  };
+
+  $('script[type="application/ld+json"]').each((index, element) => {
+    visit(parseJsonLdScript($(element).html()), false);
+  });
+
+  return nodes.concat(listed.map(node => Object.assign({}, node, { listed: true })));
+}
+
+function offerPrice(offer) {
+  let price = parsePriceValue(offer.price);
+  let currency = offer.priceCurrency || null;
+
+  if (price === null) {
+    // Sale price first, then whatever is left; list/strikethrough prices are not what the item sells for
+    const specs = asArray(offer.priceSpecification).filter(spec => spec && typeof spec === 'object');
+    const selling = specs.find(spec => !/ListPrice|StrikethroughPrice|MSRP/i.test(String(spec.priceType || ''))) || specs[0];
+    if (selling) {
+      price = parsePriceValue(selling.price ?? selling.minPrice);
+      currency = currency || selling.priceCurrency || null;
+    }
+  }
+  if (price === null) price = parsePriceValue(offer.lowPrice);
+
+  return { price, currency };
+}
+
+/**
+ * Best offer for a product: in-stock offers first, then the lowest price
+ */
+function pickOffer(offers) {
+  const candidates = [];
+  asArray(offers).forEach(offer => {
+    if (!offer || typeof offer !== 'object') return;
+    // AggregateOffer may carry its own individual offers
+    if (offer.offers) {
+      asArray(offer.offers).forEach(inner => inner && typeof inner === 'object' && candidates.push(Object.assign({ priceCurrency: offer.priceCurrency }, inner)));
+    }
+    candidates.push(offer);
+  });
+
+  const priced = candidates
+    .map(offer => ({ offer, ...offerPrice(offer), availability: normalizeAvailability(offer.availability) }))
+    .filter(entry => entry.price !== null);
+  if (priced.length === 0) return null;
+
+  priced.sort((a, b) => {
+    const aStock = a.availability === 'in_stock' ? 0 : 1;
+    const bStock = b.availability === 'in_stock' ? 0 : 1;
+    return aStock - bStock || a.price - b.price;
+  });
+  return priced[0];
+}
+
+function productFields(product, pageUrl) {
+  let node = product;
+  // ProductGroup: the variant matching the page URL, else the first variant with a price
+  if (typesOf(product).includes('ProductGroup') && !product.offers && product.hasVariant) {
+    const variants = asArray(product.hasVariant).filter(variant => variant && typeof variant === 'object');
+    node = variants.find(variant => pageUrl && variant.url && pageUrl.startsWith(variant.url) && variant.offers)
+      || variants.find(variant => pickOffer(variant.offers))
+      || product;
+  }
+
+  const best = pickOffer(node.offers);
+  const offer = best ? best.offer : (asArray(node.offers)[0] || {});
+  const gtin = ['gtin13', 'gtin12', 'gtin14', 'gtin8', 'gtin']
+    .map(key => normalizeGtin(node[key] || product[key] || offer[key]))
+    .find(Boolean) || null;
+
+  return {
+    title: cleanText(node.name || product.name),
+    price: best ? best.price : null,
+    currency: best ? cleanText(best.currency) : cleanText(offer.priceCurrency),
+    availability: best ? best.availability : normalizeAvailability(offer.availability),
+    brand: nameOf(node.brand || product.brand || node.manufacturer || product.manufacturer),
+    gtin,
+    mpn: cleanText(node.mpn || product.mpn || offer.mpn),
+    sku: cleanText(node.sku || product.sku || offer.sku),
+    image: imageOf(node.image || product.image),
+    productUrl: cleanText(node.url || product.url || offer.url)
+  };
+}
+
+function extractFromJsonLd($, pageUrl) {
+  const products = readJsonLd($).filter(node => isProductNode(node) && !node.listed);
+  if (products.length === 0) return {};
+  // Pages often carry related products too - the one with a usable offer is the page's own
+  const withPrice = products.map(product => productFields(product, pageUrl)).find(fields => fields.price !== null);
+  return withPrice || productFields(products[0], pageUrl);
+}
+
+// ---------------------------------------------------------------------------
+// Microdata
+// ---------------------------------------------------------------------------
+
+function microdataValue($, element) {
+  const $el = $(element);
+  const attr = $el.attr('content') ?? $el.attr('value');
+  if (attr !== undefined) return cleanText(attr);
+  const tag = (element.tagName || element.name || '').toLowerCase();
+  if (tag === 'link' || tag === 'a') return cleanText($el.attr('href'));
+  if (tag === 'img') return cleanText($el.attr('src'));
+  if (tag === 'meta') return null;
+  return cleanText($el.text());
+}
+
+// itemprops that belong to `scope` itself, not to a nested itemscope (brand, offers, reviews...)
+function ownProps($, scope, name) {
+  return scope.find(`[itemprop~="${name}"]`).filter((index, element) => $(element).parent().closest('[itemscope]')[0] === scope[0]);
+}
+
+function ownProp($, scope, name) {
+  const element = ownProps($, scope, name).first();
+  return element.length ? microdataValue($, element[0]) : null;
+}
+
+function extractFromMicrodata($) {
+  const scope = $('[itemscope][itemtype*="schema.org/Product"]').first();
+  if (!scope.length) return {};
+
+  const offers = ownProps($, scope, 'offers').map((index, element) => {
+    const offerScope = $(element);
+    const price = parsePriceValue(ownProp($, offerScope, 'price') || ownProp($, offerScope, 'lowPrice'));
+    return {
+      price,
+      currency: ownProp($, offerScope, 'priceCurrency'),
+      availability: normalizeAvailability(ownProp($, offerScope, 'availability'))
+    };
+  }).get().filter(offer => offer.price !== null);
+  offers.sort((a, b) => (a.availability === 'in_stock' ? 0 : 1) - (b.availability === 'in_stock' ? 0 : 1) || a.price - b.price);
+
+  const brandElement = ownProps($, scope, 'brand').first();
+  let brand = null;
+  if (brandElement.length) {
+    brand = brandElement.is('[itemscope]') ? ownProp($, brandElement, 'name') : microdataValue($, brandElement[0]);
+  }
+
+  const gtin = ['gtin13', 'gtin12', 'gtin14', 'gtin8', 'gtin']
+    .map(key => normalizeGtin(ownProp($, scope, key)))
+    .find(Boolean) || null;
+
+  return {
+    title: ownProp($, scope, 'name'),
+    price: offers.length ? offers[0].price : null,
+    currency: offers.length ? offers[0].currency : null,
+    availability: offers.length ? offers[0].availability : 'unknown',
+    brand,
+    gtin,
+    mpn: ownProp($, scope, 'mpn'),
+    sku: ownProp($, scope, 'sku') || ownProp($, scope, 'productID'),
+    image: ownProp($, scope, 'image'),
+    productUrl: ownProp($, scope, 'url')
+  };
+}
+
+// ---------------------------------------------------------------------------
+// OpenGraph / product meta tags
+// ---------------------------------------------------------------------------
+
+function meta($, ...names) {
+  for (const name of names) {
+    const value = $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content');
+    if (cleanText(value)) return cleanText(value);
+  }
+  return null;
+}
+
+function extractFromMeta($) {
+  const availability = meta($, 'product:availability', 'og:availability');
+  return {
+    title: meta($, 'og:title', 'twitter:title'),
+    price: parsePriceValue(meta($, 'product:price:amount', 'og:price:amount', 'product:sale_price:amount')),
+    currency: meta($, 'product:price:currency', 'og:price:currency', 'product:sale_price:currency'),
+    availability: availability ? normalizeAvailability(availability) : 'unknown',
+    brand: meta($, 'product:brand', 'og:brand'),
+    gtin: normalizeGtin(meta($, 'product:gtin', 'product:upc', 'product:ean')),
+    mpn: meta($, 'product:mfr_part_no', 'product:mpn'),
+    sku: meta($, 'product:retailer_item_id'),
+    image: meta($, 'og:image', 'twitter:image'),
+    productUrl: null
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Per-retailer CSS selectors
+// ---------------------------------------------------------------------------
+
+function firstText($, selectors) {
+  for (const selector of selectors) {
+    try {
+      const element = $(selector).first();
+      const text = cleanText(element.attr('content') || element.text());
+      if (text) return text;
+    } catch {
+      // Unsupported selector syntax for this cheerio version - try the next one
+    }
+  }
+  return null;
+}
+
+function extractFromSelectors($, domain) {
+  const selectors = selectorsForDomain(domain);
+
+  let price = null;
+  let priceText = null;
+  for (const selector of selectors.price) {
+    let text = null;
+    try {
+      const element = $(selector).first();
+      text = cleanText(element.attr('content') || element.attr('data-price') || element.attr('data-asin-price') || element.text());
+    } catch {
+      continue;
+    }
+    // Only text that looks like a single price - not a whole block of copy that happens to contain a number
+    if (text && text.length <= 40) {
+      price = parsePriceValue(text);
+      if (price !== null) {
+        priceText = text;
+        break;
+      }
+    }
+  }
+
+  const availabilityText = firstText($, selectors.availability || []);
+  return {
+    title: firstText($, selectors.title),
+    price,
+    priceText,
+    currency: priceText ? currencyFromText(priceText) : null,
+    availability: normalizeAvailability(availabilityText),
+    brand: null,
+    gtin: null,
+    mpn: null,
+    sku: null,
+    image: null,
+    productUrl: null
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+const FIELDS = ['title', 'price', 'currency', 'availability', 'brand', 'gtin', 'mpn', 'sku', 'image', 'productUrl'];
+
+/**
+ * Extract product facts from a page
+ * @param {string|Function} htmlOr$ - Raw HTML or an already loaded cheerio instance
+ * @param {Object} options - { url, domain } (domain defaults to the URL's hostname; picks the selector set)
+ * @returns {Object} { title, price, currency, availability, inStock, brand, gtin, mpn, sku, image,
+ *                     url, productUrl, canonicalUrl, priceText, sources, method, found }
+ */
+function extractProductPage(htmlOr$, options = {}) {
+  const $ = typeof htmlOr$ === 'function' ? htmlOr$ : cheerio.load(String(htmlOr$ || ''));
+  const pageUrl = options.url || null;
+  const domain = options.domain || domainFromUrl(pageUrl);
+
+  const layers = [
+    ['json-ld', extractFromJsonLd($, pageUrl)],
+    ['microdata', extractFromMicrodata($)],
+    ['opengraph', extractFromMeta($)],
+    ['selectors', extractFromSelectors($, domain)]
+  ];
+
+  const result = { sources: {} };
+  for (const field of FIELDS) {
+    result[field] = null;
+    for (const [source, values] of layers) {
+      const value = values[field];
+      if (value !== null && value !== undefined && value !== '' && !(field === 'availability' && value === 'unknown')) {
+        result[field] = value;
+        result.sources[field] = source;
+        break;
+      }
+    }
+  }
+
+  // A selector-only price keeps the currency implied by its own text
+  if (result.sources.price === 'selectors' && result.sources.currency !== 'selectors') {
+    const selectorCurrency = layers[3][1].currency;
+    if (selectorCurrency) {
+      result.currency = selectorCurrency;
+      result.sources.currency = 'selectors';
+    }
+  }
+  if (result.currency) result.currency = result.currency.toUpperCase();
+
+  result.availability = result.availability || 'unknown';
+  result.inStock = inStockFor(result.availability);
+  result.priceText = result.sources.price === 'selectors' ? layers[3][1].priceText : (result.price !== null ? String(result.price) : null);
+  result.canonicalUrl = cleanText($('link[rel="canonical"]').attr('href')) || meta($, 'og:url');
+  result.url = result.productUrl || result.canonicalUrl || pageUrl;
+  if (result.url && pageUrl) {
+    try {
+      result.url = new URL(result.url, pageUrl).href;
+    } catch {
+      // Keep the URL exactly as the page gave it
+    }
+  }
+  result.method = result.sources.price || 'none';
+  result.found = result.price !== null;
+  return result;
+}
+
+/**
+ * Fetch a product page and extract it; the final (post-redirect) URL drives the selector set
+ * @returns {Promise<Object>} extractProductPage() result plus finalUrl and status
+ */
+async function fetchProductPage(url, options = {}) {
+  const response = await axios.get(url, {
+    timeout: options.timeout || 12000,
+    maxRedirects: 5,
+    headers: Object.assign({
+      'User-Agent': DEFAULT_USER_AGENT,
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.5'
+    }, options.headers || {})
+  });
+  const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+  const page = extractProductPage(String(response.data || ''), { url: finalUrl, domain: options.domain });
+  return { ...page, finalUrl, status: response.status };
+}
+
+module.exports = {
+  extractProductPage,
+  fetchProductPage,
+  readJsonLd,
+  parsePriceValue,
+  normalizeAvailability,
+  normalizeGtin,
+  selectorsForDomain,
+  RETAILER_SELECTORS,
+  AVAILABILITY
+};
@@ -0,0 +1,195 @@
+// utils/replacementCost.js - Sales tax and delivery/installation allowances on top of replacement price
+
+/**
+ * Carriers reimburse the sales tax the insured would pay at the loss location plus delivery and
+ * installation for items that need them (major appliances, large furniture, ...). Both come from
+ * local JSON tables - sales_tax_rates.json (state averages, ZIP overrides, ZIP prefix -> state)
+ * and delivery_allowances.json (per-category per-unit allowances) - so no rate is looked up live.
+ * SALES_TAX_RATES_FILE / DELIVERY_ALLOWANCES_FILE point at replacement tables.
+ */
+
+const path = require('path');
+
+function loadTable(envVar, fallback) {
+  const file = process.env[envVar];
+  if (!file) return require(fallback);
+  try {
+    return require(path.resolve(file));
+  } catch (error) {
+    console.error(`⚠️ Could not load ${envVar}=${file} (${error.message}) - using the bundled table`);
+    return require(fallback);
+  }
+}
+
+const taxTable = loadTable('SALES_TAX_RATES_FILE', './sales_tax_rates.json');
+const allowanceTable = loadTable('DELIVERY_ALLOWANCES_FILE', './delivery_allowances.json');
+
+class LossLocationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'LossLocationError';
+    this.statusCode = statusCode;
+  }
+}
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest keywords first so "range hood" / "dining table" win over shorter, looser terms
+const ALLOWANCE_KEYWORDS = Object.entries(allowanceTable.categories || {})
+  .flatMap(([key, category]) => (category.keywords || []).map(keyword => ({
+    key,
+    keyword,
+    pattern: new RegExp(`(^|[^a-z0-9])${escapeRegex(keyword)}s?(?![a-z0-9])`, 'i')
+  })))
+  .sort((a, b) => b.keyword.length - a.keyword.length);
+
+function stateForZip(zip) {
+  const prefix = zip.substring(0, 3);
+  const range = (taxTable.zipPrefixes || []).find(entry => prefix >= entry.from && prefix <= entry.to);
+  return range ? range.state : null;
+}
+
+/**
+ * Normalize a loss location - "CA", "90210", "Los Angeles, CA 90012" or { state, zip }
+ * @returns {Object|null} { state, zip, label } - null when nothing was given
+ * @throws {LossLocationError} when a location was given but names no known state or ZIP
+ */
+function parseLossLocation(input) {
+  if (input === null || input === undefined || input === '') return null;
+
+  let state = null;
+  let zip = null;
+  if (typeof input === 'object') {
+    state = input.state ? String(input.state).trim().toUpperCase() : null;
+    zip = input.zip ? String(input.zip).trim() : null;
+  } else {
+    const text = String(input).trim();
+    if (!text) return null;
+    zip = (text.match(/\b(\d{5})(?:-\d{4})?\b/) || [])[1] || null;
+    const codes = text.toUpperCase().match(/\b[A-Z]{2}\b/g) || [];
+    state = codes.reverse().find(code => taxTable.states[code]) || null;
+  }
+
+  if (zip && !/^\d{5}(-\d{4})?$/.test(zip)) {
+    throw new LossLocationError(`Invalid loss location ZIP "${zip}"`);
+  }
+  zip = zip ? zip.substring(0, 5) : null;
+  if (state && !taxTable.states[state]) {
+    throw new LossLocationError(`Unknown loss location state "${state}"`);
+  }
+  if (!state && zip) {
+    state = taxTable.zips?.[zip]?.state || stateForZip(zip);
+  }
+  if (!state) {
+    throw new LossLocationError(`Could not find a state or ZIP code in loss location "${typeof input === 'object' ? JSON.stringify(input) : input}"`);
+  }
+
+  return { state, zip, label: zip ? `${state} ${zip}` : state };
+}
+
+/**
+ * Sales tax rate for a loss location - the ZIP's own rate, else the state average
+ * @returns {Object} { rate (percent), source: 'zip' | 'state' | 'none', state, zip }
+ */
+function lookupTaxRate(location) {
+  if (!location) return { rate: 0, source: 'none', state: null, zip: null };
+  const zipEntry = location.zip ? taxTable.zips?.[location.zip] : null;
+  if (zipEntry) {
+    return { rate: zipEntry.rate, source: 'zip', state: location.state, zip: location.zip };
+  }
+  const stateEntry = taxTable.states[location.state];
+  return { rate: stateEntry ? stateEntry.rate : 0, source: stateEntry ? 'state' : 'none', state: location.state, zip: location.zip };
+}
+
+/**
+ * Per-unit delivery/installation allowance for an item, by description and depreciation category
+ * @returns {Object} { category, label, delivery, installation }
+ */
+function deliveryAllowanceFor({ description = '', category = '' } = {}) {
+  const text = `${description} ${category}`;
+  const match = ALLOWANCE_KEYWORDS.find(({ pattern }) => pattern.test(text));
+  const key = match ? match.key : 'default';
+  const entry = match ? allowanceTable.categories[key] : (allowanceTable.default || {});
+  return {
+    category: key,
+    label: entry.label || key,
+    delivery: Number(entry.delivery) || 0,
+    installation: Number(entry.installation) || 0
+  };
+}
+
+function quantityOf(result, unitPrice, total) {
+  return parseInt(result.quantity || result.QTY || result.Quantity, 10)
+    || (unitPrice > 0 && total > 0 ? Math.round(total / unitPrice) : 0)
+    || 1;
+}
+
+const parseMoney = (value) => (typeof value === 'number'
+  ? value
+  : parseFloat(String(value ?? '').replace(/[$,]/g, '')) || 0);
+
+/**
+ * Tax, shipping (delivery + installation) and RCV including both for a priced row
+ * Tax is charged on the merchandise only; rows with no price (unable to replace) get nothing.
+ * @param {Object} result - priced row (Price, Total Replacement Price, quantity, Description, depCat)
+ * @param {Object|null} location - parseLossLocation() result
+ */
+function calculateReplacementCost(result, location) {
+  const unitPrice = parseMoney(result.Price ?? result.price);
+  const total = parseMoney(result['Total Replacement Price'] ?? result.totalPrice);
+  const quantity = quantityOf(result, unitPrice, total);
+  const subtotal = roundMoney(total || unitPrice * quantity);
+
+  const taxRate = lookupTaxRate(location);
+  const allowance = deliveryAllowanceFor({
+    description: result.Description || result.description || '',
+    category: result['Dep. Cat'] || result.depCat || ''
+  });
+  const priced = subtotal > 0;
+  const tax = priced ? roundMoney(subtotal * taxRate.rate / 100) : 0;
+  const shipping = priced ? roundMoney((allowance.delivery + allowance.installation) * quantity) : 0;
+
+  return {
+    lossLocation: location ? location.label : null,
+    taxRate: taxRate.rate,
+    taxRateSource: taxRate.source,
+    tax,
+    shipping,
+    allowance: { ...allowance, quantity },
+    rcvInclTax: roundMoney(subtotal + tax + shipping)
+  };
+}
+
+/**
+ * Add Tax / Shipping / RCV incl. tax to a priced row (mutates the row in place)
+ * @param {Object} result - priced row
+ * @param {Object|string|null} [location] - loss location; defaults to the one stored on the row
+ */
+function applyReplacementCost(result, location = result.lossLocation) {
+  const parsed = typeof location === 'string' || (location && typeof location === 'object')
+    ? parseLossLocation(location)
+    : null;
+  const cost = calculateReplacementCost(result, parsed);
+  result.lossLocation = cost.lossLocation;
+  result.taxRate = cost.taxRate;
+  result.taxRateSource = cost.taxRateSource;
+  result.tax = cost.tax;
+  result.Tax = cost.tax;
+  result.shipping = cost.shipping;
+  result.Shipping = cost.shipping;
+  result.shippingAllowance = cost.allowance;
+  result.rcvInclTax = cost.rcvInclTax;
+  result['RCV incl. tax'] = cost.rcvInclTax;
+  return result;
+}
+
+module.exports = {
+  parseLossLocation,
+  lookupTaxRate,
+  deliveryAllowanceFor,
+  calculateReplacementCost,
+  applyReplacementCost,
+  LossLocationError
+};
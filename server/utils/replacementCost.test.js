@@ -0,0 +1,116 @@
+/**
+ * Offline tests for replacementCost.js: loss locations and calculateReplacementCost against the
+ * bundled sales_tax_rates.json / delivery_allowances.json tables
+ *
+ * Run with: node server/utils/replacementCost.test.js
+ */
+
+delete process.env.SALES_TAX_RATES_FILE;
+delete process.env.DELIVERY_ALLOWANCES_FILE;
+
+const { parseLossLocation, calculateReplacementCost } = require('./replacementCost');
+
+let failures = 0;
+
+// Simple test framework
+function describe(name, fn) {
+  console.log(`\n📋 ${name}`);
+  fn();
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`  ❌ ${name}`);
+    console.log(`     ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe: (expected) => {
+      if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+      }
+    },
+    toEqual: (expected) => {
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+      }
+    },
+    toThrow: (messagePart) => {
+      let thrown = null;
+      try {
+        actual();
+      } catch (error) {
+        thrown = error;
+      }
+      if (!thrown) {
+        throw new Error('Expected function to throw');
+      }
+      if (messagePart && !thrown.message.includes(messagePart)) {
+        throw new Error(`Expected error containing ${JSON.stringify(messagePart)} but got ${JSON.stringify(thrown.message)}`);
+      }
+    }
+  };
+}
+
+describe('parseLossLocation', () => {
+  test('should read a state, a ZIP or an address', () => {
+    expect(parseLossLocation('CA').label).toBe('CA');
+    expect(parseLossLocation('10001').label).toBe('NY 10001');
+    expect(parseLossLocation('Los Angeles, CA 90012').state).toBe('CA');
+  });
+
+  test('should return null when no location is given', () => {
+    expect(parseLossLocation('')).toBe(null);
+  });
+
+  test('should reject a location with no known state or ZIP', () => {
+    expect(() => parseLossLocation('Springfield')).toThrow('Could not find a state or ZIP');
+  });
+});
+
+describe('calculateReplacementCost', () => {
+  test('should charge the state average tax on the merchandise', () => {
+    const cost = calculateReplacementCost({ Price: 100, 'Total Replacement Price': 200, Description: 'Desk lamp' }, parseLossLocation('CA'));
+    expect(cost.taxRate).toBe(8.85);
+    expect(cost.taxRateSource).toBe('state');
+    expect(cost.tax).toBe(17.7);
+    expect(cost.allowance.quantity).toBe(2);
+    expect(cost.rcvInclTax).toBe(217.7);
+  });
+
+  test('should prefer the ZIP rate over the state average', () => {
+    const cost = calculateReplacementCost({ Price: 100, Description: 'Desk lamp' }, parseLossLocation('10001'));
+    expect(cost.taxRate).toBe(8.875);
+    expect(cost.taxRateSource).toBe('zip');
+  });
+
+  test('should add delivery and installation per unit for major appliances', () => {
+    const cost = calculateReplacementCost({ Price: 1000, 'Total Replacement Price': 2000, quantity: 2, Description: 'Samsung refrigerator' }, parseLossLocation('OR'));
+    expect(cost.allowance.category).toBe('major_appliance');
+    expect(cost.tax).toBe(0);
+    expect(cost.shipping).toBe((99 + 149) * 2);
+    expect(cost.rcvInclTax).toBe(2000 + (99 + 149) * 2);
+  });
+
+  test('should add nothing to a row without a price', () => {
+    const cost = calculateReplacementCost({ Price: null, Description: 'Samsung refrigerator' }, parseLossLocation('CA'));
+    expect(cost.tax).toBe(0);
+    expect(cost.shipping).toBe(0);
+    expect(cost.rcvInclTax).toBe(0);
+  });
+
+  test('should charge no tax without a loss location', () => {
+    const cost = calculateReplacementCost({ Price: '$50.00', Description: 'Desk lamp' }, null);
+    expect(cost.taxRateSource).toBe('none');
+    expect(cost.rcvInclTax).toBe(50);
+  });
+});
+
+console.log(failures === 0 ? '\n🎯 All tests completed!' : `\n❌ ${failures} test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -3,6 +3,8 @@
  * Handles IP address extraction and user authentication data
  */
 
+const { getAuthConfig, mapRoles } = require('./auth');
+
 /**
  * Extract client IP address from Express request
  * Handles various proxy configurations and environments
@@ -75,57 +77,48 @@ function getClientIP(req) {
 
 /**
  * Extract user information from request
- * Uses existing authentication system from src/audit/auth.ts
+ * Tokens are verified by the authenticate middleware (server/utils/auth.js), which sets req.user;
+ * an unverified Bearer token never yields a user. Once the org middleware has run, orgId is the
+ * organization the request acts for (req.org), otherwise the org claimed by the token.
  * 
  * @param {Object} req - Express request object
- * @returns {Object|null} User object with id, email, name, authProvider or null
+ * @returns {Object|null} User object with id, email, name, authProvider, roles, orgId or null
  */
 function getUserFromRequest(req) {
   try {
-    // For now, implement a simplified version since TypeScript import is problematic
-    // Check for dev override header (for local testing)
+    // Verified token (see authenticate)
+    if (req.user && typeof req.user === 'object' && 'id' in req.user) {
+      return req.org ? { ...req.user, orgId: req.org.id } : req.user;
+    }
+
+    const authConfig = getAuthConfig();
+
+    // Dev override header - only with AUTH_MODE=none or AUTH_ALLOW_DEV_USER=true
     const devUserHeader = req.headers['x-dev-user'];
-    if (devUserHeader) {
+    if (devUserHeader && authConfig.allowDevUser) {
       console.log('🔍 Using dev user override:', devUserHeader);
+      const devRoles = req.headers['x-dev-roles'] || process.env.AUTH_DEV_ROLES || 'admin';
       return {
         id: String(devUserHeader),
         email: 'dev@example.com',
         name: 'Development User',
-        authProvider: 'dev'
+        authProvider: 'dev',
+        roles: mapRoles({ roles: devRoles }, { ...authConfig, roleClaims: ['roles'] }),
+        // X-Dev-Org stands in for the token's org claim (see AUTH_ORG_CLAIM)
+        orgId: req.org?.id || (req.headers['x-dev-org'] ? String(req.headers['x-dev-org']) : null)
       };
     }
 
-    // Check for Cognito JWT in Authorization header
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      try {
-        const token = authHeader.substring(7);
-        // For now, return a mock user from JWT
-        // In production, you'd decode and verify the JWT properly
-        return {
-          id: 'jwt-user-' + Date.now(),
-          email: 'user@example.com',
-          name: 'JWT User',
-          authProvider: 'cognito'
-        };
-      } catch (error) {
-        console.warn('🔍 Failed to parse JWT token:', error);
-      }
-    }
-
-    // Check for user info in request object (if middleware has already processed it)
-    if (req.user && typeof req.user === 'object' && 'id' in req.user) {
-      return req.user;
-    }
-
     // Return default dev user if no authentication found (for development)
-    if (process.env.NODE_ENV === 'development') {
+    if (authConfig.mode === 'none' && process.env.NODE_ENV === 'development') {
       console.log('🔍 No auth found, using default dev user');
       return {
         id: 'dev-user-001',
         email: 'dev@example.com',
         name: 'Development User',
-        authProvider: 'dev'
+        authProvider: 'dev',
+        roles: ['admin'],
+        orgId: req.org?.id || null
       };
     }
 
@@ -149,6 +142,8 @@ function getRequestMetadata(req) {
   
   return {
     user: user,
+    // Organization resolved by the org middleware in server/index.js (see OrgStore)
+    org: req.org || null,
     ipAddress: ipAddress,
     userAgent: req.headers['user-agent'] || 'unknown',
     timestamp: new Date().toISOString(),
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
+const { extractProductPage, selectorsForDomain } = require('./productPageExtractor');
 
 class ProductScraper {
     constructor() {
@@ -21,7 +22,9 @@ class ProductScraper {
                 console.log(`Scraping: ${urlData.link}`);
                 const priceData = await this.scrapeSingleUrl(urlData.link, urlData.domain);
                 
-                if (priceData && priceData.price) {
+                if (priceData && priceData.inStock === false) {
+                    console.log(`Skipping out-of-stock page: ${urlData.link}`);
+                } else if (priceData && priceData.price) {
                     results.push({
                         ...priceData,
                         url: urlData.link,
@@ -77,67 +80,14 @@ class ProductScraper {
      * @returns {Object} Scraping selectors and patterns
      */
     getScrapingStrategy(domain) {
-        const strategies = {
-            'amazon.com': {
-                priceSelectors: [
-                    '.a-price-whole',
-                    '.a-price .a-offscreen',
-                    '#priceblock_dealprice',
-                    '#priceblock_ourprice',
-                    '.a-price-range .a-price .a-offscreen'
-                ],
-                titleSelectors: ['#productTitle', 'h1.a-size-large'],
-                pricePattern: /\$?(\d+\.?\d*)/
-            },
-            'walmart.com': {
-                priceSelectors: [
-                    '[data-testid="price-current"]',
-                    '.price-current',
-                    '[data-automation-id="product-price"]',
-                    '.price .visuallyhidden'
-                ],
-                titleSelectors: ['h1[data-automation-id="product-title"]', 'h1'],
-                pricePattern: /\$?(\d+\.?\d*)/
-            },
-            'target.com': {
-                priceSelectors: [
-                    '[data-test="product-price"]',
-                    '.h-text-red',
-                    '.Price-characteristic'
-                ],
-                titleSelectors: ['h1[data-test="product-title"]', 'h1'],
-                pricePattern: /\$?(\d+\.?\d*)/
-            },
-            'homedepot.com': {
-                priceSelectors: [
-                    '.price-format__main-price',
-                    '.price-detailed__main',
-                    '[data-testid="price"]'
-                ],
-                titleSelectors: ['h1.product-title', 'h1'],
-                pricePattern: /\$?(\d+\.?\d*)/
-            },
-            'lowes.com': {
-                priceSelectors: [
-                    '.sr-only',
-                    '.price-current',
-                    '[data-testid="price-current"]'
-                ],
-                titleSelectors: ['h1.pdp-product-name', 'h1'],
-                pricePattern: /\$?(\d+\.?\d*)/
-            },
-            'bestbuy.com': {
-                priceSelectors: [
-                    '.sr-only',
-                    '.pricing-price__range',
-                    '.visuallyhidden'
-                ],
-                titleSelectors: ['h1.heading-5', 'h1'],
-                pricePattern: /\$?(\d+\.?\d*)/
-            }
+        // NEW: selectors live with the shared page extractor so every caller falls back to the same set
+        const selectors = selectorsForDomain(domain);
+        return {
+            domain: domain,
+            priceSelectors: selectors.price,
+            titleSelectors: selectors.title,
+            pricePattern: /\$?(\d+\.?\d*)/
         };
-
-        return strategies[domain] || this.getGenericStrategy();
     }
 
     /**
@@ -145,24 +95,7 @@ class ProductScraper {
      * @returns {Object} Generic scraping selectors
      */
     getGenericStrategy() {
-        return {
-            priceSelectors: [
-                '.price',
-                '.cost',
-                '.amount',
-                '[class*="price"]',
-                '[id*="price"]',
-                '.product-price',
-                '.current-price'
-            ],
-            titleSelectors: [
-                'h1',
-                '.product-title',
-                '.product-name',
-                '[class*="title"]'
-            ],
-            pricePattern: /\$?(\d+\.?\d*)/
-        };
+        return this.getScrapingStrategy(null);
     }
 
     /**
@@ -173,43 +106,32 @@ class ProductScraper {
      * @returns {Object|null} Extracted price data
      */
     extractPriceData($, strategy, url) {
-        // Try to find price
-        let price = null;
-        let priceText = '';
+        // JSON-LD, microdata and OpenGraph first, then the strategy's retailer selectors
+        const page = extractProductPage($, { url: url, domain: strategy.domain });
+        let price = page.price;
+        const priceText = page.priceText || '';
 
-        for (const selector of strategy.priceSelectors) {
-            const element = $(selector).first();
-            if (element.length > 0) {
-                priceText = element.text().trim();
-                price = this.parsePrice(priceText, strategy.pricePattern);
-                if (price) break;
-            }
-        }
-
-        // If no price found with selectors, try text search
+        // If no price found, try text search
         if (!price) {
             price = this.findPriceInText($.text(), strategy.pricePattern);
         }
 
-        // Try to find title
-        let title = '';
-        for (const selector of strategy.titleSelectors) {
-            const element = $(selector).first();
-            if (element.length > 0) {
-                title = element.text().trim();
-                if (title) break;
-            }
-        }
-
         if (!price) {
             return null;
         }
 
         return {
             price: price,
-            title: title || 'Product',
+            title: page.title || 'Product',
             priceText: priceText,
             url: url,
+            currency: page.currency || 'USD',
+            availability: page.availability,
+            inStock: page.inStock,
+            brand: page.brand,
+            gtin: page.gtin,
+            mpn: page.mpn,
+            extraction: page.found ? page.method : 'page-text',
             scrapedAt: new Date().toISOString()
         };
     }
@@ -1,4 +1,5 @@
-const axios = require('axios');
+const { getSerpApiFixtureRecorder } = require('./serpApiFixtures');
+const { localizeSerpRequest, parseLocalizedPrice } = require('./locale');
 
 class SerpApiClient {
     constructor() {
@@ -31,13 +32,15 @@ class SerpApiClient {
         };
 
         try {
-            const response = await axios.get(this.baseUrl, {
+            // Routed through the record/replay layer (SERPAPI_FIXTURE_MODE), on the job's storefront
+            const response = await getSerpApiFixtureRecorder().request(localizeSerpRequest({
+                url: this.baseUrl,
                 params,
                 timeout: this.timeout,
                 headers: {
                     'User-Agent': 'Price-Is-Right-App/1.0'
                 }
-            });
+            }));
 
             return this.normalizeShoppingResults(response.data);
         } catch (error) {
@@ -61,7 +64,7 @@ class SerpApiClient {
             results: results.map(item => ({
                 title: item.title || '',
                 price: this.parsePrice(item.price),
-                currency: item.currency || 'USD',
+                currency: item.currency || parseLocalizedPrice(item.price)?.currency || null,
                 source: item.source || '',
                 link: item.link || '',
                 thumbnail: item.thumbnail || '',
@@ -78,22 +81,13 @@ class SerpApiClient {
 
     /**
      * Parse price string to numeric value
-     * @param {string} priceStr - Price string (e.g., "$29.99", "29.99")
+     * @param {string} priceStr - Price string (e.g., "$29.99", "29.99", "1.299,00 €")
      * @returns {number|null} Numeric price or null if unparseable
      */
     parsePrice(priceStr) {
         if (!priceStr) return null;
-        
-        // Remove currency symbols and extract numeric value
-        const cleaned = priceStr.toString().replace(/[$,\s]/g, '');
-        const match = cleaned.match(/(\d+\.?\d*)/);
-        
-        if (match) {
-            const price = parseFloat(match[1]);
-            return isNaN(price) ? null : price;
-        }
-        
-        return null;
+        const parsed = parseLocalizedPrice(priceStr);
+        return parsed ? parsed.amount : null;
     }
 
     /**
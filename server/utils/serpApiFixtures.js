@@ -0,0 +1,212 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SerpAPI record/replay layer
+ *
+ * Sits under InsuranceItemPricer.callSerpAPI / serpGet and SerpApiClient so pricing
+ * decisions can be regression-tested without network access or SerpAPI credits.
+ *
+ * Modes (SERPAPI_FIXTURE_MODE):
+ *   off    - live requests only (default)
+ *   record - live requests, every response is saved as a fixture
+ *   replay - fixtures only; a missing fixture throws SerpApiFixtureMissingError
+ *   auto   - fixture when present, otherwise live + record
+ *
+ * Fixtures are JSON files in SERPAPI_FIXTURE_DIR keyed by a hash of the full request
+ * params (api_key and other volatile params removed). The query is hashed as sent - long
+ * queries that only differ after 100 characters or in punctuation get their own fixture;
+ * the canonicalized query (canonicalizeCacheKey) is only the readable part of the file name.
+ */
+
+const MODES = ['off', 'record', 'replay', 'auto'];
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', 'models', '__fixtures__', 'serpapi');
+// Never written to fixtures - they would leak credentials or break key stability
+const VOLATILE_PARAMS = ['api_key', 'output', 'async', 'no_cache'];
+
+/**
+ * Canonicalize a search query for cache/fixture keys
+ * Shared with InsuranceItemPricer.canonicalizeCacheKey so both always agree
+ * @param {string} query - Raw search query
+ * @returns {string} Lowercased query without punctuation, max 100 chars
+ */
+function canonicalizeCacheKey(query) {
+    if (!query) return '';
+
+    return query
+        .toString()
+        .trim()
+        .toLowerCase()
+        .replace(/[^\w\s]/g, '') // Remove special characters
+        .replace(/\s+/g, ' ')   // Normalize whitespace
+        .substring(0, 100);     // Limit length
+}
+
+class SerpApiFixtureRecorder {
+    /**
+     * @param {Object} options
+     * @param {string} options.mode - off | record | replay | auto
+     * @param {string} options.directory - Fixture directory
+     * @param {Function} options.canonicalizeQuery - Query canonicalizer for fixture file labels (defaults to canonicalizeCacheKey)
+     */
+    constructor(options = {}) {
+        const mode = (options.mode || 'off').toLowerCase();
+        if (!MODES.includes(mode)) {
+            throw new Error(`Unknown SerpAPI fixture mode "${options.mode}" (expected ${MODES.join(', ')})`);
+        }
+
+        this.mode = mode;
+        this.directory = options.directory || DEFAULT_FIXTURE_DIR;
+        this.canonicalizeQuery = options.canonicalizeQuery || canonicalizeCacheKey;
+        this.stats = { live: 0, recorded: 0, replayed: 0, missing: 0 };
+
+        if (this.mode !== 'off') {
+            console.log(`🎞️ SerpAPI fixtures: ${this.mode} mode (${this.directory})`);
+        }
+    }
+
+    /**
+     * Build the fixture key for a request
+     * @param {string} url - Request URL (query string params are included)
+     * @param {Object} params - axios params
+     * @returns {{key: string, params: Object}} Stable key and the sorted params it hashes
+     */
+    buildKey(url, params = {}) {
+        const merged = {};
+        try {
+            const parsed = new URL(url);
+            parsed.searchParams.forEach((value, name) => { merged[name] = value; });
+        } catch (error) {
+            // Relative or malformed URL - rely on params only
+        }
+        Object.entries(params || {}).forEach(([name, value]) => {
+            if (value !== undefined && value !== null) merged[name] = String(value);
+        });
+
+        VOLATILE_PARAMS.forEach(name => delete merged[name]);
+
+        const canonical = {};
+        Object.keys(merged).sort().forEach(name => { canonical[name] = merged[name]; });
+
+        const hash = crypto.createHash('sha1').update(JSON.stringify(canonical)).digest('hex').substring(0, 12);
+        const query = canonical.q || canonical.query;
+        const label = ((query && this.canonicalizeQuery(query)) || canonical.product_id || 'request')
+            .replace(/[^\w]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .substring(0, 40);
+        const engine = (canonical.engine || 'search').replace(/[^\w]+/g, '_');
+
+        return { key: `${engine}__${label}__${hash}`, params: canonical };
+    }
+
+    fixturePath(key) {
+        return path.join(this.directory, `${key}.json`);
+    }
+
+    loadFixture(key) {
+        try {
+            return JSON.parse(fs.readFileSync(this.fixturePath(key), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    saveFixture(key, params, response) {
+        fs.mkdirSync(this.directory, { recursive: true });
+        const fixture = {
+            key,
+            params,
+            recordedAt: new Date().toISOString(),
+            status: response.status,
+            data: response.data
+        };
+        fs.writeFileSync(this.fixturePath(key), JSON.stringify(fixture, null, 2));
+        this.stats.recorded++;
+    }
+
+    /**
+     * Perform a SerpAPI request according to the current mode
+     * @param {Object} config - axios request config ({ url, params, timeout, ... })
+     * @returns {Promise<Object>} axios-style response ({ status, data, ... })
+     */
+    async request(config) {
+        if (this.mode === 'off') {
+            this.stats.live++;
+            return axios({ method: 'get', ...config });
+        }
+
+        const { key, params } = this.buildKey(config.url, config.params);
+
+        if (this.mode === 'replay' || this.mode === 'auto') {
+            const fixture = this.loadFixture(key);
+            if (fixture) {
+                this.stats.replayed++;
+                return {
+                    status: fixture.status || 200,
+                    statusText: 'OK',
+                    headers: {},
+                    config,
+                    data: fixture.data,
+                    fromFixture: key
+                };
+            }
+            if (this.mode === 'replay') {
+                this.stats.missing++;
+                throw new SerpApiFixtureMissingError(key, params);
+            }
+        }
+
+        this.stats.live++;
+        const response = await axios({ method: 'get', ...config });
+        this.saveFixture(key, params, response);
+        console.log(`🎞️ Recorded SerpAPI fixture ${key}`);
+        return response;
+    }
+}
+
+/**
+ * Raised in replay mode when no fixture exists for a request
+ */
+class SerpApiFixtureMissingError extends Error {
+    constructor(key, params) {
+        super(`No SerpAPI fixture for ${key} (${JSON.stringify(params)})`);
+        this.name = 'SerpApiFixtureMissingError';
+        this.key = key;
+        this.params = params;
+    }
+}
+
+let sharedRecorder = null;
+
+/**
+ * Shared recorder configured from SERPAPI_FIXTURE_MODE / SERPAPI_FIXTURE_DIR
+ * @returns {SerpApiFixtureRecorder}
+ */
+function getSerpApiFixtureRecorder() {
+    if (!sharedRecorder) {
+        sharedRecorder = new SerpApiFixtureRecorder({
+            mode: process.env.SERPAPI_FIXTURE_MODE || 'off',
+            directory: process.env.SERPAPI_FIXTURE_DIR
+        });
+    }
+    return sharedRecorder;
+}
+
+/**
+ * Replace the shared recorder (used by the golden-file runner)
+ * @param {SerpApiFixtureRecorder} recorder
+ */
+function setSerpApiFixtureRecorder(recorder) {
+    sharedRecorder = recorder;
+}
+
+module.exports = {
+    SerpApiFixtureRecorder,
+    SerpApiFixtureMissingError,
+    canonicalizeCacheKey,
+    getSerpApiFixtureRecorder,
+    setSerpApiFixtureRecorder
+};
@@ -117,8 +117,8 @@ class SimpleAudit {
       const jobId = require('crypto').randomUUID();
       console.log('🗄️ [jobs] INSERT begin', { jobId, userId: user.id || 'anonymous', job_type: 'SINGLE' });
       await this.dbConnection.execute(
-        'INSERT INTO jobs (id, user_id, job_type, status, input_text, started_at, completed_at, created_at) VALUES (?, ?, ?, ?, ?, NOW(), NOW(), NOW())',
-        [jobId, user.id || 'anonymous', 'SINGLE', 'SUCCESS', data.text || 'Single item search']
+        'INSERT INTO jobs (id, user_id, org_id, job_type, status, input_text, started_at, completed_at, created_at) VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW(), NOW())',
+        [jobId, user.id || 'anonymous', user.orgId || null, 'SINGLE', 'SUCCESS', data.text || 'Single item search']
       );
       console.log('✅ [jobs] INSERT ok', { jobId });
 
@@ -148,10 +148,11 @@ class SimpleAudit {
       if (data.choice) {
         const choiceId = require('crypto').randomUUID();
         const priceCents = data.choice.price ? Math.round(parseFloat(data.choice.price.replace(/[^0-9.]/g, '')) * 100) : null;
-        console.log('🗄️ [final_choices] INSERT begin', { choiceId, itemId, price_cents: priceCents });
+        const currency = data.choice.currency || data.currency || null;
+        console.log('🗄️ [final_choices] INSERT begin', { choiceId, itemId, price_cents: priceCents, currency });
         await this.dbConnection.execute(
-          'INSERT INTO final_choices (id, job_item_id, price_cents, source_domain, url, decided_at) VALUES (?, ?, ?, ?, ?, NOW())',
-          [choiceId, itemId, priceCents, this.extractDomain(data.choice.source), data.choice.url || data.choice.link]
+          'INSERT INTO final_choices (id, job_item_id, price_cents, currency, source_domain, url, decided_at) VALUES (?, ?, ?, ?, ?, ?, NOW())',
+          [choiceId, itemId, priceCents, currency, this.extractDomain(data.choice.source), data.choice.url || data.choice.link]
         );
         console.log('✅ [final_choices] INSERT ok', { choiceId });
       }
@@ -189,20 +190,20 @@ class SimpleAudit {
           const inferred = this.determineJobType(mimeType, data.fileMeta.name);
           const fileType = inferred === 'EXCEL' ? 'xlsx' : (inferred === 'CSV' ? 'csv' : (inferred === 'IMAGE' ? 'image' : 'unknown'));
           await this.dbConnection.execute(
-            'INSERT INTO files (id, user_id, bucket, s3_key, original_name, mime_type, size_bytes, sha256, file_type, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())',
-            [fileId, user.id || 'anonymous', bucket, s3Key, data.fileMeta.name || 'Unknown file', mimeType, sizeBytes, sha256, fileType]
+            'INSERT INTO files (id, user_id, org_id, bucket, s3_key, original_name, mime_type, size_bytes, sha256, file_type, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())',
+            [fileId, user.id || 'anonymous', user.orgId || null, bucket, s3Key, data.fileMeta.name || 'Unknown file', mimeType, sizeBytes, sha256, fileType]
           );
         }
       }
 
-      // Create job record with IP address
-      const jobId = require('crypto').randomUUID();
+      // Create job record with IP address (reuse the processing job id so job_usage rows join on it)
+      const jobId = data.jobId || require('crypto').randomUUID();
       const jobType = this.determineJobType(data.fileMeta?.type, data.fileMeta?.name);
       const ipAddress = data.ipAddress || 'unknown';
       
       await this.dbConnection.execute(
-        'INSERT INTO jobs (id, user_id, job_type, status, file_id, input_text, ip_address, started_at, completed_at, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW(), NOW())',
-        [jobId, user.id || 'anonymous', jobType, 'SUCCESS', fileId, `File processing: ${data.fileMeta?.name || 'Unknown'}`, ipAddress]
+        'INSERT INTO jobs (id, user_id, org_id, job_type, status, file_id, input_text, ip_address, started_at, completed_at, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW(), NOW())',
+        [jobId, user.id || 'anonymous', user.orgId || null, jobType, 'SUCCESS', fileId, `File processing: ${data.fileMeta?.name || 'Unknown'}`, ipAddress]
       );
 
       // Create job items
@@ -211,9 +212,11 @@ class SimpleAudit {
           const item = data.items[i];
           const itemId = require('crypto').randomUUID();
           
+          // The row's decision trace gets its own column (migration 013), not a second copy in results_json
+          const { decisionTrace, ...rowResult } = (item.result && typeof item.result === 'object') ? item.result : {};
           await this.dbConnection.execute(
-            'INSERT INTO job_items (id, job_id, row_index, input_desc, status, created_at) VALUES (?, ?, ?, ?, ?, NOW())',
-            [itemId, jobId, i + 1, item.description || 'Unknown item', item.status || 'DONE']
+            'INSERT INTO job_items (id, job_id, row_index, input_desc, status, decision_trace, created_at) VALUES (?, ?, ?, ?, ?, ?, NOW())',
+            [itemId, jobId, i + 1, item.description || 'Unknown item', item.status || 'DONE', decisionTrace ? JSON.stringify(decisionTrace) : null]
           );
 
           // Create search events for each item
@@ -221,7 +224,7 @@ class SimpleAudit {
             const eventId = require('crypto').randomUUID();
             await this.dbConnection.execute(
               'INSERT INTO search_events (id, job_item_id, engine, query_text, started_at, completed_at, success, results_json, created_at) VALUES (?, ?, ?, ?, NOW(), NOW(), ?, ?, NOW())',
-              [eventId, itemId, 'serpapi', item.description || 'Unknown item', item.status === 'DONE' ? 1 : 0, JSON.stringify(item.result)]
+              [eventId, itemId, 'serpapi', item.description || 'Unknown item', item.status === 'DONE' ? 1 : 0, JSON.stringify(rowResult)]
             );
             // Create a simple final choice if we have a price and URL
             try {
@@ -233,6 +236,8 @@ class SimpleAudit {
                 : null;
               const source = item.result.Source || item.result.source || null;
               const sourceDomain = this.extractDomain(source || undefined);
+              // The row's own currency, else the job's (per-job locale); legacy rows carried none
+              const currency = item.result.currency || item.result.Currency || data.jobMeta?.currency || null;
               
               // BLOCK untrusted sources before persisting
               const blockedSources = ['mercari', 'bigbigmart', 'doordash', 'discounttoday', 'martexplore', 'alibaba', 'aliexpress', 'ebay', 'fruugo', 'orbixis', 'directsupply'];
@@ -244,10 +249,10 @@ class SimpleAudit {
               if (isBlockedSource) {
                 console.log('🚫 [final_choices] BLOCKED untrusted source:', { source, sourceDomain });
               } else if (url || priceCents != null || sourceDomain) {
-                console.log('🗄️ [final_choices] INSERT begin', { choiceId, itemId, price_cents: priceCents, sourceDomain, hasUrl: !!url });
+                console.log('🗄️ [final_choices] INSERT begin', { choiceId, itemId, price_cents: priceCents, currency, sourceDomain, hasUrl: !!url });
                 await this.dbConnection.execute(
-                  'INSERT INTO final_choices (id, job_item_id, price_cents, source_domain, url, decided_at) VALUES (?, ?, ?, ?, ?, NOW())',
-                  [choiceId, itemId, priceCents, sourceDomain, url]
+                  'INSERT INTO final_choices (id, job_item_id, price_cents, currency, source_domain, url, decided_at) VALUES (?, ?, ?, ?, ?, ?, NOW())',
+                  [choiceId, itemId, priceCents, currency, sourceDomain, url]
                 );
                 console.log('✅ [final_choices] INSERT ok', { choiceId });
               }
@@ -281,8 +286,8 @@ class SimpleAudit {
       // Create job record
       const jobId = require('crypto').randomUUID();
       await this.dbConnection.execute(
-        'INSERT INTO jobs (id, user_id, job_type, status, input_text, started_at, completed_at, created_at) VALUES (?, ?, ?, ?, ?, NOW(), NOW(), NOW())',
-        [jobId, user.id || 'anonymous', 'IMAGE', 'SUCCESS', `Image processing: ${data.jobMeta?.itemCount || 0} images`]
+        'INSERT INTO jobs (id, user_id, org_id, job_type, status, input_text, started_at, completed_at, created_at) VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW(), NOW())',
+        [jobId, user.id || 'anonymous', user.orgId || null, 'IMAGE', 'SUCCESS', `Image processing: ${data.jobMeta?.itemCount || 0} images`]
       );
 
       // Create job items for each image
@@ -317,6 +322,57 @@ class SimpleAudit {
     }
   }
 
+  // Adjuster review decisions are appended to final_choices (see migration 006), so a row's
+  // history reads: the pipeline's AUTO choice, then every ACCEPT / OVERRIDE / UNABLE_TO_REPLACE / SWAP
+  async recordReviewDecision(user, data) {
+    try {
+      if (!this.initialized || !this.dbConnection) {
+        console.log('⚠️ Audit system not initialized, skipping review decision');
+        return;
+      }
+
+      const [items] = await this.dbConnection.execute(
+        'SELECT id FROM job_items WHERE job_id = ? AND row_index = ?',
+        [data.jobId, data.rowIndex]
+      );
+      if (items.length === 0) {
+        console.log('⚠️ [final_choices] review skipped - job item not audited:', { jobId: data.jobId, rowIndex: data.rowIndex });
+        return;
+      }
+
+      const toCents = (price) => (price != null && Number.isFinite(Number(price)) ? Math.round(Number(price) * 100) : null);
+      const choiceId = require('crypto').randomUUID();
+      const current = data.current || {};
+      console.log('🗄️ [final_choices] INSERT begin (review)', { choiceId, itemId: items[0].id, decision: data.action });
+      await this.dbConnection.execute(
+        'INSERT INTO final_choices (id, job_item_id, price_cents, currency, source_domain, url, decision, decided_by, previous_price_cents, reason, decided_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())',
+        [
+          choiceId,
+          items[0].id,
+          toCents(current.price),
+          data.currency || null,
+          this.extractDomain(current.source || undefined),
+          current.url || null,
+          String(data.action).toUpperCase(),
+          user.id || 'anonymous',
+          toCents(data.previous?.price),
+          data.reason || null
+        ]
+      );
+      console.log('✅ [final_choices] INSERT ok (review)', { choiceId });
+
+      await this.logEvent(user.id || 'anonymous', 'REVIEW_DECISION', {
+        jobId: data.jobId,
+        rowIndex: data.rowIndex,
+        action: data.action,
+        previous: data.previous,
+        current: data.current
+      });
+    } catch (error) {
+      console.error('❌ Failed to record review decision:', error.message);
+    }
+  }
+
   // Helper methods
   async createUserIfNotExists(user) {
     try {
@@ -329,8 +385,8 @@ class SimpleAudit {
       if (existingUsers.length === 0) {
         console.log('🗄️ [users] INSERT begin', { id: user?.id || 'anonymous', email: user?.email });
         await this.dbConnection.execute(
-          'INSERT INTO users (id, email, name, auth_provider, created_at) VALUES (?, ?, ?, ?, NOW())',
-          [user.id || 'anonymous', user.email || 'unknown@example.com', user.name || 'Unknown User', 'system']
+          'INSERT INTO users (id, email, name, auth_provider, org_id, created_at) VALUES (?, ?, ?, ?, ?, NOW())',
+          [user.id || 'anonymous', user.email || 'unknown@example.com', user.name || 'Unknown User', 'system', user.orgId || null]
         );
         console.log('✅ [users] INSERT ok', { id: user?.id || 'anonymous' });
       } else {
@@ -462,6 +518,50 @@ class SimpleAudit {
     }
   }
 
+  /**
+   * Latest audit_logs entries for the admin console
+   * @param {Object} options
+   * @param {number} options.limit - max entries (1-200)
+   * @param {Object} options.scope - req.orgScope ({ orgId, all })
+   * @param {string} options.userId - only this user's entries
+   * @returns {Promise<Array|null>} null when the audit database is not available
+   */
+  async getRecentActivity({ limit = 50, scope = {}, userId } = {}) {
+    if (!this.initialized || !this.dbConnection) {
+      return null;
+    }
+
+    const clauses = [];
+    const params = [];
+    if (scope.orgId) {
+      clauses.push('u.org_id = ?');
+      params.push(scope.orgId);
+    } else if (!scope.all) {
+      clauses.push('u.org_id IS NULL');
+    }
+    if (userId) {
+      clauses.push('l.user_id = ?');
+      params.push(userId);
+    }
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const [rows] = await this.dbConnection.query(
+      `SELECT l.id, l.user_id, l.action, l.meta_json, l.created_at, u.email, u.name
+       FROM audit_logs l LEFT JOIN users u ON u.id = l.user_id
+       ${clauses.length ? 'WHERE ' + clauses.join(' AND ') : ''}
+       ORDER BY l.created_at DESC LIMIT ${safeLimit}`,
+      params
+    );
+    return rows.map(row => ({
+      id: row.id,
+      userId: row.user_id,
+      email: row.email || null,
+      name: row.name || null,
+      action: row.action,
+      meta: row.meta_json == null ? null : (typeof row.meta_json === 'string' ? JSON.parse(row.meta_json) : row.meta_json),
+      createdAt: new Date(row.created_at).toISOString()
+    }));
+  }
+
   getStatus() {
     return {
       initialized: this.initialized,
@@ -486,6 +586,32 @@ async function initializeAuditSystem() {
   return initialized;
 }
 
+// Org scoping for /api/logs (see migrations/007_organizations.sql). The server's resolveOrg
+// middleware sets req.orgScope: an orgId limits every query to that organization, `all` (platform
+// admins acting without an org) sees everything, and anyone else only sees rows from before orgs.
+function orgScope(req, column = 'j.org_id') {
+  const scope = req.orgScope || {};
+  if (scope.orgId) return { sql: `${column} = ?`, params: [scope.orgId] };
+  if (scope.all) return { sql: '1 = 1', params: [] };
+  return { sql: `${column} IS NULL`, params: [] };
+}
+
+// job_usage has no org column - its users belong to an org through org_members or users.org_id
+function usageOrgScope(req, column = 'u.user_id') {
+  const scope = req.orgScope || {};
+  if (scope.orgId) {
+    return {
+      sql: `${column} IN (SELECT user_id FROM org_members WHERE org_id = ? UNION SELECT id FROM users WHERE org_id = ?)`,
+      params: [scope.orgId, scope.orgId]
+    };
+  }
+  if (scope.all) return { sql: '1 = 1', params: [] };
+  return {
+    sql: `${column} NOT IN (SELECT user_id FROM org_members UNION SELECT id FROM users WHERE org_id IS NOT NULL)`,
+    params: []
+  };
+}
+
 // Create simple logs router for basic functionality
 function createLogsRouter() {
   const router = express.Router();
@@ -536,16 +662,20 @@ function createLogsRouter() {
       let topDomains = [];
       let averagePriceDelta = 0;
 
+      const jobScope = orgScope(req);
+
       try {
         // Get total jobs count
         const [jobsResult] = await auditInstance.dbConnection.execute(
-          'SELECT COUNT(*) as totalJobs FROM jobs'
+          `SELECT COUNT(*) as totalJobs FROM jobs j WHERE ${jobScope.sql}`,
+          jobScope.params
         );
         totalJobs = jobsResult[0]?.totalJobs || 0;
 
         // Get jobs by type
         const [jobsByTypeResult] = await auditInstance.dbConnection.execute(
-          'SELECT job_type, COUNT(*) as count FROM jobs GROUP BY job_type'
+          `SELECT j.job_type, COUNT(*) as count FROM jobs j WHERE ${jobScope.sql} GROUP BY j.job_type`,
+          jobScope.params
         );
         jobsByTypeResult.forEach(row => {
           jobsByType[row.job_type] = row.count;
@@ -553,7 +683,8 @@ function createLogsRouter() {
 
         // Get jobs by status
         const [jobsByStatusResult] = await auditInstance.dbConnection.execute(
-          'SELECT status, COUNT(*) as count FROM jobs GROUP BY status'
+          `SELECT j.status, COUNT(*) as count FROM jobs j WHERE ${jobScope.sql} GROUP BY j.status`,
+          jobScope.params
         );
         jobsByStatusResult.forEach(row => {
           jobsByStatus[row.status] = row.count;
@@ -565,7 +696,13 @@ function createLogsRouter() {
 
         // Get top domains from final choices
         const [domainsResult] = await auditInstance.dbConnection.execute(
-          'SELECT source_domain, COUNT(*) as count FROM final_choices WHERE source_domain IS NOT NULL GROUP BY source_domain ORDER BY count DESC LIMIT 10'
+          `SELECT fc.source_domain, COUNT(*) as count
+           FROM final_choices fc
+           JOIN job_items ji ON ji.id = fc.job_item_id
+           JOIN jobs j ON j.id = ji.job_id
+           WHERE fc.source_domain IS NOT NULL AND ${jobScope.sql}
+           GROUP BY fc.source_domain ORDER BY count DESC LIMIT 10`,
+          jobScope.params
         );
         topDomains = domainsResult.map(row => ({
           domain: row.source_domain,
@@ -577,6 +714,76 @@ function createLogsRouter() {
         // Return basic data if database queries fail
       }
 
+      // NEW: External API spend (job_usage, see migrations/004_job_usage.sql)
+      let usage = null;
+      try {
+        const usageScope = usageOrgScope(req);
+        const [usageTotals] = await auditInstance.dbConnection.execute(
+          `SELECT
+             COALESCE(SUM(CASE WHEN usage_date = CURDATE() THEN requests END), 0) AS todayRequests,
+             COALESCE(SUM(CASE WHEN usage_date = CURDATE() THEN cost_usd END), 0) AS todayCost,
+             COALESCE(SUM(requests), 0) AS requests,
+             COALESCE(SUM(cost_usd), 0) AS cost
+           FROM job_usage u WHERE u.usage_date >= CURDATE() - INTERVAL 30 DAY AND ${usageScope.sql}`,
+          usageScope.params
+        );
+        const [usageByProvider] = await auditInstance.dbConnection.execute(
+          `SELECT provider, SUM(requests) AS requests, SUM(prompt_tokens + completion_tokens) AS tokens, SUM(cost_usd) AS cost
+           FROM job_usage u WHERE u.usage_date >= CURDATE() - INTERVAL 30 DAY AND ${usageScope.sql} GROUP BY provider`,
+          usageScope.params
+        );
+        const [usageByUser] = await auditInstance.dbConnection.execute(
+          `SELECT u.user_id, SUM(requests) AS requests, SUM(cost_usd) AS cost, COUNT(DISTINCT NULLIF(job_id, '')) AS jobs
+           FROM job_usage u WHERE u.usage_date >= CURDATE() - INTERVAL 30 DAY AND ${usageScope.sql}
+           GROUP BY u.user_id ORDER BY cost DESC LIMIT 10`,
+          usageScope.params
+        );
+        const [costPerJob] = await auditInstance.dbConnection.execute(
+          `SELECT AVG(job_cost) AS averageCost FROM (
+             SELECT SUM(u.cost_usd) AS job_cost FROM job_usage u JOIN jobs j ON j.id = u.job_id
+             WHERE u.usage_date >= CURDATE() - INTERVAL 30 DAY AND ${jobScope.sql} GROUP BY u.job_id
+           ) per_job`,
+          jobScope.params
+        );
+
+        // Stored per-user budgets, falling back to the USAGE_DAILY_BUDGET_USD default cap
+        const defaultBudget = parseFloat(process.env.USAGE_DAILY_BUDGET_USD) > 0 ? parseFloat(process.env.USAGE_DAILY_BUDGET_USD) : null;
+        const [overBudget] = await auditInstance.dbConnection.execute(
+          `SELECT u.user_id, SUM(u.cost_usd) AS spent, COALESCE(b.daily_budget_usd, ?) AS budget
+           FROM job_usage u LEFT JOIN user_budgets b ON b.user_id = u.user_id
+           WHERE u.usage_date = CURDATE() AND ${usageScope.sql}
+           GROUP BY u.user_id, b.daily_budget_usd
+           HAVING budget IS NOT NULL AND spent >= budget`,
+          [defaultBudget, ...usageScope.params]
+        );
+
+        const round = value => Math.round((parseFloat(value) || 0) * 10000) / 10000;
+        usage = {
+          windowDays: 30,
+          today: { requests: Number(usageTotals[0]?.todayRequests) || 0, costUsd: round(usageTotals[0]?.todayCost) },
+          total: { requests: Number(usageTotals[0]?.requests) || 0, costUsd: round(usageTotals[0]?.cost) },
+          averageCostPerJob: round(costPerJob[0]?.averageCost),
+          byProvider: Object.fromEntries(usageByProvider.map(row => [row.provider, {
+            requests: Number(row.requests) || 0,
+            tokens: Number(row.tokens) || 0,
+            costUsd: round(row.cost)
+          }])),
+          topUsers: usageByUser.map(row => ({
+            userId: row.user_id,
+            jobs: Number(row.jobs) || 0,
+            requests: Number(row.requests) || 0,
+            costUsd: round(row.cost)
+          })),
+          usersOverBudget: overBudget.map(row => ({
+            userId: row.user_id,
+            spentUsd: round(row.spent),
+            budgetUsd: round(row.budget)
+          }))
+        };
+      } catch (usageError) {
+        console.error('⚠️ Usage summary query failed:', usageError.message);
+      }
+
       res.json({
         totalJobs,
         jobsByType,
@@ -585,6 +792,7 @@ function createLogsRouter() {
         averageDuration: Math.round(averageDuration * 100) / 100,
         topDomains,
         averagePriceDelta,
+        usage,
         message: 'Full audit system with real-time database analytics'
       });
     } catch (error) {
@@ -610,23 +818,27 @@ function createLogsRouter() {
       const offset = (page - 1) * limit;
 
       // Total count
+      const jobScope = orgScope(req);
       const [countRows] = await auditInstance.dbConnection.execute(
-        'SELECT COUNT(*) AS total FROM jobs'
+        `SELECT COUNT(*) AS total FROM jobs j WHERE ${jobScope.sql}`,
+        jobScope.params
       );
       const total = countRows[0]?.total || 0;
 
       // Fetch jobs with item counts (avoid bound params for LIMIT/OFFSET on some MySQL configs)
       const jobsQuery =
-        `SELECT j.id, j.user_id, j.job_type, j.status, j.file_id, j.input_text, j.started_at, j.completed_at, j.created_at,
+        `SELECT j.id, j.user_id, j.org_id, j.job_type, j.status, j.file_id, j.input_text, j.started_at, j.completed_at, j.created_at,
                 (SELECT COUNT(*) FROM job_items ji WHERE ji.job_id = j.id) AS item_count
          FROM jobs j
+         WHERE ${jobScope.sql}
          ORDER BY j.created_at DESC
          LIMIT ${Number(limit)} OFFSET ${Number(offset)}`;
-      const [rows] = await auditInstance.dbConnection.execute(jobsQuery);
+      const [rows] = await auditInstance.dbConnection.execute(jobsQuery, jobScope.params);
 
       const data = rows.map(r => ({
         id: r.id,
         userId: r.user_id,
+        orgId: r.org_id,
         jobType: r.job_type,
         status: r.status,
         fileId: r.file_id,
@@ -671,16 +883,19 @@ function createLogsRouter() {
       console.log('🔍 /api/logs/jobs/export → Exporting all jobs...');
 
       // Fetch ALL jobs without pagination limit
+      const jobScope = orgScope(req);
       const jobsQuery =
-        `SELECT j.id, j.user_id, j.job_type, j.status, j.file_id, j.input_text, j.started_at, j.completed_at, j.created_at,
+        `SELECT j.id, j.user_id, j.org_id, j.job_type, j.status, j.file_id, j.input_text, j.started_at, j.completed_at, j.created_at,
                 (SELECT COUNT(*) FROM job_items ji WHERE ji.job_id = j.id) AS item_count
          FROM jobs j
+         WHERE ${jobScope.sql}
          ORDER BY j.created_at DESC`;
-      const [rows] = await auditInstance.dbConnection.execute(jobsQuery);
+      const [rows] = await auditInstance.dbConnection.execute(jobsQuery, jobScope.params);
 
       const data = rows.map(r => ({
         id: r.id,
         userId: r.user_id,
+        orgId: r.org_id,
         jobType: r.job_type,
         status: r.status,
         fileId: r.file_id,
@@ -718,10 +933,11 @@ function createLogsRouter() {
 
       const { jobId } = req.params;
       
-      // Get job details
+      // Get job details (jobs of other organizations are reported as not found)
+      const jobScope = orgScope(req);
       const [jobResult] = await auditInstance.dbConnection.execute(
-        'SELECT * FROM jobs WHERE id = ?',
-        [jobId]
+        `SELECT * FROM jobs j WHERE j.id = ? AND ${jobScope.sql}`,
+        [jobId, ...jobScope.params]
       );
       
       if (jobResult.length === 0) {
@@ -753,7 +969,7 @@ function createLogsRouter() {
       const finalChoices = [];
       for (const item of itemsResult) {
         const [choicesResult] = await auditInstance.dbConnection.execute(
-          'SELECT * FROM final_choices WHERE job_item_id = ?',
+          'SELECT * FROM final_choices WHERE job_item_id = ? ORDER BY decided_at',
           [item.id]
         );
         finalChoices.push(...choicesResult);
@@ -785,9 +1001,47 @@ function createLogsRouter() {
         });
       }
 
-      res.status(404).json({ 
-        error: 'Item not found',
-        message: 'Basic audit system - detailed item tracking coming soon'
+      // Items of other organizations' jobs are reported as not found
+      const jobScope = orgScope(req);
+      const [itemResult] = await auditInstance.dbConnection.execute(
+        `SELECT ji.* FROM job_items ji JOIN jobs j ON j.id = ji.job_id WHERE ji.id = ? AND ${jobScope.sql}`,
+        [req.params.itemId, ...jobScope.params]
+      );
+
+      if (itemResult.length === 0) {
+        return res.status(404).json({ 
+          error: 'Item not found',
+          message: 'No job item found with the specified ID'
+        });
+      }
+
+      const { decision_trace: storedTrace, ...item } = itemResult[0];
+      const [searchEvents] = await auditInstance.dbConnection.execute(
+        'SELECT * FROM search_events WHERE job_item_id = ? ORDER BY started_at',
+        [item.id]
+      );
+      const [finalChoices] = await auditInstance.dbConnection.execute(
+        'SELECT * FROM final_choices WHERE job_item_id = ? ORDER BY decided_at',
+        [item.id]
+      );
+
+      // mysql2 hands JSON columns back parsed; older drivers / TEXT columns give a string
+      let decisionTrace = storedTrace || null;
+      if (typeof decisionTrace === 'string') {
+        try {
+          decisionTrace = JSON.parse(decisionTrace);
+        } catch (_e) {
+          decisionTrace = null;
+        }
+      }
+
+      res.json({
+        item,
+        decisionTrace,
+        explanation: decisionTrace?.outcome?.explanation || null,
+        searchEvents,
+        finalChoices,
+        message: 'Item details from audit system'
       });
     } catch (error) {
       res.status(500).json({ 
@@ -803,9 +1057,10 @@ function createLogsRouter() {
       if (!auditInstance.initialized) {
         return res.status(503).json({ error: 'Audit system not available' });
       }
-      const [countRows] = await auditInstance.dbConnection.execute('SELECT COUNT(*) AS total FROM jobs');
+      const jobScope = orgScope(req);
+      const [countRows] = await auditInstance.dbConnection.execute(`SELECT COUNT(*) AS total FROM jobs j WHERE ${jobScope.sql}`, jobScope.params);
       const total = countRows[0]?.total || 0;
-      const [rows] = await auditInstance.dbConnection.execute('SELECT id, user_id, job_type, status, created_at FROM jobs ORDER BY created_at DESC LIMIT 10');
+      const [rows] = await auditInstance.dbConnection.execute(`SELECT j.id, j.user_id, j.org_id, j.job_type, j.status, j.created_at FROM jobs j WHERE ${jobScope.sql} ORDER BY j.created_at DESC LIMIT 10`, jobScope.params);
       const ids = rows.map(r => r.id);
       let items = [];
       if (ids.length > 0) {
@@ -825,7 +1080,11 @@ function createLogsRouter() {
       if (!auditInstance.initialized) {
         return res.status(503).json({ error: 'Audit system not available' });
       }
-      const tables = ['users', 'files', 'jobs', 'job_items', 'search_events', 'final_choices', 'audit_logs'];
+      // Whole-table counts span every organization
+      if (!req.orgScope?.all) {
+        return res.status(403).json({ error: 'Table counts are only available to platform admins' });
+      }
+      const tables = ['users', 'files', 'jobs', 'job_items', 'search_events', 'final_choices', 'audit_logs', 'organizations', 'org_members'];
       const counts = {};
       for (const t of tables) {
         try {
@@ -853,10 +1112,11 @@ function createLogsRouter() {
 
       const { fileId } = req.params;
       
-      // Get file information from database
+      // Get file information from database (files of other organizations are reported as not found)
+      const fileScope = orgScope(req, 'f.org_id');
       const [fileResult] = await auditInstance.dbConnection.execute(
-        'SELECT * FROM files WHERE id = ?',
-        [fileId]
+        `SELECT * FROM files f WHERE f.id = ? AND ${fileScope.sql}`,
+        [fileId, ...fileScope.params]
       );
       
       if (fileResult.length === 0) {
@@ -945,10 +1205,11 @@ function createLogsRouter() {
 
       const { fileId } = req.params;
       
-      // Get file information from database
+      // Get file information from database (files of other organizations are reported as not found)
+      const fileScope = orgScope(req, 'f.org_id');
       const [fileResult] = await auditInstance.dbConnection.execute(
-        'SELECT * FROM files WHERE id = ?',
-        [fileId]
+        `SELECT * FROM files f WHERE f.id = ? AND ${fileScope.sql}`,
+        [fileId, ...fileScope.params]
       );
       
       if (fileResult.length === 0) {
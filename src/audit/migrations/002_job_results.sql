@@ -0,0 +1,14 @@
+-- 002_job_results.sql
+-- Persistent storage for processed /api/enhanced job results
+-- Used by server/services/JobResultStore.js when JOB_STORE_DRIVER=mysql
+
+CREATE TABLE IF NOT EXISTS job_results (
+  job_id        VARCHAR(64) PRIMARY KEY,
+  user_id       VARCHAR(64),
+  meta_json     JSON,
+  results_json  LONGTEXT NOT NULL,
+  created_at    TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at    DATETIME NOT NULL,
+  INDEX (user_id, created_at),
+  INDEX (expires_at)
+);
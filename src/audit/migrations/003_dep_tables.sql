@@ -0,0 +1,25 @@
+-- 003_dep_tables.sql
+-- Carrier-specific depreciation tables with effective-dated versions
+-- Used by server/services/DepTableStore.js when DEP_TABLE_STORE_DRIVER=mysql
+
+CREATE TABLE IF NOT EXISTS dep_tables (
+  name          VARCHAR(64) PRIMARY KEY,
+  carrier       VARCHAR(128),
+  description   TEXT,
+  archived      TINYINT(1) NOT NULL DEFAULT 0,
+  created_at    TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS dep_table_versions (
+  id              BIGINT AUTO_INCREMENT PRIMARY KEY,
+  table_name      VARCHAR(64) NOT NULL,
+  version         INT NOT NULL,
+  effective_from  DATETIME NOT NULL,
+  categories_json JSON NOT NULL,
+  settings_json   JSON,
+  note            TEXT,
+  created_by      VARCHAR(64),
+  created_at      TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_table_version (table_name, version),
+  INDEX (table_name, effective_from)
+);
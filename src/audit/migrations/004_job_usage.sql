@@ -0,0 +1,27 @@
+-- 004_job_usage.sql
+-- Metered SerpAPI / Google CSE / OpenAI usage per job and user, plus per-user daily budgets
+-- Used by server/services/UsageMeter.js when USAGE_STORE_DRIVER=mysql
+-- job_usage.job_id matches jobs.id for audited jobs ('' for calls made outside a job)
+
+CREATE TABLE IF NOT EXISTS job_usage (
+  id                BIGINT AUTO_INCREMENT PRIMARY KEY,
+  job_id            VARCHAR(64) NOT NULL DEFAULT '',
+  user_id           VARCHAR(64) NOT NULL,
+  provider          VARCHAR(16) NOT NULL,
+  usage_date        DATE NOT NULL,
+  requests          INT NOT NULL DEFAULT 0,
+  prompt_tokens     BIGINT NOT NULL DEFAULT 0,
+  completion_tokens BIGINT NOT NULL DEFAULT 0,
+  cost_usd          DECIMAL(12,6) NOT NULL DEFAULT 0,
+  updated_at        TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_job_user_provider_day (job_id, user_id, provider, usage_date),
+  INDEX (user_id, usage_date),
+  INDEX (usage_date)
+);
+
+CREATE TABLE IF NOT EXISTS user_budgets (
+  user_id           VARCHAR(64) PRIMARY KEY,
+  daily_budget_usd  DECIMAL(10,2) NOT NULL,
+  updated_by        VARCHAR(64),
+  updated_at        TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
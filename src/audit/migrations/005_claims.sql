@@ -0,0 +1,29 @@
+-- 005_claims.sql
+-- Claims group CSV, image and single-search jobs for one loss
+-- Used by server/services/ClaimStore.js when CLAIM_STORE_DRIVER=mysql
+-- claim_jobs.job_id matches jobs.id for audited jobs; rollup_json is the per room / dep category
+-- snapshot taken when the job was attached, so claim totals outlive job_results retention
+
+CREATE TABLE IF NOT EXISTS claims (
+  id                  CHAR(36) PRIMARY KEY,
+  claim_number        VARCHAR(64) NOT NULL,
+  insured_name        VARCHAR(255),
+  loss_date           DATE,
+  policy_limits_json  JSON,
+  notes               TEXT,
+  created_by          VARCHAR(64),
+  created_at          TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at          TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_claim_number (claim_number)
+);
+
+CREATE TABLE IF NOT EXISTS claim_jobs (
+  job_id        VARCHAR(64) PRIMARY KEY,
+  claim_id      CHAR(36) NOT NULL,
+  job_type      ENUM('CSV','IMAGE','SINGLE') NOT NULL,
+  label         VARCHAR(255),
+  rollup_json   JSON NOT NULL,
+  attached_by   VARCHAR(64),
+  attached_at   TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX (claim_id, attached_at)
+);
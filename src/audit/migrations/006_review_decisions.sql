@@ -0,0 +1,14 @@
+-- 006_review_decisions.sql
+-- Adjuster review of priced rows (server/services/ReviewService.js)
+-- final_choices becomes an append-only trail per job item: the pipeline's own choice is
+-- decision 'AUTO', every accept / override / "unable to replace" adds a row after it.
+-- The latest decided_at per job_item_id is the effective choice.
+
+-- fk_choice_item needs an index on job_item_id once the UNIQUE one is gone
+ALTER TABLE final_choices ADD INDEX idx_final_choices_item (job_item_id, decided_at);
+ALTER TABLE final_choices DROP INDEX job_item_id;
+
+ALTER TABLE final_choices
+  ADD COLUMN decision             VARCHAR(32) NOT NULL DEFAULT 'AUTO' AFTER url,
+  ADD COLUMN decided_by           VARCHAR(64) AFTER decision,
+  ADD COLUMN previous_price_cents INT AFTER decided_by;
@@ -0,0 +1,33 @@
+-- 007_organizations.sql
+-- Organizations (adjusting firms) sharing one deployment
+-- Used by server/services/OrgStore.js when ORG_STORE_DRIVER=mysql
+-- settings_json holds per-org overrides: untrustedSites { add, remove }, defaultTolerancePct, depTable { name, version }
+-- users / files / jobs get an org_id so every /api/logs query can be scoped to the caller's org;
+-- rows written before this migration keep org_id NULL and are only visible to platform admins
+
+CREATE TABLE IF NOT EXISTS organizations (
+  id             VARCHAR(64) PRIMARY KEY,
+  slug           VARCHAR(64) NOT NULL,
+  name           VARCHAR(255) NOT NULL,
+  settings_json  JSON,
+  created_by     VARCHAR(64),
+  created_at     TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at     TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_org_slug (slug)
+);
+
+CREATE TABLE IF NOT EXISTS org_members (
+  org_id      VARCHAR(64) NOT NULL,
+  user_id     VARCHAR(64) NOT NULL,
+  email       VARCHAR(320),
+  role        ENUM('member','org_admin') NOT NULL DEFAULT 'member',
+  added_by    VARCHAR(64),
+  added_at    TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (org_id, user_id),
+  INDEX (user_id),
+  CONSTRAINT fk_org_members_org FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE
+);
+
+ALTER TABLE users ADD COLUMN org_id VARCHAR(64) AFTER auth_provider, ADD INDEX idx_users_org (org_id);
+ALTER TABLE files ADD COLUMN org_id VARCHAR(64) AFTER user_id, ADD INDEX idx_files_org (org_id, created_at);
+ALTER TABLE jobs  ADD COLUMN org_id VARCHAR(64) AFTER user_id, ADD INDEX idx_jobs_org (org_id, created_at);
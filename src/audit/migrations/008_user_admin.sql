@@ -0,0 +1,18 @@
+-- 008_user_admin.sql
+-- Account administration for the admin console (/api/admin) and per-user settings (/api/me)
+-- Used by server/services/UserStore.js when USER_STORE_DRIVER=mysql
+-- role overrides the token's roles while set (NULL = use the identity provider's roles)
+-- settings_json: theme, emailNotifications, autoSaveDrafts, defaultTolerancePct
+-- profile_json:  displayName, jobTitle, department
+
+ALTER TABLE users
+  ADD COLUMN role            ENUM('adjuster','supervisor','admin') NULL AFTER org_id,
+  ADD COLUMN status          ENUM('active','deactivated') NOT NULL DEFAULT 'active' AFTER role,
+  ADD COLUMN settings_json   JSON AFTER status,
+  ADD COLUMN profile_json    JSON AFTER settings_json,
+  ADD COLUMN last_seen_at    TIMESTAMP NULL AFTER profile_json,
+  ADD COLUMN deactivated_at  TIMESTAMP NULL AFTER last_seen_at,
+  ADD COLUMN deactivated_by  VARCHAR(64) NULL AFTER deactivated_at,
+  ADD INDEX idx_users_last_seen (last_seen_at);
+
+ALTER TABLE audit_logs ADD INDEX idx_audit_logs_created (created_at);
@@ -0,0 +1,28 @@
+-- 009_documents_notifications.sql
+-- Claim documents (/api/documents) and the per-user notification feed (/api/notifications)
+-- Used by server/services/DocumentStore.js (DOCUMENT_STORE_DRIVER=mysql) and
+-- server/services/NotificationStore.js (NOTIFICATION_STORE_DRIVER=mysql)
+-- Documents are `files` rows with a document_type (photo|receipt|invoice|estimate|policy|other);
+-- analysis_json holds the visionExtractor facts once an image document has been analyzed
+-- notifications.type: job_completed|job_failed|review_requested; data_json carries jobId / claimId
+
+ALTER TABLE files
+  ADD COLUMN claim_id       CHAR(36) NULL AFTER org_id,
+  ADD COLUMN document_type  VARCHAR(32) NULL AFTER file_type,
+  ADD COLUMN analysis_json  JSON AFTER document_type,
+  ADD COLUMN analyzed_at    TIMESTAMP NULL AFTER analysis_json,
+  ADD INDEX idx_files_claim (claim_id, created_at);
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id          CHAR(36) PRIMARY KEY,
+  user_id     VARCHAR(64) NOT NULL,
+  org_id      VARCHAR(64),
+  type        VARCHAR(32) NOT NULL,
+  title       VARCHAR(255) NOT NULL,
+  message     TEXT,
+  data_json   JSON,
+  created_by  VARCHAR(64),
+  read_at     TIMESTAMP NULL,
+  created_at  TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_notifications_user (user_id, read_at, created_at)
+);
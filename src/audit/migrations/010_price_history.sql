@@ -0,0 +1,18 @@
+-- 010_price_history.sql
+-- Prices seen per product over time, for the /api/prices history sparkline and drift flags
+-- Used by server/services/PriceHistoryStore.js when PRICE_HISTORY_STORE_DRIVER=mysql
+-- product_key is the normalized description (lower case, sorted words - see productKeyFor)
+-- kind: offer (a Google Shopping result), best (findBestPrice's pick), row (a priced job row)
+
+CREATE TABLE IF NOT EXISTS price_observations (
+  id            BIGINT AUTO_INCREMENT PRIMARY KEY,
+  product_key   VARCHAR(200) NOT NULL,
+  kind          ENUM('offer','best','row') NOT NULL,
+  retailer      VARCHAR(128),
+  price         DECIMAL(12,2) NOT NULL,
+  url           VARCHAR(1024),
+  title         VARCHAR(512),
+  job_id        VARCHAR(64),
+  observed_at   TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_price_observations_key (product_key, observed_at)
+);
@@ -0,0 +1,23 @@
+-- 011_mapping_templates.sql
+-- Saved column mappings for contents-list uploads, auto-applied to matching layouts
+-- Used by server/services/MappingTemplateStore.js when MAPPING_TEMPLATE_STORE_DRIVER=mysql
+-- fingerprint: sha256 (first 32 hex) of the normalized sheet name + sorted, normalized headers
+-- mapping_json: { canonical field: source column }; shared = 1 makes it visible to the whole org
+
+CREATE TABLE IF NOT EXISTS mapping_templates (
+  id            VARCHAR(36) PRIMARY KEY,
+  org_id        VARCHAR(64),
+  name          VARCHAR(100) NOT NULL,
+  sheet_name    VARCHAR(128),
+  headers_json  JSON NOT NULL,
+  fingerprint   CHAR(32) NOT NULL,
+  mapping_json  JSON NOT NULL,
+  shared        TINYINT(1) NOT NULL DEFAULT 0,
+  created_by    VARCHAR(64) NOT NULL,
+  use_count     INT NOT NULL DEFAULT 0,
+  last_used_at  TIMESTAMP NULL,
+  created_at    TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at    TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_mapping_templates_org (org_id, updated_at),
+  INDEX idx_mapping_templates_fingerprint (fingerprint)
+);
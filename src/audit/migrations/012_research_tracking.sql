@@ -0,0 +1,41 @@
+-- 012_research_tracking.sql
+-- Pricing research sessions and attempts (one attempt per findBestPrice search)
+-- Used by server/services/ResearchTracker.js when RESEARCH_STORE_DRIVER=mysql
+-- search_results_json: trimmed pricer result (found, price, source, url, matchQuality, searchStrategy, ...)
+-- ai_research_json: data captured by trackAIResearch / updateAIResearchResults
+
+CREATE TABLE IF NOT EXISTS research_sessions (
+  id          VARCHAR(128) PRIMARY KEY,
+  user_id     VARCHAR(64) NOT NULL,
+  org_id      VARCHAR(64),
+  started_at  TIMESTAMP(3) NOT NULL,
+  ended_at    TIMESTAMP(3) NULL,
+  INDEX idx_research_sessions_user (user_id, started_at),
+  INDEX idx_research_sessions_org (org_id, started_at)
+);
+
+CREATE TABLE IF NOT EXISTS research_attempts (
+  id                   VARCHAR(64) PRIMARY KEY,
+  session_id           VARCHAR(128),
+  user_id              VARCHAR(64) NOT NULL,
+  org_id               VARCHAR(64),
+  job_id               VARCHAR(64),
+  query                VARCHAR(512) NOT NULL,
+  target_price         DECIMAL(12,2),
+  status               VARCHAR(32) NOT NULL,
+  success              TINYINT(1) NOT NULL DEFAULT 0,
+  is_estimated         TINYINT(1) NOT NULL DEFAULT 0,
+  match_quality        VARCHAR(64),
+  search_strategy      VARCHAR(128),
+  source               VARCHAR(255),
+  price                DECIMAL(12,2),
+  processing_ms        INT,
+  search_results_json  JSON,
+  ai_research_json     JSON,
+  started_at           TIMESTAMP(3) NOT NULL,
+  ended_at             TIMESTAMP(3) NULL,
+  INDEX idx_research_attempts_user (user_id, started_at),
+  INDEX idx_research_attempts_org (org_id, started_at),
+  INDEX idx_research_attempts_session (session_id),
+  INDEX idx_research_attempts_job (job_id)
+);
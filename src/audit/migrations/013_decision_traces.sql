@@ -0,0 +1,7 @@
+-- 013_decision_traces.sql
+-- Why each priced row came out Found or Estimated (server/utils/decisionTrace.js)
+-- decision_trace: { query, targetPrice, tolerancePct, steps, rejections, cache, outcome } -
+-- every strategy tried with its candidate counts, the rejection reasons by code, cache hits and
+-- a one-line explanation. Written by Audit.persistFileJob, read by GET /api/logs/items/:itemId.
+
+ALTER TABLE job_items ADD COLUMN decision_trace JSON AFTER status;
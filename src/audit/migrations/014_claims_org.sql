@@ -0,0 +1,11 @@
+-- 014_claims_org.sql
+-- Claims belong to an organization (server/services/ClaimStore.js) and claim numbers are unique
+-- per org rather than across the deployment - two adjusting firms may both have claim "CLM-1001".
+-- Claims created before this migration keep org_id NULL and are only visible to callers without
+-- an org and to platform admins.
+
+ALTER TABLE claims
+  ADD COLUMN org_id VARCHAR(64) AFTER id,
+  DROP INDEX uq_claim_number,
+  ADD UNIQUE KEY uq_claim_org_number (org_id, claim_number),
+  ADD INDEX idx_claims_org (org_id, created_at);
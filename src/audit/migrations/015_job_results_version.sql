@@ -0,0 +1,7 @@
+-- 015_job_results_version.sql
+-- Stored job results carry a version so review decisions (JobResultStore.updateResults) only
+-- write when nobody changed the job since it was read - concurrent reviews of one job from
+-- different instances are re-applied instead of overwriting each other.
+
+ALTER TABLE job_results
+  ADD COLUMN version INT NOT NULL DEFAULT 0;